@@ -0,0 +1,808 @@
+/**
+ * Admin Dashboard for Wedding App
+ *
+ * Guest list management for admins: live RSVP totals, a searchable table of
+ * households, inline edits of guest records, the list of guests who
+ * haven't responded yet, the photo review queue and comment moderation.
+ * Data comes from /api/rsvps/summary, /api/admin/guests, /api/admin/photos
+ * and /api/admin/photo-comments; the server enforces admin access on every
+ * request.
+ */
+
+const RESPONSE_LABELS = {
+  attending: 'Attending',
+  not_attending: 'Declined',
+  pending: 'Pending'
+};
+
+const PHOTO_ACTION_LABELS = {
+  approve: 'approved',
+  reject: 'rejected',
+  feature: 'featured',
+  unfeature: 'unfeatured'
+};
+
+class AdminDashboard {
+  constructor() {
+    this.apiBase = '/api';
+    this.page = 1;
+    this.pageSize = 25;
+    this.search = '';
+    this.responseStatus = '';
+    this.searchTimer = null;
+    this.editingId = null;
+    this.photoStatus = 'pending';
+    this.photoPage = 1;
+    this.selectedPhotoIds = new Set();
+    this.commentStatus = 'all';
+
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+
+    if (window.authSystem) {
+      window.authSystem.on('userChanged', () => {
+        if (this.isVisible()) {
+          this.load();
+        }
+      });
+
+      window.authSystem.on('logout', () => {
+        this.clear();
+      });
+    }
+
+    if (this.isVisible()) {
+      this.load();
+    }
+  }
+
+  /**
+   * Whether the admin page is the one being shown
+   */
+  isVisible() {
+    const page = document.getElementById('admin');
+    return !!page && page.classList.contains('active');
+  }
+
+  /**
+   * Whether the signed-in user is an admin (the server checks again)
+   */
+  isAdmin() {
+    const user = window.authSystem && window.authSystem.currentUser;
+    return !!(user && user.is_admin);
+  }
+
+  setupEventListeners() {
+    const searchInput = document.getElementById('admin-search-input');
+    if (searchInput) {
+      searchInput.addEventListener('input', () => {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+          this.search = searchInput.value.trim();
+          this.page = 1;
+          this.loadHouseholds();
+        }, 300);
+      });
+    }
+
+    const statusFilter = document.getElementById('admin-status-filter');
+    if (statusFilter) {
+      statusFilter.addEventListener('change', () => {
+        this.responseStatus = statusFilter.value;
+        this.page = 1;
+        this.loadHouseholds();
+      });
+    }
+
+    const refreshButton = document.getElementById('admin-refresh');
+    if (refreshButton) {
+      refreshButton.addEventListener('click', () => this.load());
+    }
+
+    const photoStatus = document.getElementById('admin-photo-status');
+    if (photoStatus) {
+      photoStatus.addEventListener('change', () => {
+        this.photoStatus = photoStatus.value;
+        this.photoPage = 1;
+        this.loadPhotos();
+      });
+    }
+
+    const selectAll = document.getElementById('admin-photo-select-all');
+    if (selectAll) {
+      selectAll.addEventListener('change', () => {
+        document.querySelectorAll('#admin-photos input[type="checkbox"]').forEach(checkbox => {
+          checkbox.checked = selectAll.checked;
+          this.togglePhotoSelection(checkbox.value, checkbox.checked);
+        });
+      });
+    }
+
+    const commentStatus = document.getElementById('admin-comment-status');
+    if (commentStatus) {
+      commentStatus.addEventListener('change', () => {
+        this.commentStatus = commentStatus.value;
+        this.loadComments();
+      });
+    }
+
+    document.querySelectorAll('[data-photo-action]').forEach(button => {
+      button.addEventListener('click', () => this.moderatePhotos(button.dataset.photoAction));
+    });
+  }
+
+  /**
+   * Load every section of the dashboard
+   */
+  async load() {
+    if (!this.isAdmin()) {
+      this.clear();
+      this.showMessage('Admin access is required to view this page.', false);
+      return;
+    }
+
+    this.showMessage('');
+    this.editingId = null;
+    await Promise.all([
+      this.loadHouseholds(),
+      this.loadNoResponse(),
+      this.loadPhotos(),
+      this.loadComments()
+    ]);
+  }
+
+  /**
+   * Remove all guest data from the page (on logout or lost access)
+   */
+  clear() {
+    this.selectedPhotoIds.clear();
+    [
+      'admin-totals', 'admin-households', 'admin-pagination', 'admin-no-response', 'admin-photos', 'admin-photo-pagination',
+      'admin-comments'
+    ].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.replaceChildren();
+      }
+    });
+
+    const noResponseCount = document.getElementById('admin-no-response-count');
+    if (noResponseCount) {
+      noResponseCount.textContent = '';
+    }
+  }
+
+  /**
+   * Fetch one page of the RSVP summary
+   */
+  async fetchSummary(params) {
+    const response = await window.authSystem.apiFetch(
+      `${this.apiBase}/rsvps/summary?${new URLSearchParams(params)}`,
+      { method: 'GET' }
+    );
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Failed to load the guest list');
+    }
+
+    return data.data;
+  }
+
+  /**
+   * Load the totals and the current page of households
+   */
+  async loadHouseholds() {
+    const params = {
+      page: this.page,
+      page_size: this.pageSize
+    };
+    if (this.search) {
+      params.q = this.search;
+    }
+    if (this.responseStatus) {
+      params.response_status = this.responseStatus;
+    }
+
+    try {
+      const data = await this.fetchSummary(params);
+      this.renderTotals(data.summary);
+      this.renderHouseholds(data.users);
+      this.renderPagination(data.pagination);
+    } catch (error) {
+      console.error('Admin dashboard: failed to load households:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  /**
+   * Load the households where at least one guest hasn't responded
+   */
+  async loadNoResponse() {
+    try {
+      const data = await this.fetchSummary({
+        response_status: 'no_response',
+        page_size: 200
+      });
+      this.renderNoResponse(data.users, data.pagination);
+    } catch (error) {
+      console.error('Admin dashboard: failed to load missing responses:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  renderTotals(summary) {
+    const container = document.getElementById('admin-totals');
+    if (!container) return;
+
+    const totals = [
+      ['Households', summary.total_users],
+      ['Responded', summary.responded],
+      ['Attending', summary.attending],
+      ['Declined', summary.not_attending],
+      ['Guests Attending', summary.total_attending_count],
+      // Per event: attending out of invited
+      ...(summary.events || []).map(event => [event.name, `${event.attending} / ${event.invited}`]),
+      // Meals and dietary needs among attending guests, for the caterer
+      ...this.getDietaryTotals(summary.dietary)
+    ];
+
+    container.replaceChildren(...totals.map(([label, value]) => {
+      const item = this.createElement('div', 'admin-total');
+      item.append(
+        this.createElement('span', 'admin-total-value', String(value)),
+        this.createElement('span', 'admin-total-label', label)
+      );
+      return item;
+    }));
+  }
+
+  getDietaryTotals(dietary) {
+    if (!dietary) return [];
+
+    return [
+      ...dietary.meals.map(meal => [meal.name, meal.count]),
+      ['No Meal Chosen', dietary.meal_not_chosen],
+      ...dietary.dietary_tags.filter(tag => tag.count > 0).map(tag => [tag.label, tag.count]),
+      ['Dietary Notes', dietary.with_notes]
+    ];
+  }
+
+  renderHouseholds(households) {
+    const tbody = document.getElementById('admin-households');
+    if (!tbody) return;
+
+    if (households.length === 0) {
+      const row = document.createElement('tr');
+      const cell = this.createElement('td', 'admin-empty', 'No households match your search.');
+      cell.colSpan = 4;
+      row.appendChild(cell);
+      tbody.replaceChildren(row);
+      return;
+    }
+
+    tbody.replaceChildren(...households.map(household => this.createHouseholdRow(household)));
+  }
+
+  /**
+   * One table row per household: guest, partner, their RSVPs and account status
+   */
+  createHouseholdRow(household) {
+    const row = document.createElement('tr');
+
+    const guests = [{
+      id: household.id,
+      full_name: household.full_name,
+      email: household.email,
+      response_status: household.response_status,
+      is_plus_one: Boolean(household.plus_one_of),
+      account_status: household.account_status
+    }];
+    if (household.partner_id) {
+      guests.push({
+        id: household.partner_id,
+        full_name: household.partner_full_name,
+        email: household.partner_email,
+        response_status: household.partner_response_status,
+        is_plus_one: Boolean(household.partner_plus_one_of),
+        account_status: household.partner_account_status
+      });
+    }
+
+    const nameCell = document.createElement('td');
+    const statusCell = document.createElement('td');
+    guests.forEach(guest => {
+      nameCell.appendChild(this.createGuestEntry(guest));
+      statusCell.appendChild(this.createStatusBadge(guest.response_status));
+    });
+
+    const plusOneCell = this.createElement('td', null, household.plus_one_allowed ? 'Yes' : 'No');
+    const accountCell = this.createElement('td', null,
+      household.account_status === 'registered' ? 'Registered' : 'Not registered');
+
+    row.append(nameCell, statusCell, plusOneCell, accountCell);
+    return row;
+  }
+
+  createGuestEntry(guest) {
+    const entry = this.createElement('div', 'admin-guest');
+    entry.dataset.guestId = guest.id;
+
+    const details = this.createElement('div');
+    details.appendChild(this.createElement('strong', null, guest.full_name));
+    details.appendChild(this.createElement('div', 'admin-guest-email', guest.email || 'No email'));
+
+    const editButton = this.createElement('button', 'btn btn-sm btn-outline', 'Edit');
+    editButton.type = 'button';
+    editButton.addEventListener('click', () => this.startEdit(guest.id, entry));
+
+    entry.append(details, editButton);
+
+    // Plus-ones without an account can be sent a link to set one up
+    if (guest.is_plus_one && guest.account_status !== 'registered' && guest.email) {
+      const claimButton = this.createElement('button', 'btn btn-sm btn-outline', 'Send account link');
+      claimButton.type = 'button';
+      claimButton.addEventListener('click', () => this.sendClaimLink(guest.id));
+      entry.appendChild(claimButton);
+    }
+
+    return entry;
+  }
+
+  async sendClaimLink(guestId) {
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/admin/guests/${guestId}/claim-link`, {
+        method: 'POST'
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to send the link');
+      }
+
+      this.showMessage(`${data.message}. Link: ${data.data.claim_url}`, true);
+    } catch (error) {
+      console.error('Admin dashboard: failed to send claim link:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  createStatusBadge(status) {
+    return this.createElement('div', `admin-status admin-status-${status || 'none'}`,
+      RESPONSE_LABELS[status] || 'No response');
+  }
+
+  renderPagination(pagination) {
+    const container = document.getElementById('admin-pagination');
+    if (!container) return;
+
+    const previous = this.createElement('button', 'btn btn-sm btn-secondary', 'Previous');
+    previous.type = 'button';
+    previous.disabled = pagination.page <= 1;
+    previous.addEventListener('click', () => {
+      this.page -= 1;
+      this.loadHouseholds();
+    });
+
+    const next = this.createElement('button', 'btn btn-sm btn-secondary', 'Next');
+    next.type = 'button';
+    next.disabled = pagination.page >= pagination.total_pages;
+    next.addEventListener('click', () => {
+      this.page += 1;
+      this.loadHouseholds();
+    });
+
+    const label = this.createElement('span', null,
+      `Page ${pagination.page} of ${Math.max(pagination.total_pages, 1)} (${pagination.total} households)`);
+
+    container.replaceChildren(previous, label, next);
+  }
+
+  /**
+   * List every guest without an RSVP, grouped by household
+   */
+  renderNoResponse(households, pagination) {
+    const list = document.getElementById('admin-no-response');
+    const count = document.getElementById('admin-no-response-count');
+    if (!list) return;
+
+    if (count) {
+      count.textContent = pagination.total > households.length
+        ? `Showing ${households.length} of ${pagination.total} households`
+        : `${pagination.total} household${pagination.total === 1 ? '' : 's'}`;
+    }
+
+    if (households.length === 0) {
+      list.replaceChildren(this.createElement('li', 'admin-empty', 'Everyone has responded.'));
+      return;
+    }
+
+    list.replaceChildren(...households.map(household => {
+      const missing = [];
+      if (!household.response_status) {
+        missing.push(household.full_name);
+      }
+      if (household.partner_id && !household.partner_response_status) {
+        missing.push(household.partner_full_name);
+      }
+
+      const contact = [household.email, household.partner_email].filter(Boolean).join(', ');
+      const item = document.createElement('li');
+      item.appendChild(this.createElement('strong', null, missing.join(' & ')));
+      item.appendChild(this.createElement('span', 'admin-guest-email', contact || 'No email on file'));
+      return item;
+    }));
+  }
+
+  /**
+   * Replace a guest entry with an edit form for the full guest record
+   */
+  async startEdit(guestId, entry) {
+    if (this.editingId) {
+      this.showMessage('Save or cancel the guest you are editing first.', false);
+      return;
+    }
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/admin/guests/${guestId}`, {
+        method: 'GET'
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load guest');
+      }
+
+      this.editingId = guestId;
+      entry.replaceWith(this.createEditForm(data.data));
+    } catch (error) {
+      console.error('Admin dashboard: failed to load guest:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  createEditForm(guest) {
+    const form = this.createElement('form', 'admin-edit-form');
+
+    const fields = [
+      ['first_name', 'First name', 'text'],
+      ['last_name', 'Last name', 'text'],
+      ['email', 'Email', 'email']
+    ];
+    fields.forEach(([name, label, type]) => {
+      const input = this.createElement('input', 'form-input');
+      input.name = name;
+      input.type = type;
+      input.value = guest[name] || '';
+      input.required = name !== 'email';
+      form.appendChild(this.createLabelled(label, input));
+    });
+
+    const plusOne = this.createElement('input', 'form-checkbox');
+    plusOne.type = 'checkbox';
+    plusOne.name = 'plus_one_allowed';
+    plusOne.checked = !!guest.plus_one_allowed;
+    form.appendChild(this.createLabelled('Plus-one allowed', plusOne));
+
+    // Empty: the guest follows the RSVP deadline for everyone
+    const deadline = this.createElement('input', 'form-input');
+    deadline.type = 'datetime-local';
+    deadline.name = 'rsvp_deadline_override';
+    deadline.value = this.toLocalInputValue(guest.rsvp_deadline_override);
+    form.appendChild(this.createLabelled('Own RSVP deadline', deadline));
+
+    const notes = this.createElement('textarea', 'form-textarea');
+    notes.name = 'admin_notes';
+    notes.rows = 2;
+    notes.value = guest.admin_notes || '';
+    form.appendChild(this.createLabelled('Admin notes', notes));
+
+    const actions = this.createElement('div', 'admin-edit-actions');
+    const save = this.createElement('button', 'btn btn-sm btn-primary', 'Save');
+    save.type = 'submit';
+    const cancel = this.createElement('button', 'btn btn-sm btn-secondary', 'Cancel');
+    cancel.type = 'button';
+    cancel.addEventListener('click', () => {
+      this.editingId = null;
+      this.loadHouseholds();
+    });
+    actions.append(save, cancel);
+    form.appendChild(actions);
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveGuest(guest.id, form);
+    });
+
+    return form;
+  }
+
+  /**
+   * A timestamp as a datetime-local value (local time, no zone)
+   */
+  toLocalInputValue(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  createLabelled(text, input) {
+    const label = this.createElement('label', 'admin-edit-field');
+    label.appendChild(this.createElement('span', null, text));
+    label.appendChild(input);
+    return label;
+  }
+
+  async saveGuest(guestId, form) {
+    const updates = {
+      first_name: form.elements.first_name.value,
+      last_name: form.elements.last_name.value,
+      email: form.elements.email.value,
+      plus_one_allowed: form.elements.plus_one_allowed.checked,
+      admin_notes: form.elements.admin_notes.value,
+      rsvp_deadline_override: form.elements.rsvp_deadline_override.value
+        ? new Date(form.elements.rsvp_deadline_override.value).toISOString()
+        : null
+    };
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/admin/guests/${guestId}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(updates)
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to update guest');
+      }
+
+      this.editingId = null;
+      this.showMessage('Guest updated', true);
+      await Promise.all([
+        this.loadHouseholds(),
+        this.loadNoResponse()
+      ]);
+    } catch (error) {
+      console.error('Admin dashboard: failed to update guest:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  /**
+   * Load the current page of photos with the chosen review status
+   */
+  async loadPhotos() {
+    const params = new URLSearchParams({ status: this.photoStatus, page: this.photoPage });
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/admin/photos?${params}`, { method: 'GET' });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load photos');
+      }
+
+      this.selectedPhotoIds.clear();
+      const selectAll = document.getElementById('admin-photo-select-all');
+      if (selectAll) selectAll.checked = false;
+
+      this.renderPhotos(data.data.photos);
+      this.renderPhotoPagination(data.data.pagination);
+    } catch (error) {
+      console.error('Admin dashboard: failed to load photos:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  renderPhotos(photos) {
+    const container = document.getElementById('admin-photos');
+    if (!container) return;
+
+    if (photos.length === 0) {
+      container.replaceChildren(this.createElement('p', 'admin-empty', 'No photos here.'));
+      return;
+    }
+
+    container.replaceChildren(...photos.map(photo => {
+      const item = this.createElement('label', 'admin-photo');
+
+      const checkbox = this.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = photo.id;
+      checkbox.addEventListener('change', () => this.togglePhotoSelection(photo.id, checkbox.checked));
+
+      const image = this.createElement('img');
+      image.src = photo.url;
+      image.alt = photo.caption || photo.original_filename;
+      image.loading = 'lazy';
+
+      const status = photo.is_featured ? 'Featured'
+        : photo.is_approved ? 'Approved'
+          : photo.reviewed_at ? 'Rejected' : 'Waiting for review';
+
+      item.append(
+        checkbox,
+        image,
+        this.createElement('span', 'admin-photo-caption', photo.caption || ''),
+        this.createElement('span', 'admin-guest-email',
+          `${photo.uploaded_by || 'Unknown guest'} · ${new Date(photo.upload_date).toLocaleDateString()} · ${status}`)
+      );
+      return item;
+    }));
+  }
+
+  renderPhotoPagination(pagination) {
+    const container = document.getElementById('admin-photo-pagination');
+    if (!container) return;
+
+    const previous = this.createElement('button', 'btn btn-sm btn-secondary', 'Previous');
+    previous.type = 'button';
+    previous.disabled = pagination.page <= 1;
+    previous.addEventListener('click', () => {
+      this.photoPage -= 1;
+      this.loadPhotos();
+    });
+
+    const next = this.createElement('button', 'btn btn-sm btn-secondary', 'Next');
+    next.type = 'button';
+    next.disabled = pagination.page >= pagination.total_pages;
+    next.addEventListener('click', () => {
+      this.photoPage += 1;
+      this.loadPhotos();
+    });
+
+    const label = this.createElement('span', null,
+      `Page ${pagination.page} of ${Math.max(pagination.total_pages, 1)} (${pagination.total} photos)`);
+
+    container.replaceChildren(previous, label, next);
+  }
+
+  togglePhotoSelection(photoId, selected) {
+    if (selected) {
+      this.selectedPhotoIds.add(photoId);
+    } else {
+      this.selectedPhotoIds.delete(photoId);
+    }
+  }
+
+  /**
+   * Approve, reject, feature or unfeature the selected photos
+   */
+  async moderatePhotos(action) {
+    if (this.selectedPhotoIds.size === 0) {
+      this.showMessage('Select the photos first', false);
+      return;
+    }
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/admin/photos/moderate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ photo_ids: [...this.selectedPhotoIds], action })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to update photos');
+      }
+
+      this.showMessage(`${data.data.updated_ids.length} photo(s) ${PHOTO_ACTION_LABELS[action]}`, true);
+      await this.loadPhotos();
+    } catch (error) {
+      console.error('Admin dashboard: failed to moderate photos:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  /**
+   * Load the newest photo comments with the chosen status
+   */
+  async loadComments() {
+    const params = new URLSearchParams({ status: this.commentStatus });
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/admin/photo-comments?${params}`, { method: 'GET' });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load comments');
+      }
+
+      this.renderComments(data.data.comments, data.data.pagination);
+    } catch (error) {
+      console.error('Admin dashboard: failed to load comments:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  renderComments(comments, pagination) {
+    const list = document.getElementById('admin-comments');
+    if (!list) return;
+
+    const count = document.getElementById('admin-comment-count');
+    if (count) {
+      count.textContent = pagination.total > comments.length
+        ? `Newest ${comments.length} of ${pagination.total}`
+        : `${pagination.total} comment(s)`;
+    }
+
+    if (comments.length === 0) {
+      list.replaceChildren(this.createElement('li', 'admin-empty', 'No comments here.'));
+      return;
+    }
+
+    list.replaceChildren(...comments.map(comment => {
+      const item = this.createElement('li', 'admin-guest');
+      const text = this.createElement('div');
+      text.append(
+        this.createElement('span', null, comment.comment),
+        this.createElement('span', 'admin-guest-email',
+          `${comment.author} on "${comment.photo_caption || 'a photo'}" · ${new Date(comment.created_at).toLocaleDateString()}`)
+      );
+
+      const action = comment.is_approved ? 'reject' : 'approve';
+      const button = this.createElement('button', 'btn btn-sm btn-secondary', comment.is_approved ? 'Hide' : 'Show');
+      button.type = 'button';
+      button.addEventListener('click', () => this.moderateComment(comment.id, action));
+
+      item.append(text, button);
+      return item;
+    }));
+  }
+
+  /**
+   * Hide a comment from guests (reject) or show it again (approve)
+   */
+  async moderateComment(commentId, action) {
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/admin/photo-comments/moderate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ comment_ids: [commentId], action })
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to update comment');
+      }
+
+      this.showMessage(action === 'reject' ? 'Comment hidden' : 'Comment shown', true);
+      await this.loadComments();
+    } catch (error) {
+      console.error('Admin dashboard: failed to moderate comment:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  showMessage(message, isSuccess) {
+    const messageEl = document.getElementById('admin-message');
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.className = message ? `auth-message ${isSuccess ? 'success' : 'error'}` : 'auth-message';
+  }
+
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+}
+
+// Initialize after auth.js has created window.authSystem
+window.addEventListener('load', () => {
+  window.adminDashboard = new AdminDashboard();
+});
+
+// Export for use in other scripts
+window.AdminDashboard = AdminDashboard;
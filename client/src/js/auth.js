@@ -12,6 +12,7 @@ class AuthSystemV5 {
     this.isAuthenticated = false;
     this.isInitialized = false;
     this.apiBase = '/api';
+    this.csrfToken = null;
     this.eventListeners = new Map();
     
     // Initialize authentication system
@@ -34,6 +35,11 @@ class AuthSystemV5 {
       // Update UI based on authentication status
       this.updateUI();
       
+      // Handle links from password reset, magic-link and plus-one account emails
+      this.checkResetToken();
+      this.checkClaimToken();
+      await this.checkMagicLinkToken();
+      
       this.isInitialized = true;
       console.log('🔐 AuthSystem v5 initialized');
       
@@ -77,12 +83,60 @@ class AuthSystemV5 {
     }
   }
 
+  /**
+   * Get the session's CSRF token (cached until refresh is requested)
+   */
+  async getCsrfToken(refresh = false) {
+    if (!this.csrfToken || refresh) {
+      const response = await fetch(`${this.apiBase}/auth/csrf-token`, {
+        method: 'GET',
+        credentials: 'include'
+      });
+      const data = await response.json();
+      this.csrfToken = data.success ? data.data.csrf_token : null;
+    }
+    return this.csrfToken;
+  }
+
+  /**
+   * fetch() with the session cookie, adding the CSRF token to state-changing
+   * requests. If the server rejects the token (e.g. the session changed at
+   * login or logout), fetch a fresh one and retry once.
+   */
+  async apiFetch(url, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    
+    if (method === 'GET' || method === 'HEAD') {
+      return fetch(url, { credentials: 'include', ...options });
+    }
+    
+    const send = async (refreshToken) => fetch(url, {
+      credentials: 'include',
+      ...options,
+      headers: {
+        ...options.headers,
+        'X-CSRF-Token': await this.getCsrfToken(refreshToken)
+      }
+    });
+    
+    let response = await send(false);
+    
+    if (response.status === 403) {
+      const data = await response.clone().json().catch(() => ({}));
+      if (data.code === 'CSRF_INVALID') {
+        response = await send(true);
+      }
+    }
+    
+    return response;
+  }
+
   /**
    * Check authentication status from server
    */
   async checkAuthStatus() {
     try {
-      const response = await fetch(`${this.apiBase}/auth/status`, {
+      const response = await this.apiFetch(`${this.apiBase}/auth/status`, {
         method: 'GET',
         credentials: 'include'
       });
@@ -113,7 +167,7 @@ class AuthSystemV5 {
    */
   async getCurrentUser() {
     try {
-      const response = await fetch(`${this.apiBase}/auth/me`, {
+      const response = await this.apiFetch(`${this.apiBase}/auth/me`, {
         method: 'GET',
         credentials: 'include'
       });
@@ -140,10 +194,11 @@ class AuthSystemV5 {
 
   /**
    * Check if a guest exists by name (for registration)
+   * Pass userId to pick one of the candidates from an earlier lookup
    */
-  async checkGuest(firstName, lastName) {
+  async checkGuest(firstName, lastName, userId = null) {
     try {
-      const response = await fetch(`${this.apiBase}/auth/check-guest`, {
+      const response = await this.apiFetch(`${this.apiBase}/auth/check-guest`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -151,7 +206,8 @@ class AuthSystemV5 {
         credentials: 'include',
         body: JSON.stringify({
           first_name: firstName,
-          last_name: lastName
+          last_name: lastName,
+          user_id: userId
         })
       });
 
@@ -171,7 +227,7 @@ class AuthSystemV5 {
    */
   async register(userId, email, password, firstName, lastName) {
     try {
-      const response = await fetch(`${this.apiBase}/auth/register`, {
+      const response = await this.apiFetch(`${this.apiBase}/auth/register`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -217,7 +273,7 @@ class AuthSystemV5 {
    */
   async login(email, password) {
     try {
-      const response = await fetch(`${this.apiBase}/auth/login`, {
+      const response = await this.apiFetch(`${this.apiBase}/auth/login`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -232,14 +288,7 @@ class AuthSystemV5 {
       const data = await response.json();
       
       if (data.success) {
-        // Update state after successful login
-        this.currentUser = data.data;
-        this.isAuthenticated = true;
-        
-        // Update UI and emit events
-        this.updateUI();
-        this.emit('login', { user: this.currentUser });
-        this.emit('userChanged', { user: this.currentUser, isAuthenticated: true });
+        this.setAuthenticatedUser(data.data);
       } else {
         // Handle specific error cases
         if (response.status === 401) {
@@ -261,12 +310,277 @@ class AuthSystemV5 {
     }
   }
 
+  /**
+   * Update state, UI and listeners after any successful login
+   */
+  setAuthenticatedUser(user) {
+    this.currentUser = user;
+    this.isAuthenticated = true;
+    
+    // Update UI and emit events
+    this.updateUI();
+    this.emit('login', { user: this.currentUser });
+    this.emit('userChanged', { user: this.currentUser, isAuthenticated: true });
+  }
+
+  /**
+   * Look up a household by the code printed on the invitation
+   */
+  async checkInvitationCode(invitationCode) {
+    try {
+      const response = await this.apiFetch(`${this.apiBase}/auth/check-code`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ invitation_code: invitationCode })
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Check invitation code failed:', error);
+      return {
+        success: false,
+        message: 'Failed to check invitation code'
+      };
+    }
+  }
+
+  /**
+   * Log in with an invitation code (and the chosen household member)
+   */
+  async loginWithCode(invitationCode, userId) {
+    try {
+      const response = await this.apiFetch(`${this.apiBase}/auth/code-login`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          invitation_code: invitationCode,
+          user_id: userId
+        })
+      });
+
+      const data = await response.json();
+      
+      if (data.success) {
+        this.setAuthenticatedUser(data.data);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Invitation code login failed:', error);
+      return {
+        success: false,
+        message: 'Login failed'
+      };
+    }
+  }
+
+  /**
+   * Request a passwordless login link by email
+   */
+  async requestMagicLink(email) {
+    try {
+      const response = await this.apiFetch(`${this.apiBase}/auth/magic-link`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ email: email })
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Magic link request failed:', error);
+      return {
+        success: false,
+        message: 'Failed to send login link'
+      };
+    }
+  }
+
+  /**
+   * Log in with the token from a magic-link email
+   */
+  async verifyMagicLink(token) {
+    try {
+      const response = await this.apiFetch(`${this.apiBase}/auth/magic-link/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ token: token })
+      });
+
+      const data = await response.json();
+      
+      if (data.success) {
+        this.setAuthenticatedUser(data.data);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Magic link login failed:', error);
+      return {
+        success: false,
+        message: 'Login failed'
+      };
+    }
+  }
+
+  /**
+   * Request a password reset email
+   */
+  async requestPasswordReset(email) {
+    try {
+      const response = await this.apiFetch(`${this.apiBase}/auth/forgot-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ email: email })
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Password reset request failed:', error);
+      return {
+        success: false,
+        message: 'Failed to request password reset'
+      };
+    }
+  }
+
+  /**
+   * Set a new password using the token from a reset email
+   */
+  async resetPassword(token, password) {
+    try {
+      const response = await this.apiFetch(`${this.apiBase}/auth/reset-password`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          token: token,
+          password: password
+        })
+      });
+
+      return await response.json();
+    } catch (error) {
+      console.error('Password reset failed:', error);
+      return {
+        success: false,
+        message: 'Failed to reset password'
+      };
+    }
+  }
+
+  /**
+   * Set up a plus-one's account with the token from their claim email,
+   * logging them in
+   */
+  async claimAccount(token, password) {
+    try {
+      const response = await this.apiFetch(`${this.apiBase}/auth/claim-account`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({
+          token: token,
+          password: password
+        })
+      });
+
+      const data = await response.json();
+      
+      if (data.success) {
+        this.setAuthenticatedUser(data.data);
+      }
+      
+      return data;
+    } catch (error) {
+      console.error('Account claim failed:', error);
+      return {
+        success: false,
+        message: 'Failed to set up your account'
+      };
+    }
+  }
+
+  /**
+   * Check the URL for a plus-one claim token and open the set-up view
+   */
+  checkClaimToken() {
+    const token = this.takeUrlParam('claim_token');
+    if (!token) return;
+
+    this.claimToken = token;
+    this.showLoginModal();
+    this.showAuthForm('claimAccount');
+  }
+
+  /**
+   * Check the URL for a password reset token and open the reset view
+   */
+  checkResetToken() {
+    const token = this.takeUrlParam('reset_token');
+    if (!token) return;
+
+    this.resetToken = token;
+    this.showLoginModal();
+    this.showAuthForm('resetPassword');
+  }
+
+  /**
+   * Check the URL for a magic-link token and log in with it
+   */
+  async checkMagicLinkToken() {
+    const token = this.takeUrlParam('login_token');
+    if (!token) return;
+
+    const result = await this.verifyMagicLink(token);
+    
+    if (!result.success) {
+      this.showLoginModal();
+      this.showAuthForm('magicLink');
+      this.showAuthMessage(result.message, false);
+    }
+  }
+
+  /**
+   * Read a query parameter and remove it from the address bar,
+   * so one-time tokens aren't bookmarked or shared
+   */
+  takeUrlParam(name) {
+    const params = new URLSearchParams(window.location.search);
+    const value = params.get(name);
+    if (!value) return null;
+
+    params.delete(name);
+    const query = params.toString();
+    history.replaceState(history.state, '', `${window.location.pathname}${query ? '?' + query : ''}${window.location.hash}`);
+
+    return value;
+  }
+
   /**
    * Logout current user
    */
   async logout() {
     try {
-      const response = await fetch(`${this.apiBase}/auth/logout`, {
+      const response = await this.apiFetch(`${this.apiBase}/auth/logout`, {
         method: 'POST',
         credentials: 'include'
       });
@@ -274,9 +588,10 @@ class AuthSystemV5 {
       const data = await response.json();
       
       if (data.success) {
-        // Clear state
+        // Clear state (the CSRF token belonged to the destroyed session)
         this.currentUser = null;
         this.isAuthenticated = false;
+        this.csrfToken = null;
         
         // Update UI and emit events
         this.updateUI();
@@ -314,6 +629,13 @@ class AuthSystemV5 {
         if (pageId === 'home') {
           // Home page is always accessible
           this.navigateToPage(pageId);
+        } else if (pageId === 'admin') {
+          // Admin dashboard is only for admins
+          if (!this.isAuthenticated) {
+            this.showLoginModal(pageId);
+          } else if (this.currentUser && this.currentUser.is_admin) {
+            this.navigateToPage(pageId);
+          }
         } else {
           // Other pages require authentication
           if (this.isAuthenticated) {
@@ -361,6 +683,7 @@ class AuthSystemV5 {
           <div class="auth-tabs">
             <button class="auth-tab active" data-tab="login">Login</button>
             <button class="auth-tab" data-tab="register">Register</button>
+            <button class="auth-tab" data-tab="magicLink">Email Link</button>
           </div>
 
           <!-- Login Form -->
@@ -377,6 +700,96 @@ class AuthSystemV5 {
               </div>
               <button type="submit" class="auth-button">Login</button>
             </form>
+            <button type="button" class="auth-link" data-auth-view="forgotPassword">Forgot password?</button>
+            <button type="button" class="auth-link" data-auth-view="inviteCode">Have an invitation code?</button>
+          </div>
+
+          <!-- Invitation Code Form -->
+          <div id="inviteCodeForm" class="auth-form">
+            <h2>Use Your Invitation Code</h2>
+            <p class="auth-help">Enter the code printed on your invitation.</p>
+            <form id="inviteCodeFormElement">
+              <div class="form-group">
+                <label for="invitationCode">Invitation Code:</label>
+                <input type="text" id="invitationCode" name="invitationCode" placeholder="ABCD-EFGH" autocomplete="off" required>
+              </div>
+              <button type="submit" class="auth-button">Continue</button>
+            </form>
+            <div id="inviteMembers" class="invite-members" style="display: none;"></div>
+            <form id="inviteRegisterFormElement" style="display: none;">
+              <p id="inviteRegisterGreeting" class="auth-help"></p>
+              <div class="form-group">
+                <label for="inviteRegisterEmail">Email:</label>
+                <input type="email" id="inviteRegisterEmail" name="email" required>
+              </div>
+              <div class="form-group">
+                <label for="inviteRegisterPassword">Password:</label>
+                <input type="password" id="inviteRegisterPassword" name="password" required>
+              </div>
+              <button type="submit" class="auth-button">Create Account</button>
+            </form>
+            <button type="button" class="auth-link" data-auth-view="login">Back to login</button>
+          </div>
+
+          <!-- Magic Link Form -->
+          <div id="magicLinkForm" class="auth-form">
+            <h2>Log In Without a Password</h2>
+            <p class="auth-help">Enter the email on your account and we'll send you a link that logs you straight in.</p>
+            <form id="magicLinkFormElement">
+              <div class="form-group">
+                <label for="magicLinkEmail">Email:</label>
+                <input type="email" id="magicLinkEmail" name="email" required>
+              </div>
+              <button type="submit" class="auth-button">Email Me a Login Link</button>
+            </form>
+          </div>
+
+          <!-- Forgot Password Form -->
+          <div id="forgotPasswordForm" class="auth-form">
+            <h2>Forgot Your Password?</h2>
+            <p class="auth-help">Enter the email you registered with and we'll send you a link to choose a new password.</p>
+            <form id="forgotPasswordFormElement">
+              <div class="form-group">
+                <label for="forgotEmail">Email:</label>
+                <input type="email" id="forgotEmail" name="email" required>
+              </div>
+              <button type="submit" class="auth-button">Send Reset Link</button>
+            </form>
+            <button type="button" class="auth-link" data-auth-view="login">Back to login</button>
+          </div>
+
+          <!-- Reset Password Form -->
+          <div id="resetPasswordForm" class="auth-form">
+            <h2>Choose a New Password</h2>
+            <form id="resetPasswordFormElement">
+              <div class="form-group">
+                <label for="resetPassword">New Password:</label>
+                <input type="password" id="resetPassword" name="password" required>
+              </div>
+              <div class="form-group">
+                <label for="resetPasswordConfirm">Confirm Password:</label>
+                <input type="password" id="resetPasswordConfirm" name="passwordConfirm" required>
+              </div>
+              <button type="submit" class="auth-button">Reset Password</button>
+            </form>
+            <button type="button" class="auth-link" data-auth-view="login">Back to login</button>
+          </div>
+
+          <!-- Claim Account Form (plus-ones, from their emailed link) -->
+          <div id="claimAccountForm" class="auth-form">
+            <h2>Set Up Your Account</h2>
+            <p class="auth-help">Choose a password to log in, see the event details and tell us about your dietary needs.</p>
+            <form id="claimAccountFormElement">
+              <div class="form-group">
+                <label for="claimPassword">Password:</label>
+                <input type="password" id="claimPassword" name="password" required>
+              </div>
+              <div class="form-group">
+                <label for="claimPasswordConfirm">Confirm Password:</label>
+                <input type="password" id="claimPasswordConfirm" name="passwordConfirm" required>
+              </div>
+              <button type="submit" class="auth-button">Set Up Account</button>
+            </form>
           </div>
 
           <!-- Register Form -->
@@ -401,6 +814,8 @@ class AuthSystemV5 {
               </div>
               <button type="submit" class="auth-button">Register</button>
             </form>
+            <div id="registerCandidates" class="invite-members" style="display: none;"></div>
+            <button type="button" class="auth-link" data-auth-view="inviteCode">Register with your invitation code instead</button>
           </div>
 
           <div id="authMessage" class="auth-message"></div>
@@ -421,6 +836,12 @@ class AuthSystemV5 {
     const tabs = document.querySelectorAll('.auth-tab');
     const loginForm = document.getElementById('loginFormElement');
     const registerForm = document.getElementById('registerFormElement');
+    const magicLinkForm = document.getElementById('magicLinkFormElement');
+    const inviteCodeForm = document.getElementById('inviteCodeFormElement');
+    const inviteRegisterForm = document.getElementById('inviteRegisterFormElement');
+    const forgotPasswordForm = document.getElementById('forgotPasswordFormElement');
+    const resetPasswordForm = document.getElementById('resetPasswordFormElement');
+    const claimAccountForm = document.getElementById('claimAccountFormElement');
 
     // Close modal
     closeBtn.addEventListener('click', () => {
@@ -437,17 +858,14 @@ class AuthSystemV5 {
     // Tab switching
     tabs.forEach(tab => {
       tab.addEventListener('click', () => {
-        const tabName = tab.dataset.tab;
-        
-        // Update tab appearance
-        tabs.forEach(t => t.classList.remove('active'));
-        tab.classList.add('active');
-        
-        // Update form visibility
-        document.querySelectorAll('.auth-form').forEach(form => {
-          form.classList.remove('active');
-        });
-        document.getElementById(tabName + 'Form').classList.add('active');
+        this.showAuthForm(tab.dataset.tab);
+      });
+    });
+
+    // Links between views that aren't tabs (forgot password, back to login)
+    document.querySelectorAll('.auth-link[data-auth-view]').forEach(link => {
+      link.addEventListener('click', () => {
+        this.showAuthForm(link.dataset.authView);
       });
     });
 
@@ -534,38 +952,364 @@ class AuthSystemV5 {
       
       if (!guestCheck.success) {
         this.showAuthMessage(guestCheck.message, false);
+        // Unclear names come back with "did you mean" candidates
+        this.renderGuestCandidates(guestCheck.data ? guestCheck.data.candidates : [], firstName, lastName);
         return;
       }
       
-      // Check if guest already has a user account
-      if (guestCheck.data.has_user_account) {
-        const errorMessage = `This guest already has an account registered with email: ${guestCheck.data.user_email}. Please try logging in instead.`;
-        this.showAuthMessage(errorMessage, false);
+      this.renderGuestCandidates([]);
+      await this.completeRegistration(guestCheck.data, email, password);
+    });
+
+    // Invitation code form submission
+    inviteCodeForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const invitationCode = document.getElementById('invitationCode').value.trim();
+      
+      if (!invitationCode) {
+        this.showAuthMessage('Please enter your invitation code', false);
+        return;
+      }
+      
+      this.showAuthMessage('Checking invitation code...', true);
+      
+      const result = await this.checkInvitationCode(invitationCode);
+      
+      if (!result.success) {
+        this.showAuthMessage(result.message, false);
+        return;
+      }
+      
+      this.invitationCode = invitationCode;
+      const members = result.data.members;
+      
+      if (members.length === 1) {
+        await this.selectInvitationMember(members[0]);
+      } else {
+        this.showAuthMessage('Found your invitation! Who are you?', true);
+        this.renderInvitationMembers(members);
+      }
+    });
+
+    // Invitation code registration (email + password for the chosen member)
+    inviteRegisterForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const member = this.invitationMember;
+      const email = document.getElementById('inviteRegisterEmail').value.trim();
+      const password = document.getElementById('inviteRegisterPassword').value;
+      
+      if (!member) {
+        this.showAuthMessage('Please enter your invitation code first', false);
+        return;
+      }
+      
+      if (password.length < 6) {
+        this.showAuthMessage('Password must be at least 6 characters long', false);
+        return;
+      }
+      
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        this.showAuthMessage('Please enter a valid email address', false);
         return;
       }
       
-      // Show loading state for registration
       this.showAuthMessage('Creating your account...', true);
       
-      // Register user (schema v5: use user_id instead of guest_id)
       const result = await this.register(
-        guestCheck.data.user_id, // Schema v5: user_id instead of guest_id
+        member.user_id,
         email,
         password,
-        firstName,
-        lastName
+        member.first_name,
+        member.last_name
       );
       
       this.showAuthMessage(result.message, result.success);
       
       if (result.success) {
+        this.finishInvitationLogin();
+      }
+    });
+
+    // Magic link form submission
+    magicLinkForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const email = document.getElementById('magicLinkEmail').value.trim();
+      
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        this.showAuthMessage('Please enter a valid email address', false);
+        return;
+      }
+      
+      this.showAuthMessage('Sending login link...', true);
+      
+      const result = await this.requestMagicLink(email);
+      this.showAuthMessage(result.message, result.success);
+      
+      if (result.success) {
+        magicLinkForm.reset();
+      }
+    });
+
+    // Forgot password form submission
+    forgotPasswordForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const email = document.getElementById('forgotEmail').value.trim();
+      
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        this.showAuthMessage('Please enter a valid email address', false);
+        return;
+      }
+      
+      this.showAuthMessage('Sending reset link...', true);
+      
+      const result = await this.requestPasswordReset(email);
+      this.showAuthMessage(result.message, result.success);
+      
+      if (result.success) {
+        forgotPasswordForm.reset();
+      }
+    });
+
+    // Reset password form submission
+    resetPasswordForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const password = document.getElementById('resetPassword').value;
+      const passwordConfirm = document.getElementById('resetPasswordConfirm').value;
+      
+      if (!this.resetToken) {
+        this.showAuthMessage('This reset link is missing its token. Please request a new one.', false);
+        return;
+      }
+      
+      if (password.length < 6) {
+        this.showAuthMessage('Password must be at least 6 characters long', false);
+        return;
+      }
+      
+      if (password !== passwordConfirm) {
+        this.showAuthMessage('Passwords do not match', false);
+        return;
+      }
+      
+      this.showAuthMessage('Resetting password...', true);
+      
+      const result = await this.resetPassword(this.resetToken, password);
+      this.showAuthMessage(result.message, result.success);
+      
+      if (result.success) {
+        this.resetToken = null;
+        resetPasswordForm.reset();
+        this.showAuthForm('login');
+        if (result.data && result.data.email) {
+          document.getElementById('loginEmail').value = result.data.email;
+        }
+      }
+    });
+
+    // Claim account form submission (plus-ones)
+    claimAccountForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      
+      const password = document.getElementById('claimPassword').value;
+      const passwordConfirm = document.getElementById('claimPasswordConfirm').value;
+      
+      if (!this.claimToken) {
+        this.showAuthMessage('This link is missing its token. Please ask for a new one.', false);
+        return;
+      }
+      
+      if (password.length < 6) {
+        this.showAuthMessage('Password must be at least 6 characters long', false);
+        return;
+      }
+      
+      if (password !== passwordConfirm) {
+        this.showAuthMessage('Passwords do not match', false);
+        return;
+      }
+      
+      this.showAuthMessage('Setting up your account...', true);
+      
+      const result = await this.claimAccount(this.claimToken, password);
+      this.showAuthMessage(result.message, result.success);
+      
+      if (result.success) {
+        this.claimToken = null;
+        claimAccountForm.reset();
         modal.style.display = 'none';
-        if (this.intendedPage) {
-          this.navigateToPage(this.intendedPage);
-          this.intendedPage = null;
+      }
+    });
+  }
+
+  /**
+   * Switch the modal to a form view (login, register, forgotPassword, resetPassword, claimAccount)
+   */
+  showAuthForm(formName) {
+    // Highlight the matching tab; views without a tab clear the highlight
+    document.querySelectorAll('.auth-tab').forEach(tab => {
+      tab.classList.toggle('active', tab.dataset.tab === formName);
+    });
+
+    document.querySelectorAll('.auth-form').forEach(form => {
+      form.classList.remove('active');
+    });
+
+    const form = document.getElementById(formName + 'Form');
+    if (form) {
+      form.classList.add('active');
+      const firstInput = form.querySelector('input');
+      if (firstInput) {
+        firstInput.focus();
+      }
+    }
+  }
+
+  /**
+   * Show "did you mean" buttons for an unclear guest name
+   */
+  renderGuestCandidates(candidates, firstName, lastName) {
+    const container = document.getElementById('registerCandidates');
+    container.innerHTML = '';
+    
+    if (!candidates || candidates.length === 0) {
+      container.style.display = 'none';
+      return;
+    }
+    
+    candidates.forEach(candidate => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'auth-button invite-member';
+      button.textContent = candidate.partner_full_name
+        ? `${candidate.full_name} (with ${candidate.partner_full_name})`
+        : candidate.full_name;
+      button.addEventListener('click', async () => {
+        const email = document.getElementById('registerEmail').value.trim();
+        const password = document.getElementById('registerPassword').value;
+        
+        this.showAuthMessage('Checking guest information...', true);
+        
+        const guestCheck = await this.checkGuest(firstName, lastName, candidate.user_id);
+        
+        if (!guestCheck.success) {
+          this.showAuthMessage(guestCheck.message, false);
+          return;
         }
+        
+        this.renderGuestCandidates([]);
+        await this.completeRegistration(guestCheck.data, email, password);
+      });
+      container.appendChild(button);
+    });
+    
+    container.style.display = 'block';
+  }
+
+  /**
+   * Register the guest found by checkGuest and close the modal
+   */
+  async completeRegistration(guest, email, password) {
+    // Check if guest already has a user account
+    if (guest.has_user_account) {
+      const errorMessage = `This guest already has an account registered with email: ${guest.user_email}. Please try logging in instead.`;
+      this.showAuthMessage(errorMessage, false);
+      return;
+    }
+    
+    // Show loading state for registration
+    this.showAuthMessage('Creating your account...', true);
+    
+    // Register user (schema v5: use user_id instead of guest_id)
+    const result = await this.register(
+      guest.user_id, // Schema v5: user_id instead of guest_id
+      email,
+      password,
+      guest.first_name,
+      guest.last_name
+    );
+    
+    this.showAuthMessage(result.message, result.success);
+    
+    if (result.success) {
+      document.getElementById('authModal').style.display = 'none';
+      if (this.intendedPage) {
+        this.navigateToPage(this.intendedPage);
+        this.intendedPage = null;
       }
+    }
+  }
+
+  /**
+   * Show a button for each member of an invitation so the guest can pick themselves
+   */
+  renderInvitationMembers(members) {
+    const container = document.getElementById('inviteMembers');
+    container.innerHTML = '';
+    
+    members.forEach(member => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'auth-button invite-member';
+      button.textContent = member.full_name;
+      button.addEventListener('click', () => this.selectInvitationMember(member));
+      container.appendChild(button);
     });
+    
+    container.style.display = 'block';
+  }
+
+  /**
+   * Log in a registered member, or ask an unregistered one for email + password
+   */
+  async selectInvitationMember(member) {
+    this.invitationMember = member;
+    document.getElementById('inviteMembers').style.display = 'none';
+    
+    if (member.has_user_account) {
+      this.showAuthMessage('Logging in...', true);
+      
+      const result = await this.loginWithCode(this.invitationCode, member.user_id);
+      this.showAuthMessage(result.message, result.success);
+      
+      if (result.success) {
+        this.finishInvitationLogin();
+      }
+      return;
+    }
+    
+    document.getElementById('inviteCodeFormElement').style.display = 'none';
+    document.getElementById('inviteRegisterGreeting').textContent =
+      `Welcome, ${member.first_name}! Add your email and a password to finish setting up your account.`;
+    document.getElementById('inviteRegisterFormElement').style.display = 'block';
+    document.getElementById('inviteRegisterEmail').focus();
+  }
+
+  /**
+   * Close the modal and reset the invitation code view after logging in
+   */
+  finishInvitationLogin() {
+    this.invitationCode = null;
+    this.invitationMember = null;
+    
+    document.getElementById('inviteCodeFormElement').reset();
+    document.getElementById('inviteCodeFormElement').style.display = 'block';
+    document.getElementById('inviteRegisterFormElement').reset();
+    document.getElementById('inviteRegisterFormElement').style.display = 'none';
+    document.getElementById('inviteMembers').style.display = 'none';
+    document.getElementById('authModal').style.display = 'none';
+    
+    if (this.intendedPage) {
+      this.navigateToPage(this.intendedPage);
+      this.intendedPage = null;
+    }
   }
 
   /**
@@ -610,6 +1354,12 @@ class AuthSystemV5 {
       }
     });
 
+    // Admin links are only shown to admins
+    const isAdmin = this.isAuthenticated && this.currentUser && this.currentUser.is_admin;
+    document.querySelectorAll('.admin-only').forEach(item => {
+      item.style.display = isAdmin ? 'block' : 'none';
+    });
+
     // Update user info in navigation
     this.updateUserInfo();
   }
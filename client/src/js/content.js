@@ -0,0 +1,214 @@
+/**
+ * Site Content for Wedding App
+ *
+ * Renders the home page date and countdown, the Events page and the
+ * Accommodations page from GET /api/content, so an admin's edit to an event
+ * time or hotel rate shows up everywhere. Times are shown in the venue's
+ * time zone, not the visitor's.
+ */
+
+class SiteContent {
+  constructor() {
+    this.apiBase = '/api';
+    this.content = null;
+    this.countdownTimer = null;
+
+    this.load();
+  }
+
+  async load() {
+    try {
+      const response = await fetch(`${this.apiBase}/content`, { credentials: 'include' });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load content');
+      }
+
+      this.content = data.data;
+      this.render();
+    } catch (error) {
+      console.error('Site content: failed to load:', error);
+    }
+  }
+
+  render() {
+    this.renderHome();
+    this.renderEvents();
+    this.renderAccommodations();
+  }
+
+  renderHome() {
+    const { wedding } = this.content;
+    const title = document.querySelector('.save-the-date-title');
+
+    if (!wedding || !wedding.starts_at) return;
+
+    if (title) {
+      title.textContent = this.formatDate(wedding.starts_at, wedding.time_zone, {
+        month: 'long',
+        day: 'numeric',
+        year: 'numeric'
+      });
+    }
+
+    this.updateCountdown();
+    clearInterval(this.countdownTimer);
+    this.countdownTimer = setInterval(() => this.updateCountdown(), 60000);
+  }
+
+  updateCountdown() {
+    const countdownElement = document.getElementById('countdown');
+    if (!countdownElement) return;
+
+    const timeDiff = new Date(this.content.wedding.starts_at) - new Date();
+    if (timeDiff <= 0) {
+      countdownElement.textContent = '';
+      clearInterval(this.countdownTimer);
+      return;
+    }
+
+    const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
+    const hours = Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+    const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
+    countdownElement.textContent = `${days} days, ${hours} hours, ${minutes} minutes`;
+  }
+
+  renderEvents() {
+    const container = document.getElementById('events-list');
+    if (!container) return;
+
+    container.replaceChildren(...this.content.events.map(event => {
+      const venue = this.content.venues.find(entry => entry.id === event.venue_id);
+      const card = this.createElement('div', `event-card ${event.slug}`);
+      const body = this.createElement('div', 'card-body');
+
+      if (event.starts_at) {
+        body.append(
+          this.createDetail('Date', this.formatDate(event.starts_at, event.time_zone, {
+            weekday: 'long',
+            month: 'long',
+            day: 'numeric',
+            year: 'numeric'
+          })),
+          this.createDetail('Time', this.formatDate(event.starts_at, event.time_zone, {
+            hour: 'numeric',
+            minute: '2-digit'
+          }))
+        );
+      }
+
+      const location = [event.location, venue && venue.name].filter(Boolean).join(', ');
+      if (location) {
+        body.appendChild(this.createDetail('Location', location));
+      }
+      if (event.dress_code) {
+        body.appendChild(this.createDetail('Dress Code', event.dress_code));
+      }
+      if (event.description) {
+        body.appendChild(this.createElement('p', 'mt-4', event.description));
+      }
+
+      card.append(this.createElement('h2', 'card-title', event.name), body);
+      return card;
+    }));
+  }
+
+  renderAccommodations() {
+    const hotels = this.content.hotel_blocks;
+    const block = hotels.find(hotel => hotel.is_room_block);
+
+    const blockContainer = document.getElementById('hotel-block');
+    if (blockContainer) {
+      if (block) {
+        const details = this.createElement('div');
+        details.append(this.createElement('h3', 'text-xl font-semibold text-secondary mb-3', block.name));
+        [
+          ['Rate', block.rate],
+          ['Booking Code', block.booking_code && `"${block.booking_code}"`],
+          ['Deadline', block.booking_deadline && this.formatDay(block.booking_deadline)],
+          ['Phone', block.phone]
+        ].forEach(([label, value]) => {
+          if (value) details.appendChild(this.createDetail(label, value));
+        });
+        if (block.booking_url) {
+          const link = this.createElement('a', 'text-primary', 'Book online');
+          link.href = block.booking_url;
+          link.target = '_blank';
+          link.rel = 'noopener';
+          details.appendChild(link);
+        }
+
+        const rooms = this.createElement('div');
+        if (block.room_types.length > 0) {
+          const list = this.createElement('ul');
+          list.append(...block.room_types.map(roomType => this.createElement('li', null, `• ${roomType}`)));
+          rooms.append(this.createElement('h3', 'text-xl font-semibold text-success mb-3', 'Room Types Available'), list);
+        }
+
+        blockContainer.replaceChildren(details, rooms);
+      } else {
+        blockContainer.replaceChildren(this.createElement('p', null, 'Hotel details are coming soon.'));
+      }
+    }
+
+    const alternativesContainer = document.getElementById('alternative-hotels');
+    if (alternativesContainer) {
+      alternativesContainer.replaceChildren(...hotels.filter(hotel => !hotel.is_room_block).map(hotel => {
+        const item = this.createElement('div', 'alternative-hotel');
+        item.appendChild(this.createElement('h4', 'font-semibold', hotel.name));
+        [hotel.distance, hotel.rate, hotel.phone].filter(Boolean).forEach(line => {
+          item.appendChild(this.createElement('p', null, line));
+        });
+        return item;
+      }));
+    }
+
+    const faqContainer = document.getElementById('faqs');
+    if (faqContainer) {
+      faqContainer.replaceChildren(...this.content.faqs.map(faq => {
+        const item = this.createElement('div', 'faq-item');
+        item.append(
+          this.createElement('p', 'faq-question', faq.question),
+          this.createElement('p', 'faq-answer', faq.answer)
+        );
+        return item;
+      }));
+    }
+  }
+
+  formatDate(value, timeZone, options) {
+    return new Intl.DateTimeFormat('en-US', { ...options, timeZone: timeZone || undefined }).format(new Date(value));
+  }
+
+  /**
+   * A calendar date (YYYY-MM-DD) without shifting it into another day
+   */
+  formatDay(value) {
+    return this.formatDate(`${value}T12:00:00Z`, 'UTC', { month: 'long', day: 'numeric', year: 'numeric' });
+  }
+
+  createDetail(label, value) {
+    const paragraph = this.createElement('p');
+    paragraph.append(this.createElement('strong', null, `${label}:`), ` ${value}`);
+    return paragraph;
+  }
+
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  window.siteContent = new SiteContent();
+});
+
+// Export for use in other scripts
+window.SiteContent = SiteContent;
@@ -89,7 +89,7 @@ document.addEventListener('DOMContentLoaded', function() {
             targetPage.classList.add('active');
             
             // Remove all page classes from body
-            document.body.classList.remove('home-page', 'rsvp-page', 'events-page', 'location-page', 'photos-page', 'accommodations-page');
+            document.body.classList.remove('home-page', 'rsvp-page', 'events-page', 'location-page', 'photos-page', 'accommodations-page', 'admin-page');
             
             // Add the appropriate page class to body for navbar color control
             document.body.classList.add(`${pageId}-page`);
@@ -101,6 +101,16 @@ document.addEventListener('DOMContentLoaded', function() {
                     initVenueShowcase();
                 }, 100);
             }
+
+            // Refresh the admin dashboard each time it is opened
+            if (pageId === 'admin' && window.adminDashboard) {
+                window.adminDashboard.load();
+            }
+
+            // Refresh the photo gallery so newly approved photos show up
+            if (pageId === 'photos' && window.photoGallery) {
+                window.photoGallery.load();
+            }
         }
         
         // Close mobile menu if open
@@ -254,28 +264,7 @@ function formatTime(time) {
     }).format(time);
 }
 
-// Add some dynamic content updates
-function updateCountdown() {
-    const weddingDate = new Date('2024-06-15T16:00:00');
-    const now = new Date();
-    const timeDiff = weddingDate - now;
-    
-    if (timeDiff > 0) {
-        const days = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-        const hours = Math.floor((timeDiff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        const minutes = Math.floor((timeDiff % (1000 * 60 * 60)) / (1000 * 60));
-        
-        // Update countdown if element exists
-        const countdownElement = document.getElementById('countdown');
-        if (countdownElement) {
-            countdownElement.innerHTML = `${days} days, ${hours} hours, ${minutes} minutes`;
-        }
-    }
-}
-
-// Update countdown every minute
-setInterval(updateCountdown, 60000);
-updateCountdown(); // Initial call
+// The countdown and event details are rendered from /api/content (content.js)
 
 // Initialize authentication system
 let authSystem;
@@ -0,0 +1,504 @@
+/**
+ * Photo Gallery for Wedding App
+ *
+ * The Photos page: the photos the couple featured, then every approved
+ * photo guests have shared. Logged-in guests can upload photos with a
+ * caption; they appear in the gallery once an admin approves them, and
+ * until then only under the guest's own uploads, marked as waiting. Guests
+ * upvote and comment on photos and can sort the gallery by the most loved.
+ * Visitors who aren't logged in only see the featured photos. Data comes
+ * from /api/photos.
+ */
+
+class PhotoGallery {
+  constructor() {
+    this.apiBase = '/api';
+    this.page = 1;
+    this.pageSize = 24;
+    this.sort = 'newest';
+
+    this.init();
+  }
+
+  init() {
+    this.setupEventListeners();
+
+    if (window.authSystem) {
+      window.authSystem.on('userChanged', () => {
+        if (this.isVisible()) {
+          this.load();
+        }
+      });
+
+      window.authSystem.on('logout', () => {
+        this.clear();
+      });
+    }
+
+    if (this.isVisible()) {
+      this.load();
+    }
+  }
+
+  /**
+   * Whether the photos page is the one being shown
+   */
+  isVisible() {
+    const page = document.getElementById('photos');
+    return !!page && page.classList.contains('active');
+  }
+
+  currentUser() {
+    return window.authSystem && window.authSystem.currentUser;
+  }
+
+  setupEventListeners() {
+    const form = document.getElementById('photo-upload-form');
+    if (form) {
+      form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.upload(form);
+      });
+    }
+
+    const sort = document.getElementById('photo-sort');
+    if (sort) {
+      sort.addEventListener('change', () => {
+        this.sort = sort.value;
+        this.page = 1;
+        this.loadPhotos();
+      });
+    }
+  }
+
+  /**
+   * Show the featured photos, and for logged-in guests the gallery and
+   * upload form
+   */
+  async load() {
+    const loggedIn = !!this.currentUser();
+    ['photo-upload', 'photo-gallery-section'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) element.hidden = !loggedIn;
+    });
+    const prompt = document.getElementById('photo-login-prompt');
+    if (prompt) prompt.hidden = loggedIn;
+
+    this.showMessage('');
+    if (!loggedIn) {
+      this.clear();
+      await this.loadFeatured();
+      return;
+    }
+
+    await Promise.all([
+      this.loadFeatured(),
+      this.loadPhotos(),
+      this.loadMine()
+    ]);
+  }
+
+  /**
+   * Remove the guests' photos from the page (on logout)
+   */
+  clear() {
+    ['photo-gallery', 'photo-pagination', 'photo-mine'].forEach(id => {
+      const element = document.getElementById(id);
+      if (element) {
+        element.replaceChildren();
+      }
+    });
+    const mine = document.getElementById('photo-mine-section');
+    if (mine) mine.hidden = true;
+  }
+
+  async fetchPhotos(params, path = '/photos') {
+    const response = await window.authSystem.apiFetch(
+      `${this.apiBase}${path}?${new URLSearchParams(params)}`,
+      { method: 'GET' }
+    );
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+      throw new Error(data.message || 'Failed to load photos');
+    }
+
+    return data.data;
+  }
+
+  /**
+   * The featured photos, shown to everyone at the top of the page
+   */
+  async loadFeatured() {
+    try {
+      const data = await this.fetchPhotos({ featured: true, page_size: 100 });
+      const section = document.getElementById('photo-featured-section');
+      if (section) section.hidden = data.photos.length === 0;
+      this.renderPhotos('photo-featured', data.photos);
+    } catch (error) {
+      console.error('Photo gallery: failed to load featured photos:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  /**
+   * The current page of the other approved photos
+   */
+  async loadPhotos() {
+    try {
+      const data = await this.fetchPhotos({
+        featured: false,
+        sort: this.sort,
+        page: this.page,
+        page_size: this.pageSize
+      });
+      this.renderPhotos('photo-gallery', data.photos, 'No photos yet. Be the first to share one!');
+      this.renderPagination(data.pagination);
+    } catch (error) {
+      console.error('Photo gallery: failed to load photos:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  /**
+   * The guest's own latest uploads, including ones still waiting for review
+   */
+  async loadMine() {
+    try {
+      const data = await this.fetchPhotos({ page_size: 100 }, '/photos/mine');
+      const section = document.getElementById('photo-mine-section');
+      if (section) section.hidden = data.photos.length === 0;
+      this.renderPhotos('photo-mine', data.photos);
+    } catch (error) {
+      console.error('Photo gallery: failed to load your photos:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  renderPhotos(containerId, photos, emptyText) {
+    const container = document.getElementById(containerId);
+    if (!container) return;
+
+    if (photos.length === 0) {
+      container.replaceChildren(...(emptyText ? [this.createElement('p', 'photo-empty', emptyText)] : []));
+      return;
+    }
+
+    container.replaceChildren(...photos.map(photo => this.createPhotoItem(photo)));
+  }
+
+  createPhotoItem(photo) {
+    const item = this.createElement('figure', 'photo-item');
+
+    const image = this.createElement('img');
+    image.src = photo.url;
+    image.alt = photo.caption || `Photo from ${photo.uploaded_by || 'a guest'}`;
+    image.loading = 'lazy';
+    item.appendChild(image);
+
+    const caption = this.createElement('figcaption', 'photo-caption');
+    if (photo.caption) {
+      caption.appendChild(this.createElement('p', null, photo.caption));
+    }
+    caption.appendChild(this.createElement('span', 'photo-uploader', photo.uploaded_by || 'A guest'));
+
+    const user = this.currentUser();
+    const actions = this.createElement('div', 'photo-actions');
+    const comments = this.createElement('div', 'photo-comments');
+    comments.hidden = true;
+
+    // Your own photos show up before they're approved, without upvotes or comments
+    if (!photo.is_approved) {
+      caption.appendChild(this.createElement('span', 'photo-pending',
+        photo.reviewed_at ? 'Not approved' : 'Waiting for approval'));
+    } else {
+      this.appendEngagement(photo, actions, comments, user);
+    }
+
+    if (user && (photo.user_id === user.id || user.is_admin)) {
+      const remove = this.createElement('button', 'btn btn-sm btn-secondary', 'Delete');
+      remove.type = 'button';
+      remove.addEventListener('click', () => this.deletePhoto(photo.id));
+      actions.appendChild(remove);
+    }
+
+    caption.append(actions, comments);
+    item.appendChild(caption);
+    return item;
+  }
+
+  /**
+   * Add the upvote button and the comments toggle to an approved photo
+   */
+  appendEngagement(photo, actions, comments, user) {
+    // Visitors see the count; guests can upvote
+    const upvote = this.createElement('button', `photo-upvote${photo.upvoted ? ' upvoted' : ''}`,
+      `♥ ${photo.upvote_count}`);
+    upvote.type = 'button';
+    upvote.disabled = !user;
+    upvote.setAttribute('aria-pressed', String(!!photo.upvoted));
+    upvote.addEventListener('click', () => this.toggleUpvote(photo, upvote));
+    actions.appendChild(upvote);
+
+    const commentsToggle = this.createElement('button', 'photo-comments-toggle', this.commentCountLabel(photo.comment_count));
+    commentsToggle.type = 'button';
+    commentsToggle.addEventListener('click', () => {
+      comments.hidden = !comments.hidden;
+      if (!comments.hidden) {
+        this.loadComments(photo, comments, commentsToggle);
+      }
+    });
+    actions.appendChild(commentsToggle);
+  }
+
+  commentCountLabel(count) {
+    return count === 1 ? '1 comment' : `${count} comments`;
+  }
+
+  async toggleUpvote(photo, button) {
+    button.disabled = true;
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/photos/${photo.id}/upvote`, {
+        method: photo.upvoted ? 'DELETE' : 'POST'
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to update your upvote');
+      }
+
+      photo.upvoted = data.data.upvoted;
+      photo.upvote_count = data.data.upvote_count;
+      button.textContent = `♥ ${photo.upvote_count}`;
+      button.classList.toggle('upvoted', photo.upvoted);
+      button.setAttribute('aria-pressed', String(photo.upvoted));
+    } catch (error) {
+      console.error('Photo gallery: failed to update upvote:', error);
+      this.showMessage(error.message, false);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show a photo's comments, with a form for logged-in guests
+   */
+  async loadComments(photo, container, toggle) {
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/photos/${photo.id}/comments`, { method: 'GET' });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to load comments');
+      }
+
+      const { comments } = data.data;
+      const user = this.currentUser();
+      const list = this.createElement('ul', 'photo-comment-list');
+
+      comments.forEach(comment => {
+        const item = this.createElement('li', comment.is_approved ? null : 'photo-comment-hidden');
+        item.append(
+          this.createElement('strong', null, comment.author),
+          this.createElement('span', null, ` ${comment.comment}`)
+        );
+        if (user && (comment.user_id === user.id || user.is_admin)) {
+          const remove = this.createElement('button', 'photo-comment-delete', 'Delete');
+          remove.type = 'button';
+          remove.addEventListener('click', () => this.deleteComment(photo, comment.id, container, toggle));
+          item.appendChild(remove);
+        }
+        list.appendChild(item);
+      });
+
+      container.replaceChildren(list);
+      photo.comment_count = comments.filter(comment => comment.is_approved).length;
+      toggle.textContent = this.commentCountLabel(photo.comment_count);
+
+      if (user) {
+        container.appendChild(this.createCommentForm(photo, container, toggle));
+      }
+    } catch (error) {
+      console.error('Photo gallery: failed to load comments:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  createCommentForm(photo, container, toggle) {
+    const form = this.createElement('form', 'photo-comment-form');
+    const input = this.createElement('input', 'form-input');
+    input.name = 'comment';
+    input.maxLength = 1000;
+    input.placeholder = 'Add a comment';
+    input.required = true;
+    const submit = this.createElement('button', 'btn btn-sm btn-primary', 'Post');
+    submit.type = 'submit';
+    form.append(input, submit);
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      submit.disabled = true;
+
+      try {
+        const response = await window.authSystem.apiFetch(`${this.apiBase}/photos/${photo.id}/comments`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ comment: input.value })
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+          throw new Error(data.message || 'Failed to add comment');
+        }
+
+        await this.loadComments(photo, container, toggle);
+      } catch (error) {
+        console.error('Photo gallery: failed to add comment:', error);
+        this.showMessage(error.message, false);
+        submit.disabled = false;
+      }
+    });
+
+    return form;
+  }
+
+  async deleteComment(photo, commentId, container, toggle) {
+    if (!confirm('Delete this comment?')) {
+      return;
+    }
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/photos/${photo.id}/comments/${commentId}`, {
+        method: 'DELETE'
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to delete comment');
+      }
+
+      await this.loadComments(photo, container, toggle);
+    } catch (error) {
+      console.error('Photo gallery: failed to delete comment:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  renderPagination(pagination) {
+    const container = document.getElementById('photo-pagination');
+    if (!container) return;
+
+    if (pagination.total_pages <= 1) {
+      container.replaceChildren();
+      return;
+    }
+
+    const previous = this.createElement('button', 'btn btn-sm btn-secondary', 'Previous');
+    previous.type = 'button';
+    previous.disabled = pagination.page <= 1;
+    previous.addEventListener('click', () => {
+      this.page -= 1;
+      this.loadPhotos();
+    });
+
+    const next = this.createElement('button', 'btn btn-sm btn-secondary', 'Next');
+    next.type = 'button';
+    next.disabled = pagination.page >= pagination.total_pages;
+    next.addEventListener('click', () => {
+      this.page += 1;
+      this.loadPhotos();
+    });
+
+    const label = this.createElement('span', null, `Page ${pagination.page} of ${pagination.total_pages}`);
+
+    container.replaceChildren(previous, label, next);
+  }
+
+  async upload(form) {
+    const file = form.elements.photo.files[0];
+    if (!file) {
+      this.showMessage('Choose a photo to upload', false);
+      return;
+    }
+
+    // The browser sets the multipart Content-Type (with its boundary) itself
+    const body = new FormData();
+    body.append('photo', file);
+    body.append('caption', form.elements.caption.value);
+
+    const button = form.querySelector('button[type="submit"]');
+    if (button) button.disabled = true;
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/photos`, {
+        method: 'POST',
+        body
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to upload photo');
+      }
+
+      form.reset();
+      this.showMessage(data.message, true);
+      await this.loadMine();
+    } catch (error) {
+      console.error('Photo gallery: failed to upload photo:', error);
+      this.showMessage(error.message, false);
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  async deletePhoto(photoId) {
+    if (!confirm('Delete this photo?')) {
+      return;
+    }
+
+    try {
+      const response = await window.authSystem.apiFetch(`${this.apiBase}/photos/${photoId}`, {
+        method: 'DELETE'
+      });
+      const data = await response.json();
+
+      if (!response.ok || !data.success) {
+        throw new Error(data.message || 'Failed to delete photo');
+      }
+
+      this.showMessage(data.message, true);
+      await this.load();
+    } catch (error) {
+      console.error('Photo gallery: failed to delete photo:', error);
+      this.showMessage(error.message, false);
+    }
+  }
+
+  showMessage(message, isSuccess) {
+    const messageEl = document.getElementById('photo-message');
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.className = message ? `auth-message ${isSuccess ? 'success' : 'error'}` : 'auth-message';
+  }
+
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) {
+      element.className = className;
+    }
+    if (text !== undefined) {
+      element.textContent = text;
+    }
+    return element;
+  }
+}
+
+// Initialize after auth.js has created window.authSystem
+window.addEventListener('load', () => {
+  window.photoGallery = new PhotoGallery();
+});
+
+// Export for use in other scripts
+window.PhotoGallery = PhotoGallery;
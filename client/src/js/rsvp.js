@@ -11,6 +11,14 @@ class RSVPManagerV5 {
     this.userRsvp = null;
     this.partnerRsvp = null;
     this.partnerInfo = null;
+    this.household = null;
+    this.events = [];
+    this.mealOptions = [];
+    this.dietaryTags = [];
+    this.songRequests = [];
+    this.maxSongRequests = 10;
+    this.rsvpWindow = null;
+    this.plusOne = null;
     this.apiBaseUrl = '/api';
     this.isInitialized = false;
     
@@ -145,6 +153,7 @@ class RSVPManagerV5 {
       this.currentUser = null;
       this.userRsvp = null;
       this.partnerRsvp = null;
+      this.household = null;
     }
   }
 
@@ -163,6 +172,7 @@ class RSVPManagerV5 {
     this.currentUser = null;
     this.userRsvp = null;
     this.partnerRsvp = null;
+    this.household = null;
   }
 
   /**
@@ -200,6 +210,13 @@ class RSVPManagerV5 {
           this.userRsvp = data.data.user_rsvp;
           this.partnerRsvp = data.data.partner_rsvp;
           this.partnerInfo = data.data.partner_info;
+          this.household = data.data.household;
+          this.events = data.data.events || [];
+          this.mealOptions = data.data.meal_options || [];
+          this.dietaryTags = data.data.dietary_tags || [];
+          this.songRequests = data.data.song_requests || [];
+          this.rsvpWindow = data.data.rsvp_window || null;
+          this.plusOne = data.data.plus_one || null;
           
           console.log('📝 RSVP Manager: Loaded data:', {
             userRsvp: this.userRsvp,
@@ -325,6 +342,17 @@ class RSVPManagerV5 {
     }
   }
 
+  /**
+   * fetch() through the auth system so state-changing requests carry the
+   * CSRF token
+   */
+  apiFetch(url, options = {}) {
+    if (window.authSystem) {
+      return window.authSystem.apiFetch(url, options);
+    }
+    return fetch(url, { credentials: 'include', ...options });
+  }
+
   /**
    * Submit RSVP form
    */
@@ -347,13 +375,25 @@ class RSVPManagerV5 {
     const rsvpData = {
       response_status: formData.get('response_status'),
       dietary_restrictions: formData.get('dietary_restrictions') || null,
+      ...this.collectDietaryAnswers(formData, ''),
       message: formData.get('message') || null
     };
 
+    // Your song requests replace the saved list
+    if (document.querySelector('.song-requests')) {
+      rsvpData.song_requests = this.collectSongRequests(formData);
+    }
+
+    // One answer per invited event replaces the single attending question
+    if (this.events.length > 0) {
+      rsvpData.events = this.collectEventAnswers(formData, '', this.events);
+      delete rsvpData.response_status;
+    }
+
     console.log('📝 RSVP Manager: Extracted RSVP data:', rsvpData);
 
     // Validate required fields
-    if (!rsvpData.response_status) {
+    if (rsvpData.events ? rsvpData.events.length < this.events.length : !rsvpData.response_status) {
       console.log('📝 RSVP Manager: No response status selected');
       alert('Please select whether you will be attending.');
       return;
@@ -362,9 +402,18 @@ class RSVPManagerV5 {
     // Handle partner RSVP if user has a partner
     if (this.currentUser.partner_id || this.partnerInfo) {
       const partnerResponseStatus = formData.get('partner_response_status');
-      if (partnerResponseStatus) {
-        rsvpData.partner_response_status = partnerResponseStatus;
+      const partnerEvents = this.collectEventAnswers(formData, 'partner_', this.getEventsFor('partner_'));
+      if (partnerEvents.length > 0) {
+        rsvpData.partner_events = partnerEvents;
+      }
+      if (partnerResponseStatus || partnerEvents.length > 0) {
+        rsvpData.partner_response_status = partnerResponseStatus || undefined;
         rsvpData.partner_dietary_restrictions = formData.get('partner_dietary_restrictions') || null;
+        const partnerDietary = this.collectDietaryAnswers(formData, 'partner_');
+        if ('meal_option_id' in partnerDietary) {
+          rsvpData.partner_meal_option_id = partnerDietary.meal_option_id;
+          rsvpData.partner_dietary_tags = partnerDietary.dietary_tags;
+        }
         rsvpData.partner_message = formData.get('partner_message') || null;
         console.log('📝 RSVP Manager: Partner RSVP data:', {
           partner_response_status: partnerResponseStatus,
@@ -376,6 +425,20 @@ class RSVPManagerV5 {
       }
     }
 
+    // Answer for the rest of the household
+    if (this.getUserType() === 'household') {
+      rsvpData.members = this.getOtherHouseholdMembers()
+        .map(member => ({
+          user_id: member.id,
+          response_status: formData.get(`member_${member.id}_response_status`) || undefined,
+          events: this.collectEventAnswers(formData, `member_${member.id}_`, member.events || []),
+          dietary_restrictions: formData.get(`member_${member.id}_dietary_restrictions`) || null,
+          ...this.collectDietaryAnswers(formData, `member_${member.id}_`)
+        }))
+        .filter(member => member.response_status || member.events.length > 0);
+      console.log('📝 RSVP Manager: Household RSVP data:', rsvpData.members);
+    }
+
     // Handle plus-one if user is bringing one
     const bringPlusOne = formData.get('bring_plus_one');
     if (bringPlusOne === 'on') {
@@ -389,7 +452,8 @@ class RSVPManagerV5 {
           first_name: plusOneFirstName,
           last_name: plusOneLastName,
           email: plusOneEmail,
-          dietary_restrictions: plusOneDietary || null
+          dietary_restrictions: plusOneDietary || null,
+          ...this.collectDietaryAnswers(formData, 'plus_one_')
         };
         console.log('📝 RSVP Manager: Plus-one data:', rsvpData.plus_one);
       } else {
@@ -397,12 +461,18 @@ class RSVPManagerV5 {
         alert('Please fill in all required plus-one information.');
       return;
       }
+    } else if (this.plusOne && document.getElementById('bring_plus_one')) {
+      // Unticking the box removes the plus-one you already added
+      if (!confirm(`Remove ${this.plusOne.full_name} as your plus-one?`)) {
+        return;
+      }
+      rsvpData.plus_one = null;
     }
 
     try {
       console.log('📝 RSVP Manager: Submitting RSVP...');
       
-      const response = await fetch(`${this.apiBaseUrl}/rsvps`, {
+      const response = await this.apiFetch(`${this.apiBaseUrl}/rsvps`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -420,6 +490,9 @@ class RSVPManagerV5 {
         // Update local state
         this.userRsvp = data.data.user_rsvp;
         this.partnerRsvp = data.data.partner_rsvp;
+        this.applyEventAnswers(data.data.events || {});
+        this.songRequests = data.data.song_requests || this.songRequests;
+        this.plusOne = data.data.plus_one || null;
         
         // Show success message
         this.showSuccessMessage('RSVP submitted successfully! Thank you for responding.');
@@ -427,6 +500,18 @@ class RSVPManagerV5 {
         // Update form to show submitted state
         this.updateFormToSubmittedState();
       } else {
+        if ([
+          'SEATS_EXCEEDED', 'NOT_IN_HOUSEHOLD', 'EVENT_NOT_INVITED',
+          'PLUS_ONE_NOT_ALLOWED', 'PLUS_ONE_REGISTERED', 'EMAIL_IN_USE'
+        ].includes(data.code)) {
+          alert(data.message);
+        }
+        if (data.code === 'RSVP_CLOSED') {
+          alert(data.message);
+          this.rsvpWindow = { ...this.rsvpWindow, deadline: data.deadline, is_open: false };
+          this.generateDynamicForm();
+          return;
+        }
         throw new Error(data.message || 'Failed to submit RSVP');
       }
     } catch (error) {
@@ -449,6 +534,18 @@ class RSVPManagerV5 {
       return 'admin';
     }
     
+    // Households with anyone besides a partner answer member by member
+    const others = this.getOtherHouseholdMembers();
+    const self = this.household && this.household.members.find(member => !others.includes(member));
+    if (others.some(member => !self || member.id !== self.partner_id)) {
+      return 'household';
+    }
+    
+    // A plus-one you added is edited in the plus-one section, not as a partner
+    if (this.plusOne) {
+      return 'individual_with_plus_one';
+    }
+    
     // Check if user has a partner (couple) - use partnerInfo as fallback
     if (this.currentUser.partner_id || this.partnerInfo) {
       console.log('📝 RSVP Manager: Detected as couple');
@@ -491,6 +588,11 @@ class RSVPManagerV5 {
         description: 'Please let us know if you and your partner will be attending our wedding.',
         formType: 'couple'
       },
+      household: {
+        title: 'Your RSVP',
+        description: 'Please let us know who in your household will be attending our wedding.',
+        formType: 'household'
+      },
       admin: {
         title: 'Admin RSVP',
         description: 'Admin RSVP interface with additional options.',
@@ -501,6 +603,310 @@ class RSVPManagerV5 {
     return typeInfo[userType] || typeInfo.unauthenticated;
   }
 
+  /**
+   * Household members other than the current user
+   */
+  getOtherHouseholdMembers() {
+    if (!this.currentUser || !this.household || !this.household.members) {
+      return [];
+    }
+    const userId = this.currentUser.user_id || this.currentUser.id;
+    return this.household.members.filter(member => member.id !== userId);
+  }
+
+  /**
+   * Invited events for a form prefix: '' (you), 'partner_' or 'member_<id>_'
+   */
+  getEventsFor(prefix) {
+    if (prefix === '') {
+      return this.events;
+    }
+
+    const members = (this.household && this.household.members) || [];
+    const partnerId = this.currentUser.partner_id || (this.partnerInfo && this.partnerInfo.id);
+    const member = prefix === 'partner_'
+      ? members.find(entry => entry.id === partnerId)
+      : members.find(entry => prefix === `member_${entry.id}_`);
+    return (member && member.events) || [];
+  }
+
+  /**
+   * The answered events under a form prefix, as [{ event_id, response_status }]
+   */
+  collectEventAnswers(formData, prefix, events) {
+    return events
+      .filter(event => formData.get(`${prefix}event_${event.event_id}`))
+      .map(event => ({
+        event_id: event.event_id,
+        response_status: formData.get(`${prefix}event_${event.event_id}`)
+      }));
+  }
+
+  /**
+   * Record submitted answers (guest id -> [{ event_id, response_status }]) locally
+   */
+  applyEventAnswers(answersByGuest) {
+    const userId = this.currentUser.user_id || this.currentUser.id;
+    const guests = [{ id: userId, events: this.events }, ...((this.household && this.household.members) || [])];
+
+    guests.forEach(guest => {
+      (answersByGuest[guest.id] || []).forEach(answer => {
+        const event = (guest.events || []).find(entry => entry.event_id === answer.event_id);
+        if (event) {
+          event.response_status = answer.response_status;
+        }
+      });
+    });
+  }
+
+  /**
+   * Replace each "Will ... be attending?" question with one question per
+   * invited event, for every guest on the form
+   */
+  addEventQuestions() {
+    const prefixes = ['', 'partner_', ...this.getOtherHouseholdMembers().map(member => `member_${member.id}_`)];
+
+    prefixes.forEach(prefix => {
+      const events = this.getEventsFor(prefix);
+      const radio = document.querySelector(`input[name="${prefix}response_status"]`);
+      const group = radio && radio.closest('.form-group');
+      if (!group || events.length === 0) return;
+
+      const required = prefix === '' ? 'required' : '';
+      group.classList.add('event-questions');
+      group.innerHTML = events.map(event => `
+        <label>${this.escapeHtml(event.name)}${event.starts_at ? ` <small>${this.escapeHtml(this.formatEventDate(event.starts_at))}</small>` : ''}</label>
+        <div class="radio-group">
+          <label class="radio-label">
+            <input type="radio" name="${prefix}event_${event.event_id}" value="attending" ${required}>
+            <span>Attending</span>
+          </label>
+          <label class="radio-label">
+            <input type="radio" name="${prefix}event_${event.event_id}" value="not_attending" ${required}>
+            <span>Not attending</span>
+          </label>
+        </div>
+      `).join('');
+    });
+  }
+
+  /**
+   * Add a meal choice and diet/allergy checkboxes above each guest's
+   * dietary restrictions note, which stays for anything not on the list
+   */
+  addDietaryQuestions() {
+    if (this.mealOptions.length === 0 && this.dietaryTags.length === 0) return;
+
+    const prefixes = ['', 'partner_', 'plus_one_', ...this.getOtherHouseholdMembers().map(member => `member_${member.id}_`)];
+
+    prefixes.forEach(prefix => {
+      const note = document.getElementById(`${prefix}dietary_restrictions`);
+      const group = note && note.closest('.form-group');
+      if (!group) return;
+
+      const questions = document.createElement('div');
+      questions.className = 'form-group dietary-questions';
+      questions.innerHTML = `
+        ${this.mealOptions.length > 0 ? `
+          <label for="${prefix}meal_option_id">Meal</label>
+          <select id="${prefix}meal_option_id" name="${prefix}meal_option_id" class="form-select">
+            <option value="">Choose later</option>
+            ${this.mealOptions.map(meal => `
+              <option value="${meal.id}">${this.escapeHtml(meal.name)}${meal.description ? ` – ${this.escapeHtml(meal.description)}` : ''}</option>
+            `).join('')}
+          </select>
+        ` : ''}
+        <label>Dietary Needs</label>
+        <div class="checkbox-group">
+          ${this.dietaryTags.map(tag => `
+            <label class="checkbox-label">
+              <input type="checkbox" name="${prefix}dietary_tags" value="${tag.key}">
+              <span>${this.escapeHtml(tag.label)}</span>
+            </label>
+          `).join('')}
+        </div>
+      `;
+      group.parentNode.insertBefore(questions, group);
+    });
+  }
+
+  /**
+   * The meal choice and dietary tags under a form prefix, or {} when the
+   * form doesn't ask (so the saved answers are left alone)
+   */
+  collectDietaryAnswers(formData, prefix) {
+    if (!document.querySelector(`.dietary-questions [name="${prefix}dietary_tags"]`)) {
+      return {};
+    }
+
+    return {
+      meal_option_id: formData.get(`${prefix}meal_option_id`) || null,
+      dietary_tags: formData.getAll(`${prefix}dietary_tags`)
+    };
+  }
+
+  /**
+   * Select a guest's saved meal and check their saved dietary tags
+   */
+  populateDietaryAnswers(prefix, rsvp) {
+    const meal = document.getElementById(`${prefix}meal_option_id`);
+    if (meal && rsvp.meal_option_id) {
+      meal.value = rsvp.meal_option_id;
+    }
+
+    (rsvp.dietary_tags || []).forEach(tag => {
+      const checkbox = document.querySelector(`input[name="${prefix}dietary_tags"][value="${tag}"]`);
+      if (checkbox) {
+        checkbox.checked = true;
+      }
+    });
+  }
+
+  /**
+   * Add title/artist rows for your song requests above the message, filled
+   * with the songs you already asked for
+   */
+  addSongRequestFields() {
+    const message = document.getElementById('message');
+    const group = message && message.closest('.form-group');
+    if (!group) return;
+
+    const section = document.createElement('div');
+    section.className = 'form-group song-requests';
+    section.innerHTML = `
+      <label class="form-label">Song Requests (optional)</label>
+      <small>Any songs you'd love to hear at the reception? You can change these later.</small>
+      <div class="song-request-rows"></div>
+      <button type="button" class="btn btn-secondary btn-sm song-request-add">Add another song</button>
+    `;
+    group.parentNode.insertBefore(section, group);
+
+    const rows = section.querySelector('.song-request-rows');
+    const addButton = section.querySelector('.song-request-add');
+    const addRow = (song = {}) => {
+      const row = document.createElement('div');
+      row.className = 'song-request-row';
+      row.innerHTML = `
+        <input type="text" name="song_title" class="form-input" placeholder="Song title" maxlength="200"
+               value="${this.escapeHtml(song.title)}">
+        <input type="text" name="song_artist" class="form-input" placeholder="Artist" maxlength="200"
+               value="${this.escapeHtml(song.artist)}">
+      `;
+      rows.appendChild(row);
+      addButton.hidden = rows.children.length >= this.maxSongRequests;
+    };
+
+    this.songRequests.forEach(song => addRow(song));
+    if (this.songRequests.length < this.maxSongRequests) {
+      addRow();
+    }
+    addButton.addEventListener('click', () => addRow());
+  }
+
+  /**
+   * The filled-in song rows as [{ title, artist }]
+   */
+  collectSongRequests(formData) {
+    const artists = formData.getAll('song_artist');
+    return formData.getAll('song_title')
+      .map((title, index) => ({ title: title.trim(), artist: (artists[index] || '').trim() || null }))
+      .filter(song => song.title);
+  }
+
+  /**
+   * "Please respond by ..." above the questions when there is a deadline
+   */
+  addDeadlineNotice() {
+    const firstGroup = document.querySelector('.rsvp-form form .form-group');
+    if (!firstGroup || !this.rsvpWindow || !this.rsvpWindow.deadline) return;
+
+    const notice = document.createElement('p');
+    notice.className = 'rsvp-deadline';
+    notice.textContent = `Please respond by ${this.formatEventDate(this.rsvpWindow.deadline)}.`;
+    firstGroup.parentNode.insertBefore(notice, firstGroup);
+  }
+
+  /**
+   * Read-only summary of everyone's answers, shown after the deadline
+   */
+  generateLockedSummary() {
+    const formContainer = document.querySelector('.rsvp-form');
+    if (!formContainer) return;
+
+    const statusLabels = {
+      attending: 'Attending',
+      not_attending: 'Not attending',
+      pending: 'Not answered yet'
+    };
+    const userId = this.currentUser.user_id || this.currentUser.id;
+    const guests = [
+      { ...(this.userRsvp || {}), id: userId, full_name: this.currentUser.full_name, events: this.events },
+      ...this.getOtherHouseholdMembers()
+    ];
+    if (guests.length === 1 && this.partnerRsvp) {
+      guests.push(this.partnerRsvp);
+    }
+
+    const lastResponded = this.userRsvp && this.userRsvp.responded_at;
+    const describeGuest = guest => {
+      const meal = this.mealOptions.find(option => option.id === guest.meal_option_id);
+      const tags = (guest.dietary_tags || [])
+        .map(key => (this.dietaryTags.find(tag => tag.key === key) || { label: key }).label);
+      const details = [
+        ...(guest.events || []).map(event => `${event.name}: ${statusLabels[event.response_status] || 'Not answered'}`),
+        meal ? `Meal: ${meal.name}` : null,
+        tags.length > 0 ? `Dietary needs: ${tags.join(', ')}` : null,
+        guest.dietary_restrictions ? `Notes: ${guest.dietary_restrictions}` : null
+      ].filter(Boolean);
+
+      return `
+        <li class="rsvp-summary-guest">
+          <strong>${this.escapeHtml(guest.full_name)}</strong> –
+          ${this.escapeHtml(statusLabels[guest.response_status] || 'No response')}
+          ${details.length > 0 ? `<ul>${details.map(detail => `<li>${this.escapeHtml(detail)}</li>`).join('')}</ul>` : ''}
+        </li>
+      `;
+    };
+
+    formContainer.innerHTML = `
+      <div class="card rsvp-locked">
+        <h3 class="section-title">RSVPs are closed</h3>
+        <p>
+          ${this.rsvpWindow.deadline ? `The RSVP deadline was ${this.escapeHtml(this.formatEventDate(this.rsvpWindow.deadline))}.` : 'RSVPs are closed.'}
+          If something has changed, please contact Patricia and James.
+        </p>
+        <p class="rsvp-last-responded">
+          ${lastResponded ? `You last responded on ${this.escapeHtml(this.formatEventDate(lastResponded))}.` : "We didn't receive a response from you."}
+        </p>
+        <ul class="rsvp-summary">
+          ${guests.map(describeGuest).join('')}
+        </ul>
+        ${this.songRequests.length > 0 ? `
+          <h4>Your Song Requests</h4>
+          <ul class="rsvp-summary-songs">
+            ${this.songRequests.map(song => `<li>${this.escapeHtml([song.title, song.artist].filter(Boolean).join(' – '))}</li>`).join('')}
+          </ul>
+        ` : ''}
+      </div>
+    `;
+  }
+
+  formatEventDate(startsAt) {
+    return new Date(startsAt).toLocaleString(undefined, {
+      weekday: 'long',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML;
+  }
+
   /**
    * Check if user can RSVP for partner
    */
@@ -527,6 +933,12 @@ class RSVPManagerV5 {
     // Update page title and description
     this.updatePageHeader(userTypeInfo);
     
+    // Past the deadline: show what was sent instead of a form
+    if (userType !== 'unauthenticated' && this.rsvpWindow && !this.rsvpWindow.is_open) {
+      this.generateLockedSummary();
+      return;
+    }
+    
     // Generate form based on user type
     switch (userType) {
       case 'unauthenticated':
@@ -541,12 +953,22 @@ class RSVPManagerV5 {
       case 'couple':
         this.generateCoupleForm();
         break;
+      case 'household':
+        this.generateHouseholdForm();
+        break;
       case 'admin':
         this.generateAdminForm();
         break;
       default:
         this.generateIndividualForm();
     }
+    
+    if (userType !== 'unauthenticated') {
+      this.addEventQuestions();
+      this.addDietaryQuestions();
+      this.addSongRequestFields();
+      this.addDeadlineNotice();
+    }
   }
 
   /**
@@ -731,6 +1153,58 @@ class RSVPManagerV5 {
     
     this.setupFormEventListeners();
     this.setupPlusOneToggle();
+    this.prefillPlusOne();
+  }
+
+  /**
+   * Tick "I will bring a plus-one" and fill in the plus-one you already added
+   * (their meal and dietary tags are filled in with the rest of the RSVP)
+   */
+  prefillPlusOne() {
+    const checkbox = document.getElementById('bring_plus_one');
+    const section = document.getElementById('plus-one-section');
+    if (!this.plusOne || !checkbox || !section) return;
+
+    checkbox.checked = true;
+    section.style.display = 'block';
+
+    ['first_name', 'last_name', 'email', 'dietary_restrictions'].forEach(field => {
+      const input = document.getElementById(`plus_one_${field}`);
+      if (input && this.plusOne[field]) {
+        input.value = this.plusOne[field];
+      }
+    });
+
+    // Until they have an account, offer to email them a link to set one up
+    if (this.plusOne.account_status !== 'registered') {
+      const claimButton = document.createElement('button');
+      claimButton.type = 'button';
+      claimButton.className = 'btn btn-secondary';
+      claimButton.textContent = `Email ${this.plusOne.first_name} a link to set up their account`;
+      claimButton.addEventListener('click', () => this.sendPlusOneClaimLink());
+      section.appendChild(claimButton);
+    }
+  }
+
+  /**
+   * Email your plus-one a link to set up their own account
+   */
+  async sendPlusOneClaimLink() {
+    try {
+      const response = await this.apiFetch(`${this.apiBaseUrl}/rsvps/plus-one/claim-link`, {
+        method: 'POST',
+        credentials: 'include'
+      });
+      const data = await response.json();
+
+      if (data.success) {
+        this.showSuccessMessage(this.escapeHtml(data.message));
+      } else {
+        alert(data.message || 'Failed to send the link');
+      }
+    } catch (error) {
+      console.error('Plus-one claim link error:', error);
+    }
   }
 
   /**
@@ -826,6 +1300,103 @@ class RSVPManagerV5 {
     }, 10);
   }
 
+  /**
+   * Generate form for households (families and groups): one section per member
+   */
+  generateHouseholdForm() {
+    const formContainer = document.querySelector('.rsvp-form');
+    if (!formContainer) return;
+    
+    const escapeHtml = (text) => this.escapeHtml(text);
+    const seats = this.household.seats;
+    
+    const memberSections = this.getOtherHouseholdMembers().map(member => {
+      const name = escapeHtml(`${member.first_name} ${member.last_name}`);
+      return `
+        <div class="partner-rsvp-section household-member-section">
+          <h4>${name}</h4>
+          <div class="form-group">
+            <label>Will ${name} be attending?</label>
+            <div class="radio-group">
+              <label class="radio-label">
+                <input type="radio" name="member_${member.id}_response_status" value="attending">
+                <span>Yes, they'll be there!</span>
+              </label>
+              <label class="radio-label">
+                <input type="radio" name="member_${member.id}_response_status" value="not_attending">
+                <span>No, they can't make it</span>
+              </label>
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label for="member_${member.id}_dietary_restrictions">${name}'s Dietary Restrictions (optional)</label>
+            <textarea id="member_${member.id}_dietary_restrictions" name="member_${member.id}_dietary_restrictions" 
+                      placeholder="Any dietary restrictions for ${name}..."></textarea>
+          </div>
+        </div>
+      `;
+    }).join('');
+    
+    formContainer.innerHTML = `
+      <div class="card">
+        <form id="rsvp-form-element">
+          <!-- Guest Info Section (Pre-populated for logged-in users) -->
+          <div class="form-section">
+            <h3 class="section-title">Your Invitation</h3>
+            
+            <div class="guest-info">
+              <p><strong>Guest:</strong> <span id="guest-name">Loading...</span></p>
+              <p><strong>Email:</strong> <span id="guest-email-display">Loading...</span></p>
+            </div>
+          </div>
+          
+          <!-- RSVP Form -->
+          <div class="form-section">
+            <h3 class="section-title">RSVP for ${escapeHtml(this.household.name)}</h3>
+            <p>You can RSVP for everyone in your household. Your invitation has ${seats} seat${seats === 1 ? '' : 's'}.</p>
+        
+        <div class="couple-rsvp-section">
+          <h4>${escapeHtml(`${this.currentUser.first_name} ${this.currentUser.last_name}`)}</h4>
+          <div class="form-group">
+            <label>Will you be attending?</label>
+            <div class="radio-group">
+              <label class="radio-label">
+                <input type="radio" name="response_status" value="attending" required>
+                <span>Yes, I'll be there!</span>
+              </label>
+              <label class="radio-label">
+                <input type="radio" name="response_status" value="not_attending" required>
+                <span>No, I can't make it</span>
+              </label>
+            </div>
+          </div>
+          
+          <div class="form-group">
+            <label for="dietary_restrictions">Your Dietary Restrictions (optional)</label>
+            <textarea id="dietary_restrictions" name="dietary_restrictions" 
+                      placeholder="Please let us know about any dietary restrictions or allergies..."></textarea>
+          </div>
+        </div>
+        
+        ${memberSections}
+        
+        <div class="form-group">
+          <label for="message">Message (optional)</label>
+          <textarea id="message" name="message" 
+                    placeholder="Any additional message for the couple..."></textarea>
+        </div>
+        
+        <button type="submit" class="btn btn-primary">Submit RSVP for Everyone</button>
+      </form>
+    `;
+    
+    // Wait for DOM to update before setting up event listeners
+    setTimeout(() => {
+      this.setupFormEventListeners();
+    }, 10);
+  }
+
   /**
    * Generate form for admin users
    */
@@ -882,11 +1453,10 @@ class RSVPManagerV5 {
         
         <div class="admin-options">
           <h3>Admin Options</h3>
-          <div class="form-group">
-            <label for="admin_notes">Admin Notes (internal use only)</label>
-            <textarea id="admin_notes" name="admin_notes" 
-                      placeholder="Internal notes about this RSVP..."></textarea>
-          </div>
+          <p>Guest records, notes and everyone's responses are managed on the admin dashboard.</p>
+          <button type="button" class="btn btn-secondary" onclick="window.authSystem.navigateToPage('admin')">
+            Open Admin Dashboard
+          </button>
         </div>
         
         <button type="submit" class="btn btn-primary">Submit RSVP</button>
@@ -1049,6 +1619,7 @@ class RSVPManagerV5 {
       if (dietaryRestrictions && this.userRsvp.dietary_restrictions) {
         dietaryRestrictions.value = this.userRsvp.dietary_restrictions;
       }
+      this.populateDietaryAnswers('', this.userRsvp);
       
       const message = document.getElementById('message');
       if (message && this.userRsvp.message) {
@@ -1056,6 +1627,34 @@ class RSVPManagerV5 {
       }
     }
     
+    // Check each guest's event answers
+    const prefixes = ['', 'partner_', ...this.getOtherHouseholdMembers().map(member => `member_${member.id}_`)];
+    prefixes.forEach(prefix => {
+      this.getEventsFor(prefix).forEach(event => {
+        if (!event.response_status) return;
+        const eventResponse = document.querySelector(`input[name="${prefix}event_${event.event_id}"][value="${event.response_status}"]`);
+        if (eventResponse) {
+          eventResponse.checked = true;
+        }
+      });
+    });
+    
+    // Populate the rest of the household
+    this.getOtherHouseholdMembers().forEach(member => {
+      if (!member.response_status) return;
+      
+      const memberResponseStatus = document.querySelector(`input[name="member_${member.id}_response_status"][value="${member.response_status}"]`);
+      if (memberResponseStatus) {
+        memberResponseStatus.checked = true;
+      }
+      
+      const memberDietaryRestrictions = document.getElementById(`member_${member.id}_dietary_restrictions`);
+      if (memberDietaryRestrictions && member.dietary_restrictions) {
+        memberDietaryRestrictions.value = member.dietary_restrictions;
+      }
+      this.populateDietaryAnswers(`member_${member.id}_`, member);
+    });
+    
     // Populate partner's RSVP data if available
     if (this.partnerRsvp) {
       const partnerResponseStatus = document.querySelector(`input[name="partner_response_status"][value="${this.partnerRsvp.response_status}"]`);
@@ -1067,6 +1666,11 @@ class RSVPManagerV5 {
       if (partnerDietaryRestrictions && this.partnerRsvp.dietary_restrictions) {
         partnerDietaryRestrictions.value = this.partnerRsvp.dietary_restrictions;
       }
+      this.populateDietaryAnswers('partner_', this.partnerRsvp);
+    }
+    
+    if (this.plusOne) {
+      this.populateDietaryAnswers('plus_one_', this.plusOne);
     }
   }
 }
@@ -0,0 +1,8 @@
+-- ========================================
+-- Migration 002: Household invitation codes
+-- ========================================
+-- Codes are assigned with `./db codes` after this migration runs.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS invitation_code VARCHAR(16);
+
+CREATE INDEX IF NOT EXISTS idx_users_invitation_code ON users(invitation_code);
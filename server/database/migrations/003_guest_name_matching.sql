@@ -0,0 +1,114 @@
+-- ========================================
+-- Migration 003: Fuzzy guest name matching
+-- ========================================
+-- Used by POST /api/auth/check-guest (see src/utils/guestMatching.js).
+-- unaccent and pg_trgm ship with the standard PostgreSQL contrib package.
+
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Lowercase, strip accents and punctuation, collapse spaces and hyphens
+-- ("José-María O'Brien" -> "jose maria obrien")
+CREATE OR REPLACE FUNCTION normalize_name(name TEXT)
+RETURNS TEXT AS $$
+    SELECT trim(regexp_replace(
+        regexp_replace(lower(public.unaccent('public.unaccent', coalesce(name, ''))), '[^a-z\s-]', '', 'g'),
+        '[\s-]+', ' ', 'g'
+    ));
+$$ LANGUAGE SQL IMMUTABLE PARALLEL SAFE;
+
+CREATE TABLE IF NOT EXISTS name_nicknames (
+    name VARCHAR(50) NOT NULL,
+    nickname VARCHAR(50) NOT NULL,
+    PRIMARY KEY (name, nickname)
+);
+
+CREATE INDEX IF NOT EXISTS idx_name_nicknames_nickname ON name_nicknames(nickname);
+CREATE INDEX IF NOT EXISTS idx_users_full_name_trgm ON users USING gin (normalize_name(full_name) gin_trgm_ops);
+
+-- Common nicknames, stored normalized (lowercase, no accents)
+INSERT INTO name_nicknames (name, nickname) VALUES
+('abigail', 'abby'),
+('alejandro', 'alex'),
+('alexander', 'alex'),
+('alexandra', 'alex'),
+('alexandra', 'lexi'),
+('andrew', 'andy'),
+('andrew', 'drew'),
+('anthony', 'tony'),
+('antonio', 'tono'),
+('benjamin', 'ben'),
+('catherine', 'cathy'),
+('catherine', 'kate'),
+('catherine', 'katie'),
+('charles', 'charlie'),
+('christopher', 'chris'),
+('concepcion', 'concha'),
+('daniel', 'dan'),
+('daniel', 'danny'),
+('david', 'dave'),
+('deborah', 'debbie'),
+('dolores', 'lola'),
+('edward', 'ed'),
+('edward', 'eddie'),
+('edward', 'ted'),
+('elizabeth', 'beth'),
+('elizabeth', 'eliza'),
+('elizabeth', 'liz'),
+('elizabeth', 'lizzie'),
+('enrique', 'quique'),
+('francisco', 'pancho'),
+('francisco', 'paco'),
+('gregory', 'greg'),
+('guadalupe', 'lupe'),
+('ignacio', 'nacho'),
+('jacob', 'jake'),
+('james', 'jamie'),
+('james', 'jim'),
+('james', 'jimmy'),
+('jennifer', 'jen'),
+('jennifer', 'jenny'),
+('john', 'jack'),
+('john', 'johnny'),
+('john', 'jon'),
+('jonathan', 'jon'),
+('jose', 'pepe'),
+('joseph', 'joe'),
+('joseph', 'joey'),
+('joshua', 'josh'),
+('katherine', 'kate'),
+('katherine', 'kathy'),
+('katherine', 'katie'),
+('margaret', 'maggie'),
+('margaret', 'meg'),
+('margaret', 'peggy'),
+('matthew', 'matt'),
+('michael', 'mike'),
+('michael', 'mikey'),
+('nicholas', 'nick'),
+('patricia', 'pati'),
+('patricia', 'patty'),
+('patricia', 'tricia'),
+('rebecca', 'becca'),
+('rebecca', 'becky'),
+('richard', 'rich'),
+('richard', 'rick'),
+('robert', 'bob'),
+('robert', 'bobby'),
+('robert', 'rob'),
+('samantha', 'sam'),
+('samuel', 'sam'),
+('stephen', 'steve'),
+('steven', 'steve'),
+('susan', 'sue'),
+('susan', 'susie'),
+('thomas', 'tom'),
+('thomas', 'tommy'),
+('timothy', 'tim'),
+('victoria', 'tori'),
+('victoria', 'vicky'),
+('william', 'bill'),
+('william', 'liam'),
+('william', 'will'),
+('zachary', 'zach')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,16 @@
+-- ========================================
+-- Migration 004: Rate limiting and lockout
+-- ========================================
+-- One row per (scope, key), e.g. ('login', 'account:jane@example.com').
+-- Managed by src/middleware/rateLimit.js; clear rows with `./db unlock`.
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+    scope VARCHAR(30) NOT NULL,
+    key VARCHAR(300) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    window_started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    lockouts INTEGER NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, key)
+);
@@ -0,0 +1,55 @@
+-- ========================================
+-- Migration 005: Households
+-- ========================================
+-- A household is everyone invited together (a couple, a family, a group of
+-- friends). Any registered member can RSVP for the whole household; seats
+-- caps how many of them, plus-ones included, can attend.
+-- partner_id stays as it is: every existing couple becomes a two-person
+-- household, and guests without a partner are left without one.
+
+CREATE TABLE IF NOT EXISTS households (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(200) NOT NULL,
+    primary_contact_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    seats INTEGER NOT NULL DEFAULT 1 CHECK (seats >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS household_id UUID REFERENCES households(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_users_household ON users(household_id);
+
+-- One household per couple. One-way partner links (left by old plus-one
+-- code) are included; a guest already placed is not placed twice.
+DO $$
+DECLARE
+    couple RECORD;
+    new_household_id UUID;
+BEGIN
+    FOR couple IN
+        SELECT u.id, u.partner_id
+        FROM users u
+        JOIN users p ON p.id = u.partner_id
+        WHERE u.deleted_at IS NULL AND p.deleted_at IS NULL
+        AND (p.partner_id IS DISTINCT FROM u.id OR u.id < p.id)
+        ORDER BY u.id
+    LOOP
+        CONTINUE WHEN EXISTS (
+            SELECT 1 FROM users
+            WHERE id IN (couple.id, couple.partner_id) AND household_id IS NOT NULL
+        );
+
+        INSERT INTO households (name, primary_contact_id, seats)
+        SELECT
+            string_agg(DISTINCT last_name, ' & ' ORDER BY last_name),
+            (array_agg(id ORDER BY (account_status = 'registered') DESC, created_at, id))[1],
+            COUNT(*) + COUNT(*) FILTER (WHERE plus_one_allowed)
+        FROM users
+        WHERE id IN (couple.id, couple.partner_id)
+        RETURNING id INTO new_household_id;
+
+        UPDATE users SET household_id = new_household_id
+        WHERE id IN (couple.id, couple.partner_id);
+    END LOOP;
+END $$;
@@ -0,0 +1,64 @@
+-- ========================================
+-- Migration 006: Wedding weekend events
+-- ========================================
+-- Guests answer each event they are invited to (see src/utils/events.js).
+-- An event with invite_all is open to every guest; otherwise only guests
+-- listed in event_invitations are invited. rsvps keeps the overall answer,
+-- dietary restrictions and message: attending means attending something.
+
+CREATE TABLE IF NOT EXISTS events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE,
+    location VARCHAR(200),
+    dress_code VARCHAR(100),
+    description TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    invite_all BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS event_invitations (
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id, user_id)
+);
+
+CREATE TABLE IF NOT EXISTS event_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    response_status VARCHAR(20) NOT NULL CHECK (response_status IN ('attending', 'not_attending')),
+    responded_by UUID REFERENCES users(id) ON DELETE SET NULL, -- Who answered (self or a household member)
+    responded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_event_invitations_user ON event_invitations(user_id);
+CREATE INDEX IF NOT EXISTS idx_event_responses_user ON event_responses(user_id);
+
+-- The four events on the Events page
+INSERT INTO events (slug, name, starts_at, location, dress_code, description, sort_order) VALUES
+('welcome_party', 'Welcome Party', '2024-06-14 19:00 America/Los_Angeles', 'Hotel Lobby Bar', 'Casual',
+ 'Join us for a casual evening of drinks and appetizers to kick off the wedding weekend.', 1),
+('ceremony', 'Wedding Ceremony', '2024-06-15 16:00 America/Los_Angeles', 'Garden Pavilion', 'Cocktail Attire',
+ 'Join us as we exchange vows in a beautiful outdoor ceremony surrounded by our loved ones.', 2),
+('reception', 'Wedding Reception', '2024-06-15 18:00 America/Los_Angeles', 'Grand Ballroom', 'Cocktail Attire',
+ 'Celebrate with us as we dance the night away with dinner, drinks, and dancing.', 3),
+('brunch', 'Farewell Brunch', '2024-06-16 10:00 America/Los_Angeles', 'Hotel Restaurant', 'Casual',
+ 'Join us for a relaxed brunch before we head off on our honeymoon.', 4)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Existing answers covered the whole weekend
+INSERT INTO event_responses (event_id, user_id, response_status, responded_by, responded_at)
+SELECT e.id, r.user_id, r.response_status, r.user_id, r.responded_at
+FROM rsvps r
+CROSS JOIN events e
+WHERE r.user_id IS NOT NULL
+AND r.response_status IN ('attending', 'not_attending')
+ON CONFLICT (event_id, user_id) DO NOTHING;
@@ -0,0 +1,95 @@
+-- ========================================
+-- Migration 007: Site content (venues, hotel blocks, FAQs)
+-- ========================================
+-- The Events and Accommodations pages and the countdown render from these
+-- tables through GET /api/content (see src/utils/content.js), so admins
+-- change a time or a hotel rate in one place. Events (migration 006) gain a
+-- venue; location stays as the room or area within it.
+
+CREATE TABLE IF NOT EXISTS venues (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(200) NOT NULL,
+    address TEXT,
+    phone VARCHAR(50),
+    website_url VARCHAR(500),
+    map_url VARCHAR(500),
+    description TEXT,
+    time_zone VARCHAR(50) NOT NULL DEFAULT 'America/Los_Angeles', -- Event times are shown in this zone
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE events ADD COLUMN IF NOT EXISTS venue_id UUID REFERENCES venues(id) ON DELETE SET NULL;
+
+CREATE TABLE IF NOT EXISTS hotel_blocks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(200) NOT NULL,
+    is_room_block BOOLEAN NOT NULL DEFAULT true, -- false: an alternative nearby hotel
+    rate VARCHAR(100), -- e.g. '$199/night'
+    booking_code VARCHAR(200),
+    booking_url VARCHAR(500),
+    booking_deadline DATE,
+    phone VARCHAR(50),
+    distance VARCHAR(100), -- e.g. '2 miles from venue'
+    room_types TEXT[] NOT NULL DEFAULT '{}', -- e.g. 'Deluxe King Room - $229/night'
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS faqs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_events_venue ON events(venue_id);
+
+-- What the pages showed, moved to the save-the-date weekend (June 21, 2026)
+INSERT INTO venues (slug, name, address, phone, website_url, map_url, description, sort_order) VALUES
+('presidio', 'Presidio Officers'' Club', E'50 Moraga Avenue\nSan Francisco, CA 94129', '(415) 561-5444',
+ 'https://www.presidio.gov/venues/officers-club', 'https://maps.google.com/?q=50+Moraga+Avenue+San+Francisco+CA',
+ 'A historic Spanish Colonial Revival building with views of the Golden Gate Bridge and San Francisco Bay.', 1)
+ON CONFLICT (slug) DO NOTHING;
+
+UPDATE events SET venue_id = (SELECT id FROM venues WHERE slug = 'presidio')
+WHERE slug IN ('ceremony', 'reception') AND venue_id IS NULL;
+
+-- Only events still on their 2024 seed dates are moved
+UPDATE events e
+SET starts_at = moved.starts_at, updated_at = CURRENT_TIMESTAMP
+FROM (VALUES
+    ('welcome_party', TIMESTAMPTZ '2024-06-14 19:00 America/Los_Angeles', TIMESTAMPTZ '2026-06-20 19:00 America/Los_Angeles'),
+    ('ceremony', TIMESTAMPTZ '2024-06-15 16:00 America/Los_Angeles', TIMESTAMPTZ '2026-06-21 16:00 America/Los_Angeles'),
+    ('reception', TIMESTAMPTZ '2024-06-15 18:00 America/Los_Angeles', TIMESTAMPTZ '2026-06-21 18:00 America/Los_Angeles'),
+    ('brunch', TIMESTAMPTZ '2024-06-16 10:00 America/Los_Angeles', TIMESTAMPTZ '2026-06-22 10:00 America/Los_Angeles')
+) AS moved (slug, seeded_at, starts_at)
+WHERE e.slug = moved.slug AND e.starts_at = moved.seeded_at;
+
+INSERT INTO hotel_blocks (name, is_room_block, rate, booking_code, booking_deadline, phone, room_types, sort_order)
+SELECT 'The Grand Hotel & Gardens', true, '$199/night', 'Patricia & James Wedding', DATE '2026-05-21', '(555) 123-4567',
+       ARRAY['Standard King Room - $199/night', 'Deluxe King Room - $229/night',
+             'Junior Suite - $299/night', 'Executive Suite - $399/night'], 1
+WHERE NOT EXISTS (SELECT 1 FROM hotel_blocks);
+
+INSERT INTO hotel_blocks (name, is_room_block, rate, phone, distance, sort_order)
+SELECT name, false, rate, phone, distance, sort_order
+FROM (VALUES
+    ('Garden Inn', '$149/night', '(555) 987-6543', '2 miles from venue', 2),
+    ('City Center Hotel', '$129/night', '(555) 456-7890', '3 miles from venue', 3)
+) AS alternatives (name, rate, phone, distance, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM hotel_blocks WHERE NOT is_room_block);
+
+INSERT INTO faqs (question, answer, sort_order)
+SELECT question, answer, sort_order
+FROM (VALUES
+    ('How do I get from the airport?', 'An airport shuttle runs from the hotel, and rental cars are available at the airport.', 1),
+    ('How do I get to the venue?', 'A wedding shuttle runs between the hotel and the venue. Uber and Lyft are also available in the area.', 2),
+    ('Is there parking at the venue?', 'Complimentary parking is available in the Presidio, and valet service is provided for the event.', 3)
+) AS seeded (question, answer, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM faqs);
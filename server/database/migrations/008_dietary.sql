@@ -0,0 +1,55 @@
+-- ========================================
+-- Migration 008: Meal choices and dietary needs
+-- ========================================
+-- Guests pick a meal from meal_options (edited by admins as site content)
+-- and any of a fixed list of diets and allergens (see src/utils/dietary.js).
+-- rsvps.dietary_restrictions stays as the free-text note for anything else.
+
+CREATE TABLE IF NOT EXISTS meal_options (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_kids_meal BOOLEAN NOT NULL DEFAULT false,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS meal_option_id UUID REFERENCES meal_options(id) ON DELETE SET NULL;
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS dietary_tags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE rsvps DROP CONSTRAINT IF EXISTS check_dietary_tags;
+ALTER TABLE rsvps ADD CONSTRAINT check_dietary_tags CHECK (dietary_tags <@ ARRAY[
+    'vegetarian', 'vegan', 'pescatarian', 'gluten_free', 'dairy_free',
+    'nut_allergy', 'shellfish_allergy', 'egg_allergy', 'halal', 'kosher'
+]::TEXT[]);
+
+CREATE INDEX IF NOT EXISTS idx_rsvps_meal_option ON rsvps(meal_option_id);
+
+INSERT INTO meal_options (slug, name, description, is_kids_meal, sort_order) VALUES
+('beef', 'Beef', 'Braised short rib with seasonal vegetables', false, 1),
+('fish', 'Fish', 'Pan-seared salmon with lemon butter', false, 2),
+('vegetarian', 'Vegetarian', 'Wild mushroom risotto', false, 3),
+('kids', 'Kids'' Meal', 'Chicken tenders with fries and fruit', true, 4)
+ON CONFLICT (slug) DO NOTHING;
+
+-- Tag what the free-text notes already say; the notes are kept as they are
+UPDATE rsvps
+SET dietary_tags = ARRAY(
+    SELECT tag FROM (VALUES
+        ('vegetarian', dietary_restrictions ~* '\mvegetarian'),
+        ('vegan', dietary_restrictions ~* '\mvegan\M'),
+        ('pescatarian', dietary_restrictions ~* '\mpescatarian'),
+        ('gluten_free', dietary_restrictions ~* 'gluten|celiac|coeliac'),
+        ('dairy_free', dietary_restrictions ~* 'dairy|lactose'),
+        ('nut_allergy', dietary_restrictions ~* '\m(pea)?nuts?\M|tree nut'),
+        ('shellfish_allergy', dietary_restrictions ~* 'shellfish'),
+        ('egg_allergy', dietary_restrictions ~* '\meggs?\M'),
+        ('halal', dietary_restrictions ~* '\mhalal\M'),
+        ('kosher', dietary_restrictions ~* '\mkosher\M')
+    ) AS found (tag, matches)
+    WHERE matches
+)
+WHERE COALESCE(TRIM(dietary_restrictions), '') <> ''
+AND dietary_tags = '{}';
@@ -0,0 +1,20 @@
+-- ========================================
+-- Migration 009: Song requests
+-- ========================================
+-- Each guest keeps a short list of songs for the DJ. title_key and
+-- artist_key are the normalized title and artist (see src/utils/songs.js),
+-- so "Don't Stop Me Now" and "dont stop me now (remastered)" are one song.
+
+CREATE TABLE IF NOT EXISTS song_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Who asked for it
+    title VARCHAR(200) NOT NULL,
+    artist VARCHAR(200),
+    title_key VARCHAR(200) NOT NULL,
+    artist_key VARCHAR(200) NOT NULL DEFAULT '',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, title_key, artist_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_song_requests_title_key ON song_requests(title_key);
@@ -0,0 +1,7 @@
+-- ========================================
+-- Migration 010: Per-guest RSVP deadline
+-- ========================================
+-- RSVP_DEADLINE sets the deadline for everyone; admins can give a guest
+-- their own (see src/utils/rsvpDeadline.js). NULL uses the global deadline.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS rsvp_deadline_override TIMESTAMP WITH TIME ZONE;
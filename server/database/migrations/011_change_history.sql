@@ -0,0 +1,36 @@
+-- ========================================
+-- Migration 011: Change history
+-- ========================================
+-- One row per changed field of a guest record, RSVP or event answer (see
+-- src/utils/history.js). The table is append-only: rows can't be updated,
+-- and only go when their guest is deleted outright.
+
+CREATE TABLE IF NOT EXISTS change_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Whose record changed
+    entity VARCHAR(20) NOT NULL CHECK (entity IN ('guest', 'rsvp', 'event_response')),
+    entity_id UUID, -- The guest, RSVP or event the change was to
+    field VARCHAR(50) NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    changed_by UUID, -- Who made the change (NULL: the db tool); kept after their account is gone
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT clock_timestamp()
+);
+
+CREATE INDEX IF NOT EXISTS idx_change_history_user ON change_history(user_id, changed_at);
+
+-- Deletes are only allowed when they cascade from deleting the guest
+CREATE OR REPLACE FUNCTION change_history_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND pg_trigger_depth() > 1 THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'change_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS change_history_append_only ON change_history;
+CREATE TRIGGER change_history_append_only
+    BEFORE UPDATE OR DELETE ON change_history
+    FOR EACH ROW EXECUTE FUNCTION change_history_append_only();
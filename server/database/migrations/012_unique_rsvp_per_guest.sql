@@ -0,0 +1,15 @@
+-- ========================================
+-- Migration 012: One RSVP per guest
+-- ========================================
+-- Two submissions at once (say, both partners answering) could each insert an
+-- RSVP for the same guest. Keep the most recently updated one, then let the
+-- database refuse a second. POST /api/rsvps also locks the guests it answers
+-- for, so the second submission updates the first's row instead.
+
+DELETE FROM rsvps r
+USING rsvps newer
+WHERE newer.user_id = r.user_id
+AND (COALESCE(newer.updated_at, newer.created_at), newer.id) > (COALESCE(r.updated_at, r.created_at), r.id);
+
+DROP INDEX IF EXISTS idx_rsvps_user;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rsvps_user ON rsvps(user_id);
@@ -0,0 +1,66 @@
+-- ========================================
+-- Migration 013: Plus-one lifecycle
+-- ========================================
+-- A plus-one points at the guest who brought them (users.plus_one_of), one
+-- per host, so they can be edited, replaced and removed (see
+-- src/utils/plusOnes.js). A removed plus-one is soft-deleted along with
+-- their RSVP.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS plus_one_of UUID REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE rsvps ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+-- Existing plus-ones are recognised by the message on their RSVP, which
+-- points at their host; a host with several keeps the newest
+UPDATE users u
+SET plus_one_of = latest.host_id
+FROM (
+    SELECT DISTINCT ON (r.partner_id) r.user_id, r.partner_id as host_id
+    FROM rsvps r
+    JOIN users pu ON pu.id = r.user_id AND pu.deleted_at IS NULL
+    WHERE r.partner_id IS NOT NULL
+    AND (r.message = 'Plus-one RSVP' OR r.message LIKE 'Plus-one for %')
+    ORDER BY r.partner_id, r.created_at DESC, r.id DESC
+) latest
+WHERE u.id = latest.user_id
+AND u.plus_one_of IS NULL
+AND NOT EXISTS (
+    SELECT 1 FROM users other WHERE other.plus_one_of = latest.host_id AND other.deleted_at IS NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_plus_one_of ON users(plus_one_of) WHERE deleted_at IS NULL;
+
+-- Leave removed RSVPs out of the views
+CREATE OR REPLACE VIEW rsvp_summary AS
+SELECT 
+    r.id as rsvp_id,
+    u.first_name,
+    u.last_name,
+    u.full_name,
+    u.email,
+    r.response_status,
+    r.dietary_restrictions,
+    r.message,
+    r.responded_at,
+    p.first_name as partner_first_name,
+    p.last_name as partner_last_name
+FROM rsvps r
+JOIN users u ON r.user_id = u.id
+LEFT JOIN users p ON r.partner_id = p.id
+WHERE u.deleted_at IS NULL AND r.deleted_at IS NULL;
+
+CREATE OR REPLACE VIEW users_with_rsvp AS
+SELECT 
+    u.id,
+    u.first_name,
+    u.last_name,
+    u.full_name,
+    u.email,
+    u.account_status,
+    u.plus_one_allowed,
+    r.response_status,
+    r.dietary_restrictions,
+    r.responded_at,
+    CASE WHEN r.id IS NOT NULL THEN true ELSE false END as has_rsvp
+FROM users u
+LEFT JOIN rsvps r ON u.id = r.user_id AND r.deleted_at IS NULL
+WHERE u.deleted_at IS NULL;
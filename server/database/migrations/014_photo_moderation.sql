@@ -0,0 +1,18 @@
+-- ========================================
+-- Migration 014: Photo moderation
+-- ========================================
+-- Admins approve, reject and feature guest photos (see src/utils/photos.js).
+-- A photo waits in the review queue until an admin reviews it; a rejected
+-- photo keeps is_approved = false with reviewed_at set, so it leaves the
+-- queue but can still be approved later. Only approved photos are featured.
+
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE photos ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE photos SET is_featured = false WHERE is_featured AND NOT is_approved;
+
+ALTER TABLE photos DROP CONSTRAINT IF EXISTS chk_photos_featured_approved;
+ALTER TABLE photos ADD CONSTRAINT chk_photos_featured_approved CHECK (is_approved OR NOT is_featured);
+
+-- The review queue, oldest first
+CREATE INDEX IF NOT EXISTS idx_photos_review_queue ON photos(upload_date) WHERE NOT is_approved AND reviewed_at IS NULL;
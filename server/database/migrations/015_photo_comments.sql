@@ -0,0 +1,10 @@
+-- ========================================
+-- Migration 015: Photo comments and upvotes
+-- ========================================
+-- Guests comment on and upvote approved photos (see
+-- src/utils/photoComments.js). Comments show straight away; admins hide
+-- them by clearing is_approved. The gallery counts both per photo.
+
+CREATE INDEX IF NOT EXISTS idx_photo_comments_photo ON photo_comments(photo_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_photo_comments_user ON photo_comments(user_id);
+CREATE INDEX IF NOT EXISTS idx_photo_upvotes_user ON photo_upvotes(user_id);
@@ -0,0 +1,10 @@
+-- ========================================
+-- Migration 016: Emails unique among active guests
+-- ========================================
+-- Removed plus-ones and deleted guests are soft-deleted with their email
+-- still on the row, so a table-wide UNIQUE kept anyone from adding them
+-- again (or switching back to an earlier plus-one). Only active guests need
+-- distinct emails; every lookup by email already skips deleted rows.
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_active ON users(email) WHERE deleted_at IS NULL;
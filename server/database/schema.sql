@@ -8,12 +8,27 @@
 -- - Seeding workflow: names first, email on registration
 -- - Individual RSVP records with specific dietary restrictions
 -- - Partner RSVP logic: either partner can RSVP for both
+-- - Households: any registered member can RSVP for the whole household
 -- - Plus-one handling: plus-ones become real users
 -- ========================================
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Accent-insensitive and trigram name matching (guest lookup)
+CREATE EXTENSION IF NOT EXISTS unaccent;
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Lowercase, strip accents and punctuation, collapse spaces and hyphens
+-- ("José-María O'Brien" -> "jose maria obrien")
+CREATE OR REPLACE FUNCTION normalize_name(name TEXT)
+RETURNS TEXT AS $$
+    SELECT trim(regexp_replace(
+        regexp_replace(lower(public.unaccent('public.unaccent', coalesce(name, ''))), '[^a-z\s-]', '', 'g'),
+        '[\s-]+', ' ', 'g'
+    ));
+$$ LANGUAGE SQL IMMUTABLE PARALLEL SAFE;
+
 -- ========================================
 -- USERS Table (Combined guest and user data)
 -- ========================================
@@ -24,31 +39,208 @@ CREATE TABLE users (
     full_name VARCHAR(200) GENERATED ALWAYS AS (first_name || ' ' || last_name) STORED,
     partner_id UUID REFERENCES users(id) ON DELETE SET NULL,
     plus_one_allowed BOOLEAN DEFAULT false,
-    email VARCHAR(255) UNIQUE, -- NULL until registered
+    email VARCHAR(255), -- NULL until registered; unique among active guests
     password_hash VARCHAR(255), -- NULL until registered
     is_admin BOOLEAN DEFAULT false,
     account_status VARCHAR(20) DEFAULT 'guest' CHECK (account_status IN ('guest', 'registered', 'deleted')),
     admin_notes TEXT,
+    invitation_code VARCHAR(16), -- Printed on the invite; shared by partners (see ./db codes)
+    household_id UUID, -- References households(id), added below
+    rsvp_deadline_override TIMESTAMP WITH TIME ZONE, -- Replaces RSVP_DEADLINE for this guest
+    plus_one_of UUID REFERENCES users(id) ON DELETE SET NULL, -- The guest who brought this plus-one
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     deleted_at TIMESTAMP WITH TIME ZONE
 );
 
+-- ========================================
+-- HOUSEHOLDS Table (Guests invited together)
+-- ========================================
+-- Any registered member can RSVP for every member; seats caps how many can
+-- attend, plus-ones included. Managed by src/utils/households.js.
+CREATE TABLE households (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(200) NOT NULL, -- e.g. "Smith" or "Smith & Jones"
+    primary_contact_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    seats INTEGER NOT NULL DEFAULT 1 CHECK (seats >= 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE users ADD CONSTRAINT fk_users_household
+    FOREIGN KEY (household_id) REFERENCES households(id) ON DELETE SET NULL;
+
+-- ========================================
+-- MEAL_OPTIONS Table (Meals guests choose from)
+-- ========================================
+-- Site content, edited like venues and events (src/utils/content.js).
+CREATE TABLE meal_options (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    is_kids_meal BOOLEAN NOT NULL DEFAULT false,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
 -- ========================================
 -- RSVPs Table (Individual RSVP records)
 -- ========================================
+-- dietary_tags are from the fixed list in src/utils/dietary.js;
+-- dietary_restrictions is a free-text note for anything else.
 CREATE TABLE rsvps (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- Who this RSVP is for
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- Who this RSVP is for (one each)
     partner_id UUID REFERENCES users(id) ON DELETE SET NULL, -- If RSVPing for partner
     response_status VARCHAR(20) NOT NULL CHECK (response_status IN ('attending', 'not_attending', 'pending')),
     dietary_restrictions TEXT, -- Specific to this user
+    meal_option_id UUID REFERENCES meal_options(id) ON DELETE SET NULL,
+    dietary_tags TEXT[] NOT NULL DEFAULT '{}',
     message TEXT, -- Specific to this user
     responded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP WITH TIME ZONE -- Set when a plus-one is removed
+);
+
+-- ========================================
+-- VENUES Table (Where the events happen)
+-- ========================================
+-- Site content served by GET /api/content (src/utils/content.js).
+CREATE TABLE venues (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(50) NOT NULL UNIQUE,
+    name VARCHAR(200) NOT NULL,
+    address TEXT,
+    phone VARCHAR(50),
+    website_url VARCHAR(500),
+    map_url VARCHAR(500),
+    description TEXT,
+    time_zone VARCHAR(50) NOT NULL DEFAULT 'America/Los_Angeles', -- Event times are shown in this zone
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ========================================
+-- EVENTS Tables (Wedding weekend events and per-event answers)
+-- ========================================
+-- An event with invite_all is open to every guest; otherwise only guests in
+-- event_invitations are invited. rsvps keeps the overall answer: attending
+-- means attending at least one event. Managed by src/utils/events.js.
+CREATE TABLE events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    slug VARCHAR(50) NOT NULL UNIQUE, -- e.g. 'ceremony'
+    name VARCHAR(100) NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE,
+    venue_id UUID REFERENCES venues(id) ON DELETE SET NULL,
+    location VARCHAR(200), -- Room or area, e.g. 'Garden Pavilion'
+    dress_code VARCHAR(100),
+    description TEXT,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    invite_all BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE event_invitations (
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (event_id, user_id)
+);
+
+CREATE TABLE event_responses (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    response_status VARCHAR(20) NOT NULL CHECK (response_status IN ('attending', 'not_attending')),
+    responded_by UUID REFERENCES users(id) ON DELETE SET NULL, -- Who answered (self or a household member)
+    responded_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (event_id, user_id)
+);
+
+-- ========================================
+-- HOTEL_BLOCKS and FAQS Tables (Accommodations page content)
+-- ========================================
+CREATE TABLE hotel_blocks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(200) NOT NULL,
+    is_room_block BOOLEAN NOT NULL DEFAULT true, -- false: an alternative nearby hotel
+    rate VARCHAR(100), -- e.g. '$199/night'
+    booking_code VARCHAR(200),
+    booking_url VARCHAR(500),
+    booking_deadline DATE,
+    phone VARCHAR(50),
+    distance VARCHAR(100), -- e.g. '2 miles from venue'
+    room_types TEXT[] NOT NULL DEFAULT '{}',
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE faqs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ========================================
+-- SONG_REQUESTS Table (Songs guests want to hear)
+-- ========================================
+-- title_key and artist_key are normalized for matching (src/utils/songs.js),
+-- so a guest can't request the same song twice under another spelling.
+CREATE TABLE song_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Who asked for it
+    title VARCHAR(200) NOT NULL,
+    artist VARCHAR(200),
+    title_key VARCHAR(200) NOT NULL,
+    artist_key VARCHAR(200) NOT NULL DEFAULT '',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(user_id, title_key, artist_key)
+);
+
+-- ========================================
+-- CHANGE_HISTORY Table (Audit log of guest and RSVP changes)
+-- ========================================
+-- One row per changed field (src/utils/history.js). Append-only: rows can't
+-- be updated, and only go when their guest is deleted outright.
+CREATE TABLE change_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE, -- Whose record changed
+    entity VARCHAR(20) NOT NULL CHECK (entity IN ('guest', 'rsvp', 'event_response')),
+    entity_id UUID, -- The guest, RSVP or event the change was to
+    field VARCHAR(50) NOT NULL,
+    old_value JSONB,
+    new_value JSONB,
+    changed_by UUID, -- Who made the change (NULL: the db tool); kept after their account is gone
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT clock_timestamp()
+);
+
+-- Deletes are only allowed when they cascade from deleting the guest
+CREATE OR REPLACE FUNCTION change_history_append_only()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND pg_trigger_depth() > 1 THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'change_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER change_history_append_only
+    BEFORE UPDATE OR DELETE ON change_history
+    FOR EACH ROW EXECUTE FUNCTION change_history_append_only();
+
 -- ========================================
 -- USER_SESSIONS Table (Session storage)
 -- ========================================
@@ -60,7 +252,134 @@ CREATE TABLE user_sessions (
 );
 
 -- ========================================
--- PHOTOS Table (Future feature)
+-- AUTH_TOKENS Table (Password reset and magic-link login)
+-- ========================================
+-- Only a SHA-256 hash of each token is stored; the raw token is emailed.
+-- purpose is validated in src/utils/tokens.js ('password_reset', 'magic_link', 'plus_one_claim').
+CREATE TABLE auth_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    purpose VARCHAR(30) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE, -- NULL until redeemed (single-use)
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ========================================
+-- RATE_LIMITS Table (Login / guest lookup throttling and lockout)
+-- ========================================
+-- One row per (scope, key), e.g. ('login', 'account:jane@example.com').
+-- Managed by src/middleware/rateLimit.js; clear rows with `./db unlock`.
+CREATE TABLE rate_limits (
+    scope VARCHAR(30) NOT NULL,
+    key VARCHAR(300) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0, -- Attempts in the current window
+    window_started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    lockouts INTEGER NOT NULL DEFAULT 0, -- Recent lockouts; each one doubles the next
+    locked_until TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (scope, key)
+);
+
+-- ========================================
+-- NAME_NICKNAMES Table (Guest lookup: "Kate" finds "Katherine")
+-- ========================================
+CREATE TABLE name_nicknames (
+    name VARCHAR(50) NOT NULL,
+    nickname VARCHAR(50) NOT NULL,
+    PRIMARY KEY (name, nickname)
+);
+
+-- Common nicknames, stored normalized (lowercase, no accents)
+INSERT INTO name_nicknames (name, nickname) VALUES
+('abigail', 'abby'),
+('alejandro', 'alex'),
+('alexander', 'alex'),
+('alexandra', 'alex'),
+('alexandra', 'lexi'),
+('andrew', 'andy'),
+('andrew', 'drew'),
+('anthony', 'tony'),
+('antonio', 'tono'),
+('benjamin', 'ben'),
+('catherine', 'cathy'),
+('catherine', 'kate'),
+('catherine', 'katie'),
+('charles', 'charlie'),
+('christopher', 'chris'),
+('concepcion', 'concha'),
+('daniel', 'dan'),
+('daniel', 'danny'),
+('david', 'dave'),
+('deborah', 'debbie'),
+('dolores', 'lola'),
+('edward', 'ed'),
+('edward', 'eddie'),
+('edward', 'ted'),
+('elizabeth', 'beth'),
+('elizabeth', 'eliza'),
+('elizabeth', 'liz'),
+('elizabeth', 'lizzie'),
+('enrique', 'quique'),
+('francisco', 'pancho'),
+('francisco', 'paco'),
+('gregory', 'greg'),
+('guadalupe', 'lupe'),
+('ignacio', 'nacho'),
+('jacob', 'jake'),
+('james', 'jamie'),
+('james', 'jim'),
+('james', 'jimmy'),
+('jennifer', 'jen'),
+('jennifer', 'jenny'),
+('john', 'jack'),
+('john', 'johnny'),
+('john', 'jon'),
+('jonathan', 'jon'),
+('jose', 'pepe'),
+('joseph', 'joe'),
+('joseph', 'joey'),
+('joshua', 'josh'),
+('katherine', 'kate'),
+('katherine', 'kathy'),
+('katherine', 'katie'),
+('margaret', 'maggie'),
+('margaret', 'meg'),
+('margaret', 'peggy'),
+('matthew', 'matt'),
+('michael', 'mike'),
+('michael', 'mikey'),
+('nicholas', 'nick'),
+('patricia', 'pati'),
+('patricia', 'patty'),
+('patricia', 'tricia'),
+('rebecca', 'becca'),
+('rebecca', 'becky'),
+('richard', 'rich'),
+('richard', 'rick'),
+('robert', 'bob'),
+('robert', 'bobby'),
+('robert', 'rob'),
+('samantha', 'sam'),
+('samuel', 'sam'),
+('stephen', 'steve'),
+('steven', 'steve'),
+('susan', 'sue'),
+('susan', 'susie'),
+('thomas', 'tom'),
+('thomas', 'tommy'),
+('timothy', 'tim'),
+('victoria', 'tori'),
+('victoria', 'vicky'),
+('william', 'bill'),
+('william', 'liam'),
+('william', 'will'),
+('zachary', 'zach')
+ON CONFLICT DO NOTHING;
+
+-- ========================================
+-- PHOTOS Table (Photos guests upload)
 -- ========================================
 CREATE TABLE photos (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -72,27 +391,29 @@ CREATE TABLE photos (
     mime_type VARCHAR(100) NOT NULL,
     caption TEXT,
     is_approved BOOLEAN DEFAULT false,
-    is_featured BOOLEAN DEFAULT false,
+    is_featured BOOLEAN DEFAULT false, -- Shown first on the Photos page, also to visitors who aren't logged in
+    reviewed_at TIMESTAMP WITH TIME ZONE, -- Set when an admin approves or rejects; NULL: waiting for review
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
     upload_date TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 -- ========================================
--- PHOTO_COMMENTS Table (Future feature)
+-- PHOTO_COMMENTS Table (Guests' comments on photos)
 -- ========================================
 CREATE TABLE photo_comments (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     photo_id UUID REFERENCES photos(id) ON DELETE CASCADE,
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
     comment TEXT NOT NULL,
-    is_approved BOOLEAN DEFAULT true,
+    is_approved BOOLEAN DEFAULT true, -- Shown straight away; admins hide a comment by clearing this
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
 );
 
 -- ========================================
--- PHOTO_UPVOTES Table (Future feature)
+-- PHOTO_UPVOTES Table (One upvote per guest per photo)
 -- ========================================
 CREATE TABLE photo_upvotes (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -110,22 +431,50 @@ CREATE TABLE photo_upvotes (
 CREATE INDEX idx_users_partner ON users(partner_id);
 CREATE INDEX idx_users_name ON users(last_name, first_name);
 CREATE INDEX idx_users_email ON users(email);
+CREATE UNIQUE INDEX idx_users_email_active ON users(email) WHERE deleted_at IS NULL; -- Removed guests keep their email
 CREATE INDEX idx_users_admin ON users(is_admin);
 CREATE INDEX idx_users_status ON users(account_status);
 CREATE INDEX idx_users_deleted ON users(deleted_at);
+CREATE INDEX idx_users_invitation_code ON users(invitation_code);
+CREATE INDEX idx_users_household ON users(household_id);
+CREATE UNIQUE INDEX idx_users_plus_one_of ON users(plus_one_of) WHERE deleted_at IS NULL; -- One plus-one per guest
+CREATE INDEX idx_users_full_name_trgm ON users USING gin (normalize_name(full_name) gin_trgm_ops);
+
+-- Name matching
+CREATE INDEX idx_name_nicknames_nickname ON name_nicknames(nickname);
 
 -- RSVPs
-CREATE INDEX idx_rsvps_user ON rsvps(user_id);
+CREATE UNIQUE INDEX idx_rsvps_user ON rsvps(user_id);
 CREATE INDEX idx_rsvps_partner ON rsvps(partner_id);
 CREATE INDEX idx_rsvps_status ON rsvps(response_status);
+CREATE INDEX idx_rsvps_meal_option ON rsvps(meal_option_id);
+
+-- Events
+CREATE INDEX idx_event_invitations_user ON event_invitations(user_id);
+CREATE INDEX idx_event_responses_user ON event_responses(user_id);
+CREATE INDEX idx_events_venue ON events(venue_id);
+
+-- Song requests
+CREATE INDEX idx_song_requests_title_key ON song_requests(title_key);
+
+-- Change history
+CREATE INDEX idx_change_history_user ON change_history(user_id, changed_at);
 
 -- Sessions
 CREATE INDEX idx_sessions_expire ON user_sessions(expire);
 
+-- Auth tokens
+CREATE INDEX idx_auth_tokens_user ON auth_tokens(user_id, purpose);
+CREATE INDEX idx_auth_tokens_expires ON auth_tokens(expires_at);
+
 -- Photos
 CREATE INDEX idx_photos_user ON photos(user_id);
 CREATE INDEX idx_photos_approved ON photos(is_approved);
 CREATE INDEX idx_photos_featured ON photos(is_featured);
+CREATE INDEX idx_photos_review_queue ON photos(upload_date) WHERE NOT is_approved AND reviewed_at IS NULL;
+CREATE INDEX idx_photo_comments_photo ON photo_comments(photo_id, created_at);
+CREATE INDEX idx_photo_comments_user ON photo_comments(user_id);
+CREATE INDEX idx_photo_upvotes_user ON photo_upvotes(user_id);
 
 -- ========================================
 -- CONSTRAINTS and VALIDATIONS
@@ -143,6 +492,15 @@ ALTER TABLE users ADD CONSTRAINT chk_account_status
 ALTER TABLE rsvps ADD CONSTRAINT chk_response_status 
     CHECK (response_status IN ('attending', 'not_attending', 'pending'));
 
+-- Only approved photos can be featured
+ALTER TABLE photos ADD CONSTRAINT chk_photos_featured_approved CHECK (is_approved OR NOT is_featured);
+
+-- Ensure dietary tags are from the known list
+ALTER TABLE rsvps ADD CONSTRAINT check_dietary_tags CHECK (dietary_tags <@ ARRAY[
+    'vegetarian', 'vegan', 'pescatarian', 'gluten_free', 'dairy_free',
+    'nut_allergy', 'shellfish_allergy', 'egg_allergy', 'halal', 'kosher'
+]::TEXT[]);
+
 -- ========================================
 -- SAMPLE DATA (for testing)
 -- ========================================
@@ -161,6 +519,49 @@ WHERE first_name = 'John' AND last_name = 'Smith';
 UPDATE users SET partner_id = (SELECT id FROM users WHERE first_name = 'John' AND last_name = 'Smith') 
 WHERE first_name = 'Jane' AND last_name = 'Smith';
 
+-- Partners share a household
+INSERT INTO households (name, primary_contact_id, seats)
+SELECT 'Smith', id, 2 FROM users WHERE first_name = 'John' AND last_name = 'Smith';
+
+UPDATE users SET household_id = (SELECT id FROM households WHERE name = 'Smith')
+WHERE last_name = 'Smith';
+
+-- Site content: the venue, the weekend's events, hotels, FAQs and meals
+INSERT INTO venues (slug, name, address, phone, website_url, map_url, description, sort_order) VALUES
+('presidio', 'Presidio Officers'' Club', E'50 Moraga Avenue\nSan Francisco, CA 94129', '(415) 561-5444',
+ 'https://www.presidio.gov/venues/officers-club', 'https://maps.google.com/?q=50+Moraga+Avenue+San+Francisco+CA',
+ 'A historic Spanish Colonial Revival building with views of the Golden Gate Bridge and San Francisco Bay.', 1);
+
+INSERT INTO events (slug, name, starts_at, venue_id, location, dress_code, description, sort_order) VALUES
+('welcome_party', 'Welcome Party', '2026-06-20 19:00 America/Los_Angeles', NULL, 'Hotel Lobby Bar', 'Casual',
+ 'Join us for a casual evening of drinks and appetizers to kick off the wedding weekend.', 1),
+('ceremony', 'Wedding Ceremony', '2026-06-21 16:00 America/Los_Angeles', (SELECT id FROM venues WHERE slug = 'presidio'),
+ 'Garden Pavilion', 'Cocktail Attire',
+ 'Join us as we exchange vows in a beautiful outdoor ceremony surrounded by our loved ones.', 2),
+('reception', 'Wedding Reception', '2026-06-21 18:00 America/Los_Angeles', (SELECT id FROM venues WHERE slug = 'presidio'),
+ 'Grand Ballroom', 'Cocktail Attire',
+ 'Celebrate with us as we dance the night away with dinner, drinks, and dancing.', 3),
+('brunch', 'Farewell Brunch', '2026-06-22 10:00 America/Los_Angeles', NULL, 'Hotel Restaurant', 'Casual',
+ 'Join us for a relaxed brunch before we head off on our honeymoon.', 4);
+
+INSERT INTO hotel_blocks (name, is_room_block, rate, booking_code, booking_deadline, phone, distance, room_types, sort_order) VALUES
+('The Grand Hotel & Gardens', true, '$199/night', 'Patricia & James Wedding', '2026-05-21', '(555) 123-4567', NULL,
+ ARRAY['Standard King Room - $199/night', 'Deluxe King Room - $229/night',
+       'Junior Suite - $299/night', 'Executive Suite - $399/night'], 1),
+('Garden Inn', false, '$149/night', NULL, NULL, '(555) 987-6543', '2 miles from venue', '{}', 2),
+('City Center Hotel', false, '$129/night', NULL, NULL, '(555) 456-7890', '3 miles from venue', '{}', 3);
+
+INSERT INTO faqs (question, answer, sort_order) VALUES
+('How do I get from the airport?', 'An airport shuttle runs from the hotel, and rental cars are available at the airport.', 1),
+('How do I get to the venue?', 'A wedding shuttle runs between the hotel and the venue. Uber and Lyft are also available in the area.', 2),
+('Is there parking at the venue?', 'Complimentary parking is available in the Presidio, and valet service is provided for the event.', 3);
+
+INSERT INTO meal_options (slug, name, description, is_kids_meal, sort_order) VALUES
+('beef', 'Beef', 'Braised short rib with seasonal vegetables', false, 1),
+('fish', 'Fish', 'Pan-seared salmon with lemon butter', false, 2),
+('vegetarian', 'Vegetarian', 'Wild mushroom risotto', false, 3),
+('kids', 'Kids'' Meal', 'Chicken tenders with fries and fruit', true, 4);
+
 -- ========================================
 -- VIEWS for Common Queries
 -- ========================================
@@ -203,7 +604,7 @@ SELECT
 FROM rsvps r
 JOIN users u ON r.user_id = u.id
 LEFT JOIN users p ON r.partner_id = p.id
-WHERE u.deleted_at IS NULL;
+WHERE u.deleted_at IS NULL AND r.deleted_at IS NULL;
 
 -- View: Users with RSVP status
 CREATE VIEW users_with_rsvp AS
@@ -220,7 +621,7 @@ SELECT
     r.responded_at,
     CASE WHEN r.id IS NOT NULL THEN true ELSE false END as has_rsvp
 FROM users u
-LEFT JOIN rsvps r ON u.id = r.user_id
+LEFT JOIN rsvps r ON u.id = r.user_id AND r.deleted_at IS NULL
 WHERE u.deleted_at IS NULL;
 
 -- ========================================
@@ -321,6 +722,9 @@ $$ LANGUAGE plpgsql;
 -- ✅ Seeding workflow: names first, email on registration
 -- ✅ Individual RSVP records with specific dietary restrictions
 -- ✅ Partner RSVP logic: either partner can RSVP for both
+-- ✅ Households: any registered member can RSVP for the whole household
+-- ✅ Events: per-event answers and invitation scoping
+-- ✅ Site content: venues, hotels and FAQs served by /api/content
 -- ✅ Plus-one handling: plus-ones become real users
 -- ✅ No data duplication: email only stored once
 -- ✅ Soft delete: deleted_at instead of is_active
@@ -4,7 +4,37 @@ const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
 });
 
+/**
+ * Run fn(client) in a transaction on one pooled connection
+ * Commits when fn resolves and rolls back when it throws (rethrowing the
+ * error); the client is always released. Returns what fn returns.
+ * Every query in the transaction must go through the client: pool.query
+ * may run on another connection, outside the transaction.
+ */
+async function transaction(fn) {
+  const client = await pool.connect();
+  let releaseError;
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      // The connection is broken; don't hand it back to the pool
+      releaseError = rollbackError;
+    }
+    throw error;
+  } finally {
+    client.release(releaseError);
+  }
+}
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
   pool: pool,
-};
\ No newline at end of file
+  transaction,
+};
@@ -4,14 +4,26 @@ const session = require('express-session');
 const PgSession = require('connect-pg-simple')(session);
 const path = require('path');
 const { query } = require('./config/db');
+const { cors } = require('./middleware/cors');
+const { requireCsrf } = require('./middleware/csrf');
 
 // Import routes
 const rsvpsRouter = require('./routes/rsvps');
 const authRouter = require('./routes/auth');
+const adminRouter = require('./routes/admin');
+const contentRouter = require('./routes/content');
+const songsRouter = require('./routes/songs');
+const photosRouter = require('./routes/photos');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 
+// Behind a reverse proxy, trust its X-Forwarded-For so req.ip (used for
+// rate limiting) is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
@@ -32,18 +44,8 @@ app.use(session({
   }
 }));
 
-// CORS middleware (for development)
-app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-  
-  if (req.method === 'OPTIONS') {
-    res.sendStatus(200);
-  } else {
-    next();
-  }
-});
+// CORS: only allowlisted origins (CORS_ALLOWED_ORIGINS) may call the API
+app.use(cors);
 
 // Serve static files from the client directory
 const clientPath = path.join(__dirname, '../../client/src');
@@ -59,9 +61,16 @@ app.get('/api/health', (req, res) => {
   });
 });
 
+// CSRF tokens are required on state-changing requests from logged-in sessions
+app.use('/api', requireCsrf);
+
 // Mount API routes
 app.use('/api/auth', authRouter);
 app.use('/api/rsvps', rsvpsRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/content', contentRouter);
+app.use('/api/songs', songsRouter);
+app.use('/api/photos', photosRouter);
 
 // Serve the main HTML file for all non-API routes (SPA routing)
 app.use((req, res) => {
@@ -83,6 +92,12 @@ app.use((err, req, res, next) => {
 // Initialize database and start server
 async function startServer() {
   try {
+    // The CORS check and emailed links need the site's public address; behind
+    // an https proxy the requests themselves only say http
+    if (process.env.NODE_ENV === 'production' && !process.env.APP_BASE_URL) {
+      throw new Error('APP_BASE_URL must be set in production (e.g. https://patriciajames.com)');
+    }
+
     // Test database connection (optional for development)
     try {
       const result = await query('SELECT NOW() as current_time');
@@ -31,6 +31,7 @@ const requireAuth = async (req, res, next) => {
         u.last_name,
         u.full_name,
         u.partner_id,
+        u.household_id,
         u.plus_one_allowed,
         u.is_admin,
         u.account_status,
@@ -63,6 +64,7 @@ const requireAuth = async (req, res, next) => {
       last_name: user.last_name,
       full_name: user.full_name,
       partner_id: user.partner_id,
+      household_id: user.household_id,
       plus_one_allowed: user.plus_one_allowed,
       is_admin: user.is_admin,
       account_status: user.account_status,
@@ -125,6 +127,7 @@ const optionalAuth = async (req, res, next) => {
           u.last_name,
           u.full_name,
           u.partner_id,
+          u.household_id,
           u.plus_one_allowed,
           u.is_admin,
           u.account_status
@@ -141,6 +144,7 @@ const optionalAuth = async (req, res, next) => {
           last_name: user.last_name,
           full_name: user.full_name,
           partner_id: user.partner_id,
+          household_id: user.household_id,
           plus_one_allowed: user.plus_one_allowed,
           is_admin: user.is_admin,
           account_status: user.account_status
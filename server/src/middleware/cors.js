@@ -0,0 +1,78 @@
+/**
+ * CORS Middleware
+ *
+ * Only the site's own origin and origins in CORS_ALLOWED_ORIGINS
+ * (comma-separated, e.g. "https://patriciajames.com,http://localhost:3000")
+ * may call the API from a browser. Allowed origins get credentialed CORS
+ * headers; state-changing requests from any other origin are rejected, which
+ * also stops cross-site form posts to the anonymous auth endpoints.
+ *
+ * The site's own origin comes from APP_BASE_URL, which production requires:
+ * behind a TLS-terminating proxy the request itself looks like plain http.
+ */
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function getAllowedOrigins() {
+  return (process.env.CORS_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+}
+
+/**
+ * The origin the SPA is served from: APP_BASE_URL's, or in development the
+ * request's own
+ */
+function getAppOrigin(req) {
+  if (process.env.APP_BASE_URL) {
+    return new URL(process.env.APP_BASE_URL).origin;
+  }
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Same-origin requests (the SPA served by this server) are always allowed
+ */
+function isAllowedOrigin(req, origin) {
+  return origin === getAppOrigin(req) || getAllowedOrigins().includes(origin);
+}
+
+const cors = (req, res, next) => {
+  const origin = req.get('origin');
+
+  // Non-browser clients (curl, tests) send no Origin header
+  if (!origin) {
+    return next();
+  }
+
+  res.vary('Origin');
+
+  if (!isAllowedOrigin(req, origin)) {
+    if (!SAFE_METHODS.includes(req.method) || req.method === 'OPTIONS') {
+      return res.status(403).json({
+        success: false,
+        message: 'Origin not allowed',
+        code: 'ORIGIN_NOT_ALLOWED'
+      });
+    }
+    return next();
+  }
+
+  res.header('Access-Control-Allow-Origin', origin);
+  res.header('Access-Control-Allow-Credentials', 'true');
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization, X-CSRF-Token');
+
+  if (req.method === 'OPTIONS') {
+    return res.sendStatus(204);
+  }
+
+  next();
+};
+
+module.exports = {
+  cors,
+  getAllowedOrigins,
+  getAppOrigin
+};
@@ -0,0 +1,66 @@
+/**
+ * CSRF Protection Middleware
+ *
+ * Session-bound synchronizer tokens. The client fetches a token from
+ * GET /api/auth/csrf-token and sends it back in the X-CSRF-Token header on
+ * every state-changing request. Requests from a logged-in session without a
+ * matching token are rejected.
+ *
+ * Anonymous requests carry no session to abuse and are covered by the
+ * origin allowlist (see cors.js).
+ */
+
+const crypto = require('crypto');
+
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Return the session's token, creating one on first use
+ */
+function getCsrfToken(req) {
+  if (!req.session.csrfToken) {
+    req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+  }
+  return req.session.csrfToken;
+}
+
+function tokensMatch(expected, received) {
+  if (!expected || typeof received !== 'string') {
+    return false;
+  }
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+/**
+ * Middleware to require a valid CSRF token on state-changing requests
+ * from authenticated sessions
+ */
+const requireCsrf = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  if (!req.session || !req.session.userId) {
+    return next();
+  }
+
+  if (!tokensMatch(req.session.csrfToken, req.get(CSRF_HEADER))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Invalid or missing CSRF token. Please refresh the page and try again.',
+      code: 'CSRF_INVALID'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  CSRF_HEADER,
+  getCsrfToken,
+  requireCsrf
+};
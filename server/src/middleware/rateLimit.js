@@ -0,0 +1,227 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Throttles the guest lookup, login, registration, magic-link and password
+ * reset endpoints per client IP and per account, with counters stored in the
+ * rate_limits table so limits survive server restarts.
+ *
+ * Each (scope, key) bucket counts attempts in a fixed window. Reaching the
+ * limit locks the bucket; every further lockout within a day doubles the
+ * lock, up to MAX_LOCKOUT_MINUTES.
+ */
+
+const { query } = require('../config/db');
+
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+const LOCKOUT_MEMORY_HOURS = 24;
+
+/**
+ * Limits per scope: maxAttempts per windowMinutes, then a lock of
+ * lockoutMinutes (doubling with each repeat lockout)
+ */
+const RATE_LIMITS = {
+  guest_lookup: {
+    ip: { maxAttempts: 60, windowMinutes: 15, lockoutMinutes: 15 }
+  },
+  login: {
+    ip: { maxAttempts: 20, windowMinutes: 15, lockoutMinutes: 15 },
+    account: { maxAttempts: 5, windowMinutes: 15, lockoutMinutes: 1 }
+  },
+  register: {
+    ip: { maxAttempts: 10, windowMinutes: 60, lockoutMinutes: 15 },
+    account: { maxAttempts: 5, windowMinutes: 60, lockoutMinutes: 15 }
+  },
+  // Each request sends an email, so an address only gets a few an hour
+  magic_link: {
+    ip: { maxAttempts: 10, windowMinutes: 60, lockoutMinutes: 15 },
+    account: { maxAttempts: 5, windowMinutes: 60, lockoutMinutes: 60 }
+  },
+  password_reset: {
+    ip: { maxAttempts: 10, windowMinutes: 60, lockoutMinutes: 15 },
+    account: { maxAttempts: 3, windowMinutes: 60, lockoutMinutes: 60 }
+  }
+};
+
+/**
+ * Buckets that apply to this request: always the client IP, plus the
+ * account when the scope tracks one and the request names it
+ */
+function getBuckets(req, limits, accountKey) {
+  const buckets = [{ type: 'ip', key: `ip:${req.ip}`, limit: limits.ip }];
+
+  const account = limits.account && accountKey ? accountKey(req) : null;
+  if (account) {
+    buckets.push({ type: 'account', key: `account:${String(account).slice(0, 255)}`, limit: limits.account });
+  }
+
+  return buckets;
+}
+
+/**
+ * Return the longest active lock among the buckets, or null
+ */
+async function findLock(scope, buckets) {
+  const result = await query(`
+    SELECT key, locked_until
+    FROM rate_limits
+    WHERE scope = $1 AND key = ANY($2) AND locked_until > CURRENT_TIMESTAMP
+    ORDER BY locked_until DESC
+    LIMIT 1
+  `, [scope, buckets.map(bucket => bucket.key)]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const lock = result.rows[0];
+  return {
+    type: lock.key.startsWith('account:') ? 'account' : 'ip',
+    locked_until: new Date(lock.locked_until)
+  };
+}
+
+/**
+ * Count one attempt against each bucket, locking any that hit their limit
+ */
+async function recordAttempt(scope, buckets) {
+  for (const { key, limit } of buckets) {
+    const result = await query(`
+      INSERT INTO rate_limits (scope, key, attempts, window_started_at, updated_at)
+      VALUES ($1, $2, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT (scope, key) DO UPDATE SET
+        attempts = CASE
+          WHEN rate_limits.window_started_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 minute') THEN 1
+          ELSE rate_limits.attempts + 1
+        END,
+        window_started_at = CASE
+          WHEN rate_limits.window_started_at < CURRENT_TIMESTAMP - ($3 * INTERVAL '1 minute') THEN CURRENT_TIMESTAMP
+          ELSE rate_limits.window_started_at
+        END,
+        lockouts = CASE
+          WHEN rate_limits.updated_at < CURRENT_TIMESTAMP - ($4 * INTERVAL '1 hour') THEN 0
+          ELSE rate_limits.lockouts
+        END,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING attempts
+    `, [scope, key, limit.windowMinutes, LOCKOUT_MEMORY_HOURS]);
+
+    if (result.rows[0].attempts >= limit.maxAttempts) {
+      await query(`
+        UPDATE rate_limits
+        SET
+          attempts = 0,
+          window_started_at = CURRENT_TIMESTAMP,
+          locked_until = CURRENT_TIMESTAMP + (LEAST($3 * POWER(2, lockouts), $4) * INTERVAL '1 minute'),
+          lockouts = lockouts + 1
+        WHERE scope = $1 AND key = $2
+      `, [scope, key, limit.lockoutMinutes, MAX_LOCKOUT_MINUTES]);
+    }
+  }
+}
+
+/**
+ * Forget the account buckets (after a successful login)
+ */
+async function clearAccount(scope, buckets) {
+  const keys = buckets.filter(bucket => bucket.type === 'account').map(bucket => bucket.key);
+  if (keys.length > 0) {
+    await query('DELETE FROM rate_limits WHERE scope = $1 AND key = ANY($2)', [scope, keys]);
+  }
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 120) {
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  return `${Math.ceil(minutes / 60)} hours`;
+}
+
+/**
+ * Send the structured 429 response for a lock
+ */
+function sendLocked(res, lock) {
+  const retryAfter = Math.max(1, Math.ceil((lock.locked_until.getTime() - Date.now()) / 1000));
+  const isAccount = lock.type === 'account';
+
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: isAccount
+      ? `Too many attempts for this account. Please try again in ${formatWait(retryAfter)}.`
+      : `Too many attempts. Please try again in ${formatWait(retryAfter)}.`,
+    code: isAccount ? 'ACCOUNT_LOCKED' : 'RATE_LIMITED',
+    retry_after: retryAfter
+  });
+}
+
+/**
+ * Create rate limiting middleware for a scope in RATE_LIMITS
+ *
+ * Options:
+ * - accountKey: (req) => identifier of the targeted account, if any
+ * - countAll:   count every request (lookups); otherwise the route calls
+ *               req.rateLimit.recordFailure() on failed attempts only
+ *
+ * Sets req.rateLimit = { recordFailure(), reset() } for the route.
+ * Storage errors are logged and the request is let through, so a database
+ * hiccup doesn't lock every guest out.
+ */
+const rateLimit = (scope, { accountKey = null, countAll = false } = {}) => {
+  const limits = RATE_LIMITS[scope];
+  if (!limits) {
+    throw new Error(`Unknown rate limit scope: ${scope}`);
+  }
+
+  return async (req, res, next) => {
+    const buckets = getBuckets(req, limits, accountKey);
+
+    const safely = (fn) => async () => {
+      try {
+        await fn(scope, buckets);
+      } catch (error) {
+        console.error(`Rate limit error (${scope}):`, error);
+      }
+    };
+
+    const record = safely(recordAttempt);
+
+    req.rateLimit = {
+      recordFailure: record,
+      reset: safely(clearAccount)
+    };
+
+    try {
+      const lock = await findLock(scope, buckets);
+      if (lock) {
+        return sendLocked(res, lock);
+      }
+    } catch (error) {
+      console.error(`Rate limit error (${scope}):`, error);
+      return next();
+    }
+
+    if (countAll) {
+      await record();
+    }
+
+    next();
+  };
+};
+
+/**
+ * Account key for endpoints identified by email
+ */
+const emailAccountKey = (req) => {
+  const { email } = req.body || {};
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+module.exports = {
+  RATE_LIMITS,
+  rateLimit,
+  emailAccountKey
+};
@@ -0,0 +1,1693 @@
+const express = require('express');
+const router = express.Router();
+const { query, transaction } = require('../config/db');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { EXPORT_FORMATS, EXPORT_REPORTS, getReportFormats, buildExport } = require('../utils/exports');
+const { linkPartners, unlinkPartner } = require('../utils/partners');
+const {
+  HOUSEHOLD_COLUMNS,
+  createHousehold,
+  addToHousehold,
+  removeFromHousehold,
+  getHousehold
+} = require('../utils/households');
+const { EVENT_COLUMNS, INVITED_TO_EVENT, listEvents, getEventHeadcounts } = require('../utils/events');
+const { parseDeadline } = require('../utils/rsvpDeadline');
+const { CLAIM_LINK_TTL_DAYS, getClaimLinkError, sendClaimLink } = require('../utils/plusOnes');
+const { getAppBaseUrl } = require('../utils/mailer');
+const {
+  recordGuestCreated,
+  trackGuestChanges,
+  recordEventResponseChange,
+  getGuestHistory
+} = require('../utils/history');
+const {
+  CONTENT_TYPES,
+  validateContent,
+  checkReferences,
+  listContentItems,
+  createContentItem,
+  updateContentItem,
+  deleteContentItem
+} = require('../utils/content');
+const {
+  parseReviewQuery,
+  listPhotosForReview,
+  validateModeration,
+  moderatePhotos
+} = require('../utils/photos');
+const {
+  parseCommentReviewQuery,
+  listCommentsForReview,
+  validateCommentModeration,
+  moderateComments
+} = require('../utils/photoComments');
+
+// Fields an admin may set directly on a guest record
+const EDITABLE_FIELDS = [
+  'first_name', 'last_name', 'email', 'admin_notes', 'plus_one_allowed', 'is_admin', 'rsvp_deadline_override'
+];
+const TOGGLE_FIELDS = ['plus_one_allowed', 'is_admin'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+const GUEST_SELECT = `
+  SELECT
+    u.id,
+    u.first_name,
+    u.last_name,
+    u.full_name,
+    u.email,
+    u.partner_id,
+    u.household_id,
+    u.plus_one_allowed,
+    u.is_admin,
+    u.account_status,
+    u.admin_notes,
+    u.invitation_code,
+    u.rsvp_deadline_override,
+    u.plus_one_of,
+    u.created_at,
+    u.updated_at,
+    u.deleted_at,
+    p.first_name as partner_first_name,
+    p.last_name as partner_last_name,
+    p.full_name as partner_full_name,
+    h.name as household_name
+  FROM users u
+  LEFT JOIN users p ON u.partner_id = p.id
+  LEFT JOIN households h ON u.household_id = h.id
+`;
+
+/**
+ * Load one guest (including soft-deleted ones) or null
+ */
+async function findGuest(id) {
+  const result = await query(`${GUEST_SELECT} WHERE u.id = $1`, [id]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+function sendGuestNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Guest not found',
+    code: 'GUEST_NOT_FOUND'
+  });
+}
+
+/**
+ * Translate constraint violations on users into 4xx responses
+ * Returns true when a response was sent
+ */
+function handleConstraintError(res, error) {
+  if (error.code === '23505' && error.constraint === 'idx_users_plus_one_of') {
+    res.status(409).json({
+      success: false,
+      message: 'The guest who brought this plus-one already has another plus-one',
+      code: 'PLUS_ONE_EXISTS'
+    });
+    return true;
+  }
+  if (error.code === '23505') {
+    res.status(409).json({
+      success: false,
+      message: 'That email address is already used by another guest',
+      code: 'EMAIL_IN_USE'
+    });
+    return true;
+  }
+  if (error.code === '23514' || error.code === '22P02') {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid guest details',
+      error: error.message
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Check a guest's email when one is given (empty clears it)
+ * Returns an error message or null
+ */
+function validateGuestEmail(email) {
+  if (email === undefined || email === null || email === '') {
+    return null;
+  }
+  if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+    return `"${email}" isn't an email address`;
+  }
+  return null;
+}
+
+/**
+ * Check a prospective partner: must exist, be active and not be the guest
+ * Returns an error message or null
+ */
+async function validatePartner(guestId, partnerId) {
+  if (guestId && partnerId === guestId) {
+    return 'A guest cannot be their own partner';
+  }
+  const partner = await findGuest(partnerId);
+  if (!partner || partner.deleted_at) {
+    return 'Partner not found';
+  }
+  return null;
+}
+
+/**
+ * GET /api/admin/guests
+ * List guests with their partners
+ * ?include_deleted=true also returns soft-deleted guests; ?q= filters by name or email
+ */
+router.get('/guests', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const includeDeleted = req.query.include_deleted === 'true';
+    const search = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    const result = await query(`
+      ${GUEST_SELECT}
+      WHERE ($1 OR u.deleted_at IS NULL)
+      AND ($2 = '' OR u.full_name ILIKE '%' || $2 || '%' OR u.email ILIKE '%' || $2 || '%')
+      ORDER BY u.last_name, u.first_name
+    `, [includeDeleted, search]);
+
+    res.json({
+      success: true,
+      data: {
+        guests: result.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing guests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list guests',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/guests/:id
+ * Get one guest (including soft-deleted guests)
+ */
+router.get('/guests/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest) {
+      return sendGuestNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: guest
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error fetching guest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch guest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/guests/:id/history
+ * A guest's timeline: every change to their guest record, RSVP and event
+ * answers, oldest first, with who made it
+ */
+router.get('/guests/:id/history', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest) {
+      return sendGuestNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        guest,
+        history: await getGuestHistory(guest.id)
+      }
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error fetching guest history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch guest history',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/guests/:id/claim-link
+ * Email a plus-one a link to set up their own account
+ * data.claim_url is the link, to pass on another way if the email goes astray;
+ * it works once and replaces any earlier link.
+ */
+router.post('/guests/:id/claim-link', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest || guest.deleted_at) {
+      return sendGuestNotFound(res);
+    }
+
+    const host = guest.plus_one_of ? await findGuest(guest.plus_one_of) : null;
+    if (!host) {
+      return res.status(400).json({
+        success: false,
+        message: `${guest.full_name} isn't anyone's plus-one`,
+        code: 'NOT_A_PLUS_ONE'
+      });
+    }
+
+    const claimError = getClaimLinkError(guest);
+    if (claimError) {
+      return res.status(claimError.status).json({
+        success: false,
+        message: claimError.message,
+        code: claimError.code
+      });
+    }
+
+    const claimUrl = await sendClaimLink(guest, host, getAppBaseUrl(req));
+
+    res.json({
+      success: true,
+      message: `Account link emailed to ${guest.email}`,
+      data: {
+        claim_url: claimUrl,
+        expires_in_days: CLAIM_LINK_TTL_DAYS
+      }
+    });
+
+  } catch (error) {
+    console.error('Error sending claim link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send the link',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/guests
+ * Add a guest to the guest list
+ * Optional partner_id links the new guest to an existing one (both directions)
+ */
+router.post('/guests', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const {
+      first_name,
+      last_name,
+      email,
+      admin_notes,
+      plus_one_allowed,
+      is_admin,
+      partner_id
+    } = req.body;
+
+    if (!first_name || !last_name) {
+      return res.status(400).json({
+        success: false,
+        message: 'First name and last name are required'
+      });
+    }
+
+    const emailError = validateGuestEmail(email);
+    if (emailError) {
+      return res.status(400).json({
+        success: false,
+        message: emailError
+      });
+    }
+
+    if (partner_id) {
+      const partnerError = await validatePartner(null, partner_id);
+      if (partnerError) {
+        return res.status(400).json({
+          success: false,
+          message: partnerError
+        });
+      }
+    }
+
+    // The guest and their partner link are saved together or not at all
+    const guestId = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO users (first_name, last_name, email, admin_notes, plus_one_allowed, is_admin, account_status)
+        VALUES ($1, $2, $3, $4, $5, $6, 'guest')
+        RETURNING id
+      `, [
+        first_name.trim(),
+        last_name.trim(),
+        email ? email.trim() : null,
+        admin_notes || null,
+        plus_one_allowed === true,
+        is_admin === true
+      ]);
+
+      const newId = result.rows[0].id;
+      await recordGuestCreated(newId, req.user.id, client);
+
+      if (partner_id) {
+        await trackGuestChanges(
+          [newId, partner_id],
+          req.user.id,
+          () => linkPartners(newId, partner_id, client),
+          client
+        );
+      }
+      return newId;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Guest created',
+      data: await findGuest(guestId)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error creating guest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create guest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/guests/:id
+ * Update guest details; only the fields present in the body are changed
+ * rsvp_deadline_override gives the guest their own RSVP deadline (null: the global one)
+ */
+router.put('/guests/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest || guest.deleted_at) {
+      return sendGuestNotFound(res);
+    }
+
+    const updates = EDITABLE_FIELDS.filter(field => req.body[field] !== undefined);
+
+    if (updates.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Nothing to update. Editable fields: ${EDITABLE_FIELDS.join(', ')}`
+      });
+    }
+
+    if (updates.includes('is_admin') && req.body.is_admin !== true && guest.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin access',
+        code: 'CANNOT_MODIFY_SELF'
+      });
+    }
+
+    for (const field of ['first_name', 'last_name']) {
+      if (updates.includes(field) && !String(req.body[field]).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'First name and last name cannot be empty'
+        });
+      }
+    }
+
+    const emailError = updates.includes('email') ? validateGuestEmail(req.body.email) : null;
+    if (emailError) {
+      return res.status(400).json({
+        success: false,
+        message: emailError
+      });
+    }
+
+    if (updates.includes('rsvp_deadline_override') && req.body.rsvp_deadline_override !== null &&
+        !parseDeadline(req.body.rsvp_deadline_override)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rsvp_deadline_override must be a date and time with a UTC offset, e.g. 2026-05-08T23:59:59-07:00, or null'
+      });
+    }
+
+    const values = updates.map(field => {
+      const value = req.body[field];
+      if (field === 'plus_one_allowed' || field === 'is_admin') {
+        return value === true;
+      }
+      if (field === 'email') {
+        return value ? String(value).trim() : null;
+      }
+      return typeof value === 'string' ? value.trim() : value;
+    });
+
+    const assignments = updates.map((field, index) => `${field} = $${index + 2}`);
+
+    await trackGuestChanges([guest.id], req.user.id, () => query(`
+      UPDATE users
+      SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [guest.id, ...values]));
+
+    res.json({
+      success: true,
+      message: 'Guest updated',
+      data: await findGuest(guest.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error updating guest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update guest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/guests/:id/toggle/:field
+ * Flip plus_one_allowed or is_admin
+ */
+router.post('/guests/:id/toggle/:field', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { field } = req.params;
+
+    if (!TOGGLE_FIELDS.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only ${TOGGLE_FIELDS.join(' and ')} can be toggled`
+      });
+    }
+
+    const guest = await findGuest(req.params.id);
+
+    if (!guest || guest.deleted_at) {
+      return sendGuestNotFound(res);
+    }
+
+    if (field === 'is_admin' && guest.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot remove your own admin access',
+        code: 'CANNOT_MODIFY_SELF'
+      });
+    }
+
+    await trackGuestChanges([guest.id], req.user.id, () => query(`
+      UPDATE users
+      SET ${field} = NOT ${field}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [guest.id]));
+
+    res.json({
+      success: true,
+      message: `${field} updated`,
+      data: await findGuest(guest.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error toggling guest field:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update guest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/guests/:id
+ * Soft-delete a guest (sets deleted_at), unlink their partner and take them
+ * out of their household
+ */
+router.delete('/guests/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest || guest.deleted_at) {
+      return sendGuestNotFound(res);
+    }
+
+    if (guest.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot delete your own account',
+        code: 'CANNOT_MODIFY_SELF'
+      });
+    }
+
+    // Unlinked, out of the household and deleted together, or not at all
+    await transaction(client => trackGuestChanges([guest.id], req.user.id, async () => {
+      await unlinkPartner(guest.id, client);
+      await removeFromHousehold(guest.id, client);
+      await client.query(`
+        UPDATE users
+        SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [guest.id]);
+    }, client));
+
+    res.json({
+      success: true,
+      message: 'Guest deleted',
+      data: {
+        id: guest.id,
+        former_partner_id: guest.partner_id,
+        former_household_id: guest.household_id
+      }
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error deleting guest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete guest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/guests/:id/restore
+ * Restore a soft-deleted guest (partner links and household are not restored)
+ */
+router.post('/guests/:id/restore', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest || !guest.deleted_at) {
+      return res.status(404).json({
+        success: false,
+        message: 'Deleted guest not found',
+        code: 'GUEST_NOT_FOUND'
+      });
+    }
+
+    await trackGuestChanges([guest.id], req.user.id, () => query(`
+      UPDATE users
+      SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [guest.id]));
+
+    res.json({
+      success: true,
+      message: 'Guest restored',
+      data: await findGuest(guest.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error restoring guest:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore guest',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/guests/:id/partner
+ * Link a guest to a partner (both directions)
+ * Any previous partner of either guest is unlinked.
+ */
+router.put('/guests/:id/partner', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { partner_id } = req.body;
+
+    if (!partner_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'partner_id is required'
+      });
+    }
+
+    const guest = await findGuest(req.params.id);
+
+    if (!guest || guest.deleted_at) {
+      return sendGuestNotFound(res);
+    }
+
+    const partnerError = await validatePartner(guest.id, partner_id);
+    if (partnerError) {
+      return res.status(400).json({
+        success: false,
+        message: partnerError
+      });
+    }
+
+    await transaction(client => trackGuestChanges(
+      [guest.id, partner_id],
+      req.user.id,
+      () => linkPartners(guest.id, partner_id, client),
+      client
+    ));
+
+    res.json({
+      success: true,
+      message: 'Partners linked',
+      data: await findGuest(guest.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error linking partner:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to link partner',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/guests/:id/partner
+ * Unlink a guest from their partner (both directions)
+ */
+router.delete('/guests/:id/partner', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const guest = await findGuest(req.params.id);
+
+    if (!guest || guest.deleted_at) {
+      return sendGuestNotFound(res);
+    }
+
+    await transaction(client => trackGuestChanges(
+      [guest.id],
+      req.user.id,
+      () => unlinkPartner(guest.id, client),
+      client
+    ));
+
+    res.json({
+      success: true,
+      message: 'Partner unlinked',
+      data: await findGuest(guest.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error unlinking partner:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlink partner',
+      error: error.message
+    });
+  }
+});
+
+function sendHouseholdNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Household not found',
+    code: 'HOUSEHOLD_NOT_FOUND'
+  });
+}
+
+/**
+ * Check household fields from a request body
+ * seats must fit the members; the primary contact must be one of them.
+ * Returns an error message or null
+ */
+function validateHousehold({ name, seats, primary_contact_id }, memberIds) {
+  if (name !== undefined && !String(name).trim()) {
+    return 'Household name cannot be empty';
+  }
+  if (seats !== undefined && (!Number.isInteger(seats) || seats < memberIds.length)) {
+    return `seats must be a whole number of at least ${memberIds.length} (one per member)`;
+  }
+  if (primary_contact_id && !memberIds.includes(primary_contact_id)) {
+    return 'The primary contact must be a member of the household';
+  }
+  return null;
+}
+
+/**
+ * GET /api/admin/households
+ * List households with their members
+ */
+router.get('/households', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        ${HOUSEHOLD_COLUMNS},
+        COALESCE(
+          json_agg(json_build_object(
+            'id', u.id,
+            'first_name', u.first_name,
+            'last_name', u.last_name,
+            'full_name', u.full_name,
+            'email', u.email,
+            'partner_id', u.partner_id,
+            'account_status', u.account_status
+          ) ORDER BY u.last_name, u.first_name, u.id) FILTER (WHERE u.id IS NOT NULL),
+          '[]'
+        ) as members
+      FROM households h
+      LEFT JOIN users u ON u.household_id = h.id AND u.deleted_at IS NULL
+      GROUP BY h.id
+      ORDER BY h.name, h.id
+    `);
+
+    res.json({
+      success: true,
+      data: {
+        households: result.rows
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing households:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list households',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/households/:id
+ * Get one household with its members and their RSVPs
+ */
+router.get('/households/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const household = await getHousehold(req.params.id);
+
+    if (!household) {
+      return sendHouseholdNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: household
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error fetching household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch household',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/households
+ * Create a household from member_ids (guests move out of their old household)
+ * Optional: name (default: the members' last names), seats (default: one per
+ * member plus one per allowed plus-one), primary_contact_id (default: first member)
+ */
+router.post('/households', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { member_ids, name, seats, primary_contact_id } = req.body;
+
+    if (!Array.isArray(member_ids) || member_ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'member_ids must list at least one guest'
+      });
+    }
+
+    const memberIds = [...new Set(member_ids)];
+    const validationError = validateHousehold(req.body, memberIds);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    for (const memberId of memberIds) {
+      const member = await findGuest(memberId);
+      if (!member || member.deleted_at) {
+        return res.status(400).json({
+          success: false,
+          message: `Guest ${memberId} not found`
+        });
+      }
+    }
+
+    const householdId = await trackGuestChanges(memberIds, req.user.id, () => createHousehold(memberIds, {
+      name: name ? String(name).trim() : undefined,
+      seats,
+      primaryContactId: primary_contact_id
+    }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Household created',
+      data: await getHousehold(householdId)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error creating household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create household',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/households/:id
+ * Update name, seats or primary_contact_id
+ */
+router.put('/households/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const household = await getHousehold(req.params.id);
+
+    if (!household) {
+      return sendHouseholdNotFound(res);
+    }
+
+    const { name, seats, primary_contact_id } = req.body;
+
+    if (name === undefined && seats === undefined && primary_contact_id === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to update. Editable fields: name, seats, primary_contact_id'
+      });
+    }
+
+    const validationError = validateHousehold(req.body, household.members.map(member => member.id));
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    await query(`
+      UPDATE households
+      SET
+        name = COALESCE($2, name),
+        seats = COALESCE($3, seats),
+        primary_contact_id = CASE WHEN $4 THEN $5::uuid ELSE primary_contact_id END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [
+      household.id,
+      name === undefined ? null : String(name).trim(),
+      seats === undefined ? null : seats,
+      primary_contact_id !== undefined,
+      primary_contact_id || null
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Household updated',
+      data: await getHousehold(household.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error updating household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update household',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/households/:id/members/:guestId
+ * Move a guest into the household (out of any other)
+ */
+router.put('/households/:id/members/:guestId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const household = await getHousehold(req.params.id);
+
+    if (!household) {
+      return sendHouseholdNotFound(res);
+    }
+
+    const guest = await findGuest(req.params.guestId);
+
+    if (!guest || guest.deleted_at) {
+      return sendGuestNotFound(res);
+    }
+
+    await trackGuestChanges([guest.id], req.user.id, () => addToHousehold(household.id, guest.id));
+
+    res.json({
+      success: true,
+      message: 'Guest added to household',
+      data: await getHousehold(household.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error adding household member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add household member',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/households/:id/members/:guestId
+ * Take a guest out of the household; an emptied household is deleted
+ */
+router.delete('/households/:id/members/:guestId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const household = await getHousehold(req.params.id);
+
+    if (!household) {
+      return sendHouseholdNotFound(res);
+    }
+
+    if (!household.members.some(member => member.id === req.params.guestId)) {
+      return sendGuestNotFound(res);
+    }
+
+    await trackGuestChanges([req.params.guestId], req.user.id, () => removeFromHousehold(req.params.guestId));
+
+    res.json({
+      success: true,
+      message: 'Guest removed from household',
+      data: await getHousehold(household.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error removing household member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove household member',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/households/:id
+ * Delete a household; its members stay on the guest list without one
+ */
+router.delete('/households/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const members = await query('SELECT id FROM users WHERE household_id::text = $1', [req.params.id]);
+    const result = await trackGuestChanges(
+      members.rows.map(member => member.id),
+      req.user.id,
+      () => query('DELETE FROM households WHERE id = $1 RETURNING id', [req.params.id])
+    );
+
+    if (result.rows.length === 0) {
+      return sendHouseholdNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      message: 'Household deleted',
+      data: {
+        id: result.rows[0].id
+      }
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error deleting household:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete household',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Load one event or null
+ */
+async function findEvent(id) {
+  const result = await query(`SELECT ${EVENT_COLUMNS} FROM events e WHERE e.id = $1`, [id]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+function sendEventNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Event not found',
+    code: 'EVENT_NOT_FOUND'
+  });
+}
+
+/**
+ * GET /api/admin/events
+ * List events with headcounts (invited, attending, not_attending, no_response)
+ */
+router.get('/events', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const events = await listEvents();
+    const headcounts = await getEventHeadcounts();
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => {
+          const { invited, attending, not_attending, no_response } =
+            headcounts.find(headcount => headcount.event_id === event.id);
+          return { ...event, invited, attending, not_attending, no_response };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error listing events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list events',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/events/:id
+ * Get an event with every invited guest and their answer
+ */
+router.get('/events/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const event = await findEvent(req.params.id);
+
+    if (!event) {
+      return sendEventNotFound(res);
+    }
+
+    const guests = await query(`
+      SELECT
+        u.id,
+        u.first_name,
+        u.last_name,
+        u.full_name,
+        u.household_id,
+        er.response_status,
+        er.responded_at
+      FROM events e
+      JOIN users u ON u.deleted_at IS NULL AND ${INVITED_TO_EVENT}
+      LEFT JOIN event_responses er ON er.event_id = e.id AND er.user_id = u.id
+      WHERE e.id = $1
+      ORDER BY u.last_name, u.first_name, u.id
+    `, [event.id]);
+
+    res.json({
+      success: true,
+      data: {
+        ...event,
+        guests: guests.rows
+      }
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error fetching event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch event',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/events/:id
+ * Set invite_all: true invites every guest, false only those with an invitation
+ */
+router.put('/events/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { invite_all } = req.body;
+
+    if (typeof invite_all !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'invite_all must be true or false'
+      });
+    }
+
+    const event = await findEvent(req.params.id);
+
+    if (!event) {
+      return sendEventNotFound(res);
+    }
+
+    await query(`
+      UPDATE events
+      SET invite_all = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [event.id, invite_all]);
+
+    res.json({
+      success: true,
+      message: 'Event updated',
+      data: await findEvent(event.id)
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error updating event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update event',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/events/:id/invitations
+ * Invite guests to an event: guest_ids, and/or household_id for every member
+ * Only matters while the event's invite_all is false.
+ */
+router.post('/events/:id/invitations', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { guest_ids, household_id } = req.body;
+
+    if ((guest_ids !== undefined && !Array.isArray(guest_ids)) || (!guest_ids && !household_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Send guest_ids (a list) and/or household_id'
+      });
+    }
+
+    const event = await findEvent(req.params.id);
+
+    if (!event) {
+      return sendEventNotFound(res);
+    }
+
+    const result = await query(`
+      INSERT INTO event_invitations (event_id, user_id)
+      SELECT $1, u.id
+      FROM users u
+      WHERE u.deleted_at IS NULL
+      AND (u.id = ANY($2::uuid[]) OR u.household_id = $3)
+      ON CONFLICT DO NOTHING
+      RETURNING user_id
+    `, [event.id, guest_ids || [], household_id || null]);
+
+    res.status(201).json({
+      success: true,
+      message: `${result.rows.length} guest(s) invited`,
+      data: {
+        event_id: event.id,
+        invited_ids: result.rows.map(row => row.user_id)
+      }
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error inviting guests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to invite guests',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/events/:id/invitations/:guestId
+ * Withdraw a guest's invitation to an event (their answer is removed too)
+ */
+router.delete('/events/:id/invitations/:guestId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await query(`
+      DELETE FROM event_invitations
+      WHERE event_id = $1 AND user_id = $2
+      RETURNING user_id
+    `, [req.params.id, req.params.guestId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+        code: 'INVITATION_NOT_FOUND'
+      });
+    }
+
+    const removed = await query(`
+      DELETE FROM event_responses
+      WHERE event_id = $1 AND user_id = $2
+      RETURNING response_status
+    `, [req.params.id, req.params.guestId]);
+
+    if (removed.rows.length > 0) {
+      await recordEventResponseChange(
+        req.params.guestId, req.params.id, removed.rows[0].response_status, null, req.user.id
+      );
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation withdrawn',
+      data: {
+        event_id: req.params.id,
+        guest_id: req.params.guestId
+      }
+    });
+
+  } catch (error) {
+    if (handleConstraintError(res, error)) return;
+    console.error('Error withdrawing invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw invitation',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * The content type named in the URL, or null after sending a 400
+ */
+function resolveContentType(req, res) {
+  if (!Object.prototype.hasOwnProperty.call(CONTENT_TYPES, req.params.type)) {
+    res.status(400).json({
+      success: false,
+      message: `Unknown content type "${req.params.type}". Use: ${Object.keys(CONTENT_TYPES).join(', ')}`
+    });
+    return null;
+  }
+  return req.params.type;
+}
+
+function sendContentNotFound(res, type) {
+  return res.status(404).json({
+    success: false,
+    message: `${CONTENT_TYPES[type].label} not found`,
+    code: 'CONTENT_NOT_FOUND'
+  });
+}
+
+/**
+ * Map database errors from content writes; returns true if a response was sent
+ */
+function handleContentError(res, error) {
+  if (error.code === '23505') {
+    res.status(409).json({
+      success: false,
+      message: 'That slug is already used',
+      code: 'SLUG_IN_USE'
+    });
+    return true;
+  }
+  if (error.code === '23503' || error.code === '23514' || error.code === '22P02' || error.code === '22007' || error.code === '22008') {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid content details',
+      error: error.message
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * GET /api/admin/content
+ * List the content types with their editable fields
+ */
+router.get('/content', requireAuth, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      types: Object.entries(CONTENT_TYPES).map(([name, type]) => ({
+        name,
+        fields: Object.entries(type.fields).map(([key, field]) => ({
+          key,
+          type: field.type,
+          required: !!field.required
+        }))
+      }))
+    }
+  });
+});
+
+/**
+ * GET /api/admin/content/:type
+ * List events, venues, hotel_blocks or faqs in display order
+ */
+router.get('/content/:type', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const type = resolveContentType(req, res);
+    if (!type) return;
+
+    const items = await listContentItems(type);
+
+    res.json({
+      success: true,
+      data: { [type]: items }
+    });
+
+  } catch (error) {
+    console.error('Error listing content:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list content',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/content/:type
+ * Add an event, venue, hotel block or FAQ (see GET /api/admin/content for fields)
+ * New events are open to every guest; see /api/admin/events to limit them.
+ */
+router.post('/content/:type', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const type = resolveContentType(req, res);
+    if (!type) return;
+
+    const { values, error } = validateContent(type, req.body, { creating: true });
+    const referenceError = error ? null : await checkReferences(type, values);
+
+    if (error || referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: error || referenceError
+      });
+    }
+
+    const item = await createContentItem(type, values);
+
+    res.status(201).json({
+      success: true,
+      message: `${CONTENT_TYPES[type].label} added`,
+      data: item
+    });
+
+  } catch (error) {
+    if (handleContentError(res, error)) return;
+    console.error('Error adding content:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add content',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/content/:type/:id
+ * Update any of an item's editable fields; null clears an optional field
+ */
+router.put('/content/:type/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const type = resolveContentType(req, res);
+    if (!type) return;
+
+    const { values, error } = validateContent(type, req.body);
+    const referenceError = error ? null : await checkReferences(type, values);
+
+    if (error || referenceError) {
+      return res.status(400).json({
+        success: false,
+        message: error || referenceError
+      });
+    }
+
+    const item = await updateContentItem(type, req.params.id, values);
+
+    if (!item) {
+      return sendContentNotFound(res, type);
+    }
+
+    res.json({
+      success: true,
+      message: `${CONTENT_TYPES[type].label} updated`,
+      data: item
+    });
+
+  } catch (error) {
+    if (handleContentError(res, error)) return;
+    console.error('Error updating content:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update content',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/content/:type/:id
+ * Delete an item; deleting an event also deletes its invitations and answers
+ */
+router.delete('/content/:type/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const type = resolveContentType(req, res);
+    if (!type) return;
+
+    const deleted = await deleteContentItem(type, req.params.id);
+
+    if (!deleted) {
+      return sendContentNotFound(res, type);
+    }
+
+    res.json({
+      success: true,
+      message: `${CONTENT_TYPES[type].label} deleted`,
+      data: { id: req.params.id }
+    });
+
+  } catch (error) {
+    console.error('Error deleting content:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete content',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/photos
+ * Guest photos by review status: ?status=pending (default, oldest first),
+ * approved, rejected, featured or all; page, page_size (default 24, up to 100)
+ */
+router.get('/photos', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const parsed = parseReviewQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { photos, total } = await listPhotosForReview(parsed);
+
+    res.json({
+      success: true,
+      data: {
+        photos,
+        pagination: {
+          page: parsed.page,
+          page_size: parsed.pageSize,
+          total,
+          total_pages: Math.ceil(total / parsed.pageSize)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching photos for review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch photos',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/photos/moderate
+ * Approve, reject, feature or unfeature photos in bulk: { photo_ids, action }
+ * Featuring also approves; rejecting also unfeatures and keeps the photo out of the queue.
+ */
+router.post('/photos/moderate', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { photoIds, action, error } = validateModeration(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const updatedIds = await moderatePhotos(photoIds, action, req.user.id);
+
+    res.json({
+      success: true,
+      message: `${updatedIds.length} photo(s) updated`,
+      data: {
+        action,
+        updated_ids: updatedIds
+      }
+    });
+
+  } catch (error) {
+    console.error('Error moderating photos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update photos',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/photo-comments
+ * Comments on guest photos, newest first: ?status=all (default), approved or rejected;
+ * page, page_size (default 50, up to 200)
+ */
+router.get('/photo-comments', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const parsed = parseCommentReviewQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { comments, total } = await listCommentsForReview(parsed);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: {
+          page: parsed.page,
+          page_size: parsed.pageSize,
+          total,
+          total_pages: Math.ceil(total / parsed.pageSize)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching photo comments for review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/admin/photo-comments/moderate
+ * Hide (reject) or show again (approve) comments in bulk: { comment_ids, action }
+ */
+router.post('/photo-comments/moderate', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { commentIds, isApproved, error } = validateCommentModeration(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const updatedIds = await moderateComments(commentIds, isApproved);
+
+    res.json({
+      success: true,
+      message: `${updatedIds.length} comment(s) updated`,
+      data: {
+        action: req.body.action,
+        updated_ids: updatedIds
+      }
+    });
+
+  } catch (error) {
+    console.error('Error moderating photo comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update comments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/admin/exports
+ * List the export reports with their columns
+ */
+router.get('/exports', requireAuth, requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      formats: EXPORT_FORMATS,
+      reports: Object.entries(EXPORT_REPORTS).map(([name, report]) => ({
+        name,
+        title: report.title,
+        formats: getReportFormats(name),
+        columns: report.columns.map(column => column.key)
+      }))
+    }
+  });
+});
+
+/**
+ * GET /api/admin/exports/:report
+ * Download roster, dietary, headcount (per event) or playlist as a spreadsheet
+ * ?format=csv (default) or xlsx, or m3u for the playlist;
+ * ?columns=first_name,last_name picks and orders columns
+ */
+router.get('/exports/:report', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const result = await buildExport(req.params.report, {
+      format: req.query.format || 'csv',
+      columns: req.query.columns
+    });
+
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.set('Content-Type', result.contentType);
+    res.set('Content-Disposition', `attachment; filename="wedding-${req.params.report}.${result.extension}"`);
+    res.send(result.content);
+
+  } catch (error) {
+    console.error('Error exporting report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export report',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,14 +1,75 @@
 const express = require('express');
 const router = express.Router();
 const { query } = require('../config/db');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const { createToken, consumeToken, revokeTokens } = require('../utils/tokens');
+const { sendMail, getAppBaseUrl } = require('../utils/mailer');
+const { normalizeInvitationCode } = require('../utils/invitationCodes');
+const { findGuestMatches, formatCandidate } = require('../utils/guestMatching');
+const { rateLimit, emailAccountKey } = require('../middleware/rateLimit');
+const { getCsrfToken } = require('../middleware/csrf');
+const { trackGuestChanges } = require('../utils/history');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES, 10) || 15;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Name and code lookups share one per-IP budget so the guest list can't be enumerated
+const guestLookupLimit = rateLimit('guest_lookup', { countAll: true });
+const loginLimit = rateLimit('login', { accountKey: emailAccountKey });
+const registerLimit = rateLimit('register', { accountKey: req => (req.body || {}).user_id, countAll: true });
+const magicLinkLimit = rateLimit('magic_link', { accountKey: emailAccountKey, countAll: true });
+const passwordResetLimit = rateLimit('password_reset', { accountKey: emailAccountKey, countAll: true });
+
+/**
+ * Store the user in the session and send the login response
+ * Shared by password and magic-link login; expects the partner columns
+ * selected by the login queries below.
+ */
+function createSession(req, res, user, message) {
+  req.session.userId = user.id;
+  req.session.save((err) => {
+    if (err) {
+      console.error('Session save error:', err);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to create session',
+        error: err.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: {
+        user_id: user.id,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        full_name: user.full_name,
+        plus_one_allowed: user.plus_one_allowed,
+        is_admin: user.is_admin,
+        partner: user.partner_id ? {
+          first_name: user.partner_first_name,
+          last_name: user.partner_last_name,
+          full_name: user.partner_full_name,
+          email: user.partner_email
+        } : null
+      }
+    });
+  });
+}
 
 /**
  * POST /api/auth/check-guest
  * Check if a guest exists by name (for authentication)
+ * Matching ignores accents and understands nicknames and partner surnames.
+ * When the name is unclear, responds with candidates instead of a guest;
+ * the client resends the request with the chosen candidate's user_id.
  */
-router.post('/check-guest', async (req, res) => {
+router.post('/check-guest', guestLookupLimit, async (req, res) => {
   try {
-    const { first_name, last_name } = req.body;
+    const { first_name, last_name, user_id } = req.body;
 
     if (!first_name || !last_name) {
       return res.status(400).json({
@@ -17,36 +78,33 @@ router.post('/check-guest', async (req, res) => {
       });
     }
 
-    // Look up user by name (schema v5: combined users table)
-    const result = await query(`
-      SELECT 
-        u.id,
-        u.first_name,
-        u.last_name,
-        u.full_name,
-        u.email,
-        u.partner_id,
-        u.plus_one_allowed,
-        u.account_status,
-        p.first_name as partner_first_name,
-        p.last_name as partner_last_name,
-        p.full_name as partner_full_name,
-        p.email as partner_email
-      FROM users u
-      LEFT JOIN users p ON u.partner_id = p.id
-      WHERE u.first_name ILIKE $1 AND u.last_name ILIKE $2
-      AND u.deleted_at IS NULL
-    `, [first_name.trim(), last_name.trim()]);
+    const { match, candidates, ambiguous } = await findGuestMatches(first_name.trim(), last_name.trim());
+
+    // A candidate chosen by the guest must come from this same lookup
+    const user = user_id
+      ? [match, ...candidates].find(row => row && row.id === user_id)
+      : match;
+
+    if (!user) {
+      if (ambiguous) {
+        return res.status(409).json({
+          success: false,
+          message: 'More than one guest has that name. Please choose yours.',
+          code: 'MULTIPLE_MATCHES',
+          data: { candidates: candidates.map(formatCandidate) }
+        });
+      }
 
-    if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Guest record not found. Please check your name spelling or contact James.'
+        message: candidates.length > 0
+          ? 'Guest record not found. Did you mean one of these?'
+          : 'Guest record not found. Please check your name spelling or contact James.',
+        code: 'GUEST_NOT_FOUND',
+        data: { candidates: candidates.map(formatCandidate) }
       });
     }
 
-    const user = result.rows[0];
-
     // Check if user account is already registered (has email and password)
     const hasUserAccount = user.email !== null && user.account_status === 'registered';
     const userEmail = hasUserAccount ? user.email : null;
@@ -83,11 +141,170 @@ router.post('/check-guest', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/check-code
+ * Look up a household by the invitation code printed on the invite
+ * Returns every member so the guest can say which one they are
+ */
+router.post('/check-code', guestLookupLimit, async (req, res) => {
+  try {
+    const invitationCode = normalizeInvitationCode(req.body.invitation_code);
+
+    if (!invitationCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation code is required'
+      });
+    }
+
+    const result = await query(`
+      SELECT 
+        id,
+        first_name,
+        last_name,
+        full_name,
+        email,
+        partner_id,
+        plus_one_allowed,
+        account_status
+      FROM users
+      WHERE invitation_code = $1 AND deleted_at IS NULL
+      ORDER BY last_name, first_name
+    `, [invitationCode]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'We couldn\'t find that invitation code. Please check it against your invitation.',
+        code: 'INVALID_INVITATION_CODE'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        members: result.rows.map(user => {
+          const hasUserAccount = user.email !== null && user.account_status === 'registered';
+          return {
+            user_id: user.id,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            full_name: user.full_name,
+            partner_id: user.partner_id,
+            plus_one_allowed: user.plus_one_allowed,
+            needs_email: !user.email,
+            has_user_account: hasUserAccount
+          };
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking invitation code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check invitation code',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/code-login
+ * Log in with an invitation code alone
+ * user_id picks the household member when the code covers a couple
+ */
+router.post('/code-login', guestLookupLimit, async (req, res) => {
+  try {
+    const invitationCode = normalizeInvitationCode(req.body.invitation_code);
+    const { user_id } = req.body;
+
+    if (!invitationCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invitation code is required'
+      });
+    }
+
+    const result = await query(`
+      SELECT 
+        u.id,
+        u.email,
+        u.first_name,
+        u.last_name,
+        u.full_name,
+        u.partner_id,
+        u.plus_one_allowed,
+        u.is_admin,
+        u.account_status,
+        p.first_name as partner_first_name,
+        p.last_name as partner_last_name,
+        p.full_name as partner_full_name,
+        p.email as partner_email
+      FROM users u
+      LEFT JOIN users p ON u.partner_id = p.id
+      WHERE u.invitation_code = $1 AND u.deleted_at IS NULL
+    `, [invitationCode]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'We couldn\'t find that invitation code. Please check it against your invitation.',
+        code: 'INVALID_INVITATION_CODE'
+      });
+    }
+
+    let user;
+    if (user_id) {
+      user = result.rows.find(row => row.id === user_id);
+    } else if (result.rows.length === 1) {
+      user = result.rows[0];
+    } else {
+      return res.status(400).json({
+        success: false,
+        message: 'This invitation covers more than one guest. Please choose who you are.',
+        code: 'MEMBER_REQUIRED'
+      });
+    }
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'That guest is not part of this invitation',
+        code: 'INVALID_INVITATION_CODE'
+      });
+    }
+
+    if (user.account_status !== 'registered') {
+      return res.status(403).json({
+        success: false,
+        message: 'Please create your account first by adding your email and a password.',
+        code: 'REGISTRATION_REQUIRED',
+        data: {
+          user_id: user.id,
+          first_name: user.first_name,
+          last_name: user.last_name
+        }
+      });
+    }
+
+    createSession(req, res, user, 'Login successful');
+
+  } catch (error) {
+    console.error('Error during invitation code login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to login',
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/auth/register
  * Register a user account for a guest
  */
-router.post('/register', async (req, res) => {
+router.post('/register', registerLimit, async (req, res) => {
   try {
     const { 
       user_id, 
@@ -139,12 +356,10 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    // For now, we'll use a simple password hash
-    // In production, use bcrypt or similar
-    const password_hash = Buffer.from(password).toString('base64'); // Simple encoding for demo
+    const password_hash = await hashPassword(password);
 
     // Update user account with email and password (schema v5: update existing user)
-    const updatedUser = await query(`
+    const updatedUser = await trackGuestChanges([user_id], user_id, () => query(`
       UPDATE users 
       SET 
         email = $1,
@@ -153,7 +368,7 @@ router.post('/register', async (req, res) => {
         updated_at = CURRENT_TIMESTAMP
       WHERE id = $3
       RETURNING id, email, first_name, last_name, account_status, created_at
-    `, [email, password_hash, user_id]);
+    `, [email, password_hash, user_id]));
 
     res.status(201).json({
       success: true,
@@ -181,7 +396,7 @@ router.post('/register', async (req, res) => {
  * POST /api/auth/login
  * Login with email and password
  */
-router.post('/login', async (req, res) => {
+router.post('/login', loginLimit, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -192,18 +407,17 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    // Simple password check (in production, use proper hashing)
-    const password_hash = Buffer.from(password).toString('base64');
-
     const result = await query(`
       SELECT 
         u.id,
         u.email,
+        u.password_hash,
         u.first_name,
         u.last_name,
         u.full_name,
         u.partner_id,
         u.plus_one_allowed,
+        u.is_admin,
         u.account_status,
         p.first_name as partner_first_name,
         p.last_name as partner_last_name,
@@ -211,61 +425,384 @@ router.post('/login', async (req, res) => {
         p.email as partner_email
       FROM users u
       LEFT JOIN users p ON u.partner_id = p.id
-      WHERE u.email = $1 AND u.password_hash = $2 AND u.account_status = 'registered' AND u.deleted_at IS NULL
-    `, [email, password_hash]);
+      WHERE u.email = $1 AND u.account_status = 'registered' AND u.deleted_at IS NULL
+    `, [email]);
 
-    if (result.rows.length === 0) {
+    const user = result.rows[0];
+    const { valid, needsRehash } = await verifyPassword(password, user && user.password_hash);
+
+    if (!valid) {
+      await req.rateLimit.recordFailure();
       return res.status(401).json({
         success: false,
         message: 'Invalid email or password'
       });
     }
 
-    const user = result.rows[0];
+    await req.rateLimit.reset();
+
+    if (needsRehash) {
+      // Upgrade legacy base64 (or outdated bcrypt cost) hashes transparently
+      const password_hash = await hashPassword(password);
+      await query(
+        'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [password_hash, user.id]
+      );
+    } else {
+      // Update last login
+      await query(
+        'UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [user.id]
+      );
+    }
+
+    createSession(req, res, user, 'Login successful');
+
+  } catch (error) {
+    console.error('Error during login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to login',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/magic-link
+ * Email a short-lived, single-use login link (passwordless login)
+ * Always responds the same way so the endpoint can't be used to probe emails
+ */
+router.post('/magic-link', magicLinkLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const result = await query(`
+      SELECT id, email, first_name
+      FROM users
+      WHERE email = $1 AND account_status = 'registered' AND deleted_at IS NULL
+    `, [email.trim()]);
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = await createToken(user.id, 'magic_link', MAGIC_LINK_TTL_MINUTES);
+      const loginUrl = `${getAppBaseUrl(req)}/?login_token=${token}`;
+
+      await sendMail({
+        to: user.email,
+        subject: 'Your login link - Patricia y James',
+        text: [
+          `Hi ${user.first_name},`,
+          '',
+          'Click the link below to log in to our wedding website. No password needed!',
+          `The link works once and expires in ${MAGIC_LINK_TTL_MINUTES} minutes.`,
+          '',
+          loginUrl,
+          '',
+          'If you didn\'t ask for this, you can ignore this email.'
+        ].join('\n')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a login link is on its way.'
+    });
+
+  } catch (error) {
+    console.error('Error requesting magic link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send login link',
+      error: error.message
+    });
+  }
+});
 
-    // Update last login
+/**
+ * POST /api/auth/magic-link/verify
+ * Exchange a magic-link token for a session
+ * The emailed link opens the site, which POSTs the token here, so link
+ * scanners that prefetch URLs can't burn the token.
+ */
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token is required'
+      });
+    }
+
+    const userId = await consumeToken(token, 'magic_link');
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This login link is invalid or has expired. Please request a new one.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    const result = await query(`
+      SELECT 
+        u.id,
+        u.email,
+        u.first_name,
+        u.last_name,
+        u.full_name,
+        u.partner_id,
+        u.plus_one_allowed,
+        u.is_admin,
+        u.account_status,
+        p.first_name as partner_first_name,
+        p.last_name as partner_last_name,
+        p.full_name as partner_full_name,
+        p.email as partner_email
+      FROM users u
+      LEFT JOIN users p ON u.partner_id = p.id
+      WHERE u.id = $1 AND u.account_status = 'registered' AND u.deleted_at IS NULL
+    `, [userId]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    createSession(req, res, result.rows[0], 'Login successful');
+
+  } catch (error) {
+    console.error('Error verifying magic link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to login',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Email a single-use password reset link
+ * Always responds the same way so the endpoint can't be used to probe emails
+ */
+router.post('/forgot-password', passwordResetLimit, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
+    const result = await query(`
+      SELECT id, email, first_name
+      FROM users
+      WHERE email = $1 AND account_status = 'registered' AND deleted_at IS NULL
+    `, [email.trim()]);
+
+    if (result.rows.length > 0) {
+      const user = result.rows[0];
+      const token = await createToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+      const resetUrl = `${getAppBaseUrl(req)}/?reset_token=${token}`;
+
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password - Patricia y James',
+        text: [
+          `Hi ${user.first_name},`,
+          '',
+          'We received a request to reset the password for your wedding website account.',
+          `Use the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:`,
+          '',
+          resetUrl,
+          '',
+          'If you didn\'t ask for this, you can ignore this email.'
+        ].join('\n')
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link is on its way.'
+    });
+
+  } catch (error) {
+    console.error('Error requesting password reset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request password reset',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Set a new password using a reset token
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and new password are required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const userId = await consumeToken(token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This reset link is invalid or has expired. Please request a new one.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    const password_hash = await hashPassword(password);
+
+    const updatedUser = await query(`
+      UPDATE users
+      SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND account_status = 'registered' AND deleted_at IS NULL
+      RETURNING id, email
+    `, [password_hash, userId]);
+
+    if (updatedUser.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Invalidate any other outstanding links and sign out existing sessions
+    await revokeTokens(userId, 'password_reset');
     await query(
-      'UPDATE users SET updated_at = CURRENT_TIMESTAMP WHERE id = $1',
-      [user.id]
+      "DELETE FROM user_sessions WHERE sess->>'userId' = $1",
+      [userId]
     );
 
-    // Create session
-    req.session.userId = user.id;
-    req.session.save((err) => {
-      if (err) {
-        console.error('Session save error:', err);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to create session',
-          error: err.message
-        });
+    res.json({
+      success: true,
+      message: 'Your password has been reset. Please log in with your new password.',
+      data: {
+        email: updatedUser.rows[0].email
       }
+    });
 
-      res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          user_id: user.id,
-          email: user.email,
-          first_name: user.first_name,
-          last_name: user.last_name,
-          full_name: user.full_name,
-          plus_one_allowed: user.plus_one_allowed,
-          partner: user.partner_id ? {
-            first_name: user.partner_first_name,
-            last_name: user.partner_last_name,
-            full_name: user.partner_full_name,
-            email: user.partner_email
-          } : null
-        }
-      });
+  } catch (error) {
+    console.error('Error resetting password:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset password',
+      error: error.message
     });
+  }
+});
+
+/**
+ * POST /api/auth/claim-account
+ * Set up a plus-one's account from their claim link: choose a password and
+ * log in. Their guest record and RSVP become theirs; the email stays the one
+ * the link was sent to.
+ */
+router.post('/claim-account', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token and password are required'
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`
+      });
+    }
+
+    const userId = await consumeToken(token, 'plus_one_claim');
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired. Please ask for a new one.',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    const password_hash = await hashPassword(password);
+
+    const claimed = await trackGuestChanges([userId], userId, () => query(`
+      UPDATE users
+      SET password_hash = $1, account_status = 'registered', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2 AND account_status = 'guest' AND email IS NOT NULL AND deleted_at IS NULL
+      RETURNING id
+    `, [password_hash, userId]));
+
+    if (claimed.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'This account is already set up or no longer exists. Please try logging in instead.',
+        code: 'CANNOT_CLAIM'
+      });
+    }
+
+    await revokeTokens(userId, 'plus_one_claim');
+
+    const result = await query(`
+      SELECT 
+        u.id,
+        u.email,
+        u.first_name,
+        u.last_name,
+        u.full_name,
+        u.partner_id,
+        u.plus_one_allowed,
+        u.is_admin,
+        u.account_status,
+        p.first_name as partner_first_name,
+        p.last_name as partner_last_name,
+        p.full_name as partner_full_name,
+        p.email as partner_email
+      FROM users u
+      LEFT JOIN users p ON u.partner_id = p.id
+      WHERE u.id = $1
+    `, [userId]);
+
+    createSession(req, res, result.rows[0], 'Your account is ready');
 
   } catch (error) {
-    console.error('Error during login:', error);
+    console.error('Error claiming account:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to login',
+      message: 'Failed to set up your account',
       error: error.message
     });
   }
@@ -295,6 +832,7 @@ router.get('/me', async (req, res) => {
         u.full_name,
         u.partner_id,
         u.plus_one_allowed,
+        u.is_admin,
         u.account_status,
         p.first_name as partner_first_name,
         p.last_name as partner_last_name,
@@ -323,6 +861,7 @@ router.get('/me', async (req, res) => {
         last_name: user.last_name,
         full_name: user.full_name,
         plus_one_allowed: user.plus_one_allowed,
+        is_admin: user.is_admin,
         account_status: user.account_status,
         partner: user.partner_id ? {
           first_name: user.partner_first_name,
@@ -410,4 +949,27 @@ router.get('/status', (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/csrf-token
+ * Get the CSRF token for this session
+ * Send it as the X-CSRF-Token header on POST/PUT/PATCH/DELETE requests.
+ */
+router.get('/csrf-token', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        csrf_token: getCsrfToken(req)
+      }
+    });
+  } catch (error) {
+    console.error('CSRF token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create CSRF token',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
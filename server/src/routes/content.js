@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const { loadContent } = require('../utils/content');
+
+/**
+ * GET /api/content
+ * Public site content: wedding (date and time zone for the countdown),
+ * events, venues, hotel_blocks, faqs and meal_options
+ */
+router.get('/', async (req, res) => {
+  try {
+    const content = await loadContent();
+
+    res.json({
+      success: true,
+      data: content
+    });
+
+  } catch (error) {
+    console.error('Error loading content:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load content',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
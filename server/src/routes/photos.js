@@ -0,0 +1,470 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth, optionalAuth } = require('../middleware/auth');
+const { readMultipart } = require('../utils/multipart');
+const {
+  MAX_PHOTO_BYTES,
+  validatePhotoUpload,
+  createPhoto,
+  parsePaging,
+  parsePhotoListQuery,
+  listPhotos,
+  listMyPhotos,
+  findPhoto,
+  getPhoto,
+  addUpvote,
+  removeUpvote,
+  readPhotoFile,
+  deletePhoto
+} = require('../utils/photos');
+const {
+  validateComment,
+  listComments,
+  addComment,
+  findComment,
+  deleteComment
+} = require('../utils/photoComments');
+
+function sendPhotoNotFound(res) {
+  return res.status(404).json({
+    success: false,
+    message: 'Photo not found',
+    code: 'PHOTO_NOT_FOUND'
+  });
+}
+
+/**
+ * The approved photo in req.params.id, for comments and upvotes
+ * Sends 404 (or 409 for an admin looking at an unapproved photo) and returns null otherwise.
+ */
+async function findApprovedPhoto(req, res) {
+  const photo = await getPhoto(req.params.id, req.user);
+  if (!photo) {
+    sendPhotoNotFound(res);
+    return null;
+  }
+  if (!photo.is_approved) {
+    res.status(409).json({
+      success: false,
+      message: 'Only approved photos can have comments and upvotes',
+      code: 'PHOTO_NOT_APPROVED'
+    });
+    return null;
+  }
+  return photo;
+}
+
+/**
+ * POST /api/photos
+ * Upload a photo: multipart/form-data with a "photo" file and an optional "caption"
+ * The photo is shown in the gallery once an admin approves it.
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const form = await readMultipart(req, { maxFileBytes: MAX_PHOTO_BYTES, maxFiles: 1 });
+    if (form.code === 'FILE_TOO_LARGE') {
+      return res.status(413).json({
+        success: false,
+        message: `Photos can be up to ${MAX_PHOTO_BYTES / (1024 * 1024)} MB`,
+        code: 'PHOTO_TOO_LARGE'
+      });
+    }
+    if (form.code === 'TOO_MANY_FILES') {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload one photo at a time',
+        code: 'TOO_MANY_PHOTOS'
+      });
+    }
+    if (form.error) {
+      return res.status(form.status).json({
+        success: false,
+        message: form.error,
+        code: form.code
+      });
+    }
+
+    const files = form.files.filter(file => file.fieldName === 'photo');
+    const { upload, error, status, code } = validatePhotoUpload(files[0], form.fields.caption);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        message: error,
+        code
+      });
+    }
+
+    const photo = await createPhoto(req.user.id, upload);
+
+    res.status(201).json({
+      success: true,
+      message: 'Photo uploaded; it will appear in the gallery once it has been approved',
+      data: photo
+    });
+
+  } catch (error) {
+    console.error('Error uploading photo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload photo',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/photos
+ * The gallery: approved photos with upvote and comment counts, featured first, then newest first
+ * Visitors who aren't logged in only get the featured photos.
+ * Query: sort (newest, or most_loved for most upvoted first), featured (true or false for
+ * just one set), page, page_size (default 24, up to 100)
+ */
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    const parsed = parsePhotoListQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { photos, total } = await listPhotos(req.user || null, parsed);
+
+    res.json({
+      success: true,
+      data: {
+        photos,
+        pagination: {
+          page: parsed.page,
+          page_size: parsed.pageSize,
+          total,
+          total_pages: Math.ceil(total / parsed.pageSize)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching photos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch photos',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/photos/mine
+ * Your own uploads, newest first, including ones waiting for review or rejected
+ * Query: page, page_size (default 24, up to 100)
+ */
+router.get('/mine', requireAuth, async (req, res) => {
+  try {
+    const paging = parsePaging(req.query);
+    if (paging.error) {
+      return res.status(400).json({
+        success: false,
+        message: paging.error
+      });
+    }
+
+    const { photos, total } = await listMyPhotos(req.user, paging);
+
+    res.json({
+      success: true,
+      data: {
+        photos,
+        pagination: {
+          page: paging.page,
+          page_size: paging.pageSize,
+          total,
+          total_pages: Math.ceil(total / paging.pageSize)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching your photos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your photos',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/photos/mine/:id/file
+ * The image for one of your own uploads, whatever its review state
+ */
+router.get('/mine/:id/file', requireAuth, async (req, res) => {
+  try {
+    const photo = await findPhoto(req.params.id);
+    const file = photo && photo.user_id === req.user.id && await readPhotoFile(photo.id);
+    if (!file) {
+      return sendPhotoNotFound(res);
+    }
+
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Length': file.data.length,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(file.data);
+
+  } catch (error) {
+    console.error('Error fetching photo file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch photo',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/photos/:id
+ * One gallery photo's details (admins can get any photo)
+ */
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const photo = await getPhoto(req.params.id, req.user || null);
+    if (!photo) {
+      return sendPhotoNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: photo
+    });
+
+  } catch (error) {
+    console.error('Error fetching photo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch photo',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/photos/:id/file
+ * The image itself, for photos you can see
+ */
+router.get('/:id/file', optionalAuth, async (req, res) => {
+  try {
+    const photo = await getPhoto(req.params.id, req.user || null);
+    const file = photo && await readPhotoFile(photo.id);
+    if (!file) {
+      return sendPhotoNotFound(res);
+    }
+
+    res.set({
+      'Content-Type': file.mimeType,
+      'Content-Length': file.data.length,
+      'Cache-Control': 'private, max-age=3600',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(file.data);
+
+  } catch (error) {
+    console.error('Error fetching photo file:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch photo',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/photos/:id
+ * Delete one of your photos, approved or not (admins can delete any)
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const photo = await findPhoto(req.params.id);
+    const isOwner = photo && photo.user_id === req.user.id;
+    if (!photo || (!isOwner && !req.user.is_admin && !photo.is_approved)) {
+      return sendPhotoNotFound(res);
+    }
+
+    if (!isOwner && !req.user.is_admin) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only delete your own photos',
+        code: 'NOT_YOUR_PHOTO'
+      });
+    }
+
+    await deletePhoto(photo.id);
+
+    res.json({
+      success: true,
+      message: 'Photo deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting photo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete photo',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/photos/:id/comments
+ * A photo's comments, oldest first (admins also get rejected ones)
+ */
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    const photo = await getPhoto(req.params.id, req.user || null);
+    if (!photo) {
+      return sendPhotoNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        comments: await listComments(photo.id, req.user || null)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching photo comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch comments',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/photos/:id/comments
+ * Comment on an approved photo: { comment } (up to 1000 characters)
+ */
+router.post('/:id/comments', requireAuth, async (req, res) => {
+  try {
+    const photo = await findApprovedPhoto(req, res);
+    if (!photo) return;
+
+    const { comment, error } = validateComment(req.body.comment);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: await addComment(photo.id, req.user.id, comment)
+    });
+
+  } catch (error) {
+    console.error('Error adding photo comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add comment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/photos/:id/comments/:commentId
+ * Delete one of your comments (admins can delete any)
+ */
+router.delete('/:id/comments/:commentId', requireAuth, async (req, res) => {
+  try {
+    const photo = await getPhoto(req.params.id, req.user);
+    const comment = photo && await findComment(photo.id, req.params.commentId);
+    if (!comment || (comment.user_id !== req.user.id && !req.user.is_admin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found',
+        code: 'COMMENT_NOT_FOUND'
+      });
+    }
+
+    await deleteComment(comment.id);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting photo comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete comment',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/photos/:id/upvote
+ * Upvote an approved photo; upvoting again changes nothing
+ */
+router.post('/:id/upvote', requireAuth, async (req, res) => {
+  try {
+    const photo = await findApprovedPhoto(req, res);
+    if (!photo) return;
+
+    res.json({
+      success: true,
+      data: {
+        photo_id: photo.id,
+        upvoted: true,
+        upvote_count: await addUpvote(photo.id, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error upvoting photo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upvote photo',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/photos/:id/upvote
+ * Take back your upvote
+ */
+router.delete('/:id/upvote', requireAuth, async (req, res) => {
+  try {
+    const photo = await findApprovedPhoto(req, res);
+    if (!photo) return;
+
+    res.json({
+      success: true,
+      data: {
+        photo_id: photo.id,
+        upvoted: false,
+        upvote_count: await removeUpvote(photo.id, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error removing photo upvote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove upvote',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,178 +1,479 @@
 const express = require('express');
 const router = express.Router();
-const { query } = require('../config/db');
-const { requireAuth } = require('../middleware/auth');
+const { query, transaction } = require('../config/db');
+const { requireAuth, requireAdmin } = require('../middleware/auth');
+const { hashPassword } = require('../utils/password');
+const { getHouseholdForGuest } = require('../utils/households');
+const { getGuestEvents, saveEventResponses, getEventHeadcounts } = require('../utils/events');
+const {
+  DIETARY_TAGS,
+  validateDietary,
+  checkMealOptions,
+  getMealOptions,
+  getDietaryCounts
+} = require('../utils/dietary');
+const { validateSongRequests, getSongRequests, replaceSongRequests } = require('../utils/songs');
+const { getRsvpWindow } = require('../utils/rsvpDeadline');
+const { recordRsvpChanges } = require('../utils/history');
+const { getAppBaseUrl } = require('../utils/mailer');
+const {
+  validatePlusOne,
+  getPlusOne,
+  createPlusOne,
+  updatePlusOne,
+  removePlusOne,
+  getClaimLinkError,
+  sendClaimLink
+} = require('../utils/plusOnes');
+
+const RSVP_RESPONSE_STATUSES = ['attending', 'not_attending', 'pending'];
+const EVENT_RESPONSE_STATUSES = ['attending', 'not_attending'];
+
+/**
+ * Collect the responses in an RSVP body, keyed by guest id
+ * members[] answers for anyone in the household; the older response_status
+ * and partner_response_status fields still answer for self and partner.
+ * Each response has a response_status, a list of per-event answers, or both.
+ * meal_option_id and dietary_tags are left as they were when not sent.
+ * Returns { responses } or { error }
+ */
+function collectResponses(body, user) {
+  const responses = new Map();
+  const pick = (source, prefix = '') => ({
+    response_status: source[`${prefix}response_status`],
+    events: source[`${prefix}events`],
+    dietary_restrictions: source[`${prefix}dietary_restrictions`] || null,
+    meal_option_id: Object.prototype.hasOwnProperty.call(source, `${prefix}meal_option_id`)
+      ? source[`${prefix}meal_option_id`] || null
+      : undefined,
+    dietary_tags: source[`${prefix}dietary_tags`],
+    message: source[`${prefix}message`] || null
+  });
+
+  if (body.response_status || body.events) {
+    responses.set(user.id, pick(body));
+  }
+  if (user.partner_id && (body.partner_response_status || body.partner_events)) {
+    responses.set(user.partner_id, pick(body, 'partner_'));
+  }
+
+  if (body.members !== undefined) {
+    if (!Array.isArray(body.members)) {
+      return { error: 'members must be a list of { user_id, response_status, events }' };
+    }
+    for (const member of body.members) {
+      if (!member || !member.user_id || (!member.response_status && !member.events)) {
+        return { error: 'Each member needs a user_id and a response_status or events' };
+      }
+      responses.set(member.user_id, pick(member));
+    }
+  }
+
+  for (const response of responses.values()) {
+    if (response.response_status && !RSVP_RESPONSE_STATUSES.includes(response.response_status)) {
+      return { error: `Invalid response_status "${response.response_status}". Use: ${RSVP_RESPONSE_STATUSES.join(', ')}` };
+    }
+    if (response.events !== undefined) {
+      const valid = Array.isArray(response.events) && response.events.every(answer =>
+        answer && answer.event_id && EVENT_RESPONSE_STATUSES.includes(answer.response_status)
+      );
+      if (!valid) {
+        return { error: `events must be a list of { event_id, response_status } with response_status ${EVENT_RESPONSE_STATUSES.join(' or ')}` };
+      }
+    }
+    const dietaryError = validateDietary(response);
+    if (dietaryError) {
+      return { error: dietaryError };
+    }
+  }
+
+  return { responses };
+}
+
+/**
+ * Work out each guest's event answers and overall status
+ * Per-event answers are checked against the guest's invitations; a bare
+ * response_status of attending or not_attending answers every invited event.
+ * The overall status is attending if any event is, pending while invited
+ * events are unanswered, and not_attending otherwise.
+ * Sets response.answers and response.response_status; returns an error or null
+ */
+function resolveEventAnswers(responses, guestEvents) {
+  for (const [guestId, response] of responses) {
+    const invited = guestEvents.get(guestId) || [];
+
+    if (response.events) {
+      const unknown = response.events.find(answer => !invited.some(event => event.event_id === answer.event_id));
+      if (unknown) {
+        return `Event ${unknown.event_id} is not on this guest's invitation`;
+      }
+      response.answers = response.events;
+    } else if (EVENT_RESPONSE_STATUSES.includes(response.response_status)) {
+      response.answers = invited.map(event => ({ event_id: event.event_id, response_status: response.response_status }));
+    } else {
+      response.answers = [];
+    }
+
+    if (invited.length > 0 && response.events) {
+      const statuses = invited.map(event => {
+        const answer = response.answers.find(entry => entry.event_id === event.event_id);
+        return answer ? answer.response_status : event.response_status;
+      });
+      if (statuses.includes('attending')) {
+        response.response_status = 'attending';
+      } else if (statuses.includes(null) || statuses.includes(undefined)) {
+        response.response_status = 'pending';
+      } else {
+        response.response_status = 'not_attending';
+      }
+    } else if (!response.response_status) {
+      response.response_status = 'pending';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Lock guests' user rows until the transaction ends
+ * Submissions for the same guests (both partners answering at once) then run
+ * one after the other, so the second sees the first's RSVP rows instead of
+ * inserting its own. Locked in id order so two submissions can't deadlock.
+ */
+async function lockGuests(guestIds, client) {
+  await client.query(
+    'SELECT id FROM users WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+    [guestIds]
+  );
+}
+
+/**
+ * Check that the attending members, plus a new plus-one, fit the household
+ * leavingId is a plus-one being removed, who no longer counts.
+ * Returns an error message or null
+ */
+function checkSeats({ household, members }, responses, { adding = 0, leavingId = null } = {}) {
+  if (!household) {
+    return null;
+  }
+
+  const attending = members.filter(member => {
+    const response = responses.get(member.id);
+    return member.id !== leavingId &&
+      (response ? response.response_status : member.response_status) === 'attending';
+  }).length + adding;
+
+  return attending > household.seats
+    ? `Your invitation has ${household.seats} seat(s), but ${attending} guests would be attending`
+    : null;
+}
+
+/**
+ * Reject a change after the guest's RSVP deadline
+ */
+function sendRsvpClosed(res, rsvpWindow) {
+  return res.status(403).json({
+    success: false,
+    message: 'The RSVP deadline has passed. Please contact Patricia and James to change your response.',
+    code: 'RSVP_CLOSED',
+    deadline: rsvpWindow.deadline
+  });
+}
+
+function sendPlusOneNotAllowed(res) {
+  return res.status(403).json({
+    success: false,
+    message: 'Plus-one not allowed for this user',
+    code: 'PLUS_ONE_NOT_ALLOWED'
+  });
+}
+
+function sendNoPlusOne(res) {
+  return res.status(404).json({
+    success: false,
+    message: "You haven't added a plus-one",
+    code: 'NO_PLUS_ONE'
+  });
+}
+
+function sendSeatsExceeded(res, message) {
+  return res.status(400).json({
+    success: false,
+    message,
+    code: 'SEATS_EXCEEDED'
+  });
+}
+
+/**
+ * Answer a plus-one write that broke a constraint
+ * Returns true when the error was handled
+ */
+function sendPlusOneConstraintError(res, error) {
+  if (error.code === '23505' && error.constraint === 'idx_users_plus_one_of') {
+    // Another request added a plus-one first
+    res.status(409).json({
+      success: false,
+      message: 'You already have a plus-one',
+      code: 'PLUS_ONE_EXISTS'
+    });
+    return true;
+  }
+  if (error.code === '23505') {
+    // Someone registered the email since it was checked
+    res.status(409).json({
+      success: false,
+      message: 'This email address is already registered',
+      code: 'EMAIL_IN_USE'
+    });
+    return true;
+  }
+  if (error.code === '23514') {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid plus-one details',
+      error: error.message
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Whether details would change the email of a plus-one who has their own
+ * account (theirs to change, not their host's)
+ */
+function changesRegisteredEmail(plusOne, details) {
+  return plusOne.account_status === 'registered' &&
+    details.email !== undefined && details.email.trim() !== plusOne.email;
+}
+
+function sendPlusOneRegistered(res, plusOne) {
+  return res.status(403).json({
+    success: false,
+    message: `${plusOne.full_name} has their own account, so only they can change its email`,
+    code: 'PLUS_ONE_REGISTERED'
+  });
+}
+
+/**
+ * Whether an email belongs to an active guest other than exceptId
+ */
+async function isEmailInUse(email, exceptId = null) {
+  const result = await query(
+    'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL AND id IS DISTINCT FROM $2',
+    [email.trim(), exceptId]
+  );
+  return result.rows.length > 0;
+}
 
 /**
  * POST /api/rsvps
- * Submit RSVP(s) - can be for self, partner, or both
+ * Submit RSVPs for yourself and anyone in your household
+ * Body: members: [{ user_id, events, response_status, meal_option_id, dietary_tags,
+ * dietary_restrictions, message }], or the same fields at the top level for
+ * yourself and prefixed with partner_ for your partner. events is
+ * [{ event_id, response_status }] for invited events; a bare response_status
+ * answers every invited event. dietary_tags come from the fixed list in
+ * utils/dietary.js; dietary_restrictions is a free-text note.
+ * song_requests ([{ title, artist }]), when sent, replaces your song requests.
+ * plus_one ({ first_name, last_name, email, dietary_restrictions, meal_option_id,
+ * dietary_tags }) updates your plus-one, or adds one if you may bring one
+ * (403 PLUS_ONE_NOT_ALLOWED otherwise); plus_one: null removes them.
+ * Attending members, plus a new plus-one, must fit the household's seats.
+ * After your RSVP deadline nothing can be changed (403 RSVP_CLOSED).
  */
 router.post('/', requireAuth, async (req, res) => {
   try {
-    const {
-      response_status,
-      dietary_restrictions,
-      message,
-      partner_response_status,
-      partner_dietary_restrictions,
-      partner_message,
-      plus_one
-    } = req.body;
+    const { plus_one } = req.body;
 
     const userId = req.user.id;
     const user = req.user;
 
+    const rsvpWindow = await getRsvpWindow(userId);
+    if (!rsvpWindow.is_open) {
+      return sendRsvpClosed(res, rsvpWindow);
+    }
+
+    const { responses, error } = collectResponses(req.body, user);
+    const songResult = req.body.song_requests !== undefined
+      ? validateSongRequests(req.body.song_requests)
+      : { songs: null };
+
     // Basic validation
-    if (!response_status) {
+    if (error || songResult.error) {
+      return res.status(400).json({
+        success: false,
+        message: error || songResult.error
+      });
+    }
+
+    if (responses.size === 0) {
       return res.status(400).json({ 
         success: false, 
         message: 'Response status is required' 
       });
     }
 
-    // Start transaction
-    await query('BEGIN');
+    const { members } = await getHouseholdForGuest(userId);
+    const memberIds = new Set(members.map(member => member.id));
 
-    try {
-      // Check if RSVP already exists for this user
-      const existingRsvp = await query(
-        'SELECT id FROM rsvps WHERE user_id = $1', 
-        [userId]
-      );
+    if ([...responses.keys()].some(id => !memberIds.has(id))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only RSVP for members of your household',
+        code: 'NOT_IN_HOUSEHOLD'
+      });
+    }
 
-      let rsvpResult;
-      if (existingRsvp.rows.length > 0) {
-        // Update existing RSVP
-        rsvpResult = await query(`
-          UPDATE rsvps
-          SET 
-            response_status = $1,
-            dietary_restrictions = $2,
-            message = $3,
-            partner_id = $4,
-            updated_at = CURRENT_TIMESTAMP
-          WHERE user_id = $5
-          RETURNING *;
-        `, [response_status, dietary_restrictions, message, user.partner_id, userId]);
-      } else {
-        // Create new RSVP
-        rsvpResult = await query(`
-          INSERT INTO rsvps (
-            user_id, partner_id, response_status, dietary_restrictions, message
-          )
-          VALUES ($1, $2, $3, $4, $5)
-          RETURNING *;
-        `, [userId, user.partner_id, response_status, dietary_restrictions, message]);
+    const plusOneError = plus_one ? validatePlusOne(plus_one) : null;
+    const mealError = plusOneError || await checkMealOptions([
+      ...[...responses.values()].map(response => response.meal_option_id),
+      plus_one ? plus_one.meal_option_id : null
+    ]);
+
+    if (mealError) {
+      return res.status(400).json({
+        success: false,
+        message: mealError
+      });
+    }
+
+    const guestEvents = await getGuestEvents([...responses.keys()]);
+    const eventError = resolveEventAnswers(responses, guestEvents);
+
+    if (eventError) {
+      return res.status(400).json({
+        success: false,
+        message: eventError,
+        code: 'EVENT_NOT_INVITED'
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      await lockGuests([...memberIds, userId], client);
+
+      const currentPlusOne = await getPlusOne(userId, client);
+      if (plus_one && !currentPlusOne && !user.plus_one_allowed) {
+        return { plusOneNotAllowed: true };
+      }
+      if (plus_one && currentPlusOne && changesRegisteredEmail(currentPlusOne, plus_one)) {
+        return { plusOneRegistered: currentPlusOne };
       }
 
-      // Handle partner RSVP if user has a partner
-      let partnerRsvpResult = null;
-      if (user.partner_id && partner_response_status) {
-        // Check if partner RSVP already exists
-        const existingPartnerRsvp = await query(
-          'SELECT id FROM rsvps WHERE user_id = $1', 
-          [user.partner_id]
+      // Seats are checked against the household as it is now that it's locked
+      const seatsError = checkSeats(await getHouseholdForGuest(userId, client), responses, {
+        adding: plus_one && !currentPlusOne ? 1 : 0,
+        leavingId: plus_one === null && currentPlusOne ? currentPlusOne.id : null
+      });
+      if (seatsError) {
+        return { seatsError };
+      }
+
+      const savedRsvps = [];
+
+      for (const [guestId, response] of responses) {
+        // Your own RSVP points at your partner; one made for someone else
+        // points at whoever answered
+        const answeredWith = guestId === userId ? user.partner_id : userId;
+
+        // Check if RSVP already exists for this guest
+        const existingRsvp = await client.query(
+          'SELECT * FROM rsvps WHERE user_id = $1', 
+          [guestId]
         );
 
-        if (existingPartnerRsvp.rows.length > 0) {
-          // Update existing partner RSVP
-          partnerRsvpResult = await query(`
+        let rsvpResult;
+        if (existingRsvp.rows.length > 0) {
+          // Update existing RSVP
+          rsvpResult = await client.query(`
             UPDATE rsvps
             SET 
+              deleted_at = NULL,
               response_status = $1,
               dietary_restrictions = $2,
               message = $3,
               partner_id = $4,
+              meal_option_id = CASE WHEN $6 THEN $7::uuid ELSE meal_option_id END,
+              dietary_tags = COALESCE($8::text[], dietary_tags),
+              responded_at = CURRENT_TIMESTAMP,
               updated_at = CURRENT_TIMESTAMP
             WHERE user_id = $5
             RETURNING *;
-          `, [partner_response_status, partner_dietary_restrictions, partner_message, userId, user.partner_id]);
+          `, [
+            response.response_status, response.dietary_restrictions, response.message, answeredWith, guestId,
+            response.meal_option_id !== undefined, response.meal_option_id || null, response.dietary_tags || null
+          ]);
         } else {
-          // Create new partner RSVP
-          partnerRsvpResult = await query(`
+          // Create new RSVP
+          rsvpResult = await client.query(`
             INSERT INTO rsvps (
-              user_id, partner_id, response_status, dietary_restrictions, message
+              user_id, partner_id, response_status, dietary_restrictions, message, meal_option_id, dietary_tags
             )
-            VALUES ($1, $2, $3, $4, $5)
+            VALUES ($1, $2, $3, $4, $5, $6, $7)
             RETURNING *;
-          `, [user.partner_id, userId, partner_response_status, partner_dietary_restrictions, partner_message]);
+          `, [
+            guestId, answeredWith, response.response_status, response.dietary_restrictions, response.message,
+            response.meal_option_id || null, response.dietary_tags || []
+          ]);
         }
+
+        await recordRsvpChanges(existingRsvp.rows[0] || null, rsvpResult.rows[0], userId, client);
+        await saveEventResponses(guestId, response.answers, userId, client);
+        savedRsvps.push(rsvpResult.rows[0]);
       }
 
-      // Handle plus-one creation if user is bringing one
-      let plusOneRsvpResult = null;
-      if (plus_one && plus_one.first_name && plus_one.last_name && plus_one.email) {
-        console.log('📝 RSVP API: Creating plus-one user and RSVP:', plus_one);
-        
-        // Create plus-one user
-        const plusOneUserResult = await query(`
-          INSERT INTO users (
-            first_name, last_name, email, account_status, plus_one_allowed
-          )
-          VALUES ($1, $2, $3, 'guest', false)
-          RETURNING *;
-        `, [plus_one.first_name, plus_one.last_name, plus_one.email]);
-        
-        const plusOneUserId = plusOneUserResult.rows[0].id;
-        
-        // Create RSVP for plus-one
-        plusOneRsvpResult = await query(`
-          INSERT INTO rsvps (
-            user_id, partner_id, response_status, dietary_restrictions, message
-          )
-          VALUES ($1, $2, 'attending', $3, $4)
-          RETURNING *;
-        `, [plusOneUserId, userId, plus_one.dietary_restrictions, `Plus-one for ${user.first_name} ${user.last_name}`]);
-        
-        console.log('📝 RSVP API: Plus-one user and RSVP created:', {
-          user_id: plusOneUserId,
-          rsvp_id: plusOneRsvpResult.rows[0].id
-        });
-        
-        // Update the main user's RSVP to include the plus-one's partner_id
-        await query(`
-          UPDATE rsvps
-          SET partner_id = $1, updated_at = CURRENT_TIMESTAMP
-          WHERE user_id = $2
-        `, [plusOneUserId, userId]);
-        
-        // Update the users table to establish the partner relationship
-        await query(`
-          UPDATE users
-          SET partner_id = $1, updated_at = CURRENT_TIMESTAMP
-          WHERE id = $2
-        `, [plusOneUserId, userId]);
-        
-        // Update the plus-one user to have the main user as partner
-        await query(`
-          UPDATE users
-          SET partner_id = $1, updated_at = CURRENT_TIMESTAMP
-          WHERE id = $2
-        `, [userId, plusOneUserId]);
-        
-        console.log('📝 RSVP API: Updated both users and RSVPs with partner relationships');
+      // Update, add or remove the plus-one; undefined leaves them as they are
+      let plusOne = currentPlusOne;
+      if (plus_one === null && currentPlusOne) {
+        await removePlusOne(userId, currentPlusOne, userId, client);
+        plusOne = null;
+      } else if (plus_one && currentPlusOne) {
+        plusOne = await updatePlusOne(userId, currentPlusOne, plus_one, userId, client);
+      } else if (plus_one) {
+        plusOne = await createPlusOne(user, plus_one, client);
       }
 
-      // Commit transaction
-      await query('COMMIT');
-      
-      res.status(201).json({
-        success: true,
-        message: 'RSVP submitted successfully!',
-        data: {
-          user_rsvp: rsvpResult.rows[0],
-          partner_rsvp: partnerRsvpResult ? partnerRsvpResult.rows[0] : null,
-          plus_one_rsvp: plusOneRsvpResult ? plusOneRsvpResult.rows[0] : null
-        }
-      });
+      const plusOneRsvp = plus_one && plusOne
+        ? (await client.query('SELECT * FROM rsvps WHERE id = $1', [plusOne.rsvp_id])).rows[0]
+        : null;
+
+      const songRequests = songResult.songs
+        ? await replaceSongRequests(userId, songResult.songs, client)
+        : await getSongRequests(userId, client);
 
-    } catch (error) {
-      // Rollback transaction on error
-      await query('ROLLBACK');
-      throw error;
+      return { savedRsvps, plusOne, plusOneRsvp, songRequests };
+    });
+
+    if (result.plusOneNotAllowed) {
+      return sendPlusOneNotAllowed(res);
+    }
+
+    if (result.plusOneRegistered) {
+      return sendPlusOneRegistered(res, result.plusOneRegistered);
+    }
+
+    if (result.seatsError) {
+      return sendSeatsExceeded(res, result.seatsError);
     }
 
+    const { savedRsvps, plusOne, plusOneRsvp, songRequests } = result;
+
+    res.status(201).json({
+      success: true,
+      message: 'RSVP submitted successfully!',
+      data: {
+        user_rsvp: savedRsvps.find(rsvp => rsvp.user_id === userId) || null,
+        partner_rsvp: savedRsvps.find(rsvp => user.partner_id && rsvp.user_id === user.partner_id) || null,
+        household_rsvps: savedRsvps,
+        events: Object.fromEntries([...responses].map(([guestId, response]) => [guestId, response.answers])),
+        plus_one_rsvp: plusOneRsvp,
+        plus_one: plusOne,
+        song_requests: songRequests
+      }
+    });
+
   } catch (error) {
+    if (sendPlusOneConstraintError(res, error)) return;
     console.error('Error submitting RSVP:', error);
     res.status(500).json({
       success: false,
@@ -185,6 +486,11 @@ router.post('/', requireAuth, async (req, res) => {
 /**
  * GET /api/rsvps
  * Get RSVP details for the current user (and partner if applicable)
+ * household lists everyone the user can RSVP for, with their responses;
+ * events (yours, and each member's) are the invited events with answers.
+ * meal_options and dietary_tags are the choices for the form;
+ * song_requests are yours. rsvp_window says until when you can change it.
+ * plus_one is your plus-one, if you've added one (as GET /api/rsvps/plus-one).
  */
 router.get('/', requireAuth, async (req, res) => {
   try {
@@ -201,7 +507,7 @@ router.get('/', requireAuth, async (req, res) => {
         u.email
       FROM rsvps r
       JOIN users u ON r.user_id = u.id
-      WHERE r.user_id = $1
+      WHERE r.user_id = $1 AND r.deleted_at IS NULL
     `, [userId]);
 
     // Get partner's RSVP if user has a partner
@@ -216,17 +522,33 @@ router.get('/', requireAuth, async (req, res) => {
           u.email
         FROM rsvps r
         JOIN users u ON r.user_id = u.id
-        WHERE r.user_id = $1
+        WHERE r.user_id = $1 AND r.deleted_at IS NULL
       `, [user.partner_id]);
       
       partnerRsvp = partnerRsvpResult.rows.length > 0 ? partnerRsvpResult.rows[0] : null;
     }
 
+    const { household, members } = await getHouseholdForGuest(userId);
+    const guestEvents = await getGuestEvents([userId, ...members.map(member => member.id)]);
+
     res.json({
       success: true,
       data: {
         user_rsvp: userRsvp.rows.length > 0 ? userRsvp.rows[0] : null,
         partner_rsvp: partnerRsvp,
+        household: {
+          id: household ? household.id : null,
+          name: household ? household.name : null,
+          seats: household ? household.seats : null,
+          primary_contact_id: household ? household.primary_contact_id : null,
+          members: members.map(member => ({ ...member, events: guestEvents.get(member.id) }))
+        },
+        events: guestEvents.get(userId),
+        meal_options: await getMealOptions(),
+        dietary_tags: DIETARY_TAGS,
+        song_requests: await getSongRequests(userId),
+        rsvp_window: await getRsvpWindow(userId),
+        plus_one: await getPlusOne(userId),
         partner_info: user.partner, // Use partner info from auth middleware
         user_info: {
           id: user.id,
@@ -249,12 +571,141 @@ router.get('/', requireAuth, async (req, res) => {
   }
 });
 
+// Sortable columns for the RSVP summary (query value -> ORDER BY expression)
+const SUMMARY_SORTS = {
+  name: 'u.last_name, u.first_name',
+  responded_at: 'r.responded_at',
+  response_status: 'r.response_status',
+  account_status: 'u.account_status',
+  created_at: 'u.created_at'
+};
+const SUMMARY_RESPONSE_STATUSES = ['attending', 'not_attending', 'pending', 'no_response'];
+const SUMMARY_ACCOUNT_STATUSES = ['guest', 'registered'];
+const SUMMARY_DEFAULT_PAGE_SIZE = 50;
+const SUMMARY_MAX_PAGE_SIZE = 200;
+
+// One row per guest, except that couples (partner_id) share a row under the
+// lower user id; other household members keep rows of their own
+const SUMMARY_FROM = `
+  FROM users u
+  LEFT JOIN rsvps r ON u.id = r.user_id AND r.deleted_at IS NULL
+  LEFT JOIN users p ON u.partner_id = p.id
+  LEFT JOIN rsvps pr ON p.id = pr.user_id AND pr.deleted_at IS NULL
+  LEFT JOIN households h ON h.id = u.household_id
+  LEFT JOIN meal_options m ON m.id = r.meal_option_id
+  LEFT JOIN meal_options pm ON pm.id = pr.meal_option_id
+  WHERE u.deleted_at IS NULL
+  AND (u.partner_id IS NULL OR u.id < u.partner_id) -- Avoid duplicates for couples
+`;
+
+/**
+ * Turn summary query parameters into SQL conditions
+ * Filters match a household when either partner matches.
+ * Returns { conditions, params, orderBy, page, pageSize } or { error }
+ */
+function parseSummaryQuery(queryParams) {
+  const conditions = [];
+  const params = [];
+  const addParam = (value) => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+
+  if (queryParams.response_status) {
+    const statuses = String(queryParams.response_status).split(',').map(status => status.trim());
+    const invalid = statuses.find(status => !SUMMARY_RESPONSE_STATUSES.includes(status));
+    if (invalid) {
+      return { error: `Invalid response_status "${invalid}". Use: ${SUMMARY_RESPONSE_STATUSES.join(', ')}` };
+    }
+
+    const placeholder = addParam(statuses);
+    const wantsNoResponse = statuses.includes('no_response');
+    conditions.push(`(
+      r.response_status = ANY(${placeholder}) OR pr.response_status = ANY(${placeholder})
+      ${wantsNoResponse ? 'OR r.id IS NULL OR (p.id IS NOT NULL AND pr.id IS NULL)' : ''}
+    )`);
+  }
+
+  const search = typeof queryParams.q === 'string' ? queryParams.q.trim() : '';
+  if (search) {
+    const placeholder = addParam(search);
+    conditions.push(`(
+      u.full_name ILIKE '%' || ${placeholder} || '%' OR u.email ILIKE '%' || ${placeholder} || '%'
+      OR p.full_name ILIKE '%' || ${placeholder} || '%' OR p.email ILIKE '%' || ${placeholder} || '%'
+    )`);
+  }
+
+  if (queryParams.account_status) {
+    if (!SUMMARY_ACCOUNT_STATUSES.includes(queryParams.account_status)) {
+      return { error: `Invalid account_status. Use: ${SUMMARY_ACCOUNT_STATUSES.join(', ')}` };
+    }
+    const placeholder = addParam(queryParams.account_status);
+    conditions.push(`(u.account_status = ${placeholder} OR p.account_status = ${placeholder})`);
+  }
+
+  if (queryParams.has_dietary !== undefined) {
+    if (!['true', 'false'].includes(queryParams.has_dietary)) {
+      return { error: 'has_dietary must be true or false' };
+    }
+    const hasDietary = `(
+      COALESCE(TRIM(r.dietary_restrictions), '') <> '' OR cardinality(r.dietary_tags) > 0
+      OR COALESCE(TRIM(pr.dietary_restrictions), '') <> '' OR cardinality(pr.dietary_tags) > 0
+    )`;
+    conditions.push(queryParams.has_dietary === 'true' ? hasDietary : `NOT ${hasDietary}`);
+  }
+
+  if (queryParams.responded_after) {
+    const respondedAfter = new Date(queryParams.responded_after);
+    if (Number.isNaN(respondedAfter.getTime())) {
+      return { error: 'responded_after must be a date, e.g. 2025-01-31' };
+    }
+    const placeholder = addParam(respondedAfter.toISOString());
+    conditions.push(`(r.responded_at >= ${placeholder} OR pr.responded_at >= ${placeholder})`);
+  }
+
+  const sort = queryParams.sort || 'name';
+  if (!SUMMARY_SORTS[sort]) {
+    return { error: `Invalid sort. Use: ${Object.keys(SUMMARY_SORTS).join(', ')}` };
+  }
+  const order = queryParams.order === 'desc' ? 'DESC' : 'ASC';
+  const orderBy = SUMMARY_SORTS[sort]
+    .split(', ')
+    .map(column => `${column} ${order} NULLS LAST`)
+    .concat('u.id')
+    .join(', ');
+
+  const page = parseInt(queryParams.page, 10) || 1;
+  const pageSize = parseInt(queryParams.page_size, 10) || SUMMARY_DEFAULT_PAGE_SIZE;
+  if (page < 1 || pageSize < 1 || pageSize > SUMMARY_MAX_PAGE_SIZE) {
+    return { error: `page must be 1 or more and page_size between 1 and ${SUMMARY_MAX_PAGE_SIZE}` };
+  }
+
+  return { conditions, params, orderBy, page, pageSize };
+}
+
 /**
  * GET /api/rsvps/summary
- * Get RSVP summary for admin (requires authentication in production)
+ * Get RSVP summary for admin
+ * Query: q (name or email of either partner), response_status (comma-separated,
+ * incl. no_response), account_status, has_dietary, responded_after, sort, order, page, page_size.
+ * summary totals always cover the whole guest list, with guest headcounts per
+ * event in summary.events and meal and diet counts among attending guests in
+ * summary.dietary; users is the filtered page.
  */
-router.get('/summary', requireAuth, async (req, res) => {
+router.get('/summary', requireAuth, requireAdmin, async (req, res) => {
   try {
+    const parsed = parseSummaryQuery(req.query);
+
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const { conditions, params, orderBy, page, pageSize } = parsed;
+    const filters = conditions.map(condition => `AND ${condition}`).join('\n');
+
     const result = await query(`
       SELECT 
         u.id,
@@ -262,44 +713,67 @@ router.get('/summary', requireAuth, async (req, res) => {
         u.last_name,
         u.full_name,
         u.email,
+        u.partner_id,
+        u.household_id,
+        h.name as household_name,
+        h.seats as household_seats,
         u.plus_one_allowed,
+        u.plus_one_of,
         u.account_status,
         r.response_status,
         r.dietary_restrictions,
+        r.meal_option_id,
+        m.name as meal,
+        r.dietary_tags,
         r.message,
         r.responded_at,
         p.first_name as partner_first_name,
         p.last_name as partner_last_name,
         p.full_name as partner_full_name,
         p.email as partner_email,
+        p.plus_one_of as partner_plus_one_of,
+        p.account_status as partner_account_status,
         pr.response_status as partner_response_status,
         pr.dietary_restrictions as partner_dietary_restrictions,
+        pr.meal_option_id as partner_meal_option_id,
+        pm.name as partner_meal,
+        pr.dietary_tags as partner_dietary_tags,
         pr.message as partner_message,
         pr.responded_at as partner_responded_at
-      FROM users u
-      LEFT JOIN rsvps r ON u.id = r.user_id
-      LEFT JOIN users p ON u.partner_id = p.id
-      LEFT JOIN rsvps pr ON p.id = pr.user_id
-      WHERE u.deleted_at IS NULL
-      AND (u.partner_id IS NULL OR u.id < u.partner_id) -- Avoid duplicates for couples
-      ORDER BY u.last_name, u.first_name
+      ${SUMMARY_FROM}
+      ${filters}
+      ORDER BY ${orderBy}
+      LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}
+    `, params);
+
+    const matching = await query(`
+      SELECT COUNT(*) as count
+      ${SUMMARY_FROM}
+      ${filters}
+    `, params);
+
+    const totals = await query(`
+      SELECT r.response_status
+      ${SUMMARY_FROM}
     `);
 
     // Calculate summary statistics
-    const totalUsers = result.rows.length;
-    const responded = result.rows.filter(r => r.response_status).length;
-    const attending = result.rows.filter(r => r.response_status === 'attending').length;
+    const totalUsers = totals.rows.length;
+    const responded = totals.rows.filter(r => r.response_status).length;
+    const attending = totals.rows.filter(r => r.response_status === 'attending').length;
     
-    // Calculate total attending count (including partners)
-    let totalAttending = 0;
-    result.rows.forEach(row => {
-      if (row.response_status === 'attending') {
-        totalAttending += 1; // User
-        if (row.partner_response_status === 'attending') {
-          totalAttending += 1; // Partner
-        }
-      }
-    });
+    // Everyone attending, whichever row they're on
+    const attendingGuests = await query(`
+      SELECT COUNT(*) as count
+      FROM users u
+      JOIN rsvps r ON r.user_id = u.id AND r.deleted_at IS NULL
+      WHERE u.deleted_at IS NULL AND r.response_status = 'attending'
+    `);
+    const totalAttending = parseInt(attendingGuests.rows[0].count, 10);
+
+    const totalMatching = parseInt(matching.rows[0].count, 10);
+    const eventHeadcounts = await getEventHeadcounts();
+    const dietaryCounts = await getDietaryCounts();
 
     res.json({
       success: true,
@@ -309,9 +783,17 @@ router.get('/summary', requireAuth, async (req, res) => {
           responded: responded,
           attending: attending,
           not_attending: responded - attending,
-          total_attending_count: totalAttending
+          total_attending_count: totalAttending,
+          events: eventHeadcounts,
+          dietary: dietaryCounts
         },
-        users: result.rows
+        users: result.rows,
+        pagination: {
+          page: page,
+          page_size: pageSize,
+          total: totalMatching,
+          total_pages: Math.ceil(totalMatching / pageSize)
+        }
       }
     });
 
@@ -325,92 +807,124 @@ router.get('/summary', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/rsvps/plus-one
+ * Your plus-one with their RSVP (data: null when you haven't added one)
+ */
+router.get('/plus-one', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getPlusOne(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Error fetching plus-one:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch plus-one',
+      error: error.message
+    });
+  }
+});
+
 /**
  * POST /api/rsvps/plus-one
  * Add a plus-one as a new user (if plus_one_allowed is true)
+ * Body: first_name, last_name, email, password; optional dietary_restrictions,
+ * meal_option_id, dietary_tags. One plus-one per guest (409 PLUS_ONE_EXISTS;
+ * use PUT or /plus-one/replace to change them). They need a free seat in your
+ * household (400 SEATS_EXCEEDED).
+ * Closed after your RSVP deadline (403 RSVP_CLOSED).
  */
 router.post('/plus-one', requireAuth, async (req, res) => {
   try {
-    const { first_name, last_name, email, password } = req.body;
+    const { email, password } = req.body;
     const userId = req.user.id;
     const user = req.user;
 
     // Check if user is allowed to bring a plus-one
     if (!user.plus_one_allowed) {
-      return res.status(403).json({
-        success: false,
-        message: 'Plus-one not allowed for this user'
-      });
+      return sendPlusOneNotAllowed(res);
+    }
+
+    const rsvpWindow = await getRsvpWindow(userId);
+    if (!rsvpWindow.is_open) {
+      return sendRsvpClosed(res, rsvpWindow);
     }
 
     // Basic validation
-    if (!first_name || !last_name || !email || !password) {
+    if (!password) {
       return res.status(400).json({
         success: false,
         message: 'All fields are required for plus-one'
       });
     }
 
-    // Check if email is already used
-    const existingUser = await query(
-      'SELECT id FROM users WHERE email = $1 AND deleted_at IS NULL',
-      [email]
-    );
+    const detailsError = validatePlusOne(req.body) || await checkMealOptions([req.body.meal_option_id]);
+    if (detailsError) {
+      return res.status(400).json({
+        success: false,
+        message: detailsError
+      });
+    }
 
-    if (existingUser.rows.length > 0) {
+    if (await isEmailInUse(email)) {
       return res.status(409).json({
         success: false,
-        message: 'This email address is already registered'
+        message: 'This email address is already registered',
+        code: 'EMAIL_IN_USE'
       });
     }
 
-    // Start transaction
-    await query('BEGIN');
-
-    try {
-      // Create plus-one user
-      const password_hash = Buffer.from(password).toString('base64');
-      const plusOneUser = await query(`
-        INSERT INTO users (
-          first_name, last_name, email, password_hash, account_status, plus_one_allowed
-        ) VALUES ($1, $2, $3, $4, 'registered', false)
-        RETURNING id, first_name, last_name, full_name, email
-      `, [first_name, last_name, email, password_hash]);
-
-      // Link plus-one to the original user (as partner)
-      await query(`
-        UPDATE users 
-        SET partner_id = $1 
-        WHERE id = $2
-      `, [userId, plusOneUser.rows[0].id]);
-
-      // Create RSVP for plus-one
-      const plusOneRsvp = await query(`
-        INSERT INTO rsvps (
-          user_id, partner_id, response_status, dietary_restrictions, message
-        ) VALUES ($1, $2, 'attending', '', 'Plus-one RSVP')
-        RETURNING *
-      `, [plusOneUser.rows[0].id, userId]);
-
-      // Commit transaction
-      await query('COMMIT');
-
-      res.status(201).json({
-        success: true,
-        message: 'Plus-one added successfully!',
-        data: {
-          plus_one_user: plusOneUser.rows[0],
-          plus_one_rsvp: plusOneRsvp.rows[0]
-        }
-      });
+    const password_hash = await hashPassword(password);
+
+    const result = await transaction(async (client) => {
+      await lockGuests([userId], client);
+
+      if (await getPlusOne(userId, client)) {
+        return { exists: true };
+      }
+      const seatsError = checkSeats(await getHouseholdForGuest(userId, client), new Map(), { adding: 1 });
+      if (seatsError) {
+        return { seatsError };
+      }
+      return { plusOne: await createPlusOne(user, { ...req.body, password_hash }, client) };
+    });
 
-    } catch (error) {
-      // Rollback transaction on error
-      await query('ROLLBACK');
-      throw error;
+    if (result.seatsError) {
+      return sendSeatsExceeded(res, result.seatsError);
     }
 
+    if (result.exists) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have a plus-one',
+        code: 'PLUS_ONE_EXISTS'
+      });
+    }
+
+    const { plusOne } = result;
+    const plusOneRsvp = await query('SELECT * FROM rsvps WHERE id = $1', [plusOne.rsvp_id]);
+
+    res.status(201).json({
+      success: true,
+      message: 'Plus-one added successfully!',
+      data: {
+        plus_one_user: {
+          id: plusOne.id,
+          first_name: plusOne.first_name,
+          last_name: plusOne.last_name,
+          full_name: plusOne.full_name,
+          email: plusOne.email
+        },
+        plus_one_rsvp: plusOneRsvp.rows[0],
+        plus_one: plusOne
+      }
+    });
+
   } catch (error) {
+    if (sendPlusOneConstraintError(res, error)) return;
     console.error('Error adding plus-one:', error);
     res.status(500).json({
       success: false,
@@ -420,4 +934,254 @@ router.post('/plus-one', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * PUT /api/rsvps/plus-one
+ * Edit your plus-one: any of first_name, last_name, email,
+ * dietary_restrictions, meal_option_id, dietary_tags
+ * Once they have their own account their email is theirs to change
+ * (403 PLUS_ONE_REGISTERED).
+ * Closed after your RSVP deadline (403 RSVP_CLOSED).
+ */
+router.put('/plus-one', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const rsvpWindow = await getRsvpWindow(userId);
+    if (!rsvpWindow.is_open) {
+      return sendRsvpClosed(res, rsvpWindow);
+    }
+
+    const detailsError = validatePlusOne(req.body, { partial: true }) ||
+      await checkMealOptions([req.body.meal_option_id]);
+    if (detailsError) {
+      return res.status(400).json({
+        success: false,
+        message: detailsError
+      });
+    }
+
+    const plusOne = await transaction(async (client) => {
+      await lockGuests([userId], client);
+
+      const current = await getPlusOne(userId, client);
+      if (!current) {
+        return { missing: true };
+      }
+      if (changesRegisteredEmail(current, req.body)) {
+        return { registered: current };
+      }
+      if (req.body.email !== undefined && await isEmailInUse(req.body.email, current.id)) {
+        return { emailInUse: true };
+      }
+      return updatePlusOne(userId, current, req.body, userId, client);
+    });
+
+    if (plusOne.missing) {
+      return sendNoPlusOne(res);
+    }
+
+    if (plusOne.registered) {
+      return sendPlusOneRegistered(res, plusOne.registered);
+    }
+
+    if (plusOne.emailInUse) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already registered',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Plus-one updated',
+      data: plusOne
+    });
+
+  } catch (error) {
+    if (sendPlusOneConstraintError(res, error)) return;
+    console.error('Error updating plus-one:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update plus-one',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/rsvps/plus-one/replace
+ * Swap your plus-one for someone else: the current one is removed (as with
+ * DELETE) and the new one added, together
+ * Body: first_name, last_name, email; optional dietary_restrictions,
+ * meal_option_id, dietary_tags. The new plus-one takes the current one's seat
+ * (400 SEATS_EXCEEDED if the household has filled it since).
+ * Closed after your RSVP deadline (403 RSVP_CLOSED).
+ */
+router.post('/plus-one/replace', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const user = req.user;
+
+    if (!user.plus_one_allowed) {
+      return sendPlusOneNotAllowed(res);
+    }
+
+    const rsvpWindow = await getRsvpWindow(userId);
+    if (!rsvpWindow.is_open) {
+      return sendRsvpClosed(res, rsvpWindow);
+    }
+
+    const detailsError = validatePlusOne(req.body) || await checkMealOptions([req.body.meal_option_id]);
+    if (detailsError) {
+      return res.status(400).json({
+        success: false,
+        message: detailsError
+      });
+    }
+
+    const result = await transaction(async (client) => {
+      await lockGuests([userId], client);
+
+      const current = await getPlusOne(userId, client);
+      if (!current) {
+        return { missing: true };
+      }
+      // The replacement may keep the current plus-one's email
+      if (await isEmailInUse(req.body.email, current.id)) {
+        return { emailInUse: true };
+      }
+      // The new plus-one takes the current one's seat
+      const seatsError = checkSeats(await getHouseholdForGuest(userId, client), new Map(), {
+        adding: 1,
+        leavingId: current.id
+      });
+      if (seatsError) {
+        return { seatsError };
+      }
+
+      await removePlusOne(userId, current, userId, client);
+      return {
+        replaced: current,
+        plusOne: await createPlusOne(user, req.body, client)
+      };
+    });
+
+    if (result.missing) {
+      return sendNoPlusOne(res);
+    }
+
+    if (result.emailInUse) {
+      return res.status(409).json({
+        success: false,
+        message: 'This email address is already registered',
+        code: 'EMAIL_IN_USE'
+      });
+    }
+
+    if (result.seatsError) {
+      return sendSeatsExceeded(res, result.seatsError);
+    }
+
+    res.json({
+      success: true,
+      message: `${result.replaced.full_name} replaced by ${result.plusOne.full_name}`,
+      data: result.plusOne
+    });
+
+  } catch (error) {
+    if (sendPlusOneConstraintError(res, error)) return;
+    console.error('Error replacing plus-one:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replace plus-one',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/rsvps/plus-one/claim-link
+ * Email your plus-one a link to set up their own account, so they can log in
+ * and answer for themselves. A new link replaces the last one.
+ * 409 ALREADY_REGISTERED once they have an account.
+ */
+router.post('/plus-one/claim-link', requireAuth, async (req, res) => {
+  try {
+    const plusOne = await getPlusOne(req.user.id);
+
+    if (!plusOne) {
+      return sendNoPlusOne(res);
+    }
+
+    const claimError = getClaimLinkError(plusOne);
+    if (claimError) {
+      return res.status(claimError.status).json({
+        success: false,
+        message: claimError.message,
+        code: claimError.code
+      });
+    }
+
+    await sendClaimLink(plusOne, req.user, getAppBaseUrl(req));
+
+    res.json({
+      success: true,
+      message: `We've emailed ${plusOne.full_name} a link to set up their account`
+    });
+
+  } catch (error) {
+    console.error('Error sending plus-one claim link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send the link',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/rsvps/plus-one
+ * Remove your plus-one: the partner link is cleared on both sides, they
+ * leave your household and they and their RSVP are soft-deleted
+ * Closed after your RSVP deadline (403 RSVP_CLOSED).
+ */
+router.delete('/plus-one', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const rsvpWindow = await getRsvpWindow(userId);
+    if (!rsvpWindow.is_open) {
+      return sendRsvpClosed(res, rsvpWindow);
+    }
+
+    const removed = await transaction(async (client) => {
+      await lockGuests([userId], client);
+
+      const current = await getPlusOne(userId, client);
+      if (current) {
+        await removePlusOne(userId, current, userId, client);
+      }
+      return current;
+    });
+
+    if (!removed) {
+      return sendNoPlusOne(res);
+    }
+
+    res.json({
+      success: true,
+      message: `${removed.full_name} removed as your plus-one`
+    });
+
+  } catch (error) {
+    console.error('Error removing plus-one:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove plus-one',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
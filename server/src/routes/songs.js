@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const {
+  validateSongRequests,
+  validateSongRequest,
+  getSongRequests,
+  replaceSongRequests,
+  addSongRequest,
+  deleteSongRequest
+} = require('../utils/songs');
+
+/**
+ * GET /api/songs
+ * Your song requests
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        song_requests: await getSongRequests(req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching song requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch song requests',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/songs
+ * Replace your song requests
+ * Body: { song_requests: [{ title, artist }] }; an empty list clears them
+ */
+router.put('/', requireAuth, async (req, res) => {
+  try {
+    const { songs, error } = validateSongRequests(req.body.song_requests);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Song requests saved',
+      data: {
+        song_requests: await replaceSongRequests(req.user.id, songs)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error saving song requests:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save song requests',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/songs
+ * Request one song: { title, artist }
+ * A song you already requested (however it's spelled) is returned as it is, not added.
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { song, error } = validateSongRequest(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const result = await addSongRequest(req.user.id, song);
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error,
+        code: 'SONG_LIMIT_REACHED'
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created ? 'Song requested' : 'You already requested this song',
+      data: result.song
+    });
+
+  } catch (error) {
+    console.error('Error requesting song:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request song',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/songs/:id
+ * Withdraw one of your song requests
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const deleted = await deleteSongRequest(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Song request not found',
+        code: 'SONG_REQUEST_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Song request removed'
+    });
+
+  } catch (error) {
+    console.error('Error removing song request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove song request',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
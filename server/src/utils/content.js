@@ -0,0 +1,359 @@
+/**
+ * Site Content
+ *
+ * The wedding weekend as shown on the website, shared by GET /api/content and
+ * the admin content endpoints:
+ *
+ * - events:       the weekend's events (who is invited is managed separately)
+ * - venues:       where they happen; event times are shown in the venue's zone
+ * - hotel_blocks: the room block and alternative hotels
+ * - faqs:         questions and answers
+ * - meal_options: the meals guests choose from on the RSVP form
+ *
+ * Each type lists its editable fields; admins send any subset of them.
+ */
+
+const { pool } = require('../config/db');
+const { getMealOptions } = require('./dietary');
+
+const SLUG_PATTERN = /^[a-z0-9_]+$/;
+
+const CONTENT_TYPES = {
+  events: {
+    table: 'events',
+    label: 'Event',
+    fields: {
+      slug: { type: 'slug', required: true },
+      name: { type: 'text', required: true, max: 100 },
+      starts_at: { type: 'timestamp' },
+      venue_id: { type: 'reference', table: 'venues' },
+      location: { type: 'text', max: 200 },
+      dress_code: { type: 'text', max: 100 },
+      description: { type: 'text' },
+      sort_order: { type: 'integer', notNull: true }
+    }
+  },
+  venues: {
+    table: 'venues',
+    label: 'Venue',
+    fields: {
+      slug: { type: 'slug', required: true },
+      name: { type: 'text', required: true, max: 200 },
+      address: { type: 'text' },
+      phone: { type: 'text', max: 50 },
+      website_url: { type: 'url' },
+      map_url: { type: 'url' },
+      description: { type: 'text' },
+      time_zone: { type: 'time_zone', notNull: true },
+      sort_order: { type: 'integer', notNull: true }
+    }
+  },
+  hotel_blocks: {
+    table: 'hotel_blocks',
+    label: 'Hotel',
+    fields: {
+      name: { type: 'text', required: true, max: 200 },
+      is_room_block: { type: 'boolean', notNull: true },
+      rate: { type: 'text', max: 100 },
+      booking_code: { type: 'text', max: 200 },
+      booking_url: { type: 'url' },
+      booking_deadline: { type: 'date' },
+      phone: { type: 'text', max: 50 },
+      distance: { type: 'text', max: 100 },
+      room_types: { type: 'text_list' },
+      sort_order: { type: 'integer', notNull: true }
+    }
+  },
+  faqs: {
+    table: 'faqs',
+    label: 'FAQ',
+    fields: {
+      question: { type: 'text', required: true },
+      answer: { type: 'text', required: true },
+      sort_order: { type: 'integer', notNull: true }
+    }
+  },
+  meal_options: {
+    table: 'meal_options',
+    label: 'Meal option',
+    fields: {
+      slug: { type: 'slug', required: true },
+      name: { type: 'text', required: true, max: 100 },
+      description: { type: 'text' },
+      is_kids_meal: { type: 'boolean', notNull: true },
+      sort_order: { type: 'integer', notNull: true }
+    }
+  }
+};
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check one field value; returns an error message or null
+ * null clears an optional field (notNull fields can be changed, not cleared).
+ */
+function validateField(key, spec, value) {
+  if (value === null || value === '') {
+    return spec.required || spec.notNull ? `${key} is required` : null;
+  }
+
+  switch (spec.type) {
+    case 'text':
+      if (typeof value !== 'string' || !value.trim()) {
+        return `${key} must be text`;
+      }
+      if (spec.max && value.trim().length > spec.max) {
+        return `${key} must be at most ${spec.max} characters`;
+      }
+      return null;
+    case 'slug':
+      return typeof value === 'string' && SLUG_PATTERN.test(value) && value.length <= 50
+        ? null
+        : `${key} must be lowercase letters, numbers and underscores`;
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/\S+$/.test(value) && value.length <= 500
+        ? null
+        : `${key} must be an http(s) URL`;
+    case 'timestamp':
+      return typeof value === 'string' && /(?:[zZ]|[+-]\d{2}:?\d{2})$/.test(value) && !isNaN(Date.parse(value))
+        ? null
+        : `${key} must be a date and time with a UTC offset, e.g. 2026-06-21T16:00:00-07:00`;
+    case 'date':
+      return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))
+        ? null
+        : `${key} must be a date, e.g. 2026-05-21`;
+    case 'time_zone':
+      return typeof value === 'string' && isValidTimeZone(value)
+        ? null
+        : `${key} must be an IANA time zone, e.g. America/Los_Angeles`;
+    case 'integer':
+      return Number.isInteger(value) ? null : `${key} must be a whole number`;
+    case 'boolean':
+      return typeof value === 'boolean' ? null : `${key} must be true or false`;
+    case 'text_list':
+      return Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.trim())
+        ? null
+        : `${key} must be a list of text`;
+    case 'reference':
+      return typeof value === 'string' ? null : `${key} must be an id`;
+    default:
+      return `${key} can't be set`;
+  }
+}
+
+/**
+ * Pick and check the editable fields in a request body
+ * Unknown fields are rejected so typos don't pass silently. On create,
+ * required fields must be present.
+ * Returns { values } or { error }
+ */
+function validateContent(type, body, { creating = false } = {}) {
+  const { fields } = CONTENT_TYPES[type];
+  const input = body || {};
+
+  const unknown = Object.keys(input).filter(key => !fields[key]);
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown field(s) for ${type}: ${unknown.join(', ')}. Editable: ${Object.keys(fields).join(', ')}`
+    };
+  }
+
+  if (creating) {
+    const missing = Object.keys(fields).filter(key => fields[key].required && input[key] === undefined);
+    if (missing.length > 0) {
+      return { error: `Missing required field(s): ${missing.join(', ')}` };
+    }
+  }
+
+  const values = {};
+  for (const [key, value] of Object.entries(input)) {
+    const error = validateField(key, fields[key], value);
+    if (error) {
+      return { error };
+    }
+    const spec = fields[key];
+    if (value === '' || value === null) {
+      values[key] = spec.type === 'text_list' ? [] : null;
+    } else if (spec.type === 'text') {
+      values[key] = value.trim();
+    } else if (spec.type === 'text_list') {
+      values[key] = value.map(entry => entry.trim());
+    } else {
+      values[key] = value;
+    }
+  }
+
+  if (!creating && Object.keys(values).length === 0) {
+    return { error: `Send at least one of: ${Object.keys(fields).join(', ')}` };
+  }
+
+  return { values };
+}
+
+/**
+ * Check that referenced rows exist; returns an error message or null
+ */
+async function checkReferences(type, values, client = pool) {
+  const { fields } = CONTENT_TYPES[type];
+
+  for (const [key, value] of Object.entries(values)) {
+    if (fields[key].type !== 'reference' || value === null) {
+      continue;
+    }
+    const result = await client.query(
+      `SELECT 1 FROM ${fields[key].table} WHERE id::text = $1`,
+      [value]
+    );
+    if (result.rows.length === 0) {
+      return `${key} does not match any ${fields[key].table}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * pg reads DATE columns as local midnight; send them back as YYYY-MM-DD
+ */
+function formatItem(type, row) {
+  const { fields } = CONTENT_TYPES[type];
+  const item = { ...row };
+
+  for (const key of Object.keys(fields)) {
+    if (fields[key].type === 'date' && item[key] instanceof Date) {
+      const date = item[key];
+      item[key] = [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+      ].join('-');
+    }
+  }
+  return item;
+}
+
+/**
+ * Every item of a type in display order
+ */
+async function listContentItems(type, client = pool) {
+  const { table } = CONTENT_TYPES[type];
+  const result = await client.query(`SELECT * FROM ${table} ORDER BY sort_order, created_at, id`);
+  return result.rows.map(row => formatItem(type, row));
+}
+
+/**
+ * Insert an item from validated values; returns the new row
+ */
+async function createContentItem(type, values, client = pool) {
+  const { table } = CONTENT_TYPES[type];
+  const keys = Object.keys(values);
+
+  const result = await client.query(`
+    INSERT INTO ${table} (${keys.join(', ')})
+    VALUES (${keys.map((key, index) => `$${index + 1}`).join(', ')})
+    RETURNING *
+  `, keys.map(key => values[key]));
+  return formatItem(type, result.rows[0]);
+}
+
+/**
+ * Update an item from validated values; returns the row or null if missing
+ */
+async function updateContentItem(type, id, values, client = pool) {
+  const { table } = CONTENT_TYPES[type];
+  const keys = Object.keys(values);
+
+  const result = await client.query(`
+    UPDATE ${table}
+    SET ${keys.map((key, index) => `${key} = $${index + 2}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+    WHERE id::text = $1
+    RETURNING *
+  `, [id, ...keys.map(key => values[key])]);
+  return result.rows.length > 0 ? formatItem(type, result.rows[0]) : null;
+}
+
+/**
+ * Delete an item; returns whether it existed
+ * Deleting an event also deletes its invitations and answers; deleting a meal
+ * option clears it from the guests who chose it.
+ */
+async function deleteContentItem(type, id, client = pool) {
+  const { table } = CONTENT_TYPES[type];
+  const result = await client.query(`DELETE FROM ${table} WHERE id::text = $1 RETURNING id`, [id]);
+  return result.rows.length > 0;
+}
+
+/**
+ * Everything the public pages show
+ * wedding is the ceremony (or the first event): its time drives the
+ * countdown and the date on the home page.
+ */
+async function loadContent(client = pool) {
+  const venues = await client.query(`
+    SELECT id, slug, name, address, phone, website_url, map_url, description, time_zone
+    FROM venues
+    ORDER BY sort_order, name, id
+  `);
+
+  const events = await client.query(`
+    SELECT
+      e.id,
+      e.slug,
+      e.name,
+      e.starts_at,
+      e.venue_id,
+      e.location,
+      e.dress_code,
+      e.description,
+      COALESCE(v.time_zone, 'America/Los_Angeles') as time_zone
+    FROM events e
+    LEFT JOIN venues v ON v.id = e.venue_id
+    ORDER BY e.sort_order, e.starts_at, e.name
+  `);
+
+  const hotels = await client.query(`
+    SELECT id, name, is_room_block, rate, booking_code, booking_url,
+           to_char(booking_deadline, 'YYYY-MM-DD') as booking_deadline,
+           phone, distance, room_types
+    FROM hotel_blocks
+    ORDER BY is_room_block DESC, sort_order, name, id
+  `);
+
+  const faqs = await client.query(`
+    SELECT id, question, answer
+    FROM faqs
+    ORDER BY sort_order, created_at, id
+  `);
+
+  const mealOptions = await getMealOptions(client);
+
+  const main = events.rows.find(event => event.slug === 'ceremony') || events.rows[0] || null;
+
+  return {
+    wedding: main
+      ? { starts_at: main.starts_at, time_zone: main.time_zone, venue_id: main.venue_id }
+      : null,
+    events: events.rows,
+    venues: venues.rows,
+    hotel_blocks: hotels.rows,
+    faqs: faqs.rows,
+    meal_options: mealOptions
+  };
+}
+
+module.exports = {
+  CONTENT_TYPES,
+  validateContent,
+  checkReferences,
+  listContentItems,
+  createContentItem,
+  updateContentItem,
+  deleteContentItem,
+  loadContent
+};
@@ -0,0 +1,140 @@
+/**
+ * Meal Choices and Dietary Needs
+ *
+ * Each guest's RSVP can carry a meal choice (from meal_options, which admins
+ * edit as site content), any of a fixed list of diets and allergens, and a
+ * free-text note (rsvps.dietary_restrictions) for anything else. The list
+ * below must match the CHECK constraint on rsvps.dietary_tags.
+ *
+ * Pass a client to run these helpers inside a transaction.
+ */
+
+const { pool } = require('../config/db');
+
+const DIETARY_TAGS = [
+  { key: 'vegetarian', label: 'Vegetarian' },
+  { key: 'vegan', label: 'Vegan' },
+  { key: 'pescatarian', label: 'Pescatarian' },
+  { key: 'gluten_free', label: 'Gluten-free' },
+  { key: 'dairy_free', label: 'Dairy-free' },
+  { key: 'nut_allergy', label: 'Nut allergy' },
+  { key: 'shellfish_allergy', label: 'Shellfish allergy' },
+  { key: 'egg_allergy', label: 'Egg allergy' },
+  { key: 'halal', label: 'Halal' },
+  { key: 'kosher', label: 'Kosher' }
+];
+
+/**
+ * Check a guest's meal_option_id and dietary_tags (either may be absent)
+ * Returns an error message or null
+ */
+function validateDietary(source) {
+  if (source.meal_option_id !== undefined && source.meal_option_id !== null &&
+      typeof source.meal_option_id !== 'string') {
+    return 'meal_option_id must be a meal option id or null';
+  }
+
+  if (source.dietary_tags !== undefined) {
+    const known = DIETARY_TAGS.map(tag => tag.key);
+    if (!Array.isArray(source.dietary_tags) || source.dietary_tags.some(tag => !known.includes(tag))) {
+      return `dietary_tags must be a list of: ${known.join(', ')}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check that every chosen meal exists; returns an error message or null
+ */
+async function checkMealOptions(mealOptionIds, client = pool) {
+  const ids = [...new Set(mealOptionIds.filter(Boolean))];
+  if (ids.length === 0) {
+    return null;
+  }
+
+  const result = await client.query(
+    'SELECT id::text FROM meal_options WHERE id::text = ANY($1::text[])',
+    [ids]
+  );
+  const unknown = ids.find(id => !result.rows.some(row => row.id === id));
+  return unknown ? `Unknown meal option ${unknown}` : null;
+}
+
+/**
+ * Meal options in menu order
+ */
+async function getMealOptions(client = pool) {
+  const result = await client.query(`
+    SELECT id, slug, name, description, is_kids_meal
+    FROM meal_options
+    ORDER BY sort_order, name, id
+  `);
+  return result.rows;
+}
+
+/**
+ * Counts among attending guests, for the caterer
+ * Returns { meals: [{ meal_option_id, name, is_kids_meal, count }],
+ * meal_not_chosen, dietary_tags: [{ key, label, count }], with_notes }
+ */
+async function getDietaryCounts(client = pool) {
+  const attending = `
+    FROM rsvps r
+    JOIN users u ON u.id = r.user_id
+    WHERE u.deleted_at IS NULL AND r.deleted_at IS NULL AND r.response_status = 'attending'
+  `;
+
+  const meals = await client.query(`
+    SELECT
+      m.id as meal_option_id,
+      m.name,
+      m.is_kids_meal,
+      COUNT(a.id)::int as count
+    FROM meal_options m
+    LEFT JOIN (SELECT r.id, r.meal_option_id ${attending}) a ON a.meal_option_id = m.id
+    GROUP BY m.id
+    ORDER BY m.sort_order, m.name, m.id
+  `);
+
+  const totals = await client.query(`
+    SELECT
+      COUNT(*) FILTER (WHERE r.meal_option_id IS NULL)::int as meal_not_chosen,
+      COUNT(*) FILTER (WHERE COALESCE(TRIM(r.dietary_restrictions), '') <> '')::int as with_notes
+    ${attending}
+  `);
+
+  const tags = await client.query(`
+    SELECT tag, COUNT(*)::int as count
+    FROM (SELECT unnest(r.dietary_tags) as tag ${attending}) tagged
+    GROUP BY tag
+  `);
+
+  return {
+    meals: meals.rows,
+    meal_not_chosen: totals.rows[0].meal_not_chosen,
+    dietary_tags: DIETARY_TAGS.map(tag => ({
+      ...tag,
+      count: (tags.rows.find(row => row.tag === tag.key) || { count: 0 }).count
+    })),
+    with_notes: totals.rows[0].with_notes
+  };
+}
+
+/**
+ * Labels for a guest's tags, e.g. "Vegan; Nut allergy"
+ */
+function formatDietaryTags(tags) {
+  return (tags || [])
+    .map(key => (DIETARY_TAGS.find(tag => tag.key === key) || { label: key }).label)
+    .join('; ');
+}
+
+module.exports = {
+  DIETARY_TAGS,
+  validateDietary,
+  checkMealOptions,
+  getMealOptions,
+  getDietaryCounts,
+  formatDietaryTags
+};
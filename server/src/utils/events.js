@@ -0,0 +1,155 @@
+/**
+ * Event Utilities
+ *
+ * The wedding weekend has several events (welcome party, ceremony, ...).
+ * A guest is invited to an event when it has invite_all set or when they
+ * are listed in event_invitations, and answers each invited event in
+ * event_responses. The overall rsvps.response_status follows from these:
+ * attending means attending at least one event.
+ *
+ * Pass a client to run these helpers inside a transaction.
+ */
+
+const { pool } = require('../config/db');
+const { recordEventResponseChange } = require('./history');
+
+const EVENT_COLUMNS = `
+  e.id,
+  e.slug,
+  e.name,
+  e.starts_at,
+  e.venue_id,
+  e.location,
+  e.dress_code,
+  e.description,
+  e.sort_order,
+  e.invite_all
+`;
+
+// SQL condition: guest u is invited to event e
+const INVITED_TO_EVENT = `(
+  e.invite_all OR EXISTS (
+    SELECT 1 FROM event_invitations ei WHERE ei.event_id = e.id AND ei.user_id = u.id
+  )
+)`;
+
+/**
+ * Every event in weekend order
+ */
+async function listEvents(client = pool) {
+  const result = await client.query(`
+    SELECT ${EVENT_COLUMNS}
+    FROM events e
+    ORDER BY e.sort_order, e.starts_at, e.name
+  `);
+  return result.rows;
+}
+
+/**
+ * The events each guest is invited to, with their answer (null if none yet)
+ * Returns a Map of guest id -> [{ event_id, slug, name, starts_at, location, response_status, responded_at }]
+ */
+async function getGuestEvents(guestIds, client = pool) {
+  const events = new Map(guestIds.map(id => [id, []]));
+
+  if (guestIds.length === 0) {
+    return events;
+  }
+
+  const result = await client.query(`
+    SELECT
+      u.id as user_id,
+      e.id as event_id,
+      e.slug,
+      e.name,
+      e.starts_at,
+      e.location,
+      er.response_status,
+      er.responded_at
+    FROM users u
+    CROSS JOIN events e
+    LEFT JOIN event_responses er ON er.event_id = e.id AND er.user_id = u.id
+    WHERE u.id = ANY($1::uuid[])
+    AND ${INVITED_TO_EVENT}
+    ORDER BY e.sort_order, e.starts_at, e.name
+  `, [guestIds]);
+
+  for (const { user_id: userId, ...event } of result.rows) {
+    events.get(userId).push(event);
+  }
+  return events;
+}
+
+/**
+ * Save a guest's answers for some events (others are left as they are)
+ * answers: [{ event_id, response_status }]; changed answers go in the history
+ */
+async function saveEventResponses(guestId, answers, respondedBy, client = pool) {
+  const previous = await client.query(
+    'SELECT event_id, response_status FROM event_responses WHERE user_id = $1',
+    [guestId]
+  );
+  const previousStatus = new Map(previous.rows.map(row => [row.event_id, row.response_status]));
+
+  for (const answer of answers) {
+    await client.query(`
+      INSERT INTO event_responses (event_id, user_id, response_status, responded_by)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (event_id, user_id) DO UPDATE
+      SET
+        response_status = EXCLUDED.response_status,
+        responded_by = EXCLUDED.responded_by,
+        responded_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    `, [answer.event_id, guestId, answer.response_status, respondedBy]);
+
+    await recordEventResponseChange(
+      guestId, answer.event_id, previousStatus.get(answer.event_id) || null, answer.response_status, respondedBy, client
+    );
+  }
+}
+
+/**
+ * Invite a plus-one to the events their host was invited to individually
+ */
+async function copyEventInvitations(fromGuestId, toGuestId, client = pool) {
+  await client.query(`
+    INSERT INTO event_invitations (event_id, user_id)
+    SELECT event_id, $2 FROM event_invitations WHERE user_id = $1
+    ON CONFLICT DO NOTHING
+  `, [fromGuestId, toGuestId]);
+}
+
+/**
+ * Responses per event among active guests
+ * Returns [{ event_id, slug, name, starts_at, invited, attending, not_attending, no_response }]
+ */
+async function getEventHeadcounts(client = pool) {
+  const result = await client.query(`
+    SELECT
+      e.id as event_id,
+      e.slug,
+      e.name,
+      e.starts_at,
+      COUNT(u.id)::int as invited,
+      COUNT(er.id) FILTER (WHERE er.response_status = 'attending')::int as attending,
+      COUNT(er.id) FILTER (WHERE er.response_status = 'not_attending')::int as not_attending,
+      (COUNT(u.id) - COUNT(er.id))::int as no_response
+    FROM events e
+    LEFT JOIN users u ON u.deleted_at IS NULL AND ${INVITED_TO_EVENT}
+    LEFT JOIN event_responses er ON er.event_id = e.id AND er.user_id = u.id
+    GROUP BY e.id
+    ORDER BY e.sort_order, e.starts_at, e.name
+  `);
+  return result.rows;
+}
+
+module.exports = {
+  EVENT_COLUMNS,
+  INVITED_TO_EVENT,
+  listEvents,
+  getGuestEvents,
+  saveEventResponses,
+  copyEventInvitations,
+  getEventHeadcounts
+};
@@ -0,0 +1,260 @@
+/**
+ * Guest List Exports
+ *
+ * Report definitions shared by the admin export endpoints and `./db export`:
+ *
+ * - roster:    every active guest with their partner, household and RSVP
+ * - dietary:   guests with a meal choice or dietary needs who haven't declined
+ * - headcount: responses per event
+ * - playlist:  requested songs for the DJ, most requested first
+ *
+ * Each report lists its columns in default order; callers may pick a subset
+ * (in their own order) by key. Rows are always sorted on unique keys, so two
+ * exports of unchanged data are identical. A report may offer extra formats
+ * of its own (the playlist also comes as an M3U list).
+ */
+
+const { query } = require('../config/db');
+const { formatInvitationCode } = require('./invitationCodes');
+const { toCsv, toXlsx } = require('./spreadsheet');
+const { getEventHeadcounts } = require('./events');
+const { formatDietaryTags } = require('./dietary');
+const { getPlaylist } = require('./songs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const ROSTER_COLUMNS = [
+  { key: 'id', header: 'ID' },
+  { key: 'first_name', header: 'First Name' },
+  { key: 'last_name', header: 'Last Name' },
+  { key: 'email', header: 'Email' },
+  { key: 'partner_first_name', header: 'Partner First Name' },
+  { key: 'partner_last_name', header: 'Partner Last Name' },
+  { key: 'household', header: 'Household' },
+  { key: 'invitation_code', header: 'Invitation Code' },
+  { key: 'plus_one_allowed', header: 'Plus One Allowed' },
+  { key: 'account_status', header: 'Account Status' },
+  { key: 'response_status', header: 'Response' },
+  { key: 'meal', header: 'Meal' },
+  { key: 'dietary_tags', header: 'Dietary Needs' },
+  { key: 'dietary_restrictions', header: 'Dietary Restrictions' },
+  { key: 'message', header: 'Message' },
+  { key: 'responded_at', header: 'Responded At' },
+  { key: 'admin_notes', header: 'Admin Notes' }
+];
+
+const DIETARY_COLUMNS = [
+  { key: 'first_name', header: 'First Name' },
+  { key: 'last_name', header: 'Last Name' },
+  { key: 'partner_full_name', header: 'Partner' },
+  { key: 'response_status', header: 'Response' },
+  { key: 'meal', header: 'Meal' },
+  { key: 'dietary_tags', header: 'Dietary Needs' },
+  { key: 'dietary_restrictions', header: 'Dietary Restrictions' }
+];
+
+const HEADCOUNT_COLUMNS = [
+  { key: 'event', header: 'Event' },
+  { key: 'starts_at', header: 'Starts At' },
+  { key: 'invited', header: 'Invited', type: 'number' },
+  { key: 'attending', header: 'Attending', type: 'number' },
+  { key: 'not_attending', header: 'Not Attending', type: 'number' },
+  { key: 'no_response', header: 'No Response', type: 'number' }
+];
+
+const PLAYLIST_COLUMNS = [
+  { key: 'rank', header: 'Rank', type: 'number' },
+  { key: 'title', header: 'Title' },
+  { key: 'artist', header: 'Artist' },
+  { key: 'requests', header: 'Requests', type: 'number' },
+  { key: 'requested_by', header: 'Requested By' }
+];
+
+async function loadRoster() {
+  const result = await query(`
+    SELECT
+      u.id,
+      u.first_name,
+      u.last_name,
+      u.email,
+      p.first_name as partner_first_name,
+      p.last_name as partner_last_name,
+      h.name as household,
+      u.invitation_code,
+      u.plus_one_allowed,
+      u.account_status,
+      COALESCE(r.response_status, 'no_response') as response_status,
+      m.name as meal,
+      r.dietary_tags,
+      r.dietary_restrictions,
+      r.message,
+      r.responded_at,
+      u.admin_notes
+    FROM users u
+    LEFT JOIN users p ON u.partner_id = p.id
+    LEFT JOIN households h ON u.household_id = h.id
+    LEFT JOIN rsvps r ON r.user_id = u.id AND r.deleted_at IS NULL
+    LEFT JOIN meal_options m ON m.id = r.meal_option_id
+    WHERE u.deleted_at IS NULL
+    ORDER BY u.last_name, u.first_name, u.id
+  `);
+
+  return result.rows.map(row => ({
+    ...row,
+    invitation_code: formatInvitationCode(row.invitation_code),
+    dietary_tags: formatDietaryTags(row.dietary_tags)
+  }));
+}
+
+async function loadDietary() {
+  const result = await query(`
+    SELECT
+      u.first_name,
+      u.last_name,
+      p.full_name as partner_full_name,
+      r.response_status,
+      m.name as meal,
+      r.dietary_tags,
+      TRIM(r.dietary_restrictions) as dietary_restrictions
+    FROM users u
+    JOIN rsvps r ON r.user_id = u.id AND r.deleted_at IS NULL
+    LEFT JOIN users p ON u.partner_id = p.id
+    LEFT JOIN meal_options m ON m.id = r.meal_option_id
+    WHERE u.deleted_at IS NULL
+    AND r.response_status <> 'not_attending'
+    AND (
+      r.meal_option_id IS NOT NULL
+      OR cardinality(r.dietary_tags) > 0
+      OR COALESCE(TRIM(r.dietary_restrictions), '') <> ''
+    )
+    ORDER BY u.last_name, u.first_name, u.id
+  `);
+
+  return result.rows.map(row => ({
+    ...row,
+    dietary_tags: formatDietaryTags(row.dietary_tags)
+  }));
+}
+
+/**
+ * One row per event, counting the guests invited to it
+ */
+async function loadHeadcount() {
+  const events = await getEventHeadcounts();
+  return events.map(event => ({ ...event, event: event.name }));
+}
+
+/**
+ * Extended M3U: one entry per song, named "Artist - Title", for the DJ to
+ * match against their library
+ */
+function toM3u(rows) {
+  const lines = ['#EXTM3U', '#PLAYLIST:Wedding Song Requests'];
+
+  for (const row of rows) {
+    const name = [row.artist, row.title].filter(Boolean).join(' - ').replace(/[\r\n]+/g, ' ');
+    lines.push(
+      `# ${row.rank}. Requested by ${row.requests === 1 ? '1 guest' : `${row.requests} guests`}: ${row.requested_by.replace(/[\r\n]+/g, ' ')}`,
+      `#EXTINF:-1,${name}`,
+      name
+    );
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+const EXPORT_REPORTS = {
+  roster: { title: 'Guest Roster', columns: ROSTER_COLUMNS, load: loadRoster },
+  dietary: { title: 'Dietary Restrictions', columns: DIETARY_COLUMNS, load: loadDietary },
+  headcount: { title: 'Headcount', columns: HEADCOUNT_COLUMNS, load: loadHeadcount },
+  playlist: {
+    title: 'Song Requests',
+    columns: PLAYLIST_COLUMNS,
+    load: () => getPlaylist(),
+    formats: {
+      m3u: { contentType: 'audio/x-mpegurl; charset=utf-8', render: toM3u }
+    }
+  }
+};
+
+/**
+ * Formats a report can be exported in
+ */
+function getReportFormats(report) {
+  return [...EXPORT_FORMATS, ...Object.keys(EXPORT_REPORTS[report].formats || {})];
+}
+
+/**
+ * Resolve a column selection ("email,last_name" or an array) for a report
+ * Returns { columns } or { error }; no selection means every column.
+ */
+function selectColumns(report, selection) {
+  const available = EXPORT_REPORTS[report].columns;
+  const keys = Array.isArray(selection)
+    ? selection
+    : String(selection || '').split(',').map(key => key.trim()).filter(Boolean);
+
+  if (keys.length === 0) {
+    return { columns: available };
+  }
+
+  const unknown = keys.filter(key => !available.some(column => column.key === key));
+  if (unknown.length > 0) {
+    return {
+      error: `Unknown column(s) for ${report}: ${unknown.join(', ')}. Available: ${available.map(column => column.key).join(', ')}`
+    };
+  }
+
+  return { columns: [...new Set(keys)].map(key => available.find(column => column.key === key)) };
+}
+
+/**
+ * Build an export file
+ * Returns { content, contentType, extension } or { error } for bad input.
+ * Report-specific formats ignore the column selection.
+ */
+async function buildExport(report, { format = 'csv', columns: selection } = {}) {
+  if (!EXPORT_REPORTS[report]) {
+    return { error: `Unknown report "${report}". Use: ${Object.keys(EXPORT_REPORTS).join(', ')}` };
+  }
+  if (!getReportFormats(report).includes(format)) {
+    return { error: `Unknown format "${format}". Use: ${getReportFormats(report).join(', ')}` };
+  }
+
+  const { columns, error } = selectColumns(report, selection);
+  if (error) {
+    return { error };
+  }
+
+  const rows = await EXPORT_REPORTS[report].load();
+
+  const custom = (EXPORT_REPORTS[report].formats || {})[format];
+  if (custom) {
+    return {
+      content: custom.render(rows),
+      contentType: custom.contentType,
+      extension: format
+    };
+  }
+
+  if (format === 'xlsx') {
+    return {
+      content: toXlsx(columns, rows, EXPORT_REPORTS[report].title),
+      contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      extension: 'xlsx'
+    };
+  }
+
+  return {
+    content: toCsv(columns, rows),
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_REPORTS,
+  getReportFormats,
+  buildExport
+};
@@ -0,0 +1,519 @@
+/**
+ * Guest List Import
+ *
+ * Reads a guest-list CSV with a header row, works out what would change and
+ * applies it in one transaction (used by `./db import` and `./db reset`).
+ *
+ * Rows are matched to existing guests by id, then email, then name (compared
+ * with normalize_name), and updated in place, so registrations, passwords and
+ * RSVPs survive a re-import. Guests missing from the file are left alone.
+ * Partner references must point at a row in the file (which must point back)
+ * or an existing guest; anything else is reported before writing.
+ */
+
+const fs = require('fs');
+const csv = require('csv-parser');
+const { query, transaction } = require('../config/db');
+const { linkPartners, unlinkPartner } = require('./partners');
+const { recordGuestCreated, trackGuestChanges } = require('./history');
+
+const IMPORT_COLUMNS = [
+  'id',
+  'first_name',
+  'last_name',
+  'email',
+  'plus_one_allowed',
+  'partner_first_name',
+  'partner_last_name',
+  'admin_notes'
+];
+const REQUIRED_COLUMNS = ['first_name', 'last_name'];
+
+// Older guest lists name the partner columns like this
+const COLUMN_ALIASES = {
+  partner_first: 'partner_first_name',
+  partner_last: 'partner_last_name'
+};
+
+// Guest fields an import sets (partner links are handled separately)
+const UPDATE_FIELDS = ['first_name', 'last_name', 'email', 'plus_one_allowed', 'admin_notes'];
+
+const BOOLEAN_VALUES = { '': false, true: true, false: false, yes: true, no: false, 1: true, 0: false };
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * Header text to column key: "Partner First Name" -> partner_first_name
+ */
+function normalizeHeader(header) {
+  const key = header
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return COLUMN_ALIASES[key] || key;
+}
+
+/**
+ * Undo the formula guard added by the exports ("'=..." -> "=...")
+ */
+function cleanValue(value) {
+  const text = String(value === undefined ? '' : value).trim();
+  return /^'[=+\-@]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Read a CSV file into { headers, rows: [{ row, values }] }
+ * row is the spreadsheet row number (the header is row 1).
+ */
+function readGuestCsv(filePath) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    let headers = [];
+
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header), strict: true }))
+      .on('headers', (list) => {
+        headers = list;
+      })
+      .on('data', (values) => {
+        rows.push({ row: rows.length + 2, values });
+      })
+      .on('error', (error) => {
+        reject(new Error(`Row ${rows.length + 2}: ${error.message}`));
+      })
+      .on('end', () => resolve({ headers, rows }));
+  });
+}
+
+/**
+ * Validate rows and turn them into guest records
+ * Fields whose column is absent are left undefined (not changed on update).
+ * Returns { columns, ignoredColumns, guests, errors }.
+ */
+function parseGuestRows({ headers, rows }) {
+  const columns = IMPORT_COLUMNS.filter(column => headers.includes(column));
+  const ignoredColumns = headers.filter(header => !IMPORT_COLUMNS.includes(header));
+  const errors = [];
+
+  const missing = REQUIRED_COLUMNS.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    errors.push({ row: null, message: `Missing required column(s): ${missing.join(', ')}` });
+    return { columns, ignoredColumns, guests: [], errors };
+  }
+
+  const has = (column) => columns.includes(column);
+  const guests = [];
+
+  for (const { row, values } of rows) {
+    const value = (column) => cleanValue(values[column]);
+    const rowErrors = [];
+
+    const guest = {
+      row,
+      id: has('id') && value('id') ? value('id') : null,
+      first_name: value('first_name'),
+      last_name: value('last_name')
+    };
+
+    if (!guest.first_name || !guest.last_name) {
+      rowErrors.push('first_name and last_name are required');
+    }
+    if (guest.id && !UUID_PATTERN.test(guest.id)) {
+      rowErrors.push(`Invalid id "${guest.id}"`);
+    }
+
+    if (has('email')) {
+      guest.email = value('email') ? value('email').toLowerCase() : null;
+      if (guest.email && !EMAIL_PATTERN.test(guest.email)) {
+        rowErrors.push(`Invalid email "${guest.email}"`);
+      }
+    }
+
+    if (has('plus_one_allowed')) {
+      const flag = value('plus_one_allowed').toLowerCase();
+      if (!Object.prototype.hasOwnProperty.call(BOOLEAN_VALUES, flag)) {
+        rowErrors.push(`plus_one_allowed must be true or false, not "${value('plus_one_allowed')}"`);
+      }
+      guest.plus_one_allowed = BOOLEAN_VALUES[flag] === true;
+    }
+
+    if (has('admin_notes')) {
+      guest.admin_notes = value('admin_notes') || null;
+    }
+
+    if (has('partner_first_name') || has('partner_last_name')) {
+      const partnerFirst = value('partner_first_name');
+      const partnerLast = value('partner_last_name');
+      if (Boolean(partnerFirst) !== Boolean(partnerLast)) {
+        rowErrors.push('Give both partner_first_name and partner_last_name, or neither');
+      }
+      guest.partner = partnerFirst && partnerLast
+        ? { first_name: partnerFirst, last_name: partnerLast }
+        : null;
+    }
+
+    if (rowErrors.length > 0) {
+      rowErrors.forEach(message => errors.push({ row, message }));
+    } else {
+      guests.push(guest);
+    }
+  }
+
+  return { columns, ignoredColumns, guests, errors };
+}
+
+/**
+ * Active guests to match rows against
+ */
+async function loadExistingGuests() {
+  const result = await query(`
+    SELECT
+      id,
+      first_name,
+      last_name,
+      full_name,
+      email,
+      plus_one_allowed,
+      admin_notes,
+      partner_id,
+      normalize_name(first_name) || ' ' || normalize_name(last_name) as name_key
+    FROM users
+    WHERE deleted_at IS NULL
+    ORDER BY last_name, first_name, id
+  `);
+
+  return result.rows;
+}
+
+/**
+ * normalize_name() keys for a list of { first_name, last_name }
+ */
+async function getNameKeys(names) {
+  if (names.length === 0) {
+    return [];
+  }
+
+  const result = await query(`
+    SELECT normalize_name(input.first_name) || ' ' || normalize_name(input.last_name) as name_key
+    FROM unnest($1::text[], $2::text[]) WITH ORDINALITY AS input(first_name, last_name, position)
+    ORDER BY input.position
+  `, [names.map(name => name.first_name), names.map(name => name.last_name)]);
+
+  return result.rows.map(row => row.name_key);
+}
+
+function groupBy(items, keyOf) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+function fullName(person) {
+  return `${person.first_name} ${person.last_name}`;
+}
+
+/**
+ * Match each guest row to an existing guest (or none, for a new guest)
+ */
+function matchExistingGuests(guests, existingGuests, errors) {
+  const byId = new Map(existingGuests.map(user => [user.id, user]));
+  const byEmail = new Map(existingGuests.filter(user => user.email).map(user => [user.email.toLowerCase(), user]));
+  const byName = groupBy(existingGuests, user => user.name_key);
+  const claimedBy = new Map();
+  const emailRows = new Map();
+
+  for (const guest of guests) {
+    let match = null;
+
+    if (guest.id) {
+      match = byId.get(guest.id) || null;
+      if (!match) {
+        errors.push({ row: guest.row, message: `No active guest has id ${guest.id}` });
+        continue;
+      }
+    } else if (guest.email && byEmail.has(guest.email)) {
+      match = byEmail.get(guest.email);
+    } else {
+      const sameName = byName.get(guest.nameKey) || [];
+      if (sameName.length > 1) {
+        errors.push({ row: guest.row, message: `${fullName(guest)} matches ${sameName.length} existing guests; add an id column to tell them apart` });
+        continue;
+      }
+      match = sameName[0] || null;
+    }
+
+    if (match && claimedBy.has(match.id)) {
+      errors.push({ row: guest.row, message: `Same guest as row ${claimedBy.get(match.id).row} (${fullName(match)})` });
+      continue;
+    }
+
+    if (guest.email) {
+      const owner = byEmail.get(guest.email);
+      if (owner && (!match || owner.id !== match.id)) {
+        errors.push({ row: guest.row, message: `Email ${guest.email} already belongs to ${fullName(owner)}` });
+        continue;
+      }
+      if (emailRows.has(guest.email)) {
+        errors.push({ row: guest.row, message: `Email ${guest.email} is also used in row ${emailRows.get(guest.email)}` });
+        continue;
+      }
+      emailRows.set(guest.email, guest.row);
+    }
+
+    if (match) {
+      claimedBy.set(match.id, guest);
+    }
+    guest.existing = match;
+  }
+
+  return { byName, claimedBy };
+}
+
+/**
+ * Resolve partner references to a row in the file or an existing guest
+ * Sets guest.partnerTarget = { guest } or { existing }, or reports why not.
+ */
+function resolvePartners(guests, byName, claimedBy, errors) {
+  const rowsByName = groupBy(guests, guest => guest.nameKey);
+
+  for (const guest of guests) {
+    if (!guest.partner) continue;
+
+    const label = fullName(guest.partner);
+    const inFile = rowsByName.get(guest.partner.nameKey) || [];
+
+    if (inFile.length > 1) {
+      errors.push({ row: guest.row, message: `Partner "${label}" matches rows ${inFile.map(other => other.row).join(', ')}` });
+      continue;
+    }
+
+    if (inFile.length === 1) {
+      const partnerRow = inFile[0];
+      if (partnerRow === guest) {
+        errors.push({ row: guest.row, message: `${fullName(guest)} is listed as their own partner` });
+      } else if (!partnerRow.partner || partnerRow.partner.nameKey !== guest.nameKey) {
+        const theirs = partnerRow.partner ? `"${fullName(partnerRow.partner)}"` : 'no partner';
+        errors.push({ row: guest.row, message: `Asymmetric partners: ${fullName(guest)} lists "${label}", but row ${partnerRow.row} lists ${theirs}` });
+      } else {
+        guest.partnerTarget = { guest: partnerRow };
+      }
+      continue;
+    }
+
+    const inDatabase = byName.get(guest.partner.nameKey) || [];
+    if (inDatabase.length === 0) {
+      errors.push({ row: guest.row, message: `Partner "${label}" is not in the file or the guest list` });
+    } else if (inDatabase.length > 1) {
+      errors.push({ row: guest.row, message: `Partner "${label}" matches ${inDatabase.length} existing guests` });
+    } else if (claimedBy.has(inDatabase[0].id)) {
+      const renamed = claimedBy.get(inDatabase[0].id);
+      errors.push({ row: guest.row, message: `Partner "${label}" is renamed to ${fullName(renamed)} in row ${renamed.row}; use the new name` });
+    } else {
+      guest.partnerTarget = { existing: inDatabase[0] };
+    }
+  }
+}
+
+/**
+ * Value used to compare a field: empty text is the same as NULL, and emails
+ * ignore case
+ */
+function comparable(field, value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  return field === 'email' ? value.toLowerCase() : value;
+}
+
+/**
+ * Field changes for a guest that already exists
+ */
+function diffGuest(guest) {
+  const changes = [];
+
+  for (const field of UPDATE_FIELDS) {
+    if (guest[field] === undefined) continue;
+    // A blank email never removes a guest's login
+    if (field === 'email' && guest.email === null) continue;
+
+    const before = guest.existing[field];
+    const after = guest[field];
+    if (comparable(field, before) !== comparable(field, after)) {
+      changes.push({ field, before, after });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Work out what importing the parsed rows would do
+ * existingGuests defaults to the current guest list; pass [] to plan an
+ * import into an empty table.
+ * Returns { errors, creates, updates, links, unlinks, unchanged, untouched }.
+ */
+async function planImport(parsed, existingGuests = null) {
+  const errors = [...parsed.errors];
+  const guests = parsed.guests;
+  const existing = existingGuests || await loadExistingGuests();
+
+  const partnerRefs = guests.filter(guest => guest.partner);
+  const keys = await getNameKeys([...guests, ...partnerRefs.map(guest => guest.partner)]);
+  guests.forEach((guest, index) => { guest.nameKey = keys[index]; });
+  partnerRefs.forEach((guest, index) => { guest.partner.nameKey = keys[guests.length + index]; });
+
+  const { byName, claimedBy } = matchExistingGuests(guests, existing, errors);
+  resolvePartners(guests, byName, claimedBy, errors);
+  const matched = guests.filter(guest => guest.existing !== undefined);
+
+  const plan = { errors, creates: [], updates: [], links: [], unlinks: [], unchanged: 0, untouched: [] };
+  const tracksPartners = parsed.columns.includes('partner_first_name');
+  const referenced = new Set();
+
+  for (const guest of matched) {
+    let changed = false;
+
+    if (!guest.existing) {
+      plan.creates.push(guest);
+      changed = true;
+    } else {
+      const changes = diffGuest(guest);
+      if (changes.length > 0) {
+        plan.updates.push({ guest, changes });
+        changed = true;
+      }
+    }
+
+    if (tracksPartners) {
+      const target = guest.partnerTarget;
+      const currentId = guest.existing ? guest.existing.partner_id : null;
+
+      if (target) {
+        const partner = target.guest || target.existing;
+        const partnerId = target.existing ? target.existing.id : (target.guest.existing && target.guest.existing.id);
+        if (target.existing) {
+          referenced.add(target.existing.id);
+        }
+
+        if (!currentId || currentId !== partnerId) {
+          // Couples in the file appear twice; record the link once
+          if (target.existing || guest.row < target.guest.row) {
+            plan.links.push({ guest, partner });
+          }
+          changed = true;
+        }
+      } else if (guest.partner === null && currentId) {
+        plan.unlinks.push(guest);
+        changed = true;
+      }
+    }
+
+    if (!changed) {
+      plan.unchanged++;
+    }
+  }
+
+  const claimed = new Set(matched.filter(guest => guest.existing).map(guest => guest.existing.id));
+  plan.untouched = existing.filter(user => !claimed.has(user.id) && !referenced.has(user.id));
+
+  return plan;
+}
+
+/**
+ * Human-readable lines describing a plan (the dry-run diff)
+ */
+function describePlan(plan) {
+  const show = (value) => (value === null || value === undefined || value === '' ? '(empty)' : JSON.stringify(value));
+  const lines = [];
+
+  plan.creates.forEach(guest => {
+    lines.push(`  + create  ${fullName(guest)} (row ${guest.row})`);
+  });
+  plan.updates.forEach(({ guest, changes }) => {
+    const details = changes.map(change => `${change.field} ${show(change.before)} → ${show(change.after)}`).join(', ');
+    lines.push(`  ~ update  ${fullName(guest.existing)} (row ${guest.row}): ${details}`);
+  });
+  plan.unlinks.forEach(guest => {
+    lines.push(`  - unlink  ${fullName(guest)} from their partner`);
+  });
+  plan.links.forEach(({ guest, partner }) => {
+    lines.push(`  ⚭ link    ${fullName(guest)} ↔ ${fullName(partner)}`);
+  });
+  lines.push(`  = ${plan.unchanged} unchanged`);
+  if (plan.untouched.length > 0) {
+    lines.push(`  ! ${plan.untouched.length} existing guest(s) not in the file are left as they are: ${plan.untouched.map(fullName).join(', ')}`);
+  }
+
+  return lines;
+}
+
+/**
+ * Apply a plan in a single transaction
+ * Changes are recorded in the history with no changed_by (the db tool).
+ * Returns { created, updated, linked, unlinked }.
+ */
+async function applyImport(plan) {
+  const idOf = (person) => (person.existing ? person.existing.id : person.userId || person.id);
+
+  await transaction(async (client) => {
+    for (const guest of plan.creates) {
+      const result = await client.query(`
+        INSERT INTO users (first_name, last_name, email, plus_one_allowed, admin_notes, account_status)
+        VALUES ($1, $2, $3, $4, $5, 'guest')
+        RETURNING id
+      `, [guest.first_name, guest.last_name, guest.email || null, guest.plus_one_allowed === true, guest.admin_notes || null]);
+      guest.userId = result.rows[0].id;
+      await recordGuestCreated(guest.userId, null, client);
+    }
+
+    const touched = [
+      ...plan.updates.map(({ guest }) => guest.existing.id),
+      ...plan.unlinks.map(idOf),
+      ...plan.links.flatMap(({ guest, partner }) => [idOf(guest), idOf(partner)])
+    ];
+
+    await trackGuestChanges(touched, null, async () => {
+      for (const { guest, changes } of plan.updates) {
+        const assignments = changes.map((change, index) => `${change.field} = $${index + 2}`);
+        await client.query(`
+          UPDATE users
+          SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $1
+        `, [guest.existing.id, ...changes.map(change => change.after)]);
+      }
+
+      for (const guest of plan.unlinks) {
+        await unlinkPartner(idOf(guest), client);
+      }
+
+      for (const { guest, partner } of plan.links) {
+        await linkPartners(idOf(guest), idOf(partner), client);
+      }
+    }, client);
+  });
+
+  return {
+    created: plan.creates.length,
+    updated: plan.updates.length,
+    linked: plan.links.length,
+    unlinked: plan.unlinks.length
+  };
+}
+
+module.exports = {
+  IMPORT_COLUMNS,
+  readGuestCsv,
+  parseGuestRows,
+  planImport,
+  describePlan,
+  applyImport
+};
@@ -0,0 +1,143 @@
+/**
+ * Guest Name Matching
+ *
+ * Finds the guest record behind a name typed into the registration form.
+ * Both sides are compared with normalize_name() (lowercase, no accents or
+ * punctuation), so "Jose" finds "José". Matches are found in tiers:
+ *
+ * 1. exact:   first and last name match
+ * 2. variant: the first name is a nickname of the stored one (name_nicknames),
+ *             and/or the last name is the partner's surname or one part of a
+ *             compound surname ("Garcia" for "Garcia Lopez")
+ * 3. similar: trigram similarity of the full name (pg_trgm)
+ *
+ * A single exact match, or a single variant match when there is no exact one,
+ * is accepted. Anything else comes back as candidates for the guest to pick.
+ */
+
+const { query } = require('../config/db');
+
+const SIMILARITY_THRESHOLD = parseFloat(process.env.GUEST_MATCH_THRESHOLD) || 0.3;
+const MAX_CANDIDATES = 5;
+
+const GUEST_COLUMNS = `
+  u.id,
+  u.first_name,
+  u.last_name,
+  u.full_name,
+  u.email,
+  u.partner_id,
+  u.plus_one_allowed,
+  u.account_status,
+  p.first_name as partner_first_name,
+  p.last_name as partner_last_name,
+  p.full_name as partner_full_name,
+  p.email as partner_email
+`;
+
+/**
+ * Exact and variant (nickname / partner surname / compound surname) matches
+ */
+async function findNameMatches(firstName, lastName) {
+  const result = await query(`
+    WITH input AS (
+      SELECT normalize_name($1) as first_name, normalize_name($2) as last_name
+    ),
+    first_name_variants AS (
+      SELECT n.name as variant FROM name_nicknames n, input i WHERE n.nickname = i.first_name
+      UNION
+      SELECT n.nickname FROM name_nicknames n, input i WHERE n.name = i.first_name
+      UNION
+      SELECT other.nickname
+      FROM name_nicknames n
+      JOIN name_nicknames other ON other.name = n.name
+      CROSS JOIN input i
+      WHERE n.nickname = i.first_name
+    )
+    SELECT ${GUEST_COLUMNS},
+      CASE
+        WHEN normalize_name(u.first_name) = i.first_name AND normalize_name(u.last_name) = i.last_name THEN 1
+        ELSE 2
+      END as match_tier
+    FROM users u
+    LEFT JOIN users p ON u.partner_id = p.id
+    CROSS JOIN input i
+    WHERE u.deleted_at IS NULL
+    AND i.first_name <> '' AND i.last_name <> ''
+    AND (
+      normalize_name(u.first_name) = i.first_name
+      OR normalize_name(u.first_name) IN (SELECT variant FROM first_name_variants)
+    )
+    AND (
+      normalize_name(u.last_name) = i.last_name
+      OR normalize_name(p.last_name) = i.last_name
+      OR split_part(normalize_name(u.last_name), ' ', 1) = i.last_name
+      OR normalize_name(u.last_name) = split_part(i.last_name, ' ', 1)
+    )
+    ORDER BY match_tier, u.last_name, u.first_name
+  `, [firstName, lastName]);
+
+  return result.rows;
+}
+
+/**
+ * Closest full names by trigram similarity
+ */
+async function findSimilarNames(firstName, lastName) {
+  const result = await query(`
+    SELECT ${GUEST_COLUMNS},
+      similarity(normalize_name(u.full_name), normalize_name($1 || ' ' || $2)) as score
+    FROM users u
+    LEFT JOIN users p ON u.partner_id = p.id
+    WHERE u.deleted_at IS NULL
+    AND similarity(normalize_name(u.full_name), normalize_name($1 || ' ' || $2)) >= $3
+    ORDER BY score DESC, u.last_name, u.first_name
+    LIMIT $4
+  `, [firstName, lastName, SIMILARITY_THRESHOLD, MAX_CANDIDATES]);
+
+  return result.rows;
+}
+
+/**
+ * Find the guest for a typed name
+ * Returns { match, candidates, ambiguous }:
+ * - match:      the guest row when the name identifies exactly one guest
+ * - candidates: rows for the guest to choose from when it doesn't
+ * - ambiguous:  true when candidates are equally good matches (several guests
+ *               share the name), false when they are only "did you mean"s
+ */
+async function findGuestMatches(firstName, lastName) {
+  const nameMatches = await findNameMatches(firstName, lastName);
+  const exactMatches = nameMatches.filter(row => row.match_tier === 1);
+  const bestMatches = exactMatches.length > 0 ? exactMatches : nameMatches;
+
+  if (bestMatches.length === 1) {
+    return { match: bestMatches[0], candidates: [], ambiguous: false };
+  }
+
+  if (bestMatches.length > 1) {
+    return { match: null, candidates: bestMatches, ambiguous: true };
+  }
+
+  const similar = await findSimilarNames(firstName, lastName);
+  return { match: null, candidates: similar, ambiguous: false };
+}
+
+/**
+ * Public shape of a candidate: enough to tell guests apart, no email
+ */
+function formatCandidate(row) {
+  return {
+    user_id: row.id,
+    first_name: row.first_name,
+    last_name: row.last_name,
+    full_name: row.full_name,
+    partner_full_name: row.partner_full_name || null,
+    has_user_account: row.email !== null && row.account_status === 'registered'
+  };
+}
+
+module.exports = {
+  findGuestMatches,
+  formatCandidate
+};
@@ -0,0 +1,208 @@
+/**
+ * Change History
+ *
+ * Every change to a guest record, an RSVP or an event answer is appended to
+ * change_history as one row per field: old value, new value, who made the
+ * change and when. Rows are never updated or deleted (the table refuses it);
+ * they only go when the guest themselves is deleted outright.
+ *
+ * changed_by is the signed-in user who made the change, or null for changes
+ * made with the db tool. Pass a client to record inside a transaction.
+ */
+
+const { pool } = require('../config/db');
+
+// Fields whose changes are recorded
+const GUEST_FIELDS = [
+  'first_name',
+  'last_name',
+  'email',
+  'account_status',
+  'plus_one_allowed',
+  'is_admin',
+  'admin_notes',
+  'partner_id',
+  'household_id',
+  'rsvp_deadline_override',
+  'plus_one_of',
+  'deleted_at'
+];
+const RSVP_FIELDS = ['response_status', 'meal_option_id', 'dietary_tags', 'dietary_restrictions', 'message', 'deleted_at'];
+
+const ENTITY_LABELS = {
+  guest: 'Guest',
+  rsvp: 'RSVP',
+  event_response: 'Event'
+};
+
+function toHistoryValue(value) {
+  if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+    return null;
+  }
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Record the fields that differ between two versions of a record
+ * before is null for a new record (only the fields it was created with are
+ * recorded). Returns the number of changes recorded.
+ */
+async function recordChanges({ userId, entity, entityId, before, after, fields, changedBy }, client = pool) {
+  let recorded = 0;
+
+  for (const field of fields) {
+    const oldValue = toHistoryValue(before ? before[field] : null);
+    const newValue = toHistoryValue(after ? after[field] : null);
+
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+
+    await client.query(`
+      INSERT INTO change_history (user_id, entity, entity_id, field, old_value, new_value, changed_by)
+      VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7)
+    `, [userId, entity, entityId, field, JSON.stringify(oldValue), JSON.stringify(newValue), changedBy || null]);
+    recorded++;
+  }
+
+  return recorded;
+}
+
+/**
+ * Record the changes between two versions of an RSVP row (before null when new)
+ */
+async function recordRsvpChanges(before, after, changedBy, client = pool) {
+  return recordChanges({
+    userId: after.user_id,
+    entity: 'rsvp',
+    entityId: after.id,
+    before,
+    after,
+    fields: RSVP_FIELDS,
+    changedBy
+  }, client);
+}
+
+/**
+ * Record a change to a guest's answer for one event (null: no answer)
+ */
+async function recordEventResponseChange(guestId, eventId, oldStatus, newStatus, changedBy, client = pool) {
+  return recordChanges({
+    userId: guestId,
+    entity: 'event_response',
+    entityId: eventId,
+    before: { response_status: oldStatus },
+    after: { response_status: newStatus },
+    fields: ['response_status'],
+    changedBy
+  }, client);
+}
+
+/**
+ * The recorded fields of some guests and of anyone partnered with them
+ */
+async function loadGuests(guestIds, client) {
+  const result = await client.query(`
+    SELECT id, ${GUEST_FIELDS.join(', ')}
+    FROM users
+    WHERE id = ANY($1::uuid[]) OR partner_id = ANY($1::uuid[])
+  `, [guestIds]);
+  return new Map(result.rows.map(row => [row.id, row]));
+}
+
+/**
+ * Record a guest created by changedBy
+ */
+async function recordGuestCreated(guestId, changedBy, client = pool) {
+  const after = (await loadGuests([guestId], client)).get(guestId);
+  return recordChanges({
+    userId: guestId,
+    entity: 'guest',
+    entityId: guestId,
+    before: null,
+    after,
+    fields: GUEST_FIELDS,
+    changedBy
+  }, client);
+}
+
+/**
+ * Run a change to guest records and record what it changed
+ * guestIds are the guests it touches; their partners before and after are
+ * checked too, since partner links change both sides. Returns what change()
+ * returns.
+ */
+async function trackGuestChanges(guestIds, changedBy, change, client = pool) {
+  const ids = [...new Set(guestIds.filter(Boolean))];
+  const before = await loadGuests(ids, client);
+  const result = await change();
+  const after = await loadGuests([...new Set([...ids, ...before.keys()])], client);
+
+  for (const [id, row] of after) {
+    await recordChanges({
+      userId: id,
+      entity: 'guest',
+      entityId: id,
+      before: before.get(id) || null,
+      after: row,
+      fields: GUEST_FIELDS,
+      changedBy
+    }, client);
+  }
+
+  return result;
+}
+
+/**
+ * A guest's changes, oldest first
+ * Returns [{ id, entity, entity_id, event_name, field, old_value, new_value,
+ * changed_by, changed_by_name, changed_at }]
+ */
+async function getGuestHistory(guestId, client = pool) {
+  const result = await client.query(`
+    SELECT
+      h.id,
+      h.entity,
+      h.entity_id,
+      e.name as event_name,
+      h.field,
+      h.old_value,
+      h.new_value,
+      h.changed_by,
+      a.full_name as changed_by_name,
+      h.changed_at
+    FROM change_history h
+    LEFT JOIN events e ON h.entity = 'event_response' AND e.id = h.entity_id
+    LEFT JOIN users a ON a.id = h.changed_by
+    WHERE h.user_id = $1
+    ORDER BY h.changed_at, h.id
+  `, [guestId]);
+  return result.rows;
+}
+
+/**
+ * One line describing a change, e.g.
+ * "RSVP response_status: attending → not_attending (by Jane Doe)"
+ */
+function describeChange(entry) {
+  const show = value => (value === null || value === undefined ? '(none)' : Array.isArray(value) ? value.join(', ') : String(value));
+  const subject = entry.entity === 'event_response'
+    ? `Event "${entry.event_name || entry.entity_id}"`
+    : ENTITY_LABELS[entry.entity] || entry.entity;
+  const by = entry.changed_by
+    ? ` (by ${entry.changed_by_name || entry.changed_by})`
+    : ' (by the db tool)';
+  return `${subject} ${entry.field}: ${show(entry.old_value)} → ${show(entry.new_value)}${by}`;
+}
+
+module.exports = {
+  GUEST_FIELDS,
+  RSVP_FIELDS,
+  recordChanges,
+  recordRsvpChanges,
+  recordEventResponseChange,
+  recordGuestCreated,
+  trackGuestChanges,
+  getGuestHistory,
+  describeChange
+};
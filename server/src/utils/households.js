@@ -0,0 +1,235 @@
+/**
+ * Household Utilities
+ *
+ * A household is everyone invited together. Any registered member can RSVP
+ * for every member, and seats caps how many of them (plus-ones included)
+ * can attend. Guests without a household answer for themselves and their
+ * partner only.
+ *
+ * Pass a client to run these helpers inside a transaction.
+ */
+
+const { pool } = require('../config/db');
+
+const HOUSEHOLD_COLUMNS = 'h.id, h.name, h.primary_contact_id, h.seats, h.created_at, h.updated_at';
+
+// Members with their RSVP (if any)
+const MEMBER_SELECT = `
+  SELECT
+    u.id,
+    u.first_name,
+    u.last_name,
+    u.full_name,
+    u.email,
+    u.partner_id,
+    u.plus_one_allowed,
+    u.account_status,
+    r.response_status,
+    r.dietary_restrictions,
+    r.meal_option_id,
+    r.dietary_tags,
+    r.message,
+    r.responded_at
+  FROM users u
+  LEFT JOIN rsvps r ON r.user_id = u.id AND r.deleted_at IS NULL
+`;
+
+/**
+ * Create a household for the given guests and move them into it
+ * name defaults to the members' last names ("Smith & Jones"), seats to one
+ * per member plus one per allowed plus-one, the contact to the first member.
+ * Returns the new household id.
+ */
+async function createHousehold(memberIds, { name, seats, primaryContactId } = {}, client = pool) {
+  const result = await client.query(`
+    INSERT INTO households (name, primary_contact_id, seats)
+    SELECT
+      COALESCE($2, string_agg(DISTINCT last_name, ' & ' ORDER BY last_name), 'Household'),
+      COALESCE($3, ($1::uuid[])[1]),
+      COALESCE($4, COUNT(*) + COUNT(*) FILTER (WHERE plus_one_allowed))
+    FROM users
+    WHERE id = ANY($1::uuid[])
+    RETURNING id
+  `, [memberIds, name || null, primaryContactId || null, seats === undefined ? null : seats]);
+
+  const householdId = result.rows[0].id;
+  for (const memberId of memberIds) {
+    await addToHousehold(householdId, memberId, client);
+  }
+  return householdId;
+}
+
+/**
+ * Move a guest into a household
+ * The guest takes the household's invitation code. Seats are left alone:
+ * they're the admin's to raise, and RSVPs and plus-ones are checked against
+ * them. The guest's previous household is tidied up.
+ */
+async function addToHousehold(householdId, guestId, client = pool) {
+  const previous = await client.query('SELECT household_id FROM users WHERE id = $1', [guestId]);
+  const previousId = previous.rows.length > 0 ? previous.rows[0].household_id : null;
+
+  await client.query(`
+    UPDATE users
+    SET
+      household_id = $1,
+      invitation_code = COALESCE((
+        SELECT m.invitation_code FROM users m
+        WHERE m.household_id = $1 AND m.id <> $2 AND m.invitation_code IS NOT NULL
+        ORDER BY m.created_at, m.id
+        LIMIT 1
+      ), invitation_code),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+  `, [householdId, guestId]);
+
+  await client.query(`
+    UPDATE households
+    SET
+      primary_contact_id = COALESCE(primary_contact_id, $2),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [householdId, guestId]);
+
+  if (previousId && previousId !== householdId) {
+    await afterMemberLeft(previousId, guestId, client);
+  }
+}
+
+/**
+ * Take a guest out of their household (they answer only for themselves)
+ */
+async function removeFromHousehold(guestId, client = pool) {
+  const previous = await client.query('SELECT household_id FROM users WHERE id = $1', [guestId]);
+  const previousId = previous.rows.length > 0 ? previous.rows[0].household_id : null;
+
+  if (!previousId) {
+    return;
+  }
+
+  await client.query(`
+    UPDATE users
+    SET household_id = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [guestId]);
+
+  await afterMemberLeft(previousId, guestId, client);
+}
+
+/**
+ * Hand the primary contact role on, and drop the household once it is empty
+ */
+async function afterMemberLeft(householdId, guestId, client) {
+  await client.query(`
+    DELETE FROM households
+    WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM users WHERE household_id = $1)
+  `, [householdId]);
+
+  await client.query(`
+    UPDATE households
+    SET
+      primary_contact_id = (
+        SELECT id FROM users
+        WHERE household_id = $1 AND deleted_at IS NULL
+        ORDER BY (account_status = 'registered') DESC, created_at, id
+        LIMIT 1
+      ),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND primary_contact_id = $2
+  `, [householdId, guestId]);
+}
+
+/**
+ * Put two guests in the same household: the first guest's if they have one,
+ * otherwise the second's, otherwise a new one
+ */
+async function shareHousehold(guestId, otherId, client = pool) {
+  const result = await client.query(
+    'SELECT id, household_id FROM users WHERE id IN ($1, $2)',
+    [guestId, otherId]
+  );
+  const guest = result.rows.find(row => row.id === guestId);
+  const other = result.rows.find(row => row.id === otherId);
+
+  if (!guest || !other) {
+    return;
+  }
+  if (guest.household_id && guest.household_id === other.household_id) {
+    return;
+  }
+
+  if (guest.household_id) {
+    await addToHousehold(guest.household_id, otherId, client);
+  } else if (other.household_id) {
+    await addToHousehold(other.household_id, guestId, client);
+  } else {
+    await createHousehold([guestId, otherId], {}, client);
+  }
+}
+
+/**
+ * Load a household with its active members and their RSVPs, or null
+ */
+async function getHousehold(householdId, client = pool) {
+  const result = await client.query(`
+    SELECT ${HOUSEHOLD_COLUMNS}
+    FROM households h
+    WHERE h.id = $1
+  `, [householdId]);
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const members = await client.query(`
+    ${MEMBER_SELECT}
+    WHERE u.household_id = $1 AND u.deleted_at IS NULL
+    ORDER BY u.last_name, u.first_name, u.id
+  `, [householdId]);
+
+  return { ...result.rows[0], members: members.rows };
+}
+
+/**
+ * Everyone a guest can RSVP for: their household's active members, or
+ * themselves and their partner when they have no household
+ * Returns { household, members }; household is null without one.
+ */
+async function getHouseholdForGuest(guestId, client = pool) {
+  const guest = await client.query(
+    'SELECT household_id, partner_id FROM users WHERE id = $1',
+    [guestId]
+  );
+
+  if (guest.rows.length === 0) {
+    return { household: null, members: [] };
+  }
+
+  const { household_id: householdId, partner_id: partnerId } = guest.rows[0];
+
+  if (householdId) {
+    const household = await getHousehold(householdId, client);
+    if (household) {
+      const { members, ...details } = household;
+      return { household: details, members };
+    }
+  }
+
+  const members = await client.query(`
+    ${MEMBER_SELECT}
+    WHERE u.id IN ($1, $2) AND u.deleted_at IS NULL
+    ORDER BY (u.id = $1) DESC
+  `, [guestId, partnerId || guestId]);
+
+  return { household: null, members: members.rows };
+}
+
+module.exports = {
+  HOUSEHOLD_COLUMNS,
+  createHousehold,
+  addToHousehold,
+  removeFromHousehold,
+  shareHousehold,
+  getHousehold,
+  getHouseholdForGuest
+};
@@ -0,0 +1,51 @@
+/**
+ * Invitation Code Utilities
+ *
+ * Each household (a guest and their partner) shares one short code that is
+ * printed on the physical invitation. Codes use an alphabet without easily
+ * confused characters (0/O, 1/I/L) and are stored without separators;
+ * guests may type them in any case, with or without the dash.
+ */
+
+const crypto = require('crypto');
+
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+/**
+ * Generate a random code, e.g. "K7QMX4RA"
+ */
+function generateInvitationCode() {
+  let code = '';
+  for (let i = 0; i < CODE_LENGTH; i++) {
+    code += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize user input to the stored form ("k7qm-x4ra " -> "K7QMX4RA")
+ */
+function normalizeInvitationCode(input) {
+  if (!input || typeof input !== 'string') {
+    return '';
+  }
+  return input.toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Format a stored code for printing ("K7QMX4RA" -> "K7QM-X4RA")
+ */
+function formatInvitationCode(code) {
+  if (!code) {
+    return '';
+  }
+  return `${code.slice(0, 4)}-${code.slice(4)}`;
+}
+
+module.exports = {
+  CODE_LENGTH,
+  generateInvitationCode,
+  normalizeInvitationCode,
+  formatInvitationCode
+};
@@ -0,0 +1,106 @@
+/**
+ * Mail Delivery
+ *
+ * Sends transactional email (password resets and similar) through a
+ * pluggable transport. A transport is any object with an async
+ * send(message) method. Two are built in for local development:
+ *
+ * - console: prints the message to the server log (default)
+ * - file:    writes each message as JSON to MAIL_OUTBOX_DIR (server/outbox)
+ *
+ * Production can register a real provider with setTransport().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FROM = 'Patricia y James <no-reply@patriciajames.com>';
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '../../outbox');
+
+const transports = {
+  console: {
+    async send(message) {
+      console.log('📧 Mail (console transport)');
+      console.log(`   To: ${message.to}`);
+      console.log(`   Subject: ${message.subject}`);
+      console.log(message.text.split('\n').map(line => `   ${line}`).join('\n'));
+      return { id: null };
+    }
+  },
+
+  file: {
+    async send(message) {
+      const outboxDir = process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+
+      const safeRecipient = message.to.replace(/[^A-Za-z0-9@._-]/g, '_');
+      const filename = `${Date.now()}-${safeRecipient}.json`;
+      const filePath = path.join(outboxDir, filename);
+
+      await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+      console.log(`📧 Mail written to outbox: ${filePath}`);
+      return { id: filename };
+    }
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Get the configured transport (MAIL_TRANSPORT, defaults to console)
+ */
+function getTransport() {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    activeTransport = transports[name];
+  }
+  return activeTransport;
+}
+
+/**
+ * Replace the active transport (e.g. with an SMTP or API-backed one)
+ */
+function setTransport(transport) {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Mail transport must implement send(message)');
+  }
+  activeTransport = transport;
+}
+
+/**
+ * Send an email
+ */
+async function sendMail({ to, subject, text, html }) {
+  const message = {
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html: html || null,
+    created_at: new Date().toISOString()
+  };
+
+  return getTransport().send(message);
+}
+
+/**
+ * Base URL used in emailed links
+ * APP_BASE_URL wins; otherwise derive it from the incoming request
+ */
+function getAppBaseUrl(req) {
+  if (process.env.APP_BASE_URL) {
+    return process.env.APP_BASE_URL.replace(/\/$/, '');
+  }
+  return `${req.protocol}://${req.get('host')}`;
+}
+
+module.exports = {
+  transports,
+  getTransport,
+  setTransport,
+  sendMail,
+  getAppBaseUrl
+};
@@ -0,0 +1,98 @@
+/**
+ * Multipart Form Uploads
+ *
+ * Reads a multipart/form-data request (a browser form with a file input)
+ * into its text fields and files, held in memory. busboy parses the body as
+ * it streams in; limits on file size and on the number of files, fields and
+ * parts stop reading as soon as an upload goes over them.
+ */
+
+const busboy = require('busboy');
+
+const MAX_FIELDS = 20;
+const MAX_FIELD_BYTES = 64 * 1024;
+
+/**
+ * Read a multipart/form-data request
+ * Files over maxFileBytes, or more than maxFiles of them, end the upload.
+ * Parts with a filename are files; the rest are text fields (the first
+ * value of a repeated field wins).
+ * Returns { fields, files: [{ fieldName, filename, mimeType, data }] } or
+ * { error, status, code }
+ */
+function readMultipart(req, { maxFileBytes, maxFiles = 1 }) {
+  let parser;
+  try {
+    parser = busboy({
+      headers: req.headers,
+      defParamCharset: 'utf8',
+      limits: {
+        fileSize: maxFileBytes,
+        files: maxFiles,
+        fields: MAX_FIELDS,
+        fieldSize: MAX_FIELD_BYTES,
+        parts: maxFiles + MAX_FIELDS
+      }
+    });
+  } catch (error) {
+    // Not multipart/form-data, or no boundary
+    return Promise.resolve({ status: 400, code: 'NOT_MULTIPART', error: 'Send the upload as multipart/form-data' });
+  }
+
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const files = [];
+    let settled = false;
+
+    // Once the outcome is known the rest of the body is read and thrown away
+    const finish = (result) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+      req.unpipe(parser);
+      req.resume();
+      resolve(result);
+    };
+    const fail = (status, code, error) => finish({ status, code, error });
+
+    parser.on('file', (fieldName, stream, { filename, mimeType }) => {
+      const chunks = [];
+      stream.on('data', chunk => chunks.push(chunk));
+      stream.on('limit', () => fail(413, 'FILE_TOO_LARGE', 'The file is too large'));
+      stream.on('end', () => {
+        if (!stream.truncated) {
+          files.push({ fieldName, filename: filename || null, mimeType: mimeType.toLowerCase(), data: Buffer.concat(chunks) });
+        }
+      });
+    });
+
+    parser.on('field', (name, value, { valueTruncated }) => {
+      if (valueTruncated) {
+        return fail(413, 'UPLOAD_TOO_LARGE', 'The upload is too large');
+      }
+      if (fields[name] === undefined) {
+        fields[name] = value;
+      }
+    });
+
+    parser.on('filesLimit', () => fail(400, 'TOO_MANY_FILES', `Send at most ${maxFiles} file${maxFiles === 1 ? '' : 's'}`));
+    parser.on('fieldsLimit', () => fail(400, 'TOO_MANY_PARTS', 'The upload has too many fields'));
+    parser.on('partsLimit', () => fail(400, 'TOO_MANY_PARTS', 'The upload has too many fields'));
+    parser.on('error', () => fail(400, 'MALFORMED_UPLOAD', 'The upload could not be read'));
+    parser.on('close', () => finish({ fields, files }));
+
+    req.on('error', (error) => {
+      if (!settled) {
+        settled = true;
+        reject(error);
+      }
+    });
+
+    req.pipe(parser);
+  });
+}
+
+module.exports = {
+  readMultipart
+};
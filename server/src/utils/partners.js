@@ -0,0 +1,50 @@
+/**
+ * Partner Link Utilities
+ *
+ * partner_id is stored on both guests of a couple. These helpers always
+ * update both sides in a single statement, so the link stays symmetric
+ * without a transaction. Pass a client to run them inside one.
+ *
+ * Linked partners are also kept in one household (see households.js);
+ * unlinking leaves households as they are.
+ */
+
+const { pool } = require('../config/db');
+const { shareHousehold } = require('./households');
+
+/**
+ * Link two guests as partners
+ * Also clears any previous partner of either guest, and moves the partner
+ * into the guest's household (or the guest into the partner's).
+ */
+async function linkPartners(guestId, partnerId, client = pool) {
+  await client.query(`
+    UPDATE users
+    SET
+      partner_id = CASE
+        WHEN id = $1 THEN $2::uuid
+        WHEN id = $2 THEN $1::uuid
+        ELSE NULL
+      END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id IN ($1, $2) OR partner_id IN ($1, $2)
+  `, [guestId, partnerId]);
+
+  await shareHousehold(guestId, partnerId, client);
+}
+
+/**
+ * Remove a guest's partner link on both sides
+ */
+async function unlinkPartner(guestId, client = pool) {
+  await client.query(`
+    UPDATE users
+    SET partner_id = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 OR partner_id = $1
+  `, [guestId]);
+}
+
+module.exports = {
+  linkPartners,
+  unlinkPartner
+};
@@ -0,0 +1,72 @@
+/**
+ * Password Hashing Utilities
+ *
+ * Wraps bcrypt for every route that writes or checks a password.
+ * Accounts created before bcrypt was introduced stored a base64 encoding
+ * of the password; those are still accepted and flagged for rehashing so
+ * the caller can upgrade them on the next successful login.
+ */
+
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+const SALT_ROUNDS = parseInt(process.env.BCRYPT_ROUNDS, 10) || 12;
+
+// bcrypt hashes look like $2a$12$..., $2b$12$... or $2y$12$...
+const BCRYPT_PATTERN = /^\$2[aby]\$\d{2}\$/;
+
+/**
+ * Check whether a stored hash was produced by bcrypt
+ */
+function isBcryptHash(storedHash) {
+  return typeof storedHash === 'string' && BCRYPT_PATTERN.test(storedHash);
+}
+
+/**
+ * Hash a plain-text password for storage in users.password_hash
+ */
+async function hashPassword(password) {
+  return bcrypt.hash(password, SALT_ROUNDS);
+}
+
+/**
+ * Compare a legacy base64 "hash" without leaking timing information
+ */
+function verifyLegacyPassword(password, storedHash) {
+  const candidate = Buffer.from(Buffer.from(password).toString('base64'));
+  const stored = Buffer.from(storedHash);
+
+  if (candidate.length !== stored.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(candidate, stored);
+}
+
+/**
+ * Verify a password against a stored hash
+ * Returns { valid, needsRehash } - needsRehash is true when the stored value
+ * is a legacy base64 encoding or a bcrypt hash with a different cost factor
+ */
+async function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (isBcryptHash(storedHash)) {
+    const valid = await bcrypt.compare(password, storedHash);
+    return {
+      valid,
+      needsRehash: valid && bcrypt.getRounds(storedHash) !== SALT_ROUNDS
+    };
+  }
+
+  const valid = verifyLegacyPassword(password, storedHash);
+  return { valid, needsRehash: valid };
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isBcryptHash
+};
@@ -0,0 +1,188 @@
+/**
+ * Photo Comments
+ *
+ * Guests comment on approved photos. Comments show straight away; admins
+ * moderate afterwards by rejecting a comment (is_approved = false), which
+ * hides it from guests, or approving it again. Guests can delete their own
+ * comments.
+ */
+
+const { pool } = require('../config/db');
+
+const MAX_COMMENT_LENGTH = 1000;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const MAX_MODERATION_BATCH = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Moderation states for the admin list, as conditions on photo_comments c
+const COMMENT_STATUSES = {
+  approved: 'c.is_approved',
+  rejected: 'NOT c.is_approved',
+  all: 'TRUE'
+};
+
+const COMMENT_SELECT = `
+  SELECT
+    c.id,
+    c.photo_id,
+    c.user_id,
+    u.full_name as author,
+    c.comment,
+    c.is_approved,
+    c.created_at
+  FROM photo_comments c
+  JOIN users u ON u.id = c.user_id
+`;
+
+/**
+ * Check a comment's text
+ * Returns { comment } (trimmed) or { error }
+ */
+function validateComment(text) {
+  const comment = typeof text === 'string' ? text.trim() : '';
+  if (!comment) {
+    return { error: 'Write a comment first' };
+  }
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    return { error: `Comments can be up to ${MAX_COMMENT_LENGTH} characters` };
+  }
+  return { comment };
+}
+
+/**
+ * A photo's comments, oldest first
+ * Guests see approved comments; admins see every comment, with is_approved.
+ */
+async function listComments(photoId, viewer, client = pool) {
+  const visible = viewer && viewer.is_admin ? 'TRUE' : 'c.is_approved AND u.deleted_at IS NULL';
+  const result = await client.query(`
+    ${COMMENT_SELECT}
+    WHERE c.photo_id = $1 AND ${visible}
+    ORDER BY c.created_at, c.id
+  `, [photoId]);
+  return result.rows;
+}
+
+/**
+ * Add a validated comment to a photo. Returns the comment.
+ */
+async function addComment(photoId, userId, comment, client = pool) {
+  const result = await client.query(`
+    INSERT INTO photo_comments (photo_id, user_id, comment)
+    VALUES ($1, $2, $3)
+    RETURNING id
+  `, [photoId, userId, comment]);
+  return findComment(photoId, result.rows[0].id, client);
+}
+
+/**
+ * One of a photo's comments, whatever its moderation state, or null
+ */
+async function findComment(photoId, commentId, client = pool) {
+  if (!UUID_PATTERN.test(commentId)) {
+    return null;
+  }
+  const result = await client.query(`
+    ${COMMENT_SELECT}
+    WHERE c.photo_id = $1 AND c.id = $2
+  `, [photoId, commentId]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+async function deleteComment(commentId, client = pool) {
+  await client.query('DELETE FROM photo_comments WHERE id = $1', [commentId]);
+}
+
+/**
+ * Check admin list options: status (all by default), page and page_size
+ * Returns { status, page, pageSize } or { error }
+ */
+function parseCommentReviewQuery(queryParams) {
+  const status = queryParams.status || 'all';
+  if (!COMMENT_STATUSES[status]) {
+    return { error: `status must be one of: ${Object.keys(COMMENT_STATUSES).join(', ')}` };
+  }
+  const page = parseInt(queryParams.page, 10) || 1;
+  const pageSize = parseInt(queryParams.page_size, 10) || DEFAULT_PAGE_SIZE;
+  if (page < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `page must be 1 or more and page_size between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  return { status, page, pageSize };
+}
+
+/**
+ * Comments on every photo for admins, newest first, with the photo's caption
+ * Returns { comments, total }
+ */
+async function listCommentsForReview({ status, page, pageSize }, client = pool) {
+  const condition = COMMENT_STATUSES[status];
+  const result = await client.query(`
+    SELECT
+      c.id,
+      c.photo_id,
+      p.caption as photo_caption,
+      c.user_id,
+      u.full_name as author,
+      c.comment,
+      c.is_approved,
+      c.created_at
+    FROM photo_comments c
+    JOIN users u ON u.id = c.user_id
+    JOIN photos p ON p.id = c.photo_id
+    WHERE ${condition}
+    ORDER BY c.created_at DESC, c.id
+    LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}
+  `);
+
+  const total = await client.query(`
+    SELECT COUNT(*) as count FROM photo_comments c WHERE ${condition}
+  `);
+
+  return {
+    comments: result.rows,
+    total: parseInt(total.rows[0].count, 10)
+  };
+}
+
+/**
+ * Check a bulk moderation request: { comment_ids, action: approve | reject }
+ * Returns { commentIds, isApproved } or { error }
+ */
+function validateCommentModeration({ comment_ids: commentIds, action } = {}) {
+  if (action !== 'approve' && action !== 'reject') {
+    return { error: 'action must be one of: approve, reject' };
+  }
+  if (!Array.isArray(commentIds) || commentIds.length === 0 || commentIds.length > MAX_MODERATION_BATCH) {
+    return { error: `comment_ids must list between 1 and ${MAX_MODERATION_BATCH} comments` };
+  }
+  if (!commentIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+    return { error: 'comment_ids must be comment ids' };
+  }
+  return { commentIds: [...new Set(commentIds)], isApproved: action === 'approve' };
+}
+
+/**
+ * Show or hide comments. Returns the updated ids.
+ */
+async function moderateComments(commentIds, isApproved, client = pool) {
+  const result = await client.query(`
+    UPDATE photo_comments
+    SET is_approved = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ANY($1::uuid[])
+    RETURNING id
+  `, [commentIds, isApproved]);
+  return result.rows.map(row => row.id);
+}
+
+module.exports = {
+  validateComment,
+  listComments,
+  addComment,
+  findComment,
+  deleteComment,
+  parseCommentReviewQuery,
+  listCommentsForReview,
+  validateCommentModeration,
+  moderateComments
+};
@@ -0,0 +1,95 @@
+/**
+ * Photo Storage
+ *
+ * Keeps uploaded photo files behind a pluggable storage. A storage is any
+ * object with async save(key, data, mimeType), read(key) and remove(key)
+ * methods. Keys are the generated file names in photos.filename; save
+ * returns where the file went, kept in photos.file_path. One is built in:
+ *
+ * - local: files on disk in PHOTO_UPLOAD_DIR (server/uploads/photos)
+ *
+ * Production can register object storage (S3 and the like) with setStorage().
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '../../uploads/photos');
+const KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+
+/**
+ * Path of a key in the upload directory
+ * Keys are generated by us, but check anyway: a key must never reach
+ * outside the directory.
+ */
+function localPath(key) {
+  if (!KEY_PATTERN.test(key)) {
+    throw new Error(`Invalid photo storage key: ${key}`);
+  }
+  return path.join(process.env.PHOTO_UPLOAD_DIR || DEFAULT_UPLOAD_DIR, key);
+}
+
+const storages = {
+  local: {
+    async save(key, data) {
+      const filePath = localPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // wx: never overwrite another photo's file
+      await fs.promises.writeFile(filePath, data, { flag: 'wx' });
+      return filePath;
+    },
+
+    async read(key) {
+      try {
+        return await fs.promises.readFile(localPath(key));
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return null;
+        }
+        throw error;
+      }
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(localPath(key));
+      } catch (error) {
+        // Already gone is fine
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+  }
+};
+
+let activeStorage = null;
+
+/**
+ * Get the configured storage (PHOTO_STORAGE, defaults to local)
+ */
+function getStorage() {
+  if (!activeStorage) {
+    const name = process.env.PHOTO_STORAGE || 'local';
+    if (!storages[name]) {
+      throw new Error(`Unknown photo storage: ${name}`);
+    }
+    activeStorage = storages[name];
+  }
+  return activeStorage;
+}
+
+/**
+ * Replace the active storage (e.g. with an object storage-backed one)
+ */
+function setStorage(storage) {
+  if (!storage || ['save', 'read', 'remove'].some(method => typeof storage[method] !== 'function')) {
+    throw new Error('Photo storage must implement save(key, data, mimeType), read(key) and remove(key)');
+  }
+  activeStorage = storage;
+}
+
+module.exports = {
+  getStorage,
+  setStorage
+};
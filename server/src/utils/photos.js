@@ -0,0 +1,436 @@
+/**
+ * Guest Photos
+ *
+ * Guests upload photos (JPEG, PNG, GIF or WebP, with a caption) to share on
+ * the Photos page. Files go to the photo storage (see photoStorage.js) and
+ * each gets a photos row. New photos wait in a review queue: the gallery only
+ * ever shows approved photos, featured ones first, and visitors who aren't
+ * logged in only see the featured ones. Uploaders follow their own photos,
+ * whatever their review state, in a separate list (listMyPhotos). Admins
+ * approve, reject and feature photos in bulk (moderatePhotos). Guests upvote
+ * approved photos, once each; the gallery can be sorted by upvotes ("most
+ * loved"). Comments are in photoComments.js.
+ */
+
+const { randomUUID } = require('crypto');
+const { pool } = require('../config/db');
+const { getStorage } = require('./photoStorage');
+
+const MAX_PHOTO_BYTES = (parseInt(process.env.PHOTO_MAX_MB, 10) || 10) * 1024 * 1024;
+const MAX_CAPTION_LENGTH = 500;
+const MAX_ORIGINAL_FILENAME_LENGTH = 255;
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Review states for the admin list, as conditions on photos p
+const REVIEW_STATUSES = {
+  pending: 'NOT p.is_approved AND p.reviewed_at IS NULL',
+  approved: 'p.is_approved',
+  rejected: 'NOT p.is_approved AND p.reviewed_at IS NOT NULL',
+  featured: 'p.is_featured',
+  all: 'TRUE'
+};
+
+// Bulk moderation actions, as assignments on photos ($2: the admin).
+// Featuring a photo approves it too; rejecting one takes it out of the featured set.
+const MODERATION_ACTIONS = {
+  approve: 'is_approved = true, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = $2',
+  reject: 'is_approved = false, is_featured = false, reviewed_at = CURRENT_TIMESTAMP, reviewed_by = $2',
+  feature: 'is_approved = true, is_featured = true, reviewed_at = COALESCE(reviewed_at, CURRENT_TIMESTAMP), reviewed_by = COALESCE(reviewed_by, $2)',
+  unfeature: 'is_featured = false'
+};
+const MAX_MODERATION_BATCH = 100;
+
+// Gallery sort orders
+const PHOTO_SORTS = {
+  newest: 'p.is_featured DESC, p.upload_date DESC, p.id',
+  most_loved: 'upvote_count DESC, p.upload_date DESC, p.id'
+};
+
+// The file's first bytes must match its declared type
+const PHOTO_TYPES = {
+  'image/jpeg': {
+    extension: 'jpg',
+    matches: data => data.length > 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff
+  },
+  'image/png': {
+    extension: 'png',
+    matches: data => data.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  },
+  'image/gif': {
+    extension: 'gif',
+    matches: data => ['GIF87a', 'GIF89a'].includes(data.toString('latin1', 0, 6))
+  },
+  'image/webp': {
+    extension: 'webp',
+    matches: data => data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP'
+  }
+};
+
+const PHOTO_SELECT = `
+  SELECT
+    p.id,
+    p.user_id,
+    u.full_name as uploaded_by,
+    p.original_filename,
+    p.file_size,
+    p.mime_type,
+    p.caption,
+    p.is_approved,
+    p.is_featured,
+    p.reviewed_at,
+    p.upload_date,
+    (SELECT COUNT(*) FROM photo_upvotes v WHERE v.photo_id = p.id)::int as upvote_count,
+    (
+      SELECT COUNT(*) FROM photo_comments c
+      JOIN users cu ON cu.id = c.user_id
+      WHERE c.photo_id = p.id AND c.is_approved AND cu.deleted_at IS NULL
+    )::int as comment_count
+  FROM photos p
+  LEFT JOIN users u ON u.id = p.user_id
+`;
+
+/**
+ * SQL condition for the gallery photos viewer can see (viewer is null when
+ * they aren't logged in)
+ * Guests see approved photos; visitors only the featured ones.
+ */
+function visibleTo(viewer) {
+  const approved = 'p.is_approved AND u.deleted_at IS NULL';
+  return viewer ? approved : `${approved} AND p.is_featured`;
+}
+
+/**
+ * Add the file's address to a photo row
+ */
+function withUrl(photo) {
+  return { ...photo, url: `/api/photos/${photo.id}/file` };
+}
+
+/**
+ * Check an upload: one file and an optional caption
+ * Returns { upload: { data, mimeType, extension, originalFilename, caption } }
+ * or { error, status, code }
+ */
+function validatePhotoUpload(file, caption) {
+  if (!file || file.data.length === 0) {
+    return { status: 400, code: 'NO_PHOTO', error: 'Choose a photo to upload' };
+  }
+
+  if (file.data.length > MAX_PHOTO_BYTES) {
+    return {
+      status: 413,
+      code: 'PHOTO_TOO_LARGE',
+      error: `Photos can be up to ${MAX_PHOTO_BYTES / (1024 * 1024)} MB`
+    };
+  }
+
+  const type = PHOTO_TYPES[file.mimeType];
+  if (!type) {
+    return {
+      status: 415,
+      code: 'UNSUPPORTED_PHOTO_TYPE',
+      error: 'Photos must be JPEG, PNG, GIF or WebP images'
+    };
+  }
+  if (!type.matches(file.data)) {
+    return {
+      status: 415,
+      code: 'UNSUPPORTED_PHOTO_TYPE',
+      error: `"${file.filename}" isn't a ${file.mimeType} image`
+    };
+  }
+
+  const trimmedCaption = typeof caption === 'string' ? caption.trim() : '';
+  if (trimmedCaption.length > MAX_CAPTION_LENGTH) {
+    return {
+      status: 400,
+      code: 'CAPTION_TOO_LONG',
+      error: `Captions can be up to ${MAX_CAPTION_LENGTH} characters`
+    };
+  }
+
+  return {
+    upload: {
+      data: file.data,
+      mimeType: file.mimeType,
+      extension: type.extension,
+      originalFilename: (file.filename || `photo.${type.extension}`).slice(0, MAX_ORIGINAL_FILENAME_LENGTH),
+      caption: trimmedCaption || null
+    }
+  };
+}
+
+/**
+ * Store a validated upload for a user
+ * The file is removed again if the row can't be saved. Returns the photo.
+ */
+async function createPhoto(userId, upload, client = pool) {
+  const storage = getStorage();
+  const filename = `${randomUUID()}.${upload.extension}`;
+  const filePath = await storage.save(filename, upload.data, upload.mimeType);
+
+  try {
+    const result = await client.query(`
+      INSERT INTO photos (user_id, filename, original_filename, file_path, file_size, mime_type, caption)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [userId, filename, upload.originalFilename, String(filePath), upload.data.length, upload.mimeType, upload.caption]);
+
+    return findPhoto(result.rows[0].id, client);
+  } catch (error) {
+    await storage.remove(filename);
+    throw error;
+  }
+}
+
+/**
+ * Check paging options: page and page_size
+ * Returns { page, pageSize } or { error }
+ */
+function parsePaging(queryParams) {
+  const page = parseInt(queryParams.page, 10) || 1;
+  const pageSize = parseInt(queryParams.page_size, 10) || DEFAULT_PAGE_SIZE;
+  if (page < 1 || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `page must be 1 or more and page_size between 1 and ${MAX_PAGE_SIZE}` };
+  }
+  return { page, pageSize };
+}
+
+/**
+ * Check gallery options: page, page_size, featured (true or false) and
+ * sort (newest or most_loved)
+ * Returns { page, pageSize, featured, sort } or { error }
+ */
+function parsePhotoListQuery(queryParams) {
+  const { featured, sort = 'newest' } = queryParams;
+  if (featured !== undefined && featured !== 'true' && featured !== 'false') {
+    return { error: 'featured must be true or false' };
+  }
+  if (!PHOTO_SORTS[sort]) {
+    return { error: `sort must be one of: ${Object.keys(PHOTO_SORTS).join(', ')}` };
+  }
+  const paging = parsePaging(queryParams);
+  return paging.error ? paging : { ...paging, featured: featured === undefined ? null : featured === 'true', sort };
+}
+
+/**
+ * Check admin list options: status (pending by default), page and page_size
+ * Returns { status, page, pageSize } or { error }
+ */
+function parseReviewQuery(queryParams) {
+  const status = queryParams.status || 'pending';
+  if (!REVIEW_STATUSES[status]) {
+    return { error: `status must be one of: ${Object.keys(REVIEW_STATUSES).join(', ')}` };
+  }
+  const paging = parsePaging(queryParams);
+  return paging.error ? paging : { ...paging, status };
+}
+
+/**
+ * One page of photos matching condition: { photos, total }
+ */
+async function pagePhotos(condition, orderBy, { page, pageSize }, client, params = []) {
+  const result = await client.query(`
+    ${PHOTO_SELECT}
+    WHERE ${condition}
+    ORDER BY ${orderBy}
+    LIMIT ${pageSize} OFFSET ${(page - 1) * pageSize}
+  `, params);
+
+  const total = await client.query(`
+    SELECT COUNT(*) as count
+    FROM photos p
+    LEFT JOIN users u ON u.id = p.user_id
+    WHERE ${condition}
+  `, params);
+
+  return {
+    photos: result.rows.map(withUrl),
+    total: parseInt(total.rows[0].count, 10)
+  };
+}
+
+/**
+ * Set upvoted on photos: whether viewer upvoted each one
+ */
+async function markUpvoted(photos, viewer, client) {
+  if (!viewer || photos.length === 0) {
+    return photos.map(photo => ({ ...photo, upvoted: false }));
+  }
+  const result = await client.query(`
+    SELECT photo_id FROM photo_upvotes WHERE user_id = $1 AND photo_id = ANY($2::uuid[])
+  `, [viewer.id, photos.map(photo => photo.id)]);
+  const upvoted = new Set(result.rows.map(row => row.photo_id));
+  return photos.map(photo => ({ ...photo, upvoted: upvoted.has(photo.id) }));
+}
+
+/**
+ * The gallery photos viewer can see (null: not logged in), featured first
+ * then newest first, or with sort most_loved by upvotes; featured true or
+ * false picks one set
+ * Returns { photos, total }
+ */
+async function listPhotos(viewer, { page, pageSize, featured = null, sort = 'newest' }, client = pool) {
+  let condition = visibleTo(viewer);
+  if (featured !== null) {
+    condition += featured ? ' AND p.is_featured' : ' AND NOT p.is_featured';
+  }
+  const { photos, total } = await pagePhotos(condition, PHOTO_SORTS[sort], { page, pageSize }, client);
+  return { photos: await markUpvoted(photos, viewer, client), total };
+}
+
+/**
+ * A user's own uploads, newest first, whatever their review state; the
+ * files are served from /api/photos/mine/:id/file so pending photos stay
+ * out of the gallery routes
+ * Returns { photos, total }
+ */
+async function listMyPhotos(user, { page, pageSize }, client = pool) {
+  const { photos, total } = await pagePhotos('p.user_id = $1', 'p.upload_date DESC, p.id', { page, pageSize }, client, [user.id]);
+  const mine = photos.map(photo => ({ ...photo, url: `/api/photos/mine/${photo.id}/file` }));
+  return { photos: await markUpvoted(mine, user, client), total };
+}
+
+/**
+ * Photos for admins by review status; the pending queue is oldest first,
+ * the rest newest first
+ * Returns { photos, total }
+ */
+async function listPhotosForReview({ status, page, pageSize }, client = pool) {
+  const orderBy = status === 'pending' ? 'p.upload_date, p.id' : 'p.upload_date DESC, p.id';
+  return pagePhotos(REVIEW_STATUSES[status], orderBy, { page, pageSize }, client);
+}
+
+/**
+ * Any photo, whatever its review state, or null
+ */
+async function findPhoto(photoId, client = pool) {
+  if (!UUID_PATTERN.test(photoId)) {
+    return null;
+  }
+  const result = await client.query(`${PHOTO_SELECT} WHERE p.id = $1`, [photoId]);
+  return result.rows.length > 0 ? withUrl(result.rows[0]) : null;
+}
+
+/**
+ * A photo viewer can see, or null
+ * Admins can see any photo, to review it; see visibleTo for everyone else.
+ */
+async function getPhoto(photoId, viewer, client = pool) {
+  let photo;
+  if (viewer && viewer.is_admin) {
+    photo = await findPhoto(photoId, client);
+  } else if (UUID_PATTERN.test(photoId)) {
+    const result = await client.query(`
+      ${PHOTO_SELECT}
+      WHERE p.id = $1 AND ${visibleTo(viewer)}
+    `, [photoId]);
+    photo = result.rows.length > 0 ? withUrl(result.rows[0]) : null;
+  }
+  return photo ? (await markUpvoted([photo], viewer, client))[0] : null;
+}
+
+/**
+ * Upvote a photo for a user (upvoting twice changes nothing)
+ * Returns the photo's upvote count
+ */
+async function addUpvote(photoId, userId, client = pool) {
+  await client.query(`
+    INSERT INTO photo_upvotes (photo_id, user_id)
+    VALUES ($1, $2)
+    ON CONFLICT (photo_id, user_id) DO NOTHING
+  `, [photoId, userId]);
+  return countUpvotes(photoId, client);
+}
+
+/**
+ * Take back a user's upvote, if they gave one
+ * Returns the photo's upvote count
+ */
+async function removeUpvote(photoId, userId, client = pool) {
+  await client.query('DELETE FROM photo_upvotes WHERE photo_id = $1 AND user_id = $2', [photoId, userId]);
+  return countUpvotes(photoId, client);
+}
+
+async function countUpvotes(photoId, client) {
+  const result = await client.query('SELECT COUNT(*) as count FROM photo_upvotes WHERE photo_id = $1', [photoId]);
+  return parseInt(result.rows[0].count, 10);
+}
+
+/**
+ * Check a bulk moderation request: { photo_ids, action }
+ * Returns { photoIds, action } or { error }
+ */
+function validateModeration({ photo_ids: photoIds, action } = {}) {
+  if (!MODERATION_ACTIONS[action]) {
+    return { error: `action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}` };
+  }
+  if (!Array.isArray(photoIds) || photoIds.length === 0 || photoIds.length > MAX_MODERATION_BATCH) {
+    return { error: `photo_ids must list between 1 and ${MAX_MODERATION_BATCH} photos` };
+  }
+  if (!photoIds.every(id => typeof id === 'string' && UUID_PATTERN.test(id))) {
+    return { error: 'photo_ids must be photo ids' };
+  }
+  return { photoIds: [...new Set(photoIds)], action };
+}
+
+/**
+ * Approve, reject, feature or unfeature photos for an admin
+ * Ids that don't match a photo are skipped. Returns the updated ids.
+ */
+async function moderatePhotos(photoIds, action, adminId, client = pool) {
+  const assignments = MODERATION_ACTIONS[action];
+  const result = await client.query(`
+    UPDATE photos
+    SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ANY($1::uuid[])
+    RETURNING id
+  `, assignments.includes('$2') ? [photoIds, adminId] : [photoIds]);
+  return result.rows.map(row => row.id);
+}
+
+/**
+ * A photo's file: { data, mimeType, filename } or null when it's missing
+ * The photo must be one the viewer can see (getPhoto).
+ */
+async function readPhotoFile(photoId, client = pool) {
+  const result = await client.query('SELECT filename, mime_type FROM photos WHERE id = $1', [photoId]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const { filename, mime_type: mimeType } = result.rows[0];
+  const data = await getStorage().read(filename);
+  return data ? { data, mimeType, filename } : null;
+}
+
+/**
+ * Delete a photo and its file (comments and upvotes go with it)
+ */
+async function deletePhoto(photoId, client = pool) {
+  const result = await client.query('DELETE FROM photos WHERE id = $1 RETURNING filename', [photoId]);
+  if (result.rows.length > 0) {
+    await getStorage().remove(result.rows[0].filename);
+  }
+}
+
+module.exports = {
+  MAX_PHOTO_BYTES,
+  validatePhotoUpload,
+  createPhoto,
+  parsePaging,
+  parsePhotoListQuery,
+  parseReviewQuery,
+  listPhotos,
+  listMyPhotos,
+  listPhotosForReview,
+  findPhoto,
+  getPhoto,
+  validateModeration,
+  moderatePhotos,
+  addUpvote,
+  removeUpvote,
+  readPhotoFile,
+  deletePhoto
+};
@@ -0,0 +1,273 @@
+/**
+ * Plus-Ones
+ *
+ * A guest with plus_one_allowed can bring one plus-one. The plus-one is a
+ * user of their own (plus_one_of points at their host), linked to the host
+ * as partner and in the host's household, with an attending RSVP and the
+ * host's attending event answers. Hosts can edit, replace or remove their
+ * plus-one; a removed plus-one is unlinked from the host, taken out of the
+ * household and soft-deleted along with their RSVP.
+ *
+ * A plus-one added without a password can claim their own account from an
+ * emailed link (POST /api/auth/claim-account), keeping their guest record and
+ * RSVP.
+ *
+ * Changes are recorded in the history. Pass the transaction's client.
+ */
+
+const { pool } = require('../config/db');
+const { linkPartners, unlinkPartner } = require('./partners');
+const { removeFromHousehold } = require('./households');
+const { getGuestEvents, saveEventResponses, copyEventInvitations } = require('./events');
+const { validateDietary } = require('./dietary');
+const { recordGuestCreated, trackGuestChanges, recordRsvpChanges } = require('./history');
+const { createToken, revokeTokens } = require('./tokens');
+const { sendMail } = require('./mailer');
+
+const PLUS_ONE_NAME_FIELDS = ['first_name', 'last_name', 'email'];
+const CLAIM_LINK_TTL_DAYS = parseInt(process.env.PLUS_ONE_CLAIM_TTL_DAYS, 10) || 14;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * Check plus-one details: first_name, last_name, email, and optionally
+ * dietary_restrictions, meal_option_id and dietary_tags
+ * With partial, fields that are left out are fine (for edits).
+ * Returns an error message or null
+ */
+function validatePlusOne(details, { partial = false } = {}) {
+  if (!details || typeof details !== 'object' || Array.isArray(details)) {
+    return 'plus_one must be an object with first_name, last_name and email';
+  }
+
+  for (const field of PLUS_ONE_NAME_FIELDS) {
+    const value = details[field];
+    if (value === undefined && partial) {
+      continue;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+      return 'Your plus-one needs a first name, last name and email';
+    }
+  }
+
+  if (details.email !== undefined && !EMAIL_PATTERN.test(details.email.trim())) {
+    return `"${details.email}" isn't an email address`;
+  }
+
+  return validateDietary(details);
+}
+
+/**
+ * A host's current plus-one with their RSVP, or null
+ */
+async function getPlusOne(hostId, client = pool) {
+  const result = await client.query(`
+    SELECT
+      u.id,
+      u.first_name,
+      u.last_name,
+      u.full_name,
+      u.email,
+      u.account_status,
+      r.id as rsvp_id,
+      r.response_status,
+      r.dietary_restrictions,
+      r.meal_option_id,
+      r.dietary_tags
+    FROM users u
+    LEFT JOIN rsvps r ON r.user_id = u.id AND r.deleted_at IS NULL
+    WHERE u.plus_one_of = $1 AND u.deleted_at IS NULL
+  `, [hostId]);
+  return result.rows.length > 0 ? result.rows[0] : null;
+}
+
+/**
+ * Give a new plus-one their host's event invitations and attending answers
+ */
+async function invitePlusOne(hostId, plusOneId, client) {
+  await copyEventInvitations(hostId, plusOneId, client);
+  const hostEvents = (await getGuestEvents([hostId], client)).get(hostId);
+  await saveEventResponses(
+    plusOneId,
+    hostEvents.filter(event => event.response_status === 'attending'),
+    hostId,
+    client
+  );
+}
+
+/**
+ * Add a plus-one for host from validated details
+ * With a password_hash the plus-one gets an account of their own; otherwise
+ * they can register later like any guest. Returns the plus-one (getPlusOne).
+ */
+async function createPlusOne(host, details, client = pool) {
+  const user = await client.query(`
+    INSERT INTO users (
+      first_name, last_name, email, password_hash, account_status, plus_one_allowed, plus_one_of
+    ) VALUES ($1, $2, $3, $4, $5, false, $6)
+    RETURNING id
+  `, [
+    details.first_name.trim(),
+    details.last_name.trim(),
+    details.email.trim(),
+    details.password_hash || null,
+    details.password_hash ? 'registered' : 'guest',
+    host.id
+  ]);
+  const plusOneId = user.rows[0].id;
+  await recordGuestCreated(plusOneId, host.id, client);
+
+  // Link both ways; this also brings the plus-one into the household
+  await trackGuestChanges([host.id, plusOneId], host.id, () => linkPartners(host.id, plusOneId, client), client);
+  await invitePlusOne(host.id, plusOneId, client);
+
+  const rsvp = await client.query(`
+    INSERT INTO rsvps (
+      user_id, partner_id, response_status, dietary_restrictions, message, meal_option_id, dietary_tags
+    )
+    VALUES ($1, $2, 'attending', $3, $4, $5, $6)
+    RETURNING *
+  `, [
+    plusOneId, host.id, details.dietary_restrictions || null, `Plus-one for ${host.first_name} ${host.last_name}`,
+    details.meal_option_id || null, details.dietary_tags || []
+  ]);
+  await recordRsvpChanges(null, rsvp.rows[0], host.id, client);
+
+  // The host's RSVP points at their plus-one
+  await client.query(`
+    UPDATE rsvps
+    SET partner_id = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $2
+  `, [plusOneId, host.id]);
+
+  return getPlusOne(host.id, client);
+}
+
+/**
+ * Change a plus-one's name, email or dietary answers
+ * Only the fields present in details are changed. Returns the plus-one.
+ */
+async function updatePlusOne(hostId, plusOne, details, changedBy, client = pool) {
+  const nameFields = PLUS_ONE_NAME_FIELDS.filter(field => details[field] !== undefined);
+
+  if (nameFields.length > 0) {
+    if (details.email !== undefined && details.email.trim() !== plusOne.email) {
+      // A claim link sent to the old address mustn't work any more
+      await revokeTokens(plusOne.id, 'plus_one_claim');
+    }
+
+    const assignments = nameFields.map((field, index) => `${field} = $${index + 2}`);
+    await trackGuestChanges([plusOne.id], changedBy, () => client.query(`
+      UPDATE users
+      SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [plusOne.id, ...nameFields.map(field => details[field].trim())]), client);
+  }
+
+  const before = await client.query('SELECT * FROM rsvps WHERE user_id = $1 AND deleted_at IS NULL', [plusOne.id]);
+
+  if (before.rows.length > 0) {
+    const after = await client.query(`
+      UPDATE rsvps
+      SET
+        dietary_restrictions = CASE WHEN $2 THEN $3 ELSE dietary_restrictions END,
+        meal_option_id = CASE WHEN $4 THEN $5::uuid ELSE meal_option_id END,
+        dietary_tags = COALESCE($6::text[], dietary_tags),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [
+      before.rows[0].id,
+      details.dietary_restrictions !== undefined, details.dietary_restrictions || null,
+      details.meal_option_id !== undefined, details.meal_option_id || null,
+      details.dietary_tags || null
+    ]);
+    await recordRsvpChanges(before.rows[0], after.rows[0], changedBy, client);
+  }
+
+  return getPlusOne(hostId, client);
+}
+
+/**
+ * Remove a host's plus-one
+ * Unlinks them from the host on both sides, takes them out of the household
+ * and soft-deletes them and their RSVP.
+ */
+async function removePlusOne(hostId, plusOne, changedBy, client = pool) {
+  await trackGuestChanges([hostId, plusOne.id], changedBy, async () => {
+    await unlinkPartner(plusOne.id, client);
+    await removeFromHousehold(plusOne.id, client);
+    await client.query(`
+      UPDATE users
+      SET deleted_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [plusOne.id]);
+  }, client);
+
+  const before = await client.query('SELECT * FROM rsvps WHERE user_id = $1 AND deleted_at IS NULL', [plusOne.id]);
+  if (before.rows.length > 0) {
+    const after = await client.query(`
+      UPDATE rsvps
+      SET deleted_at = CURRENT_TIMESTAMP, partner_id = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [before.rows[0].id]);
+    await recordRsvpChanges(before.rows[0], after.rows[0], changedBy, client);
+  }
+
+  await client.query(`
+    UPDATE rsvps
+    SET partner_id = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND partner_id = $2
+  `, [hostId, plusOne.id]);
+}
+
+/**
+ * Why a plus-one can't be sent a claim link, or null
+ * Returns { status, code, message }
+ */
+function getClaimLinkError(plusOne) {
+  if (plusOne.account_status === 'registered') {
+    return { status: 409, code: 'ALREADY_REGISTERED', message: `${plusOne.full_name} already has an account` };
+  }
+  if (!plusOne.email) {
+    return { status: 400, code: 'NO_EMAIL', message: `${plusOne.full_name} has no email address to send the link to` };
+  }
+  return null;
+}
+
+/**
+ * Email a plus-one a link to set up their own account
+ * Any earlier link stops working. baseUrl is the site's address
+ * (getAppBaseUrl). Returns the link.
+ */
+async function sendClaimLink(plusOne, host, baseUrl) {
+  const token = await createToken(plusOne.id, 'plus_one_claim', CLAIM_LINK_TTL_DAYS * 24 * 60);
+  const claimUrl = `${baseUrl}/?claim_token=${token}`;
+
+  await sendMail({
+    to: plusOne.email,
+    subject: 'Set up your account - Patricia y James',
+    text: [
+      `Hi ${plusOne.first_name},`,
+      '',
+      `${host.full_name} is bringing you to our wedding!`,
+      'Choose a password with the link below to see the event details and tell us about your dietary needs.',
+      `The link works once and expires in ${CLAIM_LINK_TTL_DAYS} days.`,
+      '',
+      claimUrl
+    ].join('\n')
+  });
+
+  return claimUrl;
+}
+
+module.exports = {
+  CLAIM_LINK_TTL_DAYS,
+  validatePlusOne,
+  getPlusOne,
+  createPlusOne,
+  updatePlusOne,
+  removePlusOne,
+  getClaimLinkError,
+  sendClaimLink
+};
@@ -0,0 +1,65 @@
+/**
+ * RSVP Deadline
+ *
+ * RSVP_DEADLINE (a date and time with a UTC offset, e.g.
+ * 2026-05-01T23:59:59-07:00) closes RSVPs for everyone; without it RSVPs
+ * stay open. Admins can give a guest their own deadline
+ * (users.rsvp_deadline_override), later or earlier, which replaces the
+ * global one for that guest.
+ */
+
+const { pool } = require('../config/db');
+
+const TIMESTAMP_WITH_OFFSET = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:[zZ]|[+-]\d{2}:?\d{2})$/;
+
+let warnedInvalidDeadline = false;
+
+/**
+ * A deadline from a string, or null when it isn't a date and time with an offset
+ */
+function parseDeadline(value) {
+  if (typeof value !== 'string' || !TIMESTAMP_WITH_OFFSET.test(value.trim())) {
+    return null;
+  }
+  const deadline = new Date(value.trim());
+  return isNaN(deadline) ? null : deadline;
+}
+
+/**
+ * The deadline for everyone from RSVP_DEADLINE, or null for none
+ * An unreadable value is ignored (with a warning) rather than closing RSVPs.
+ */
+function getRsvpDeadline() {
+  if (!process.env.RSVP_DEADLINE) {
+    return null;
+  }
+
+  const deadline = parseDeadline(process.env.RSVP_DEADLINE);
+  if (!deadline && !warnedInvalidDeadline) {
+    console.warn(`⚠️  Ignoring RSVP_DEADLINE "${process.env.RSVP_DEADLINE}": use a date and time with a UTC offset, e.g. 2026-05-01T23:59:59-07:00`);
+    warnedInvalidDeadline = true;
+  }
+  return deadline;
+}
+
+/**
+ * Whether a guest can still change their RSVP
+ * Returns { deadline (Date or null), overridden, is_open }
+ */
+async function getRsvpWindow(userId, client = pool) {
+  const result = await client.query('SELECT rsvp_deadline_override FROM users WHERE id = $1', [userId]);
+  const override = result.rows.length > 0 ? result.rows[0].rsvp_deadline_override : null;
+  const deadline = override || getRsvpDeadline();
+
+  return {
+    deadline,
+    overridden: Boolean(override),
+    is_open: !deadline || new Date() <= deadline
+  };
+}
+
+module.exports = {
+  parseDeadline,
+  getRsvpDeadline,
+  getRsvpWindow
+};
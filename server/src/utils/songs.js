@@ -0,0 +1,246 @@
+/**
+ * Song Requests
+ *
+ * Guests request songs for the reception (title, optional artist), before or
+ * after they RSVP. Titles and artists are matched on a normalized key, so a
+ * guest can't ask for the same song twice and the DJ's playlist counts
+ * "Don't Stop Me Now - Queen" and "dont stop me now (remastered) / queen" as
+ * one song.
+ *
+ * Pass a client to run these helpers inside a transaction.
+ */
+
+const { pool } = require('../config/db');
+
+const MAX_SONG_REQUESTS = 10;
+const MAX_SONG_FIELD_LENGTH = 200;
+
+/**
+ * Match key for a title or artist: no accents, case, punctuation, bracketed
+ * notes ("(Remastered 2011)", "[Live]"), featured artists or leading "The"
+ */
+function normalizeSongText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)|\[[^\]]*\]/g, ' ')
+    .replace(/\s(feat\.?|ft\.?|featuring)\s.*$/, '')
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^the /, '')
+    .slice(0, MAX_SONG_FIELD_LENGTH);
+}
+
+/**
+ * Check a list of { title, artist } requests
+ * Trims them and drops repeats of the same song (the first spelling wins).
+ * Returns { songs: [{ title, artist, title_key, artist_key }] } or { error }
+ */
+function validateSongRequests(list) {
+  if (!Array.isArray(list)) {
+    return { error: 'song_requests must be a list of { title, artist }' };
+  }
+
+  const songs = [];
+  for (const entry of list) {
+    const result = validateSongRequest(entry);
+    if (result.error) {
+      return result;
+    }
+    const { song } = result;
+    if (!songs.some(other => other.title_key === song.title_key && other.artist_key === song.artist_key)) {
+      songs.push(song);
+    }
+  }
+
+  if (songs.length > MAX_SONG_REQUESTS) {
+    return { error: `You can request up to ${MAX_SONG_REQUESTS} songs` };
+  }
+
+  return { songs };
+}
+
+/**
+ * Check one { title, artist } request
+ * Returns { song: { title, artist, title_key, artist_key } } or { error }
+ */
+function validateSongRequest(entry) {
+  const { title, artist } = entry || {};
+
+  if (typeof title !== 'string' || !title.trim()) {
+    return { error: 'Each song request needs a title' };
+  }
+  if (artist !== undefined && artist !== null && typeof artist !== 'string') {
+    return { error: 'artist must be text' };
+  }
+  if (title.trim().length > MAX_SONG_FIELD_LENGTH || (artist || '').trim().length > MAX_SONG_FIELD_LENGTH) {
+    return { error: `Song titles and artists must be at most ${MAX_SONG_FIELD_LENGTH} characters` };
+  }
+
+  const titleKey = normalizeSongText(title);
+  if (!titleKey) {
+    return { error: `"${title.trim()}" isn't a song title` };
+  }
+
+  return {
+    song: {
+      title: title.trim(),
+      artist: (artist || '').trim() || null,
+      title_key: titleKey,
+      artist_key: normalizeSongText(artist)
+    }
+  };
+}
+
+/**
+ * A guest's song requests, oldest first
+ */
+async function getSongRequests(userId, client = pool) {
+  const result = await client.query(`
+    SELECT id, title, artist, created_at
+    FROM song_requests
+    WHERE user_id = $1
+    ORDER BY created_at, id
+  `, [userId]);
+  return result.rows;
+}
+
+/**
+ * Replace a guest's song requests with a validated list
+ * Songs already on the list keep their id and request date.
+ */
+async function replaceSongRequests(userId, songs, client = pool) {
+  await client.query(`
+    DELETE FROM song_requests
+    WHERE user_id = $1
+    AND NOT (title_key || '|' || artist_key = ANY($2::text[]))
+  `, [userId, songs.map(song => `${song.title_key}|${song.artist_key}`)]);
+
+  for (const song of songs) {
+    await upsertSongRequest(userId, song, client);
+  }
+
+  return getSongRequests(userId, client);
+}
+
+/**
+ * Add one validated song to a guest's list
+ * Returns { song, created }; a song already on the list (however it's
+ * spelled) is returned as it is rather than added twice.
+ * Returns { error } when the list is full.
+ */
+async function addSongRequest(userId, song, client = pool) {
+  const existing = await client.query(`
+    SELECT id, title, artist, created_at
+    FROM song_requests
+    WHERE user_id = $1 AND title_key = $2 AND artist_key = $3
+  `, [userId, song.title_key, song.artist_key]);
+
+  if (existing.rows.length > 0) {
+    return { song: existing.rows[0], created: false };
+  }
+
+  const count = await client.query('SELECT COUNT(*)::int as count FROM song_requests WHERE user_id = $1', [userId]);
+  if (count.rows[0].count >= MAX_SONG_REQUESTS) {
+    return { error: `You can request up to ${MAX_SONG_REQUESTS} songs` };
+  }
+
+  return {
+    song: await upsertSongRequest(userId, song, client),
+    created: true
+  };
+}
+
+async function upsertSongRequest(userId, song, client) {
+  const result = await client.query(`
+    INSERT INTO song_requests (user_id, title, artist, title_key, artist_key)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id, title_key, artist_key) DO UPDATE
+    SET title = EXCLUDED.title, artist = EXCLUDED.artist, updated_at = CURRENT_TIMESTAMP
+    RETURNING id, title, artist, created_at
+  `, [userId, song.title, song.artist, song.title_key, song.artist_key]);
+  return result.rows[0];
+}
+
+/**
+ * Remove one of a guest's songs; returns whether it was on their list
+ */
+async function deleteSongRequest(userId, songId, client = pool) {
+  const result = await client.query(
+    'DELETE FROM song_requests WHERE id::text = $1 AND user_id = $2 RETURNING id',
+    [songId, userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Every requested song, most requested first
+ * Requests match on title and artist; one without an artist counts toward
+ * the most requested song with that title. Each song is shown with its most
+ * common spelling (the earliest on a tie). Returns [{ rank, title, artist,
+ * requests, requested_by, first_requested_at }], ties broken by who asked first.
+ */
+async function getPlaylist(client = pool) {
+  const result = await client.query(`
+    SELECT s.user_id, s.title, s.artist, s.title_key, s.artist_key, s.created_at, u.full_name
+    FROM song_requests s
+    JOIN users u ON u.id = s.user_id
+    WHERE u.deleted_at IS NULL
+    ORDER BY s.created_at, s.id
+  `);
+
+  const groups = new Map();
+  const addTo = (key, row) => {
+    if (!groups.has(key)) {
+      groups.set(key, { title_key: row.title_key, rows: [] });
+    }
+    groups.get(key).rows.push(row);
+  };
+
+  result.rows.filter(row => row.artist_key).forEach(row => addTo(`${row.title_key}|${row.artist_key}`, row));
+  result.rows.filter(row => !row.artist_key).forEach(row => {
+    const matches = [...groups.entries()].filter(([, group]) => group.title_key === row.title_key);
+    const best = matches.sort(([, a], [, b]) => b.rows.length - a.rows.length)[0];
+    addTo(best ? best[0] : `${row.title_key}|`, row);
+  });
+
+  const mostCommon = values => {
+    const counts = new Map();
+    values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    const [top] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+    return top ? top[0] : null;
+  };
+
+  const requesters = rows => [...new Map(rows.map(row => [row.user_id, row.full_name])).values()];
+
+  return [...groups.values()]
+    .map(group => {
+      const rows = group.rows.sort((a, b) => a.created_at - b.created_at);
+      return {
+        title: mostCommon(rows.map(row => row.title)),
+        artist: mostCommon(rows.map(row => row.artist)),
+        requests: requesters(rows).length,
+        requested_by: requesters(rows).join('; '),
+        first_requested_at: rows[0].created_at
+      };
+    })
+    .sort((a, b) => b.requests - a.requests ||
+      a.first_requested_at - b.first_requested_at ||
+      a.title.localeCompare(b.title))
+    .map((song, index) => ({ rank: index + 1, ...song }));
+}
+
+module.exports = {
+  MAX_SONG_REQUESTS,
+  normalizeSongText,
+  validateSongRequests,
+  validateSongRequest,
+  getSongRequests,
+  replaceSongRequests,
+  addSongRequest,
+  deleteSongRequest,
+  getPlaylist
+};
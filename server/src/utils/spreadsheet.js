@@ -0,0 +1,235 @@
+/**
+ * Spreadsheet Writers
+ *
+ * Turn a list of columns ({ key, header, type }) and plain row objects into
+ * CSV text or an XLSX workbook. The output depends only on the input: no
+ * timestamps are embedded, so exporting the same data twice gives identical
+ * files and diffs between exports only show real changes.
+ *
+ * XLSX is written directly (a zip of a few XML parts with one worksheet) to
+ * avoid pulling in a spreadsheet library for a single flat sheet.
+ */
+
+const zlib = require('zlib');
+
+// Cells starting with these are run as formulas by spreadsheet apps
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+/**
+ * Plain text for a cell: '' for null, ISO dates, true/false for booleans
+ */
+function formatValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return String(value);
+}
+
+/**
+ * Prefix guest-entered text that would otherwise be read as a formula
+ */
+function neutralizeFormula(text) {
+  return FORMULA_PREFIXES.includes(text.charAt(0)) ? `'${text}` : text;
+}
+
+function escapeCsv(text) {
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * RFC 4180 CSV with a header row and CRLF line endings
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(column => escapeCsv(column.header))];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => {
+      const text = formatValue(row[column.key]);
+      return escapeCsv(column.type === 'number' ? text : neutralizeFormula(text));
+    }));
+  }
+
+  return lines.map(line => line.join(',')).join('\r\n') + '\r\n';
+}
+
+function escapeXml(text) {
+  return text
+    // Characters XML 1.0 can't carry at all
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Spreadsheet column letters: 0 -> A, 25 -> Z, 26 -> AA
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+function xlsxCell(reference, value, type) {
+  const text = formatValue(value);
+  if (text === '') {
+    return '';
+  }
+  if (type === 'number' && Number.isFinite(Number(text))) {
+    return `<c r="${reference}"><v>${Number(text)}</v></c>`;
+  }
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+}
+
+function worksheetXml(columns, rows) {
+  const headerRow = {};
+  columns.forEach(column => { headerRow[column.key] = column.header; });
+
+  const xmlRows = [headerRow, ...rows].map((row, rowIndex) => {
+    const cells = columns.map((column, columnIndex) => xlsxCell(
+      `${columnName(columnIndex)}${rowIndex + 1}`,
+      row[column.key],
+      rowIndex === 0 ? 'string' : column.type
+    ));
+    return `<row r="${rowIndex + 1}">${cells.join('')}</row>`;
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${xmlRows.join('')}</sheetData>` +
+    '</worksheet>';
+}
+
+/**
+ * Minimal single-sheet XLSX workbook as a Buffer
+ */
+function toXlsx(columns, rows, sheetName = 'Sheet1') {
+  // Sheet names: at most 31 characters, none of : \ / ? * [ ]
+  const safeSheetName = escapeXml(sheetName.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31));
+
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>'
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '</Relationships>'
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: worksheetXml(columns, rows)
+    }
+  ]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Zip archive of { name, data } entries, deflated
+ * Every entry gets the same fixed timestamp (1980-01-01) so output is stable.
+ */
+function createZip(entries) {
+  const DOS_TIME = 0;
+  const DOS_DATE = (1 << 5) | 1;
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.from(entry.data, 'utf8');
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0, 6);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(DOS_TIME, 10);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_TIME, 12);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+module.exports = {
+  toCsv,
+  toXlsx
+};
@@ -0,0 +1,90 @@
+/**
+ * One-Time Token Utilities
+ *
+ * Issues and redeems the single-use, expiring tokens stored in auth_tokens
+ * (password reset, magic-link login and plus-one account claims).
+ * The raw token is only ever returned to the caller (to be emailed); the
+ * database keeps a SHA-256 hash so a leaked table can't be replayed.
+ */
+
+const crypto = require('crypto');
+const { query } = require('../config/db');
+
+const TOKEN_PURPOSES = ['password_reset', 'magic_link', 'plus_one_claim'];
+
+/**
+ * Hash a raw token for storage and lookup
+ */
+function hashToken(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+}
+
+function assertPurpose(purpose) {
+  if (!TOKEN_PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+}
+
+/**
+ * Create a token for a user
+ * Any outstanding tokens of the same purpose are revoked first, so only the
+ * most recently emailed link works.
+ */
+async function createToken(userId, purpose, ttlMinutes) {
+  assertPurpose(purpose);
+
+  const rawToken = crypto.randomBytes(32).toString('hex');
+
+  await revokeTokens(userId, purpose);
+  await query(`
+    INSERT INTO auth_tokens (user_id, token_hash, purpose, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4 * INTERVAL '1 minute'))
+  `, [userId, hashToken(rawToken), purpose, ttlMinutes]);
+
+  return rawToken;
+}
+
+/**
+ * Redeem a token
+ * Marks the token used in the same statement that checks it, so two
+ * concurrent requests can't both succeed. Returns the user_id or null.
+ */
+async function consumeToken(rawToken, purpose) {
+  assertPurpose(purpose);
+
+  if (!rawToken || typeof rawToken !== 'string') {
+    return null;
+  }
+
+  const result = await query(`
+    UPDATE auth_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE token_hash = $1
+    AND purpose = $2
+    AND used_at IS NULL
+    AND expires_at > CURRENT_TIMESTAMP
+    RETURNING user_id
+  `, [hashToken(rawToken), purpose]);
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+/**
+ * Revoke all unused tokens of a purpose for a user
+ */
+async function revokeTokens(userId, purpose) {
+  assertPurpose(purpose);
+
+  await query(`
+    UPDATE auth_tokens
+    SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL
+  `, [userId, purpose]);
+}
+
+module.exports = {
+  TOKEN_PURPOSES,
+  createToken,
+  consumeToken,
+  revokeTokens
+};
@@ -0,0 +1,63 @@
+/**
+ * API Client for Test Scripts
+ *
+ * A cookie-holding client for the running server, shared by the test
+ * scripts. It keeps the session cookie between requests and, once logged in,
+ * sends the session's CSRF token on every request. JSON responses are
+ * parsed, images come back as a Buffer and anything else as text.
+ */
+
+const API_BASE = 'http://localhost:5001/api';
+const PASSWORD = 'AdminPassword123!';
+
+function createClient() {
+  let cookies = '';
+  let csrfToken = null;
+
+  async function request(endpoint, options = {}) {
+    try {
+      const { default: fetch } = await import('node-fetch');
+      const headers = { 'Content-Type': 'application/json', ...options.headers };
+      if (cookies) headers['Cookie'] = cookies;
+      if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+
+      const response = await fetch(`${API_BASE}${endpoint}`, { ...options, headers });
+      const setCookieHeader = response.headers.get('set-cookie');
+      if (setCookieHeader) cookies = setCookieHeader;
+
+      const contentType = response.headers.get('content-type') || '';
+      let data;
+      if (contentType.includes('application/json')) {
+        data = await response.json();
+      } else if (contentType.startsWith('image/')) {
+        data = Buffer.from(await response.arrayBuffer());
+      } else {
+        data = await response.text();
+      }
+      return { response, data };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Log in and pick up the new session's CSRF token
+   */
+  async function login(email, password = PASSWORD) {
+    const result = await request('/auth/login', {
+      method: 'POST',
+      body: JSON.stringify({ email, password })
+    });
+    const token = await request('/auth/csrf-token');
+    csrfToken = token.data && token.data.data ? token.data.data.csrf_token : null;
+    return result;
+  }
+
+  return { request, login };
+}
+
+module.exports = {
+  API_BASE,
+  PASSWORD,
+  createClient
+};
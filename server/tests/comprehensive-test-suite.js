@@ -49,6 +49,7 @@ class ComprehensiveTestSuite {
       tests: []
     };
     this.sessionCookies = null;
+    this.csrfToken = null;
   }
 
   async run() {
@@ -210,6 +211,7 @@ class ComprehensiveTestSuite {
         const setCookieHeader = response.headers.get('set-cookie');
         if (setCookieHeader) {
           this.sessionCookies = setCookieHeader;
+          this.csrfToken = await this.fetchCsrfToken();
         }
         this.currentUser = data.data.user;
       } else {
@@ -220,6 +222,15 @@ class ComprehensiveTestSuite {
     }
   }
 
+  async fetchCsrfToken() {
+    const response = await fetch(`${this.config.baseUrl}/auth/csrf-token`, {
+      method: 'GET',
+      headers: { 'Cookie': this.sessionCookies }
+    });
+    const data = await response.json();
+    return data.success ? data.data.csrf_token : null;
+  }
+
   async testSessionManagement() {
     if (!this.sessionCookies) {
       this.recordTest('Session Management', false, 'No session cookies available');
@@ -291,6 +302,7 @@ class ComprehensiveTestSuite {
         method: 'POST',
         headers: { 
           'Cookie': this.sessionCookies,
+          'X-CSRF-Token': this.csrfToken,
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
@@ -326,6 +338,7 @@ class ComprehensiveTestSuite {
         method: 'POST',
         headers: { 
           'Cookie': this.sessionCookies,
+          'X-CSRF-Token': this.csrfToken,
           'Content-Type': 'application/json'
         },
         body: JSON.stringify({
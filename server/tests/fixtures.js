@@ -0,0 +1,32 @@
+/**
+ * Test Fixtures
+ *
+ * Users inserted straight into the database for the test scripts. Each
+ * script tags its users with its own note (admin_notes) so its cleanup can
+ * find them again; users with an email get an account with the shared test
+ * password (see api-client.js).
+ */
+
+const { query } = require('../src/config/db');
+const { hashPassword } = require('../src/utils/password');
+const { PASSWORD } = require('./api-client');
+
+/**
+ * A createUser(firstName, lastName, { email, isAdmin }) that tags users with
+ * note. Returns the new user's id.
+ */
+function userFactory(note) {
+  return async function createUser(firstName, lastName, { email = null, isAdmin = false } = {}) {
+    const password_hash = email ? await hashPassword(PASSWORD) : null;
+    const result = await query(`
+      INSERT INTO users (first_name, last_name, email, password_hash, account_status, is_admin, admin_notes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [firstName, lastName, email, password_hash, email ? 'registered' : 'guest', isAdmin, note]);
+    return result.rows[0].id;
+  };
+}
+
+module.exports = {
+  userFactory
+};
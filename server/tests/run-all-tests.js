@@ -12,7 +12,27 @@ class TestRunner {
   constructor() {
     this.testSuites = [
       'test-basic-functionality.js',
+      'test-password-hashing.js',
       'test-auth-system.js',
+      'test-password-reset.js',
+      'test-guest-matching.js',
+      'test-rate-limiting.js',
+      'test-csrf.js',
+      'test-admin-guests.js',
+      'test-rsvp-summary.js',
+      'test-exports.js',
+      'test-guest-import.js',
+      'test-households.js',
+      'test-events.js',
+      'test-content.js',
+      'test-dietary.js',
+      'test-songs.js',
+      'test-rsvp-deadline.js',
+      'test-history.js',
+      'test-rsvp-transactions.js',
+      'test-plus-ones.js',
+      'test-plus-one-claim.js',
+      'test-photos.js',
       'test-rsvp-system.js',
       'test-api.js',
       'test-admin-simple.js'
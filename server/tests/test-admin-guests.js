@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+
+/**
+ * Admin Guest Management Test Script
+ *
+ * Tests /api/admin/guests against a running server:
+ * - Non-admins are rejected
+ * - Guests can be created, updated, toggled, soft-deleted and restored
+ * - Partner links stay symmetric when linking, relinking and unlinking
+ * - Linked partners share a household
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-guest-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-admin-guests-${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function createAccount(email, isAdmin) {
+  await createUser('Admin', 'Tester', { email, isAdmin });
+}
+
+async function createGuest(admin, body) {
+  const { data } = await admin.request('/admin/guests', {
+    method: 'POST',
+    body: JSON.stringify({ admin_notes: TEST_NOTE, ...body })
+  });
+  return data && data.success ? data.data : null;
+}
+
+async function getGuest(admin, id) {
+  const { data } = await admin.request(`/admin/guests/${id}`);
+  return data && data.success ? data.data : null;
+}
+
+async function testAccessControl() {
+  log('\n🔐 Testing Access Control...', 'info');
+
+  const anonymous = createClient();
+  const anon = await anonymous.request('/admin/guests');
+  logTest('Anonymous Rejected', anon.response && anon.response.status === 401 && anon.data.code === 'AUTH_REQUIRED');
+
+  const guest = createClient();
+  await guest.login(GUEST_EMAIL);
+  const nonAdmin = await guest.request('/admin/guests');
+  logTest('Non-Admin Rejected', nonAdmin.response && nonAdmin.response.status === 403 && nonAdmin.data.code === 'ADMIN_REQUIRED');
+}
+
+async function testCrud(admin) {
+  log('\n📝 Testing Create / Update / Toggle...', 'info');
+
+  const guest = await createGuest(admin, { first_name: 'Crud', last_name: 'Guest' });
+  logTest('Create Guest', !!guest && guest.account_status === 'guest');
+
+  const missing = await admin.request('/admin/guests', {
+    method: 'POST',
+    body: JSON.stringify({ first_name: 'NoLastName' })
+  });
+  logTest('Create Requires Names', missing.response && missing.response.status === 400);
+
+  const updated = await admin.request(`/admin/guests/${guest.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ first_name: 'Renamed', admin_notes: TEST_NOTE })
+  });
+  logTest('Update Guest', updated.data && updated.data.success && updated.data.data.first_name === 'Renamed' && updated.data.data.last_name === 'Guest');
+
+  const duplicateEmail = await admin.request(`/admin/guests/${guest.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ email: ADMIN_EMAIL })
+  });
+  logTest('Duplicate Email Rejected', duplicateEmail.response && duplicateEmail.response.status === 409 && duplicateEmail.data.code === 'EMAIL_IN_USE');
+
+  const badCreateEmail = await admin.request('/admin/guests', {
+    method: 'POST',
+    body: JSON.stringify({ first_name: 'Bad', last_name: 'Email', email: 'not-an-email' })
+  });
+  const badUpdateEmail = await admin.request(`/admin/guests/${guest.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ email: 'not-an-email' })
+  });
+  logTest('Email Format Checked', badCreateEmail.response && badCreateEmail.response.status === 400 &&
+    badUpdateEmail.response && badUpdateEmail.response.status === 400);
+
+  const toggled = await admin.request(`/admin/guests/${guest.id}/toggle/plus_one_allowed`, { method: 'POST' });
+  logTest('Toggle plus_one_allowed', toggled.data && toggled.data.success && toggled.data.data.plus_one_allowed === true);
+
+  const badToggle = await admin.request(`/admin/guests/${guest.id}/toggle/email`, { method: 'POST' });
+  logTest('Toggle Rejects Other Fields', badToggle.response && badToggle.response.status === 400);
+
+  return guest;
+}
+
+async function testPartnerLinks(admin) {
+  log('\n💑 Testing Partner Links...', 'info');
+
+  const a = await createGuest(admin, { first_name: 'Partner', last_name: 'A' });
+  const b = await createGuest(admin, { first_name: 'Partner', last_name: 'B', partner_id: a.id });
+  let aNow = await getGuest(admin, a.id);
+  logTest('Create With Partner Links Both', aNow.partner_id === b.id && b.partner_id === a.id);
+  logTest('Partners Share a Household', !!aNow.household_id && aNow.household_id === b.household_id);
+
+  const c = await createGuest(admin, { first_name: 'Partner', last_name: 'C' });
+  await admin.request(`/admin/guests/${c.id}/partner`, {
+    method: 'PUT',
+    body: JSON.stringify({ partner_id: a.id })
+  });
+  aNow = await getGuest(admin, a.id);
+  const bNow = await getGuest(admin, b.id);
+  const cNow = await getGuest(admin, c.id);
+  logTest('Relink Is Symmetric', aNow.partner_id === c.id && cNow.partner_id === a.id);
+  logTest('Previous Partner Unlinked', bNow.partner_id === null);
+
+  const self = await admin.request(`/admin/guests/${a.id}/partner`, {
+    method: 'PUT',
+    body: JSON.stringify({ partner_id: a.id })
+  });
+  logTest('Self Partner Rejected', self.response && self.response.status === 400);
+
+  await admin.request(`/admin/guests/${a.id}/partner`, { method: 'DELETE' });
+  aNow = await getGuest(admin, a.id);
+  const cAfter = await getGuest(admin, c.id);
+  logTest('Unlink Clears Both Sides', aNow.partner_id === null && cAfter.partner_id === null);
+
+  return { a, b, c };
+}
+
+async function testSoftDelete(admin, { a, b }) {
+  log('\n🗑️ Testing Soft Delete / Restore...', 'info');
+
+  await admin.request(`/admin/guests/${b.id}/partner`, {
+    method: 'PUT',
+    body: JSON.stringify({ partner_id: a.id })
+  });
+
+  const deleted = await admin.request(`/admin/guests/${a.id}`, { method: 'DELETE' });
+  logTest('Soft Delete', deleted.data && deleted.data.success);
+
+  const aNow = await getGuest(admin, a.id);
+  const bNow = await getGuest(admin, b.id);
+  logTest('deleted_at Set', aNow && aNow.deleted_at !== null);
+  logTest('Partner Unlinked On Delete', bNow.partner_id === null);
+  logTest('Removed From Household On Delete', aNow.household_id === null);
+
+  const editDeleted = await admin.request(`/admin/guests/${a.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ first_name: 'Ghost' })
+  });
+  logTest("Deleted Guests Can't Be Edited", editDeleted.response && editDeleted.response.status === 404);
+
+  const list = await admin.request('/admin/guests');
+  logTest('Deleted Hidden From List', list.data && !list.data.data.guests.some(g => g.id === a.id));
+
+  const restored = await admin.request(`/admin/guests/${a.id}/restore`, { method: 'POST' });
+  logTest('Restore', restored.data && restored.data.success && restored.data.data.deleted_at === null);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Admin Guest Management Tests...', 'info');
+  log('==========================================', 'info');
+
+  try {
+    await createAccount(ADMIN_EMAIL, true);
+    await createAccount(GUEST_EMAIL, false);
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+
+    await testAccessControl();
+    await testCrud(admin);
+    const partners = await testPartnerLinks(admin);
+    await testSoftDelete(admin, partners);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -29,6 +29,7 @@ let testResults = {
 
 // Session management for tests
 let sessionCookies = '';
+let csrfToken = '';
 
 function log(message, type = 'info') {
   const timestamp = new Date().toISOString();
@@ -72,10 +73,24 @@ async function makeRequest(endpoint, options = {}) {
       headers['Cookie'] = sessionCookies;
     }
     
+    // State-changing requests from a logged-in session need the CSRF token
+    if (options.method && options.method !== 'GET') {
+      if (!csrfToken) {
+        const tokenResponse = await fetch(`${API_BASE}/auth/csrf-token`, { headers });
+        const tokenCookie = tokenResponse.headers.get('set-cookie');
+        if (tokenCookie) {
+          sessionCookies = tokenCookie;
+          headers['Cookie'] = sessionCookies;
+        }
+        csrfToken = (await tokenResponse.json()).data.csrf_token;
+      }
+      headers['X-CSRF-Token'] = csrfToken;
+    }
+    
     const response = await fetch(url, {
       credentials: 'include', // Include cookies for session management
-      headers,
-      ...options
+      ...options,
+      headers
     });
     
     // Extract cookies from response for session management
@@ -232,8 +247,8 @@ async function testGetCurrentUser() {
 async function testProtectedRouteAccess() {
   log('\n🛡️ Testing Protected Route Access...', 'info');
   
-  // Test RSVP summary endpoint (requires authentication)
-  const { response, data, error } = await makeRequest('/rsvps/summary');
+  // Test RSVP endpoint (requires authentication)
+  const { response, data, error } = await makeRequest('/rsvps');
   
   if (error) {
     logTest('Protected Route Access', false, `Request failed: ${error}`);
@@ -242,7 +257,6 @@ async function testProtectedRouteAccess() {
   
   if (response.ok && data.success) {
     logTest('Protected Route Access', true, 'Successfully accessed protected route');
-    return true;
   } else if (response.status === 401) {
     logTest('Protected Route Access', false, 'Unauthorized access (expected if not logged in)');
     return false;
@@ -250,6 +264,18 @@ async function testProtectedRouteAccess() {
     logTest('Protected Route Access', false, data.message || 'Unexpected response');
     return false;
   }
+  
+  // RSVP summary exposes every guest's details and is admin-only
+  const summary = await makeRequest('/rsvps/summary');
+  
+  if (summary.error) {
+    logTest('Admin Route Denied', false, `Request failed: ${summary.error}`);
+    return false;
+  }
+  
+  const denied = summary.response.status === 403 && summary.data.code === 'ADMIN_REQUIRED';
+  logTest('Admin Route Denied', denied, denied ? 'Guests cannot read the RSVP summary' : `Unexpected status ${summary.response.status}`);
+  return denied;
 }
 
 async function testLogout() {
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+
+/**
+ * Site Content Test Script
+ *
+ * Tests the content API against a running server:
+ * - GET /api/content is public and lists events, venues, hotels and FAQs
+ * - Admins add, edit and delete content, and edits show up in /api/content
+ * - Bad fields, values, references and duplicate slugs are rejected
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-content-admin-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-content-${RUN_ID}`;
+const TEST_SLUG = `test_venue_${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function testPublicContent() {
+  log('\n🌐 Testing Public Content...', 'info');
+
+  const visitor = createClient();
+  const content = await visitor.request('/content');
+  const data = content.data && content.data.success ? content.data.data : null;
+
+  logTest('Content Is Public', content.response && content.response.status === 200 && !!data);
+  logTest('Content Lists Everything', data && Array.isArray(data.events) && Array.isArray(data.venues) &&
+    Array.isArray(data.hotel_blocks) && Array.isArray(data.faqs));
+  logTest('Wedding Date From Ceremony', data && data.wedding &&
+    data.wedding.starts_at === data.events.find(event => event.slug === 'ceremony').starts_at);
+  logTest('Events Carry a Time Zone', data && data.events.every(event => !!event.time_zone));
+
+  return data;
+}
+
+async function testAdminContent(admin, content) {
+  log('\n✏️  Testing Content Editing...', 'info');
+
+  const types = await admin.request('/admin/content');
+  logTest('List Content Types', types.data && types.data.success &&
+    ['events', 'venues', 'hotel_blocks', 'faqs'].every(name => types.data.data.types.some(type => type.name === name)));
+
+  const venue = await admin.request('/admin/content/venues', {
+    method: 'POST',
+    body: JSON.stringify({ slug: TEST_SLUG, name: 'Contenttest Hall', time_zone: 'America/New_York' })
+  });
+  const venueId = venue.data && venue.data.success ? venue.data.data.id : null;
+  logTest('Add Venue', venue.response && venue.response.status === 201 && !!venueId);
+
+  const duplicate = await admin.request('/admin/content/venues', {
+    method: 'POST',
+    body: JSON.stringify({ slug: TEST_SLUG, name: 'Contenttest Hall Again' })
+  });
+  logTest('Duplicate Slug Rejected', duplicate.response && duplicate.response.status === 409 &&
+    duplicate.data.code === 'SLUG_IN_USE');
+
+  const badZone = await admin.request(`/admin/content/venues/${venueId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ time_zone: 'Mars/Olympus_Mons' })
+  });
+  logTest('Invalid Time Zone Rejected', badZone.response && badZone.response.status === 400);
+
+  const ceremony = content.events.find(event => event.slug === 'ceremony');
+  const moved = await admin.request(`/admin/content/events/${ceremony.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ starts_at: '2026-06-21T17:30:00-07:00', venue_id: venueId })
+  });
+  logTest('Update Event', moved.data && moved.data.success);
+
+  const after = await admin.request('/content');
+  const wedding = after.data && after.data.success ? after.data.data.wedding : null;
+  logTest('Edit Shows Up Everywhere', wedding &&
+    new Date(wedding.starts_at).toISOString() === '2026-06-22T00:30:00.000Z' &&
+    wedding.time_zone === 'America/New_York');
+
+  const noOffset = await admin.request(`/admin/content/events/${ceremony.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ starts_at: '2026-06-21 16:00' })
+  });
+  logTest('Time Without Offset Rejected', noOffset.response && noOffset.response.status === 400);
+
+  const badVenue = await admin.request(`/admin/content/events/${ceremony.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ venue_id: '00000000-0000-0000-0000-000000000000' })
+  });
+  logTest('Unknown Venue Rejected', badVenue.response && badVenue.response.status === 400);
+
+  const unknownField = await admin.request(`/admin/content/events/${ceremony.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ invite_all: false })
+  });
+  logTest('Unknown Field Rejected', unknownField.response && unknownField.response.status === 400);
+
+  // Put the ceremony back as it was
+  await admin.request(`/admin/content/events/${ceremony.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ starts_at: ceremony.starts_at, venue_id: ceremony.venue_id })
+  });
+
+  const faq = await admin.request('/admin/content/faqs', {
+    method: 'POST',
+    body: JSON.stringify({ question: `Contenttest question ${RUN_ID}?`, answer: 'Yes.', sort_order: 99 })
+  });
+  const faqId = faq.data && faq.data.success ? faq.data.data.id : null;
+  logTest('Add FAQ', faq.response && faq.response.status === 201 && !!faqId);
+
+  const missingAnswer = await admin.request('/admin/content/faqs', {
+    method: 'POST',
+    body: JSON.stringify({ question: 'No answer?' })
+  });
+  logTest('Missing Required Field Rejected', missingAnswer.response && missingAnswer.response.status === 400);
+
+  const hotel = await admin.request('/admin/content/hotel_blocks', {
+    method: 'POST',
+    body: JSON.stringify({ name: 'Contenttest Inn', is_room_block: false, booking_deadline: '2026-05-01', room_types: ['Twin'] })
+  });
+  const hotelId = hotel.data && hotel.data.success ? hotel.data.data.id : null;
+  logTest('Add Hotel', hotel.response && hotel.response.status === 201 && hotel.data.data.booking_deadline === '2026-05-01');
+
+  const listed = await admin.request('/content');
+  logTest('New Content Listed', listed.data && listed.data.success &&
+    listed.data.data.faqs.some(entry => entry.id === faqId) &&
+    listed.data.data.hotel_blocks.some(entry => entry.id === hotelId));
+
+  const unknownType = await admin.request('/admin/content/recipes');
+  logTest('Unknown Type Rejected', unknownType.response && unknownType.response.status === 400);
+
+  const deleted = await admin.request(`/admin/content/faqs/${faqId}`, { method: 'DELETE' });
+  logTest('Delete FAQ', deleted.data && deleted.data.success);
+
+  const deletedAgain = await admin.request(`/admin/content/faqs/${faqId}`, { method: 'DELETE' });
+  logTest('Deleted FAQ Not Found', deletedAgain.response && deletedAgain.response.status === 404 &&
+    deletedAgain.data.code === 'CONTENT_NOT_FOUND');
+
+  await admin.request(`/admin/content/hotel_blocks/${hotelId}`, { method: 'DELETE' });
+
+  const visitor = createClient();
+  const blocked = await visitor.request('/admin/content/faqs', {
+    method: 'POST',
+    body: JSON.stringify({ question: 'Anonymous?', answer: 'No.' })
+  });
+  logTest('Editing Requires Admin', blocked.response && blocked.response.status === 401);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM venues WHERE slug = $1', [TEST_SLUG]);
+    await query("DELETE FROM faqs WHERE question LIKE 'Contenttest%'");
+    await query("DELETE FROM hotel_blocks WHERE name = 'Contenttest Inn'");
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Content Tests...', 'info');
+  log('===========================', 'info');
+
+  try {
+    await createUser('Admin', 'Contenttest', { email: ADMIN_EMAIL, isAdmin: true });
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+
+    const content = await testPublicContent();
+    await testAdminContent(admin, content);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
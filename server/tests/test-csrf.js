@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * CSRF and CORS Test Script
+ *
+ * Tests request forgery defences against a running server:
+ * - Logged-in POSTs without a valid X-CSRF-Token are rejected
+ * - The token from GET /api/auth/csrf-token is accepted
+ * - State-changing requests from unlisted origins are rejected
+ * - Allowed origins get credentialed CORS headers, never a wildcard
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { hashPassword } = require('../src/utils/password');
+
+// Test configuration
+const API_BASE = 'http://localhost:5001/api';
+const TEST_EMAIL = `test-csrf-${Date.now()}@example.com`;
+const TEST_PASSWORD = 'CsrfPassword123!';
+const FOREIGN_ORIGIN = 'https://evil.example.com';
+
+let sessionCookies = '';
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function makeRequest(endpoint, options = {}) {
+  try {
+    const { default: fetch } = await import('node-fetch');
+    const headers = { 'Content-Type': 'application/json', ...options.headers };
+    if (sessionCookies) {
+      headers['Cookie'] = sessionCookies;
+    }
+
+    const response = await fetch(`${API_BASE}${endpoint}`, { ...options, headers });
+    const setCookieHeader = response.headers.get('set-cookie');
+    if (setCookieHeader) {
+      sessionCookies = setCookieHeader;
+    }
+
+    const data = await response.json().catch(() => null);
+    return { response, data };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+async function createAndLogin() {
+  const password_hash = await hashPassword(TEST_PASSWORD);
+  await query(`
+    INSERT INTO users (first_name, last_name, email, password_hash, account_status)
+    VALUES ('Csrf', 'Tester', $1, $2, 'registered')
+  `, [TEST_EMAIL, password_hash]);
+
+  const { response } = await makeRequest('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email: TEST_EMAIL, password: TEST_PASSWORD })
+  });
+  logTest('Login (anonymous, no token needed)', response && response.ok);
+}
+
+async function testCsrfToken() {
+  log('\n🛡️ Testing CSRF Tokens...', 'info');
+
+  const rsvp = JSON.stringify({ response_status: 'attending' });
+
+  const missing = await makeRequest('/rsvps', { method: 'POST', body: rsvp });
+  logTest('Missing Token Rejected', missing.response && missing.response.status === 403 && missing.data.code === 'CSRF_INVALID');
+
+  const wrong = await makeRequest('/rsvps', {
+    method: 'POST',
+    headers: { 'X-CSRF-Token': 'not-the-token' },
+    body: rsvp
+  });
+  logTest('Wrong Token Rejected', wrong.response && wrong.response.status === 403 && wrong.data.code === 'CSRF_INVALID');
+
+  const { data } = await makeRequest('/auth/csrf-token');
+  const token = data && data.data ? data.data.csrf_token : null;
+  logTest('Token Issued', !!token);
+
+  const valid = await makeRequest('/rsvps', {
+    method: 'POST',
+    headers: { 'X-CSRF-Token': token },
+    body: rsvp
+  });
+  logTest('Valid Token Accepted', valid.response && !(valid.data && valid.data.code === 'CSRF_INVALID'), `status ${valid.response && valid.response.status}`);
+}
+
+async function testOriginAllowlist() {
+  log('\n🌐 Testing Origin Allowlist...', 'info');
+
+  const foreignPost = await makeRequest('/auth/check-guest', {
+    method: 'POST',
+    headers: { 'Origin': FOREIGN_ORIGIN },
+    body: JSON.stringify({ first_name: 'John', last_name: 'Smith' })
+  });
+  logTest('Foreign Origin POST Rejected', foreignPost.response && foreignPost.response.status === 403 && foreignPost.data.code === 'ORIGIN_NOT_ALLOWED');
+
+  const foreignGet = await makeRequest('/health', { headers: { 'Origin': FOREIGN_ORIGIN } });
+  const allowOrigin = foreignGet.response && foreignGet.response.headers.get('access-control-allow-origin');
+  logTest('No Wildcard CORS', foreignGet.response && allowOrigin !== '*' && allowOrigin !== FOREIGN_ORIGIN);
+
+  const ownOrigin = new URL(API_BASE).origin;
+  const sameOrigin = await makeRequest('/health', { headers: { 'Origin': ownOrigin } });
+  logTest('Own Origin Allowed', sameOrigin.response && sameOrigin.response.headers.get('access-control-allow-origin') === ownOrigin);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM users WHERE email = $1', [TEST_EMAIL]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting CSRF and CORS Tests...', 'info');
+  log('==================================', 'info');
+
+  try {
+    await createAndLogin();
+    await testCsrfToken();
+    await testOriginAllowlist();
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
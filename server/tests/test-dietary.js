@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * Dietary Test Script
+ *
+ * Tests meal choices and dietary needs against a running server:
+ * - Guests pick a meal and dietary tags for themselves and their household
+ * - Unknown meals and tags are rejected; answers not sent are kept
+ * - Admins see meal and diet counts and the dietary export
+ * - Admins edit meal options as site content
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-dietary-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-dietary-guest-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-dietary-${RUN_ID}`;
+const MEAL_SLUG = `test_meal_${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function getDietary(userId) {
+  const result = await query('SELECT meal_option_id, dietary_tags FROM rsvps WHERE user_id = $1', [userId]);
+  return result.rows[0] || null;
+}
+
+async function getMealCount(admin, mealId) {
+  const summary = await admin.request('/rsvps/summary?page_size=1');
+  const dietary = summary.data && summary.data.success ? summary.data.data.summary.dietary : null;
+  const meal = dietary ? dietary.meals.find(entry => entry.meal_option_id === mealId) : null;
+  return meal ? meal.count : null;
+}
+
+async function testMealOptions(admin, guest) {
+  log('\n🍽️  Testing Meal Options...', 'info');
+
+  const created = await admin.request('/admin/content/meal_options', {
+    method: 'POST',
+    body: JSON.stringify({ slug: MEAL_SLUG, name: 'Test Tasting Menu', sort_order: 99 })
+  });
+  logTest('Create Meal Option', created.response && created.response.status === 201 &&
+    created.data.data.is_kids_meal === false);
+
+  const form = await guest.request('/rsvps');
+  const data = form.data && form.data.success ? form.data.data : {};
+  logTest('RSVP Lists Meal Options', Array.isArray(data.meal_options) &&
+    data.meal_options.some(meal => meal.slug === 'beef') &&
+    data.meal_options.some(meal => meal.slug === MEAL_SLUG));
+  logTest('RSVP Lists Dietary Tags', Array.isArray(data.dietary_tags) &&
+    data.dietary_tags.some(tag => tag.key === 'nut_allergy'));
+
+  const content = await guest.request('/content');
+  logTest('Public Content Lists Meals', content.data && content.data.success &&
+    content.data.data.meal_options.some(meal => meal.slug === MEAL_SLUG));
+
+  return created.data.data;
+}
+
+async function testDietaryRsvp(admin, guest, family, meal) {
+  log('\n🥗 Testing Dietary RSVP...', 'info');
+
+  const badTag = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ response_status: 'attending', dietary_tags: ['carnivore'] })
+  });
+  logTest('Unknown Tag Rejected', badTag.response && badTag.response.status === 400);
+
+  const badMeal = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ response_status: 'attending', meal_option_id: '00000000-0000-0000-0000-000000000000' })
+  });
+  logTest('Unknown Meal Rejected', badMeal.response && badMeal.response.status === 400);
+
+  const countBefore = await getMealCount(admin, meal.id);
+  const submitted = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({
+      response_status: 'attending',
+      meal_option_id: meal.id,
+      dietary_tags: ['vegan', 'nut_allergy'],
+      members: [{
+        user_id: family.partner,
+        response_status: 'attending',
+        meal_option_id: meal.id,
+        dietary_tags: ['gluten_free']
+      }]
+    })
+  });
+  logTest('Submit Meals and Tags', submitted.response && submitted.response.status === 201);
+
+  const guestDietary = await getDietary(family.guest);
+  const partnerDietary = await getDietary(family.partner);
+  logTest('Meal and Tags Saved', guestDietary && guestDietary.meal_option_id === meal.id &&
+    guestDietary.dietary_tags.join() === 'vegan,nut_allergy' &&
+    partnerDietary && partnerDietary.dietary_tags.join() === 'gluten_free');
+
+  await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ response_status: 'attending', dietary_restrictions: 'No cilantro' })
+  });
+  const kept = await getDietary(family.guest);
+  logTest('Unsent Answers Kept', kept.meal_option_id === meal.id && kept.dietary_tags.length === 2);
+
+  logTest('Meal Counts', countBefore !== null && (await getMealCount(admin, meal.id)) === countBefore + 2);
+
+  const dietaryExport = await admin.request('/admin/exports/dietary?columns=first_name,last_name,meal,dietary_tags');
+  const text = typeof dietaryExport.data === 'string' ? dietaryExport.data : '';
+  logTest('Dietary Export', text.includes('Test Tasting Menu,Vegan; Nut allergy'));
+
+  await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ response_status: 'attending', meal_option_id: null, dietary_tags: [] })
+  });
+  const cleared = await getDietary(family.guest);
+  logTest('Clear Meal and Tags', cleared.meal_option_id === null && cleared.dietary_tags.length === 0);
+
+  const removed = await admin.request(`/admin/content/meal_options/${meal.id}`, { method: 'DELETE' });
+  logTest('Delete Meal Option Clears Choice', removed.response && removed.response.status === 200 &&
+    (await getDietary(family.partner)).meal_option_id === null);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM meal_options WHERE slug = $1', [MEAL_SLUG]);
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Dietary Tests...', 'info');
+  log('===========================', 'info');
+
+  try {
+    await createUser('Admin', 'Dietarytest', { email: ADMIN_EMAIL, isAdmin: true });
+    const family = {
+      guest: await createUser('Guest', 'Dietarytest', { email: GUEST_EMAIL }),
+      partner: await createUser('Partner', 'Dietarytest')
+    };
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+    await admin.request('/admin/households', {
+      method: 'POST',
+      body: JSON.stringify({ member_ids: [family.guest, family.partner] })
+    });
+
+    const guest = createClient();
+    await guest.login(GUEST_EMAIL);
+
+    const meal = await testMealOptions(admin, guest);
+    await testDietaryRsvp(admin, guest, family, meal);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,230 @@
+#!/usr/bin/env node
+
+/**
+ * Event Test Script
+ *
+ * Tests per-event RSVPs against a running server:
+ * - Guests see and answer only the events they are invited to
+ * - The overall RSVP status follows from the event answers
+ * - Admins scope events to chosen guests or households
+ * - Headcounts are reported per event
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-event-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-event-guest-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-events-${RUN_ID}`;
+const PRIVATE_SLUG = `test_rehearsal_${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function getRsvpStatus(userId) {
+  const result = await query('SELECT response_status FROM rsvps WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].response_status : null;
+}
+
+async function getEventAnswers(userId) {
+  const result = await query(`
+    SELECT e.slug, er.response_status
+    FROM event_responses er
+    JOIN events e ON e.id = er.event_id
+    WHERE er.user_id = $1
+  `, [userId]);
+  return Object.fromEntries(result.rows.map(row => [row.slug, row.response_status]));
+}
+
+async function testEventScoping(admin, guest, family, privateEvent) {
+  log('\n🎟️  Testing Event Invitations...', 'info');
+
+  const list = await admin.request('/admin/events');
+  const events = list.data && list.data.success ? list.data.data.events : [];
+  logTest('List Events', events.some(event => event.slug === 'ceremony') &&
+    events.some(event => event.id === privateEvent.id && event.invited === 0));
+
+  const before = await guest.request('/rsvps');
+  const visible = before.data && before.data.success ? before.data.data.events : [];
+  logTest('Uninvited Event Hidden', visible.length > 0 && !visible.some(event => event.event_id === privateEvent.id));
+
+  const invalid = await admin.request(`/admin/events/${privateEvent.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ invite_all: 'yes' })
+  });
+  logTest('Invalid invite_all Rejected', invalid.response && invalid.response.status === 400);
+
+  const invited = await admin.request(`/admin/events/${privateEvent.id}/invitations`, {
+    method: 'POST',
+    body: JSON.stringify({ household_id: family.householdId })
+  });
+  logTest('Invite Household', invited.response && invited.response.status === 201 &&
+    invited.data.data.invited_ids.length === 2);
+
+  const after = await guest.request('/rsvps');
+  const members = after.data && after.data.success ? after.data.data.household.members : [];
+  const partner = members.find(member => member.id === family.partner);
+  logTest('Invited Event Listed', after.data.data.events.some(event => event.event_id === privateEvent.id) &&
+    partner && partner.events.some(event => event.event_id === privateEvent.id));
+
+  const detail = await admin.request(`/admin/events/${privateEvent.id}`);
+  logTest('Event Guest List', detail.data && detail.data.success && detail.data.data.guests.length === 2);
+
+  const missing = await admin.request('/admin/events/00000000-0000-0000-0000-000000000000');
+  logTest('Unknown Event', missing.response && missing.response.status === 404 &&
+    missing.data.code === 'EVENT_NOT_FOUND');
+
+  return after.data.data.events;
+}
+
+async function testEventRsvp(admin, guest, family, privateEvent, events) {
+  log('\n📝 Testing Per-Event RSVP...', 'info');
+
+  const ceremony = events.find(event => event.slug === 'ceremony');
+  const submitted = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({
+      events: events.map(event => ({
+        event_id: event.event_id,
+        response_status: event.event_id === ceremony.event_id ? 'attending' : 'not_attending'
+      })),
+      members: [{
+        user_id: family.partner,
+        events: [{ event_id: privateEvent.id, response_status: 'not_attending' }]
+      }]
+    })
+  });
+  logTest('Submit Event Answers', submitted.response && submitted.response.status === 201);
+
+  const answers = await getEventAnswers(family.guest);
+  logTest('Event Answers Saved', answers.ceremony === 'attending' && answers.brunch === 'not_attending' &&
+    answers[PRIVATE_SLUG] === 'not_attending');
+  logTest('Attending One Event Means Attending', (await getRsvpStatus(family.guest)) === 'attending');
+  logTest('Unanswered Events Leave Pending', (await getRsvpStatus(family.partner)) === 'pending');
+
+  const declined = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ members: [{ user_id: family.partner, response_status: 'not_attending' }] })
+  });
+  const partnerAnswers = await getEventAnswers(family.partner);
+  logTest('Single Answer Covers Every Event', declined.response && declined.response.status === 201 &&
+    Object.keys(partnerAnswers).length === events.length &&
+    Object.values(partnerAnswers).every(status => status === 'not_attending'));
+
+  await admin.request(`/admin/events/${privateEvent.id}/invitations/${family.partner}`, { method: 'DELETE' });
+  const uninvited = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({
+      members: [{
+        user_id: family.partner,
+        events: [{ event_id: privateEvent.id, response_status: 'attending' }]
+      }]
+    })
+  });
+  logTest('Uninvited Event Rejected', uninvited.response && uninvited.response.status === 400 &&
+    uninvited.data.code === 'EVENT_NOT_INVITED');
+
+  const summary = await admin.request('/rsvps/summary?page_size=1');
+  const headcount = summary.data && summary.data.success
+    ? summary.data.data.summary.events.find(event => event.event_id === privateEvent.id)
+    : null;
+  logTest('Per-Event Headcount', headcount && headcount.invited === 1 && headcount.not_attending === 1 &&
+    headcount.attending === 0);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM events WHERE slug = $1', [PRIVATE_SLUG]);
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Event Tests...', 'info');
+  log('=========================', 'info');
+
+  try {
+    await createUser('Admin', 'Eventtest', { email: ADMIN_EMAIL, isAdmin: true });
+    const family = {
+      guest: await createUser('Guest', 'Eventtest', { email: GUEST_EMAIL }),
+      partner: await createUser('Partner', 'Eventtest')
+    };
+
+    const privateEvent = (await query(`
+      INSERT INTO events (slug, name, sort_order, invite_all)
+      VALUES ($1, 'Rehearsal Dinner', 0, false)
+      RETURNING id
+    `, [PRIVATE_SLUG])).rows[0];
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+    const household = await admin.request('/admin/households', {
+      method: 'POST',
+      body: JSON.stringify({ member_ids: [family.guest, family.partner] })
+    });
+    family.householdId = household.data.data.id;
+
+    const guest = createClient();
+    await guest.login(GUEST_EMAIL);
+
+    const events = await testEventScoping(admin, guest, family, privateEvent);
+    await testEventRsvp(admin, guest, family, privateEvent, events);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
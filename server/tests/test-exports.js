@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Export Test Script
+ *
+ * Tests the spreadsheet writers directly and GET /api/admin/exports against
+ * a running server:
+ * - CSV quoting, formula neutralizing and byte-for-byte stable XLSX output
+ * - Only admins can export
+ * - Roster, dietary and per-event headcount reports, column selection and ordering
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { toCsv, toXlsx } = require('../src/utils/spreadsheet');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-export-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-export-guest-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-exports-${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function createTestData() {
+  await createUser('Admin', 'Exporttest', { email: ADMIN_EMAIL, isAdmin: true });
+  await createUser('Guest', 'Exporttest', { email: GUEST_EMAIL });
+
+  const vegan = await createUser('Vegan', 'Exporttest');
+  const declined = await createUser('Declined', 'Exporttest');
+  await createUser('Silent', 'Exporttest');
+
+  await query(`
+    INSERT INTO rsvps (user_id, response_status, dietary_restrictions)
+    VALUES ($1, 'attending', 'Vegan, no nuts'), ($2, 'not_attending', 'Gluten free')
+  `, [vegan, declined]);
+}
+
+function testWriters() {
+  log('\n📄 Testing Spreadsheet Writers...', 'info');
+
+  const columns = [
+    { key: 'name', header: 'Name' },
+    { key: 'count', header: 'Count', type: 'number' }
+  ];
+  const rows = [
+    { name: 'Says "hi", twice', count: 2 },
+    { name: '=HYPERLINK("x")', count: null }
+  ];
+
+  const csv = toCsv(columns, rows);
+  logTest('CSV Quoting', csv.split('\r\n')[1] === '"Says ""hi"", twice",2');
+  logTest('CSV Formula Neutralized', csv.split('\r\n')[2].startsWith('"\'=HYPERLINK'));
+
+  const first = toXlsx(columns, rows, 'Test');
+  const second = toXlsx(columns, rows, 'Test');
+  logTest('XLSX Is a Zip', first.readUInt32LE(0) === 0x04034b50);
+  logTest('XLSX Output Is Stable', first.equals(second));
+}
+
+async function testAccess() {
+  log('\n🔐 Testing Access...', 'info');
+
+  const guest = createClient();
+  await guest.login(GUEST_EMAIL);
+  const { response, data } = await guest.request('/admin/exports/roster');
+  logTest('Guest Rejected', response && response.status === 403 && data.code === 'ADMIN_REQUIRED');
+}
+
+async function testReports(admin) {
+  log('\n📤 Testing Reports...', 'info');
+
+  const list = await admin.request('/admin/exports');
+  const reports = list.data && list.data.data ? list.data.data.reports.map(report => report.name) : [];
+  logTest('List Reports', ['roster', 'dietary', 'headcount'].every(name => reports.includes(name)));
+
+  const roster = await admin.request('/admin/exports/roster?columns=last_name,first_name,response_status');
+  const rosterLines = typeof roster.data === 'string' ? roster.data.trim().split('\r\n') : [];
+  logTest('Roster Columns', rosterLines[0] === 'Last Name,First Name,Response');
+  logTest('Roster Includes No Response', rosterLines.includes('Exporttest,Silent,no_response'));
+  logTest('Roster Download Headers', roster.response &&
+    (roster.response.headers.get('content-disposition') || '').includes('wedding-roster.csv'));
+
+  const again = await admin.request('/admin/exports/roster?columns=last_name,first_name,response_status');
+  logTest('Roster Order Is Stable', again.data === roster.data);
+
+  const dietary = await admin.request('/admin/exports/dietary');
+  const dietaryText = typeof dietary.data === 'string' ? dietary.data : '';
+  logTest('Dietary Report', dietaryText.includes('"Vegan, no nuts"') && !dietaryText.includes('Gluten free'));
+
+  const perEvent = await admin.request('/admin/exports/headcount?columns=event');
+  const perEventLines = typeof perEvent.data === 'string' ? perEvent.data.trim().split('\r\n') : [];
+  logTest('Headcount Per Event', perEventLines.includes('Wedding Ceremony') && perEventLines.includes('Farewell Brunch'));
+
+  const headcount = await admin.request('/admin/exports/headcount?format=xlsx');
+  logTest('Headcount XLSX', headcount.response && headcount.response.status === 200 &&
+    headcount.response.headers.get('content-type').includes('spreadsheetml'));
+
+  const badColumn = await admin.request('/admin/exports/roster?columns=password_hash');
+  logTest('Unknown Column Rejected', badColumn.response && badColumn.response.status === 400);
+
+  const badFormat = await admin.request('/admin/exports/roster?format=pdf');
+  logTest('Unknown Format Rejected', badFormat.response && badFormat.response.status === 400);
+
+  const badReport = await admin.request('/admin/exports/passwords');
+  logTest('Unknown Report Rejected', badReport.response && badReport.response.status === 400);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Export Tests...', 'info');
+  log('==========================', 'info');
+
+  testWriters();
+
+  try {
+    await createTestData();
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+
+    await testAccess();
+    await testReports(admin);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Guest Import Test Script
+ *
+ * Tests the CSV import behind `./db import` against the database:
+ * - Header-based columns, quoted fields and a dry-run plan
+ * - Re-imports update guests in place, keeping registrations and RSVPs
+ * - Unmatched and asymmetric partner references stop the import
+ */
+
+require('dotenv').config();
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { query } = require('../src/config/db');
+const { readGuestCsv, parseGuestRows, planImport, applyImport } = require('../src/utils/guestImport');
+
+// Test configuration
+const RUN_ID = Date.now();
+const LAST_NAME = `Importtest${RUN_ID}`;
+const CSV_PATH = path.join(os.tmpdir(), `test-guest-import-${RUN_ID}.csv`);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+/**
+ * Write a guest list and plan its import
+ */
+async function planCsv(lines) {
+  fs.writeFileSync(CSV_PATH, lines.join('\n') + '\n');
+  return planImport(parseGuestRows(await readGuestCsv(CSV_PATH)));
+}
+
+async function findGuest(firstName) {
+  const result = await query(
+    'SELECT * FROM users WHERE first_name = $1 AND last_name = $2',
+    [firstName, LAST_NAME]
+  );
+  return result.rows[0] || null;
+}
+
+const GUEST_LIST = [
+  'first_name,last_name,plus_one_allowed,partner_first,partner_last,admin_notes',
+  `Ana,${LAST_NAME},false,Ben,${LAST_NAME},"Cousin, mother's side"`,
+  `Ben,${LAST_NAME},false,Ana,${LAST_NAME},`,
+  `Cleo,${LAST_NAME},true,,,Single`
+];
+
+async function testFirstImport() {
+  log('\n📥 Testing First Import...', 'info');
+
+  const plan = await planCsv(GUEST_LIST);
+  logTest('Dry Run Plan', plan.errors.length === 0 && plan.creates.length === 3 && plan.links.length === 1,
+    plan.errors.map(error => error.message).join('; '));
+  logTest('Dry Run Writes Nothing', (await findGuest('Ana')) === null);
+
+  await applyImport(plan);
+  const ana = await findGuest('Ana');
+  const ben = await findGuest('Ben');
+  logTest('Guests Created', ana && ben && (await findGuest('Cleo')) !== null);
+  logTest('Partners Linked Both Ways', ana && ben && ana.partner_id === ben.id && ben.partner_id === ana.id);
+  logTest('Quoted Commas Kept', ana && ana.admin_notes === "Cousin, mother's side");
+
+  const again = await planCsv(GUEST_LIST);
+  logTest('Re-import Is a No-op', again.creates.length === 0 && again.updates.length === 0 &&
+    again.links.length === 0 && again.unchanged === 3);
+}
+
+async function testUpsertKeepsRegistration() {
+  log('\n🔁 Testing Upsert...', 'info');
+
+  const ana = await findGuest('Ana');
+  await query(`
+    UPDATE users SET email = $1, password_hash = 'hash', account_status = 'registered' WHERE id = $2
+  `, [`ana-${RUN_ID}@example.com`, ana.id]);
+  await query(`INSERT INTO rsvps (user_id, response_status) VALUES ($1, 'attending')`, [ana.id]);
+
+  const plan = await planCsv([
+    GUEST_LIST[0],
+    `Ana,${LAST_NAME},true,Ben,${LAST_NAME},Updated note`,
+    GUEST_LIST[2],
+    GUEST_LIST[3]
+  ]);
+  logTest('Update Planned', plan.errors.length === 0 && plan.updates.length === 1 && plan.creates.length === 0);
+
+  await applyImport(plan);
+  const updated = await findGuest('Ana');
+  const rsvps = await query('SELECT COUNT(*) as count FROM rsvps WHERE user_id = $1', [ana.id]);
+  logTest('Updated In Place', updated.id === ana.id && updated.plus_one_allowed === true && updated.admin_notes === 'Updated note');
+  logTest('Registration Kept', updated.account_status === 'registered' && updated.password_hash === 'hash');
+  logTest('RSVP Kept', rsvps.rows[0].count === '1');
+}
+
+async function testPartnerProblems() {
+  log('\n💔 Testing Partner Problems...', 'info');
+
+  const unmatched = await planCsv([
+    GUEST_LIST[0],
+    `Dora,${LAST_NAME},false,Nobody,${LAST_NAME},`
+  ]);
+  logTest('Unmatched Partner Reported', unmatched.errors.some(error => error.message.includes('not in the file')));
+
+  const asymmetric = await planCsv([
+    GUEST_LIST[0],
+    `Dora,${LAST_NAME},false,Eli,${LAST_NAME},`,
+    `Eli,${LAST_NAME},false,,,`
+  ]);
+  logTest('Asymmetric Partner Reported', asymmetric.errors.some(error => error.message.includes('Asymmetric')));
+
+  const missingColumn = await planCsv(['name,last_name', `Dora,${LAST_NAME}`]);
+  logTest('Missing Column Reported', missingColumn.errors.some(error => error.message.includes('first_name')));
+
+  logTest('Nothing Written On Errors', (await findGuest('Dora')) === null);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE last_name = $1)', [LAST_NAME]);
+    await query('DELETE FROM users WHERE last_name = $1', [LAST_NAME]);
+    if (fs.existsSync(CSV_PATH)) {
+      fs.unlinkSync(CSV_PATH);
+    }
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Guest Import Tests...', 'info');
+  log('================================', 'info');
+
+  try {
+    await testFirstImport();
+    await testUpsertKeepsRegistration();
+    await testPartnerProblems();
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+/**
+ * Guest Name Matching Test Script
+ *
+ * Tests the fuzzy check-guest lookup against a running server:
+ * - Accents, case and punctuation are ignored
+ * - Nicknames and a partner's surname find the guest
+ * - Misspellings return "did you mean" candidates
+ * - Guests sharing a name get a candidate list and can pick by user_id
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+
+// Test configuration
+const API_BASE = 'http://localhost:5001/api';
+const TEST_NOTE = `test-guest-matching-${Date.now()}`;
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function makeRequest(endpoint, options = {}) {
+  try {
+    const { default: fetch } = await import('node-fetch');
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+    const data = await response.json();
+    return { response, data };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+async function createTestGuests() {
+  const insert = async (firstName, lastName) => {
+    const result = await query(`
+      INSERT INTO users (first_name, last_name, account_status, admin_notes)
+      VALUES ($1, $2, 'guest', $3)
+      RETURNING id
+    `, [firstName, lastName, TEST_NOTE]);
+    return result.rows[0].id;
+  };
+
+  const jose = await insert('José', 'Ramírez');
+  const ana = await insert('Ana', 'García López');
+  await query('UPDATE users SET partner_id = $1 WHERE id = $2', [ana, jose]);
+  await query('UPDATE users SET partner_id = $1 WHERE id = $2', [jose, ana]);
+
+  await insert('Katherine', 'Bellweather');
+  const twinA = await insert('Quentin', 'Duplicado');
+  const twinB = await insert('Quentin', 'Duplicado');
+
+  return { jose, ana, twins: [twinA, twinB] };
+}
+
+async function checkGuest(body) {
+  return makeRequest('/auth/check-guest', {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+}
+
+async function testNormalizedMatches(guests) {
+  log('\n🔤 Testing Accent-Insensitive Matching...', 'info');
+
+  const plain = await checkGuest({ first_name: 'jose', last_name: 'RAMIREZ' });
+  logTest('Accents And Case Ignored', plain.response && plain.response.ok && plain.data.data.user_id === guests.jose);
+
+  const compound = await checkGuest({ first_name: 'Ana', last_name: 'Garcia' });
+  logTest('Compound Surname Prefix', compound.response && compound.response.ok && compound.data.data.user_id === guests.ana);
+
+  const swapped = await checkGuest({ first_name: 'Ana', last_name: 'Ramirez' });
+  logTest('Partner Surname', swapped.response && swapped.response.ok && swapped.data.data.user_id === guests.ana);
+}
+
+async function testNicknames() {
+  log('\n📛 Testing Nicknames...', 'info');
+
+  const nickname = await checkGuest({ first_name: 'Kate', last_name: 'Bellweather' });
+  logTest('Nickname Finds Full Name', nickname.response && nickname.response.ok && nickname.data.data.first_name === 'Katherine');
+
+  const sibling = await checkGuest({ first_name: 'Katie', last_name: 'Bellweather' });
+  logTest('Sibling Nickname', sibling.response && sibling.response.ok && sibling.data.data.first_name === 'Katherine');
+}
+
+async function testDidYouMean() {
+  log('\n❓ Testing "Did You Mean" Candidates...', 'info');
+
+  const { response, data } = await checkGuest({ first_name: 'Katherin', last_name: 'Belwether' });
+  const candidates = data && data.data ? data.data.candidates : [];
+  logTest('Misspelling Returns 404', response && response.status === 404 && data.code === 'GUEST_NOT_FOUND');
+  logTest('Candidate Suggested', candidates.some(c => c.full_name === 'Katherine Bellweather'));
+  logTest('Candidates Hide Email', candidates.every(c => !('email' in c)));
+
+  const none = await checkGuest({ first_name: 'Zzyzx', last_name: 'Qwertyuiop' });
+  logTest('Unknown Name Has No Candidates', none.response && none.response.status === 404 && none.data.data.candidates.length === 0);
+}
+
+async function testDuplicateNames(guests) {
+  log('\n👥 Testing Duplicate Names...', 'info');
+
+  const { response, data } = await checkGuest({ first_name: 'Quentin', last_name: 'Duplicado' });
+  const candidateIds = data && data.data ? data.data.candidates.map(c => c.user_id) : [];
+  logTest('Duplicate Names Return 409', response && response.status === 409 && data.code === 'MULTIPLE_MATCHES');
+  logTest('Both Guests Listed', guests.twins.every(id => candidateIds.includes(id)));
+
+  const chosen = await checkGuest({ first_name: 'Quentin', last_name: 'Duplicado', user_id: guests.twins[1] });
+  logTest('Pick Candidate By user_id', chosen.response && chosen.response.ok && chosen.data.data.user_id === guests.twins[1]);
+
+  const foreign = await checkGuest({ first_name: 'Quentin', last_name: 'Duplicado', user_id: guests.jose });
+  logTest('Unrelated user_id Rejected', foreign.response && foreign.response.status === 409);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Guest Name Matching Tests...', 'info');
+  log('=======================================', 'info');
+
+  const guests = await createTestGuests();
+
+  try {
+    await testNormalizedMatches(guests);
+    await testNicknames();
+    await testDidYouMean();
+    await testDuplicateNames(guests);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,194 @@
+#!/usr/bin/env node
+
+/**
+ * Change History Test Script
+ *
+ * Tests the RSVP and guest change history against a running server:
+ * - Each RSVP change is recorded with its old and new value
+ * - The history says who made a change: the guest, their partner or an admin
+ * - Admins read a guest's timeline; guests can't
+ * - History rows can't be edited or deleted
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-history-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-history-guest-${RUN_ID}@example.com`;
+const PARTNER_EMAIL = `test-history-partner-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-history-${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function submitRsvp(client, body) {
+  return client.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+}
+
+async function getHistory(client, guestId) {
+  const result = await client.request(`/admin/guests/${guestId}/history`);
+  return result.data && result.data.success ? result.data.data.history : [];
+}
+
+function findChange(history, entity, field, oldValue, newValue) {
+  return history.find(entry => entry.entity === entity && entry.field === field &&
+    entry.old_value === oldValue && entry.new_value === newValue);
+}
+
+async function testRsvpHistory(admin, guest, partner, ids) {
+  log('\n📝 Testing RSVP History...', 'info');
+
+  await submitRsvp(guest, { response_status: 'attending', dietary_restrictions: 'No mushrooms' });
+  await submitRsvp(guest, { response_status: 'not_attending', dietary_restrictions: 'No mushrooms' });
+  await submitRsvp(partner, { partner_response_status: 'attending', partner_dietary_restrictions: 'No mushrooms' });
+
+  const history = await getHistory(admin, ids.guestId);
+  const created = findChange(history, 'rsvp', 'response_status', null, 'attending');
+  const declined = findChange(history, 'rsvp', 'response_status', 'attending', 'not_attending');
+  const changedBack = findChange(history, 'rsvp', 'response_status', 'not_attending', 'attending');
+
+  logTest('First Answer Recorded', created && created.changed_by === ids.guestId);
+  logTest('Change of Mind Recorded', declined && declined.changed_by === ids.guestId &&
+    history.indexOf(declined) > history.indexOf(created));
+  logTest('Partner Recorded as Author', changedBack && changedBack.changed_by === ids.partnerId &&
+    changedBack.changed_by_name === 'Partner Historytest');
+  logTest('Unchanged Fields Not Recorded',
+    history.filter(entry => entry.entity === 'rsvp' && entry.field === 'dietary_restrictions').length === 1);
+}
+
+async function testGuestHistory(admin, ids) {
+  log('\n👤 Testing Guest Record History...', 'info');
+
+  await admin.request(`/admin/guests/${ids.guestId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ first_name: 'Renamed' })
+  });
+
+  const history = await getHistory(admin, ids.guestId);
+  const renamed = findChange(history, 'guest', 'first_name', 'Guest', 'Renamed');
+  logTest('Admin Edit Recorded', renamed && renamed.changed_by === ids.adminId);
+
+  const linked = findChange(history, 'guest', 'partner_id', null, ids.partnerId);
+  logTest('Partner Link Recorded', Boolean(linked));
+}
+
+async function testHistoryAccess(guest, admin, ids) {
+  log('\n🔐 Testing History Access...', 'info');
+
+  const asGuest = await guest.request(`/admin/guests/${ids.guestId}/history`);
+  logTest('Guests Cannot Read History', asGuest.response && asGuest.response.status === 403);
+
+  const unknown = await admin.request('/admin/guests/00000000-0000-0000-0000-000000000000/history');
+  logTest('Unknown Guest', unknown.response && unknown.response.status === 404);
+
+  let updateBlocked = false;
+  try {
+    await query("UPDATE change_history SET field = 'tampered' WHERE user_id = $1", [ids.guestId]);
+  } catch (error) {
+    updateBlocked = /append-only/.test(error.message);
+  }
+  logTest('History Cannot Be Edited', updateBlocked);
+
+  let deleteBlocked = false;
+  try {
+    await query('DELETE FROM change_history WHERE user_id = $1', [ids.guestId]);
+  } catch (error) {
+    deleteBlocked = /append-only/.test(error.message);
+  }
+  logTest('History Cannot Be Deleted', deleteBlocked);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Change History Tests...', 'info');
+  log('==================================', 'info');
+
+  try {
+    const ids = {
+      adminId: await createUser('Admin', 'Historytest', { email: ADMIN_EMAIL, isAdmin: true }),
+      guestId: await createUser('Guest', 'Historytest', { email: GUEST_EMAIL }),
+      partnerId: await createUser('Partner', 'Historytest', { email: PARTNER_EMAIL })
+    };
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+    await admin.request(`/admin/guests/${ids.guestId}/partner`, {
+      method: 'PUT',
+      body: JSON.stringify({ partner_id: ids.partnerId })
+    });
+
+    const guest = createClient();
+    await guest.login(GUEST_EMAIL);
+    const partner = createClient();
+    await partner.login(PARTNER_EMAIL);
+
+    await testRsvpHistory(admin, guest, partner, ids);
+    await testGuestHistory(admin, ids);
+    await testHistoryAccess(guest, admin, ids);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
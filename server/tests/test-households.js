@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * Household Test Script
+ *
+ * Tests households against a running server:
+ * - Admins create households and manage members, seats and the primary contact
+ * - Any registered member can RSVP for the whole household
+ * - Guests outside the household and answers over the seat allocation are rejected
+ * - Plus-ones need a free seat, and joining doesn't raise the household's seats
+ * - The older self/partner RSVP fields keep working for couples
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { PASSWORD, createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-household-admin-${RUN_ID}@example.com`;
+const PARENT_EMAIL = `test-household-parent-${RUN_ID}@example.com`;
+const CHILD_EMAIL = `test-household-child-${RUN_ID}@example.com`;
+const PLUS_ONE_EMAIL = `test-household-plusone-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-households-${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function getRsvpStatus(userId) {
+  const result = await query('SELECT response_status FROM rsvps WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? result.rows[0].response_status : null;
+}
+
+async function testHouseholdAdmin(admin, family) {
+  log('\n🏠 Testing Household Management...', 'info');
+
+  const created = await admin.request('/admin/households', {
+    method: 'POST',
+    body: JSON.stringify({
+      member_ids: [family.parent, family.otherParent, family.child],
+      primary_contact_id: family.parent
+    })
+  });
+  const household = created.data && created.data.success ? created.data.data : null;
+  logTest('Create Household', household && household.members.length === 3 &&
+    household.primary_contact_id === family.parent);
+  logTest('Default Name From Last Names', household && household.name === 'Householdtest');
+  logTest('Default Seats Fit Members', household && household.seats === 3);
+  if (!household) {
+    return null;
+  }
+
+  const tooFewSeats = await admin.request(`/admin/households/${household.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ seats: 2 })
+  });
+  logTest('Seats Below Members Rejected', tooFewSeats.response && tooFewSeats.response.status === 400);
+
+  const outsider = await admin.request(`/admin/households/${household.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ primary_contact_id: family.outsider })
+  });
+  logTest('Outside Primary Contact Rejected', outsider.response && outsider.response.status === 400);
+
+  const added = await admin.request(`/admin/households/${household.id}/members/${family.youngest}`, { method: 'PUT' });
+  logTest('Add Member Leaves Seats Alone', added.data && added.data.success &&
+    added.data.data.members.length === 4 && added.data.data.seats === 3);
+
+  const renamed = await admin.request(`/admin/households/${household.id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ name: 'The Householdtest Family', seats: 4 })
+  });
+  logTest('Update Household', renamed.data && renamed.data.success && renamed.data.data.name === 'The Householdtest Family');
+
+  const list = await admin.request('/admin/households');
+  logTest('List Households', list.data && list.data.success &&
+    list.data.data.households.some(entry => entry.id === household.id && entry.members.length === 4));
+
+  const missing = await admin.request('/admin/households/00000000-0000-0000-0000-000000000000');
+  logTest('Unknown Household', missing.response && missing.response.status === 404 &&
+    missing.data.code === 'HOUSEHOLD_NOT_FOUND');
+
+  return household;
+}
+
+async function testHouseholdRsvp(household, family) {
+  log('\n📝 Testing Household RSVP...', 'info');
+
+  const child = createClient();
+  await child.login(CHILD_EMAIL);
+
+  const mine = await child.request('/rsvps');
+  const members = mine.data && mine.data.success ? mine.data.data.household.members : [];
+  logTest('Household Listed For Member', mine.data && mine.data.data.household.id === household.id && members.length === 4);
+
+  const submitted = await child.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({
+      members: [
+        { user_id: family.child, response_status: 'attending' },
+        { user_id: family.parent, response_status: 'attending', dietary_restrictions: 'Vegetarian' },
+        { user_id: family.otherParent, response_status: 'not_attending' },
+        { user_id: family.youngest, response_status: 'attending' }
+      ]
+    })
+  });
+  logTest('Member Answers For Household', submitted.response && submitted.response.status === 201 &&
+    submitted.data.data.household_rsvps.length === 4);
+  logTest('RSVPs Saved For Each Member',
+    (await getRsvpStatus(family.parent)) === 'attending' &&
+    (await getRsvpStatus(family.otherParent)) === 'not_attending' &&
+    (await getRsvpStatus(family.youngest)) === 'attending');
+
+  const outsider = await child.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ members: [{ user_id: family.outsider, response_status: 'attending' }] })
+  });
+  logTest('Outsider Rejected', outsider.response && outsider.response.status === 403 &&
+    outsider.data.code === 'NOT_IN_HOUSEHOLD');
+
+  const invalid = await child.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ members: [{ user_id: family.parent, response_status: 'maybe' }] })
+  });
+  logTest('Invalid Status Rejected', invalid.response && invalid.response.status === 400);
+
+  await query('UPDATE households SET seats = 2 WHERE id = $1', [household.id]);
+  const overSeats = await child.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ members: [{ user_id: family.otherParent, response_status: 'attending' }] })
+  });
+  logTest('Seats Enforced', overSeats.response && overSeats.response.status === 400 &&
+    overSeats.data.code === 'SEATS_EXCEEDED');
+  logTest('Nothing Saved Over Seats', (await getRsvpStatus(family.otherParent)) === 'not_attending');
+}
+
+async function getSeats(householdId) {
+  const result = await query('SELECT seats FROM households WHERE id = $1', [householdId]);
+  return result.rows[0].seats;
+}
+
+async function testPlusOneSeats(household, family) {
+  log('\n🪑 Testing Plus-One Seats...', 'info');
+
+  // Child, parent and youngest are attending
+  await query('UPDATE users SET plus_one_allowed = true WHERE id = $1', [family.child]);
+  await query('UPDATE households SET seats = 3 WHERE id = $1', [household.id]);
+
+  const child = createClient();
+  await child.login(CHILD_EMAIL);
+  const plusOne = {
+    first_name: 'Plusone',
+    last_name: 'Householdtest',
+    email: PLUS_ONE_EMAIL,
+    password: PASSWORD
+  };
+
+  const full = await child.request('/rsvps/plus-one', { method: 'POST', body: JSON.stringify(plusOne) });
+  const none = await query('SELECT COUNT(*)::int as count FROM users WHERE plus_one_of = $1', [family.child]);
+  logTest('Plus-One Refused Without a Seat', full.response && full.response.status === 400 &&
+    full.data.code === 'SEATS_EXCEEDED' && none.rows[0].count === 0);
+
+  await query('UPDATE households SET seats = 4 WHERE id = $1', [household.id]);
+  const added = await child.request('/rsvps/plus-one', { method: 'POST', body: JSON.stringify(plusOne) });
+  logTest('Plus-One Takes a Free Seat', added.response && added.response.status === 201);
+  logTest('Joining Leaves Seats Alone', await getSeats(household.id) === 4);
+
+  const replaced = await child.request('/rsvps/plus-one/replace', {
+    method: 'POST',
+    body: JSON.stringify({ ...plusOne, first_name: 'Replacement' })
+  });
+  logTest('Replacement Takes the Same Seat', replaced.response && replaced.response.status === 200 &&
+    await getSeats(household.id) === 4);
+}
+
+async function testCouple(admin, household, family) {
+  log('\n💑 Testing Couples...', 'info');
+
+  // The parent leaves the family household and is linked to a new partner
+  const partnerId = await createUser('Partner', 'Householdtest');
+  await admin.request(`/admin/households/${household.id}/members/${family.parent}`, { method: 'DELETE' });
+  await admin.request(`/admin/guests/${family.parent}/partner`, {
+    method: 'PUT',
+    body: JSON.stringify({ partner_id: partnerId })
+  });
+
+  const couple = await query('SELECT household_id FROM users WHERE id IN ($1, $2)', [family.parent, partnerId]);
+  logTest('Linked Partners Share a Household', couple.rows.length === 2 && !!couple.rows[0].household_id &&
+    couple.rows[0].household_id === couple.rows[1].household_id);
+
+  const parent = createClient();
+  await parent.login(PARENT_EMAIL);
+  const legacy = await parent.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ response_status: 'attending', partner_response_status: 'not_attending' })
+  });
+  logTest('Partner Fields Still Work', legacy.response && legacy.response.status === 201 &&
+    legacy.data.data.user_rsvp.response_status === 'attending' &&
+    legacy.data.data.partner_rsvp.response_status === 'not_attending');
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE plus_one_of IN (SELECT id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Household Tests...', 'info');
+  log('=============================', 'info');
+
+  try {
+    await createUser('Admin', 'Householdtest', { email: ADMIN_EMAIL, isAdmin: true });
+    const family = {
+      parent: await createUser('Parent', 'Householdtest', { email: PARENT_EMAIL }),
+      otherParent: await createUser('Otherparent', 'Householdtest'),
+      child: await createUser('Child', 'Householdtest', { email: CHILD_EMAIL }),
+      youngest: await createUser('Youngest', 'Householdtest'),
+      outsider: await createUser('Outsider', 'Householdtest')
+    };
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+
+    const household = await testHouseholdAdmin(admin, family);
+    if (household) {
+      await testHouseholdRsvp(household, family);
+      await testPlusOneSeats(household, family);
+      await testCouple(admin, household, family);
+    }
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
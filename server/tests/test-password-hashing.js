@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Password Hashing Test Script
+ *
+ * Tests the password utilities used by the auth and RSVP routes:
+ * - bcrypt hashing and verification
+ * - Legacy base64 hashes are accepted and flagged for rehashing
+ * - Wrong passwords are rejected for both formats
+ */
+
+require('dotenv').config();
+
+const { hashPassword, verifyPassword, isBcryptHash } = require('../src/utils/password');
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function testBcryptHashing() {
+  log('\n🔑 Testing bcrypt Hashing...', 'info');
+
+  const hash = await hashPassword('TestPassword123!');
+  logTest('Hash Format', isBcryptHash(hash), hash.substring(0, 7));
+
+  const correct = await verifyPassword('TestPassword123!', hash);
+  logTest('Correct Password', correct.valid && !correct.needsRehash);
+
+  const wrong = await verifyPassword('WrongPassword', hash);
+  logTest('Wrong Password Rejected', !wrong.valid);
+}
+
+async function testLegacyHashes() {
+  log('\n🗝️ Testing Legacy base64 Hashes...', 'info');
+
+  const legacyHash = Buffer.from('TestPassword123!').toString('base64');
+  logTest('Legacy Format Detected', !isBcryptHash(legacyHash));
+
+  const correct = await verifyPassword('TestPassword123!', legacyHash);
+  logTest('Legacy Password Accepted', correct.valid && correct.needsRehash, 'flagged for rehash');
+
+  const wrong = await verifyPassword('WrongPassword', legacyHash);
+  logTest('Legacy Wrong Password Rejected', !wrong.valid && !wrong.needsRehash);
+}
+
+async function testMissingValues() {
+  log('\n🚫 Testing Missing Values...', 'info');
+
+  const noHash = await verifyPassword('TestPassword123!', null);
+  logTest('Missing Hash Rejected', !noHash.valid);
+
+  const noPassword = await verifyPassword('', await hashPassword('x'));
+  logTest('Missing Password Rejected', !noPassword.valid);
+}
+
+async function runAllTests() {
+  log('🧪 Starting Password Hashing Tests...', 'info');
+  log('====================================', 'info');
+
+  await testBcryptHashing();
+  await testLegacyHashes();
+  await testMissingValues();
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * Password Reset Test Script
+ *
+ * Tests the forgot/reset password flow against a running server:
+ * - forgot-password responds identically for known and unknown emails
+ * - A reset token sets a new password that can be used to log in
+ * - Tokens are single-use and expired tokens are rejected
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { hashPassword } = require('../src/utils/password');
+const { createToken } = require('../src/utils/tokens');
+
+// Test configuration
+const API_BASE = 'http://localhost:5001/api';
+const TEST_EMAIL = `test-reset-${Date.now()}@example.com`;
+const OLD_PASSWORD = 'OldPassword123!';
+const NEW_PASSWORD = 'NewPassword456!';
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function makeRequest(endpoint, options = {}) {
+  try {
+    const { default: fetch } = await import('node-fetch');
+    const response = await fetch(`${API_BASE}${endpoint}`, {
+      headers: { 'Content-Type': 'application/json' },
+      ...options
+    });
+    const data = await response.json();
+    return { response, data };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
+async function createTestUser() {
+  const password_hash = await hashPassword(OLD_PASSWORD);
+  const result = await query(`
+    INSERT INTO users (first_name, last_name, email, password_hash, account_status)
+    VALUES ('Reset', 'Tester', $1, $2, 'registered')
+    RETURNING id
+  `, [TEST_EMAIL, password_hash]);
+  return result.rows[0].id;
+}
+
+async function testForgotPasswordResponses() {
+  log('\n📧 Testing Forgot Password Responses...', 'info');
+
+  const known = await makeRequest('/auth/forgot-password', {
+    method: 'POST',
+    body: JSON.stringify({ email: TEST_EMAIL })
+  });
+  const unknown = await makeRequest('/auth/forgot-password', {
+    method: 'POST',
+    body: JSON.stringify({ email: `nobody-${Date.now()}@example.com` })
+  });
+
+  if (known.error || unknown.error) {
+    logTest('Forgot Password', false, known.error || unknown.error);
+    return;
+  }
+
+  logTest('Forgot Password (known email)', known.response.ok && known.data.success);
+  logTest('No Email Enumeration', known.data.message === unknown.data.message, 'identical responses');
+}
+
+async function testResetWithToken(userId) {
+  log('\n🔑 Testing Reset With Token...', 'info');
+
+  const token = await createToken(userId, 'password_reset', 60);
+
+  const reset = await makeRequest('/auth/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, password: NEW_PASSWORD })
+  });
+  logTest('Reset Password', reset.response && reset.response.ok && reset.data.success, reset.data && reset.data.message);
+
+  const login = await makeRequest('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email: TEST_EMAIL, password: NEW_PASSWORD })
+  });
+  logTest('Login With New Password', login.response && login.response.ok);
+
+  const oldLogin = await makeRequest('/auth/login', {
+    method: 'POST',
+    body: JSON.stringify({ email: TEST_EMAIL, password: OLD_PASSWORD })
+  });
+  logTest('Old Password Rejected', oldLogin.response && oldLogin.response.status === 401);
+
+  const reuse = await makeRequest('/auth/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, password: 'AnotherPassword789!' })
+  });
+  logTest('Token Is Single-Use', reuse.response && reuse.response.status === 400 && reuse.data.code === 'INVALID_TOKEN');
+}
+
+async function testExpiredToken(userId) {
+  log('\n⏰ Testing Expired Token...', 'info');
+
+  const token = await createToken(userId, 'password_reset', -1);
+
+  const { response, data } = await makeRequest('/auth/reset-password', {
+    method: 'POST',
+    body: JSON.stringify({ token, password: 'AnotherPassword789!' })
+  });
+  logTest('Expired Token Rejected', response && response.status === 400 && data.code === 'INVALID_TOKEN');
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM users WHERE email = $1', [TEST_EMAIL]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Password Reset Tests...', 'info');
+  log('==================================', 'info');
+
+  const userId = await createTestUser();
+
+  try {
+    await testForgotPasswordResponses();
+    await testResetWithToken(userId);
+    await testExpiredToken(userId);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
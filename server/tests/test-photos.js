@@ -0,0 +1,438 @@
+#!/usr/bin/env node
+
+/**
+ * Photo Upload Test Script
+ *
+ * Tests guest photos against a running server:
+ * - Guests upload photos with a caption as multipart form data
+ * - Uploads are checked for size, type (by their contents too) and caption length
+ * - Guests only see approved photos; visitors only see featured ones
+ * - Uploaders see their own photos, pending too, at /photos/mine
+ * - Admins approve, reject and feature photos in bulk from a review queue
+ * - Guests comment on and upvote approved photos; admins hide comments
+ * - The gallery sorts by most upvoted
+ * - Uploaders and admins can delete photos, other guests can't
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { getStorage } = require('../src/utils/photoStorage');
+const { MAX_PHOTO_BYTES } = require('../src/utils/photos');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-photo-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-photo-guest-${RUN_ID}@example.com`;
+const OTHER_EMAIL = `test-photo-other-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-photos-${RUN_ID}`;
+const BOUNDARY = `----test-photos-${RUN_ID}`;
+// Only the first bytes are checked, so a PNG signature and some data will do
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.from(`photo ${RUN_ID}`)]);
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+/**
+ * A multipart/form-data body: fields is { name: value }, files is
+ * [{ name, filename, mimeType, data }]
+ */
+function multipartBody(fields = {}, files = []) {
+  const chunks = [];
+  for (const [name, value] of Object.entries(fields)) {
+    chunks.push(Buffer.from(`--${BOUNDARY}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+  }
+  for (const file of files) {
+    chunks.push(Buffer.from(
+      `--${BOUNDARY}\r\nContent-Disposition: form-data; name="${file.name}"; filename="${file.filename}"\r\n` +
+      `Content-Type: ${file.mimeType}\r\n\r\n`
+    ));
+    chunks.push(file.data, Buffer.from('\r\n'));
+  }
+  chunks.push(Buffer.from(`--${BOUNDARY}--\r\n`));
+  return Buffer.concat(chunks);
+}
+
+function upload(client, fields, files) {
+  return client.request('/photos', {
+    method: 'POST',
+    headers: { 'Content-Type': `multipart/form-data; boundary=${BOUNDARY}` },
+    body: multipartBody(fields, files)
+  });
+}
+
+function photoFile(data = PNG, mimeType = 'image/png', filename = 'dance-floor.png') {
+  return [{ name: 'photo', filename, mimeType, data }];
+}
+
+async function testUploadValidation(guest) {
+  log('\n🔎 Testing Upload Validation...', 'info');
+
+  const notMultipart = await guest.request('/photos', {
+    method: 'POST',
+    body: JSON.stringify({ caption: 'No file' })
+  });
+  logTest('Multipart Required', notMultipart.response && notMultipart.response.status === 400 &&
+    notMultipart.data.code === 'NOT_MULTIPART');
+
+  const noFile = await upload(guest, { caption: 'No file' });
+  logTest('Photo Required', noFile.response && noFile.response.status === 400 &&
+    noFile.data.code === 'NO_PHOTO');
+
+  const wrongType = await upload(guest, {}, photoFile(Buffer.from('hello'), 'text/plain', 'notes.txt'));
+  logTest('Only Image Types', wrongType.response && wrongType.response.status === 415 &&
+    wrongType.data.code === 'UNSUPPORTED_PHOTO_TYPE');
+
+  const disguised = await upload(guest, {}, photoFile(Buffer.from('<html>not a photo</html>'), 'image/png'));
+  logTest('Contents Must Match Type', disguised.response && disguised.response.status === 415);
+
+  const longCaption = await upload(guest, { caption: 'x'.repeat(501) }, photoFile());
+  logTest('Caption Length', longCaption.response && longCaption.response.status === 400 &&
+    longCaption.data.code === 'CAPTION_TOO_LONG');
+
+  const tooLarge = await upload(guest, {}, photoFile(Buffer.concat([PNG, Buffer.alloc(MAX_PHOTO_BYTES)])));
+  logTest('Size Limit', tooLarge.response && tooLarge.response.status === 413 &&
+    tooLarge.data.code === 'PHOTO_TOO_LARGE');
+
+  const twoPhotos = await upload(guest, {}, [...photoFile(), ...photoFile(PNG, 'image/png', 'second.png')]);
+  logTest('One Photo At A Time', twoPhotos.response && twoPhotos.response.status === 400 &&
+    twoPhotos.data.code === 'TOO_MANY_PHOTOS');
+
+  const anonymous = await upload(createClient(), {}, photoFile());
+  logTest('Login Required To Upload', anonymous.response && anonymous.response.status === 401);
+}
+
+async function testApproval(admin, guest, other) {
+  log('\n📷 Testing Uploads And Approval...', 'info');
+
+  const uploaded = await upload(guest, { caption: '  First dance  ' }, photoFile());
+  const photo = uploaded.data && uploaded.data.success ? uploaded.data.data : null;
+  logTest('Upload Photo', uploaded.response && uploaded.response.status === 201 && photo &&
+    photo.caption === 'First dance' && photo.is_approved === false &&
+    photo.file_size === PNG.length && photo.original_filename === 'dance-floor.png');
+  if (!photo) {
+    return null;
+  }
+
+  const ownList = await guest.request('/photos?page_size=100');
+  const otherDetail = await other.request(`/photos/${photo.id}`);
+  const otherFile = await other.request(`/photos/${photo.id}/file`);
+  logTest('Pending Photo Hidden From Guests', ownList.data && ownList.data.success &&
+    !ownList.data.data.photos.some(listed => listed.id === photo.id) &&
+    otherDetail.response && otherDetail.response.status === 404 &&
+    otherFile.response && otherFile.response.status === 404);
+
+  const mine = await guest.request('/photos/mine?page_size=100');
+  const mineListed = mine.data && mine.data.success ? mine.data.data.photos.find(listed => listed.id === photo.id) : null;
+  logTest('Uploader Sees Own Pending Photo', !!mineListed && mineListed.is_approved === false &&
+    mineListed.url === `/api/photos/mine/${photo.id}/file`);
+
+  const mineFile = await guest.request(`/photos/mine/${photo.id}/file`);
+  const notMineFile = await other.request(`/photos/mine/${photo.id}/file`);
+  const otherMine = await other.request('/photos/mine?page_size=100');
+  logTest('Own Uploads Are Only Yours', mineFile.response && mineFile.response.status === 200 &&
+    Buffer.isBuffer(mineFile.data) && mineFile.data.equals(PNG) &&
+    notMineFile.response && notMineFile.response.status === 404 &&
+    otherMine.data && otherMine.data.success &&
+    !otherMine.data.data.photos.some(listed => listed.id === photo.id));
+
+  const queue = await admin.request('/admin/photos?page_size=100');
+  logTest('Photo In Review Queue', queue.data && queue.data.success &&
+    queue.data.data.photos.some(listed => listed.id === photo.id));
+
+  const adminFile = await admin.request(`/photos/${photo.id}/file`);
+  logTest('Admins See Pending Photo', adminFile.response && adminFile.response.status === 200);
+
+  const approved = await admin.request('/admin/photos/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ photo_ids: [photo.id], action: 'approve' })
+  });
+  logTest('Approve Photo', approved.response && approved.response.status === 200 &&
+    approved.data.data.updated_ids.includes(photo.id));
+
+  const approvedDetail = await other.request(`/photos/${photo.id}`);
+  logTest('Approved Photo Shown', approvedDetail.response && approvedDetail.response.status === 200 &&
+    approvedDetail.data.data.uploaded_by === 'Guest Phototest');
+
+  const file = await other.request(`/photos/${photo.id}/file`);
+  logTest('Photo File Served', file.response && file.response.status === 200 &&
+    file.response.headers.get('content-type') === 'image/png' && Buffer.isBuffer(file.data) && file.data.equals(PNG));
+
+  const badPage = await other.request('/photos?page_size=500');
+  logTest('Page Size Checked', badPage.response && badPage.response.status === 400);
+
+  return photo;
+}
+
+async function testModeration(admin, guest) {
+  log('\n🛡️  Testing Moderation...', 'info');
+
+  const first = await upload(guest, { caption: 'Cake' }, photoFile());
+  const second = await upload(guest, { caption: 'Bouquet' }, photoFile());
+  const ids = [first, second].map(result => result.data && result.data.success ? result.data.data.id : null);
+  if (ids.includes(null)) {
+    logTest('Upload Photos For Review', false);
+    return;
+  }
+
+  const forbidden = await guest.request('/admin/photos/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ photo_ids: ids, action: 'approve' })
+  });
+  logTest('Moderation Is Admin Only', forbidden.response && forbidden.response.status === 403);
+
+  const badAction = await admin.request('/admin/photos/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ photo_ids: ids, action: 'publish' })
+  });
+  const badIds = await admin.request('/admin/photos/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ photo_ids: ['not-a-photo'], action: 'approve' })
+  });
+  logTest('Moderation Request Checked', badAction.response && badAction.response.status === 400 &&
+    badIds.response && badIds.response.status === 400);
+
+  const rejected = await admin.request('/admin/photos/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ photo_ids: ids, action: 'reject' })
+  });
+  const rejectedList = await admin.request('/admin/photos?status=rejected&page_size=100');
+  const queue = await admin.request('/admin/photos?page_size=100');
+  logTest('Reject Photos In Bulk', rejected.response && rejected.response.status === 200 &&
+    rejected.data.data.updated_ids.length === 2 &&
+    ids.every(id => rejectedList.data.data.photos.some(listed => listed.id === id)) &&
+    !queue.data.data.photos.some(listed => ids.includes(listed.id)));
+
+  const anonymous = createClient();
+  const hiddenFromVisitors = await anonymous.request(`/photos/${ids[0]}`);
+
+  const featured = await admin.request('/admin/photos/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ photo_ids: [ids[0]], action: 'feature' })
+  });
+  const featuredDetail = await admin.request(`/photos/${ids[0]}`);
+  logTest('Feature Photo Approves It', featured.response && featured.response.status === 200 &&
+    featuredDetail.data.data.is_featured === true && featuredDetail.data.data.is_approved === true);
+
+  const gallery = await guest.request('/photos?page_size=100');
+  logTest('Featured Photos First', gallery.data && gallery.data.success &&
+    gallery.data.data.photos.length > 0 && gallery.data.data.photos[0].is_featured === true &&
+    !gallery.data.data.photos.some(listed => listed.id === ids[1]));
+
+  const visitorList = await anonymous.request('/photos?page_size=100');
+  const visitorDetail = await anonymous.request(`/photos/${ids[0]}`);
+  logTest('Visitors Only See Featured Photos', visitorList.data && visitorList.data.success &&
+    visitorList.data.data.photos.every(listed => listed.is_featured) &&
+    visitorList.data.data.photos.some(listed => listed.id === ids[0]) &&
+    hiddenFromVisitors.response && hiddenFromVisitors.response.status === 404 &&
+    visitorDetail.response && visitorDetail.response.status === 200);
+
+  const unfeatured = await admin.request('/admin/photos/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ photo_ids: [ids[0]], action: 'unfeature' })
+  });
+  const afterUnfeature = await anonymous.request(`/photos/${ids[0]}`);
+  logTest('Unfeature Photo', unfeatured.response && unfeatured.response.status === 200 &&
+    afterUnfeature.response && afterUnfeature.response.status === 404);
+}
+
+async function testCommentsAndUpvotes(admin, guest, other, photo) {
+  log('\n💬 Testing Comments And Upvotes...', 'info');
+
+  const added = await other.request(`/photos/${photo.id}/comments`, {
+    method: 'POST',
+    body: JSON.stringify({ comment: '  Lovely shot!  ' })
+  });
+  const comment = added.data && added.data.success ? added.data.data : null;
+  logTest('Comment On Photo', added.response && added.response.status === 201 && comment &&
+    comment.comment === 'Lovely shot!' && comment.author === 'Other Phototest');
+  if (!comment) {
+    return;
+  }
+
+  const empty = await other.request(`/photos/${photo.id}/comments`, {
+    method: 'POST',
+    body: JSON.stringify({ comment: '   ' })
+  });
+  const tooLong = await other.request(`/photos/${photo.id}/comments`, {
+    method: 'POST',
+    body: JSON.stringify({ comment: 'a'.repeat(1001) })
+  });
+  logTest('Comment Text Checked', empty.response && empty.response.status === 400 &&
+    tooLong.response && tooLong.response.status === 400);
+
+  const pending = await upload(guest, {}, photoFile());
+  const pendingId = pending.data && pending.data.success ? pending.data.data.id : null;
+  const onPending = pendingId ? await other.request(`/photos/${pendingId}/comments`, {
+    method: 'POST',
+    body: JSON.stringify({ comment: 'Too soon' })
+  }) : {};
+  const adminOnPending = pendingId ? await admin.request(`/photos/${pendingId}/upvote`, { method: 'POST' }) : {};
+  logTest('Only Approved Photos Take Comments And Upvotes',
+    onPending.response && onPending.response.status === 404 &&
+    adminOnPending.response && adminOnPending.response.status === 409 &&
+    adminOnPending.data.code === 'PHOTO_NOT_APPROVED');
+
+  const first = await guest.request(`/photos/${photo.id}/upvote`, { method: 'POST' });
+  const again = await guest.request(`/photos/${photo.id}/upvote`, { method: 'POST' });
+  const detail = await guest.request(`/photos/${photo.id}`);
+  logTest('Upvote Once Per Guest', first.response && first.response.status === 200 &&
+    first.data.data.upvote_count === 1 && again.data && again.data.data.upvote_count === 1 &&
+    detail.data.data.upvoted === true && detail.data.data.upvote_count === 1 &&
+    detail.data.data.comment_count === 1);
+
+  const mostLoved = await other.request('/photos?sort=most_loved&page_size=100');
+  const counts = mostLoved.data && mostLoved.data.success
+    ? mostLoved.data.data.photos.map(listed => listed.upvote_count) : null;
+  const badSort = await other.request('/photos?sort=oldest');
+  logTest('Sort By Most Loved', counts !== null && counts.length > 0 &&
+    counts.every((count, i) => i === 0 || counts[i - 1] >= count) &&
+    badSort.response && badSort.response.status === 400);
+
+  const removed = await guest.request(`/photos/${photo.id}/upvote`, { method: 'DELETE' });
+  logTest('Remove Upvote', removed.response && removed.response.status === 200 &&
+    removed.data.data.upvote_count === 0 && removed.data.data.upvoted === false);
+
+  const forbidden = await guest.request('/admin/photo-comments/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ comment_ids: [comment.id], action: 'reject' })
+  });
+  logTest('Comment Moderation Is Admin Only', forbidden.response && forbidden.response.status === 403);
+
+  const rejected = await admin.request('/admin/photo-comments/moderate', {
+    method: 'POST',
+    body: JSON.stringify({ comment_ids: [comment.id], action: 'reject' })
+  });
+  const guestComments = await guest.request(`/photos/${photo.id}/comments`);
+  const adminComments = await admin.request(`/photos/${photo.id}/comments`);
+  const hiddenList = await admin.request('/admin/photo-comments?status=rejected&page_size=200');
+  logTest('Rejected Comment Hidden From Guests', rejected.response && rejected.response.status === 200 &&
+    rejected.data.data.updated_ids.includes(comment.id) &&
+    !guestComments.data.data.comments.some(listed => listed.id === comment.id) &&
+    adminComments.data.data.comments.some(listed => listed.id === comment.id && listed.is_approved === false) &&
+    hiddenList.data.data.comments.some(listed => listed.id === comment.id));
+
+  const notYours = await guest.request(`/photos/${photo.id}/comments/${comment.id}`, { method: 'DELETE' });
+  const deleted = await other.request(`/photos/${photo.id}/comments/${comment.id}`, { method: 'DELETE' });
+  const afterDelete = await admin.request(`/photos/${photo.id}/comments`);
+  logTest('Delete Own Comment', notYours.response && notYours.response.status === 404 &&
+    deleted.response && deleted.response.status === 200 &&
+    !afterDelete.data.data.comments.some(listed => listed.id === comment.id));
+}
+
+async function testDelete(admin, guest, other, photo) {
+  log('\n🗑️  Testing Photo Deletes...', 'info');
+
+  const notYours = await other.request(`/photos/${photo.id}`, { method: 'DELETE' });
+  logTest("Can't Delete Another Guest's Photo", notYours.response && notYours.response.status === 403 &&
+    notYours.data.code === 'NOT_YOUR_PHOTO');
+
+  const stored = await query('SELECT filename FROM photos WHERE id = $1', [photo.id]);
+  const removed = await guest.request(`/photos/${photo.id}`, { method: 'DELETE' });
+  const gone = await admin.request(`/photos/${photo.id}`);
+  logTest('Delete Own Photo', removed.response && removed.response.status === 200 &&
+    gone.response && gone.response.status === 404);
+
+  logTest('File Removed With Photo', stored.rows.length === 1 &&
+    await getStorage().read(stored.rows[0].filename) === null);
+
+  const pending = await upload(guest, {}, photoFile());
+  const pendingId = pending.data && pending.data.success ? pending.data.data.id : null;
+  const hidden = pendingId ? await other.request(`/photos/${pendingId}`, { method: 'DELETE' }) : {};
+  logTest("Other Guests Can't Find Pending Photo", hidden.response && hidden.response.status === 404);
+
+  const byAdmin = pendingId ? await admin.request(`/photos/${pendingId}`, { method: 'DELETE' }) : {};
+  logTest('Admins Delete Any Photo', byAdmin.response && byAdmin.response.status === 200);
+}
+
+async function cleanupTestData() {
+  try {
+    // Deleting the users takes their photo rows but not the files
+    const files = await query(`
+      SELECT p.filename FROM photos p JOIN users u ON u.id = p.user_id WHERE u.admin_notes = $1
+    `, [TEST_NOTE]);
+    for (const { filename } of files.rows) {
+      await getStorage().remove(filename);
+    }
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Photo Tests...', 'info');
+  log('=========================', 'info');
+
+  try {
+    await createUser('Admin', 'Phototest', { email: ADMIN_EMAIL, isAdmin: true });
+    await createUser('Guest', 'Phototest', { email: GUEST_EMAIL });
+    await createUser('Other', 'Phototest', { email: OTHER_EMAIL });
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+    const guest = createClient();
+    await guest.login(GUEST_EMAIL);
+    const other = createClient();
+    await other.login(OTHER_EMAIL);
+
+    await testUploadValidation(guest);
+    const photo = await testApproval(admin, guest, other);
+    await testModeration(admin, guest);
+    if (photo) {
+      await testCommentsAndUpvotes(admin, guest, other, photo);
+      await testDelete(admin, guest, other, photo);
+    }
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
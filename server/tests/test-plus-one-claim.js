@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Plus-One Account Claim Test Script
+ *
+ * Tests plus-ones claiming their own account against a running server:
+ * - The host and an admin can send a claim link
+ * - The link sets a password, registers the existing guest record and logs in
+ * - Links work once, and stop working when the host changes the email
+ * - Once registered, the host can't change the plus-one's email
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const HOST_EMAIL = `test-claim-host-${RUN_ID}@example.com`;
+const ADMIN_EMAIL = `test-claim-admin-${RUN_ID}@example.com`;
+const PLUS_ONE_EMAIL = `test-claim-plusone-${RUN_ID}@example.com`;
+const NEW_PASSWORD = 'PlusOnePassword123!';
+const TEST_NOTE = `test-claim-${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+function send(client, method, endpoint, body) {
+  return client.request(endpoint, {
+    method,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+function tokenFrom(claimUrl) {
+  return new URL(claimUrl).searchParams.get('claim_token');
+}
+
+async function findUser(id) {
+  const result = await query('SELECT * FROM users WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+async function testSendLinks(host, admin, hostId, plusOneId) {
+  log('\n📧 Testing Sending Claim Links...', 'info');
+
+  const fromHost = await send(host, 'POST', '/rsvps/plus-one/claim-link');
+  logTest('Host Sends Link', fromHost.response && fromHost.response.status === 200 && !fromHost.data.data);
+
+  const fromAdmin = await send(admin, 'POST', `/admin/guests/${plusOneId}/claim-link`);
+  const claimUrl = fromAdmin.data && fromAdmin.data.data ? fromAdmin.data.data.claim_url : null;
+  logTest('Admin Sends Link', fromAdmin.response && fromAdmin.response.status === 200 && Boolean(claimUrl));
+
+  const tokens = await query(`
+    SELECT COUNT(*) FILTER (WHERE used_at IS NULL)::int as open
+    FROM auth_tokens WHERE user_id = $1 AND purpose = 'plus_one_claim'
+  `, [plusOneId]);
+  logTest('Newest Link Replaces the Last', tokens.rows[0].open === 1);
+
+  const notPlusOne = await send(admin, 'POST', `/admin/guests/${hostId}/claim-link`);
+  logTest('Only Plus-Ones Get Links', notPlusOne.response && notPlusOne.response.status === 400 &&
+    notPlusOne.data.code === 'NOT_A_PLUS_ONE');
+
+  return claimUrl;
+}
+
+async function testEmailChangeRevokes(host, admin, plusOneId) {
+  log('\n✉️  Testing Email Changes...', 'info');
+
+  const sent = await send(admin, 'POST', `/admin/guests/${plusOneId}/claim-link`);
+  const oldToken = tokenFrom(sent.data.data.claim_url);
+
+  const changed = await send(host, 'PUT', '/rsvps/plus-one', { email: `moved-${PLUS_ONE_EMAIL}` });
+  logTest('Host Changes Email', changed.response && changed.response.status === 200);
+
+  const claim = await createClient().request('/auth/claim-account', {
+    method: 'POST',
+    body: JSON.stringify({ token: oldToken, password: NEW_PASSWORD })
+  });
+  logTest('Link to the Old Address Stops Working', claim.response && claim.response.status === 400 &&
+    claim.data.code === 'INVALID_TOKEN');
+
+  await send(host, 'PUT', '/rsvps/plus-one', { email: PLUS_ONE_EMAIL });
+}
+
+async function testClaim(host, admin, plusOneId) {
+  log('\n🔓 Testing Claiming the Account...', 'info');
+
+  const sent = await send(admin, 'POST', `/admin/guests/${plusOneId}/claim-link`);
+  const token = tokenFrom(sent.data.data.claim_url);
+  const rsvpBefore = await query('SELECT id FROM rsvps WHERE user_id = $1', [plusOneId]);
+
+  const plusOne = createClient();
+  const short = await plusOne.request('/auth/claim-account', {
+    method: 'POST',
+    body: JSON.stringify({ token, password: '123' })
+  });
+  logTest('Short Password Rejected', short.response && short.response.status === 400);
+
+  const claimed = await plusOne.request('/auth/claim-account', {
+    method: 'POST',
+    body: JSON.stringify({ token, password: NEW_PASSWORD })
+  });
+  logTest('Account Claimed', claimed.response && claimed.response.status === 200 &&
+    claimed.data.data && claimed.data.data.user_id === plusOneId);
+
+  const user = await findUser(plusOneId);
+  const rsvpAfter = await query('SELECT id FROM rsvps WHERE user_id = $1', [plusOneId]);
+  logTest('Same Guest Record, Now Registered', user.account_status === 'registered' && user.email === PLUS_ONE_EMAIL);
+  logTest('RSVP Kept', rsvpAfter.rows.length === 1 && rsvpAfter.rows[0].id === rsvpBefore.rows[0].id);
+
+  const history = await query("SELECT COUNT(*)::int as count FROM change_history WHERE user_id = $1 AND field = 'account_status' AND changed_by = $1", [plusOneId]);
+  logTest('Claim Recorded in History', history.rows[0].count === 1);
+
+  const own = await plusOne.request('/rsvps');
+  logTest('Plus-One Is Logged In', own.response && own.response.status === 200 &&
+    own.data.data.user_info.id === plusOneId);
+
+  const reused = await createClient().request('/auth/claim-account', {
+    method: 'POST',
+    body: JSON.stringify({ token, password: NEW_PASSWORD })
+  });
+  logTest('Link Works Once', reused.response && reused.response.status === 400);
+
+  const again = await send(admin, 'POST', `/admin/guests/${plusOneId}/claim-link`);
+  logTest('No Link Once Registered', again.response && again.response.status === 409 &&
+    again.data.code === 'ALREADY_REGISTERED');
+
+  const emailChange = await send(host, 'PUT', '/rsvps/plus-one', { email: `taken-over-${PLUS_ONE_EMAIL}` });
+  logTest('Host Can\'t Change Their Email', emailChange.response && emailChange.response.status === 403 &&
+    emailChange.data.code === 'PLUS_ONE_REGISTERED');
+
+  const dietary = await send(host, 'PUT', '/rsvps/plus-one', { dietary_restrictions: 'Shellfish' });
+  logTest('Host Can Still Edit Dietary Needs', dietary.response && dietary.response.status === 200);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE plus_one_of IN (SELECT id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Plus-One Account Claim Tests...', 'info');
+  log('==========================================', 'info');
+
+  try {
+    const hostId = await createUser('Host', 'Claimtest', { email: HOST_EMAIL });
+    await createUser('Admin', 'Claimtest', { email: ADMIN_EMAIL, isAdmin: true });
+    await query('UPDATE users SET plus_one_allowed = true WHERE id = $1', [hostId]);
+
+    const host = createClient();
+    await host.login(HOST_EMAIL);
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+
+    const added = await send(host, 'POST', '/rsvps', {
+      response_status: 'attending',
+      plus_one: { first_name: 'Plus', last_name: 'Claimtest', email: PLUS_ONE_EMAIL }
+    });
+    const plusOne = added.data && added.data.data ? added.data.data.plus_one : null;
+    logTest('Plus-One Added Without an Account', plusOne && plusOne.account_status === 'guest');
+
+    if (plusOne) {
+      await testSendLinks(host, admin, hostId, plusOne.id);
+      await testEmailChangeRevokes(host, admin, plusOne.id);
+      await testClaim(host, admin, plusOne.id);
+    }
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
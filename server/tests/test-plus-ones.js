@@ -0,0 +1,302 @@
+#!/usr/bin/env node
+
+/**
+ * Plus-One Test Script
+ *
+ * Tests the plus-one lifecycle against a running server:
+ * - Adding a plus-one with an RSVP, and resubmitting without a second one
+ * - Reading and editing the plus-one
+ * - Replacing and removing them (partner links, household, soft deletes)
+ * - A removed plus-one can be added back with the same email
+ * - Only guests with plus_one_allowed may add one, and only one
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { PASSWORD, createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const HOST_EMAIL = `test-plusone-host-${RUN_ID}@example.com`;
+const SOLO_EMAIL = `test-plusone-solo-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-plusone-${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+function send(client, method, endpoint, body) {
+  return client.request(endpoint, {
+    method,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+}
+
+function plusOneDetails(firstName) {
+  return {
+    first_name: firstName,
+    last_name: 'Plusonetest',
+    email: `test-plusone-${firstName.toLowerCase()}-${RUN_ID}@example.com`
+  };
+}
+
+async function findUser(id) {
+  const result = await query('SELECT * FROM users WHERE id = $1', [id]);
+  return result.rows[0];
+}
+
+async function findRsvp(guestId) {
+  const result = await query('SELECT * FROM rsvps WHERE user_id = $1', [guestId]);
+  return result.rows[0];
+}
+
+async function countPlusOnes(hostId) {
+  const result = await query('SELECT COUNT(*)::int as count FROM users WHERE plus_one_of = $1 AND deleted_at IS NULL', [hostId]);
+  return result.rows[0].count;
+}
+
+async function testAddAndResubmit(host, hostId) {
+  log('\n➕ Testing Adding a Plus-One...', 'info');
+
+  const none = await send(host, 'GET', '/rsvps/plus-one');
+  logTest('No Plus-One Yet', none.response && none.response.status === 200 && none.data.data === null);
+
+  const added = await send(host, 'POST', '/rsvps', {
+    response_status: 'attending',
+    plus_one: { ...plusOneDetails('Alex'), dietary_restrictions: 'No nuts' }
+  });
+  const plusOne = added.data && added.data.data ? added.data.data.plus_one : null;
+  logTest('RSVP Adds Plus-One', added.response && added.response.status === 201 && plusOne && plusOne.first_name === 'Alex');
+  if (!plusOne) return null;
+
+  const user = await findUser(plusOne.id);
+  logTest('Plus-One Points at Host', user.plus_one_of === hostId && user.partner_id === hostId);
+  logTest('Plus-One RSVP Attending', plusOne.response_status === 'attending' && plusOne.dietary_restrictions === 'No nuts');
+
+  const resubmitted = await send(host, 'POST', '/rsvps', {
+    response_status: 'attending',
+    plus_one: { ...plusOneDetails('Alex'), first_name: 'Alexis' }
+  });
+  const updated = resubmitted.data && resubmitted.data.data ? resubmitted.data.data.plus_one : null;
+  logTest('Resubmitting Updates the Same Plus-One', updated && updated.id === plusOne.id && updated.first_name === 'Alexis');
+  logTest('Still One Plus-One', await countPlusOnes(hostId) === 1);
+
+  const unchanged = await send(host, 'POST', '/rsvps', { response_status: 'attending' });
+  logTest('Leaving Out plus_one Keeps Them', unchanged.data && unchanged.data.data &&
+    unchanged.data.data.plus_one && unchanged.data.data.plus_one.id === plusOne.id);
+
+  const fetched = await send(host, 'GET', '/rsvps');
+  logTest('GET /rsvps Includes Plus-One', fetched.data && fetched.data.data &&
+    fetched.data.data.plus_one && fetched.data.data.plus_one.id === plusOne.id);
+
+  return plusOne;
+}
+
+async function testEdit(host, plusOne) {
+  log('\n✏️  Testing Editing the Plus-One...', 'info');
+
+  const edited = await send(host, 'PUT', '/rsvps/plus-one', { last_name: 'Edited', dietary_restrictions: 'Vegan' });
+  logTest('Plus-One Edited', edited.response && edited.response.status === 200 &&
+    edited.data.data.last_name === 'Edited' && edited.data.data.first_name === 'Alexis' &&
+    edited.data.data.dietary_restrictions === 'Vegan');
+
+  const invalid = await send(host, 'PUT', '/rsvps/plus-one', { email: 'not-an-email' });
+  logTest('Invalid Email Rejected', invalid.response && invalid.response.status === 400);
+
+  const taken = await send(host, 'PUT', '/rsvps/plus-one', { email: SOLO_EMAIL });
+  logTest('Taken Email Rejected', taken.response && taken.response.status === 409);
+
+  const second = await send(host, 'POST', '/rsvps/plus-one', { ...plusOneDetails('Second'), password: PASSWORD });
+  logTest('Second Plus-One Refused', second.response && second.response.status === 409 &&
+    second.data.code === 'PLUS_ONE_EXISTS');
+
+  const fetched = await send(host, 'GET', '/rsvps/plus-one');
+  logTest('GET Returns the Edited Plus-One', fetched.data && fetched.data.data &&
+    fetched.data.data.id === plusOne.id && fetched.data.data.last_name === 'Edited');
+}
+
+async function testReplace(host, hostId, plusOne) {
+  log('\n🔁 Testing Replacing the Plus-One...', 'info');
+
+  const replaced = await send(host, 'POST', '/rsvps/plus-one/replace', plusOneDetails('Blake'));
+  const replacement = replaced.data ? replaced.data.data : null;
+  logTest('Plus-One Replaced', replaced.response && replaced.response.status === 200 &&
+    replacement && replacement.id !== plusOne.id && replacement.first_name === 'Blake');
+  if (!replacement) return null;
+
+  const old = await findUser(plusOne.id);
+  const oldRsvp = await findRsvp(plusOne.id);
+  logTest('Old Plus-One Soft-Deleted', old.deleted_at !== null && old.partner_id === null && old.household_id === null);
+  logTest('Old Plus-One RSVP Soft-Deleted', oldRsvp.deleted_at !== null);
+
+  const hostUser = await findUser(hostId);
+  const hostRsvp = await findRsvp(hostId);
+  logTest('Host Linked to Replacement', hostUser.partner_id === replacement.id && hostRsvp.partner_id === replacement.id);
+  logTest('Still One Plus-One', await countPlusOnes(hostId) === 1);
+
+  const corrected = await send(host, 'POST', '/rsvps/plus-one/replace', { ...plusOneDetails('Blake'), last_name: 'Corrected' });
+  logTest('Replacement Can Keep the Same Email', corrected.response && corrected.response.status === 200 &&
+    corrected.data.data.email === replacement.email && corrected.data.data.last_name === 'Corrected');
+
+  // Switching back to the first plus-one reuses the removed guest's email
+  const switchedBack = await send(host, 'POST', '/rsvps/plus-one/replace', plusOneDetails('Alex'));
+  const alex = switchedBack.data && switchedBack.data.success ? switchedBack.data.data : null;
+  logTest('Can Switch Back to an Earlier Plus-One', switchedBack.response && switchedBack.response.status === 200 &&
+    alex && alex.email === plusOne.email && alex.id !== plusOne.id);
+  logTest('Still One Plus-One After Switching', await countPlusOnes(hostId) === 1);
+
+  return alex;
+}
+
+async function testRemove(host, hostId, plusOne) {
+  log('\n➖ Testing Removing the Plus-One...', 'info');
+
+  const removed = await send(host, 'DELETE', '/rsvps/plus-one');
+  logTest('Plus-One Removed', removed.response && removed.response.status === 200);
+
+  const user = await findUser(plusOne.id);
+  const rsvp = await findRsvp(plusOne.id);
+  const hostUser = await findUser(hostId);
+  const hostRsvp = await findRsvp(hostId);
+  logTest('Partner Links Cleared Both Ways', user.partner_id === null && hostUser.partner_id === null);
+  logTest('Host RSVP No Longer Points at Them', hostRsvp.partner_id === null);
+  logTest('Plus-One and RSVP Soft-Deleted', user.deleted_at !== null && rsvp.deleted_at !== null);
+
+  const history = await query("SELECT COUNT(*)::int as count FROM change_history WHERE user_id = $1 AND entity = 'rsvp' AND field = 'deleted_at'", [plusOne.id]);
+  logTest('Removal Recorded in History', history.rows[0].count === 1);
+
+  const again = await send(host, 'DELETE', '/rsvps/plus-one');
+  logTest('Removing Again Is 404', again.response && again.response.status === 404 && again.data.code === 'NO_PLUS_ONE');
+
+  const edit = await send(host, 'PUT', '/rsvps/plus-one', { first_name: 'Nobody' });
+  logTest('Editing Without a Plus-One Is 404', edit.response && edit.response.status === 404);
+
+  // Added back through the RSVP form, then removed with plus_one: null
+  const readded = await send(host, 'POST', '/rsvps', { response_status: 'attending', plus_one: plusOneDetails('Casey') });
+  const casey = readded.data && readded.data.data ? readded.data.data.plus_one : null;
+  const dropped = await send(host, 'POST', '/rsvps', { response_status: 'attending', plus_one: null });
+  logTest('plus_one: null Removes Them', casey && dropped.response && dropped.response.status === 201 &&
+    dropped.data.data.plus_one === null && (await findUser(casey.id)).deleted_at !== null);
+
+  const back = await send(host, 'POST', '/rsvps', { response_status: 'attending', plus_one: plusOneDetails('Casey') });
+  const caseyAgain = back.data && back.data.data ? back.data.data.plus_one : null;
+  logTest('Removed Plus-One Can Be Added Back', casey && back.response && back.response.status === 201 &&
+    caseyAgain && caseyAgain.id !== casey.id && caseyAgain.email === casey.email);
+}
+
+async function testNotAllowed(solo, soloId) {
+  log('\n🚫 Testing Guests Without a Plus-One...', 'info');
+
+  const viaRsvp = await send(solo, 'POST', '/rsvps', { response_status: 'attending', plus_one: plusOneDetails('Drew') });
+  logTest('RSVP Plus-One Refused', viaRsvp.response && viaRsvp.response.status === 403 &&
+    viaRsvp.data.code === 'PLUS_ONE_NOT_ALLOWED');
+  logTest('Nothing Saved', !(await findRsvp(soloId)));
+
+  const replace = await send(solo, 'POST', '/rsvps/plus-one/replace', plusOneDetails('Drew'));
+  logTest('Replace Refused', replace.response && replace.response.status === 403);
+}
+
+async function testUniquePlusOne(hostId) {
+  log('\n🔑 Testing One Plus-One per Guest Constraint...', 'info');
+
+  const first = await query(`
+    INSERT INTO users (first_name, last_name, plus_one_of) VALUES ('First', 'Plusonetest', $1) RETURNING id
+  `, [hostId]);
+
+  let rejected = false;
+  try {
+    await query("INSERT INTO users (first_name, last_name, plus_one_of) VALUES ('Second', 'Plusonetest', $1)", [hostId]);
+  } catch (error) {
+    rejected = error.code === '23505';
+  }
+  logTest('Second Active Plus-One Refused', rejected);
+
+  await query('DELETE FROM users WHERE id = $1', [first.rows[0].id]);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE plus_one_of IN (SELECT id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Plus-One Tests...', 'info');
+  log('============================', 'info');
+
+  try {
+    const hostId = await createUser('Host', 'Plusonetest', { email: HOST_EMAIL });
+    const soloId = await createUser('Solo', 'Plusonetest', { email: SOLO_EMAIL });
+    await query('UPDATE users SET plus_one_allowed = true WHERE id = $1', [hostId]);
+
+    const host = createClient();
+    await host.login(HOST_EMAIL);
+    const solo = createClient();
+    await solo.login(SOLO_EMAIL);
+
+    const plusOne = await testAddAndResubmit(host, hostId);
+    if (plusOne) {
+      await testEdit(host, plusOne);
+      const replacement = await testReplace(host, hostId, plusOne);
+      if (replacement) {
+        await testRemove(host, hostId, replacement);
+      }
+    }
+    await testNotAllowed(solo, soloId);
+    await testUniquePlusOne(hostId);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,171 @@
+#!/usr/bin/env node
+
+/**
+ * RSVP Deadline Test Script
+ *
+ * Tests RSVP deadlines against a running server, using per-guest overrides
+ * so the result doesn't depend on RSVP_DEADLINE:
+ * - Admins give a guest their own deadline, or clear it
+ * - After the deadline RSVPs and plus-ones are rejected with RSVP_CLOSED
+ * - Before it they go through as usual
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { PASSWORD, createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-deadline-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-deadline-guest-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-deadline-${RUN_ID}`;
+const DAY = 24 * 60 * 60 * 1000;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function setOverride(admin, guestId, value) {
+  return admin.request(`/admin/guests/${guestId}`, {
+    method: 'PUT',
+    body: JSON.stringify({ rsvp_deadline_override: value })
+  });
+}
+
+async function testDeadlineOverride(admin, guestId) {
+  log('\n⏰ Testing Deadline Overrides...', 'info');
+
+  const invalid = await setOverride(admin, guestId, '2026-05-01');
+  logTest('Deadline Needs Time and Offset', invalid.response && invalid.response.status === 400);
+
+  const past = new Date(Date.now() - DAY).toISOString();
+  const closed = await setOverride(admin, guestId, past);
+  logTest('Set Past Deadline', closed.response && closed.response.status === 200 &&
+    new Date(closed.data.data.rsvp_deadline_override).toISOString() === past);
+}
+
+async function testClosedRsvp(guest) {
+  log('\n🔒 Testing Closed RSVPs...', 'info');
+
+  const form = await guest.request('/rsvps');
+  const rsvpWindow = form.data && form.data.success ? form.data.data.rsvp_window : null;
+  logTest('Window Reported Closed', rsvpWindow && rsvpWindow.is_open === false && rsvpWindow.overridden === true);
+
+  const submitted = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ response_status: 'attending' })
+  });
+  logTest('RSVP Rejected After Deadline', submitted.response && submitted.response.status === 403 &&
+    submitted.data.code === 'RSVP_CLOSED' && Boolean(submitted.data.deadline));
+
+  const plusOne = await guest.request('/rsvps/plus-one', {
+    method: 'POST',
+    body: JSON.stringify({
+      first_name: 'Late',
+      last_name: 'Deadlinetest',
+      email: `test-deadline-plusone-${RUN_ID}@example.com`,
+      password: PASSWORD
+    })
+  });
+  logTest('Plus-One Rejected After Deadline', plusOne.response && plusOne.response.status === 403 &&
+    plusOne.data.code === 'RSVP_CLOSED');
+}
+
+async function testExtendedRsvp(admin, guest, guestId) {
+  log('\n🔓 Testing Extended Deadline...', 'info');
+
+  await setOverride(admin, guestId, new Date(Date.now() + DAY).toISOString());
+  const form = await guest.request('/rsvps');
+  logTest('Window Reported Open', form.data && form.data.success && form.data.data.rsvp_window.is_open === true);
+
+  const submitted = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({ response_status: 'attending' })
+  });
+  logTest('RSVP Accepted Before Deadline', submitted.response && submitted.response.status === 201);
+
+  const cleared = await setOverride(admin, guestId, null);
+  const after = await guest.request('/rsvps');
+  logTest('Clear Override', cleared.response && cleared.response.status === 200 &&
+    cleared.data.data.rsvp_deadline_override === null && after.data.data.rsvp_window.overridden === false);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM users WHERE email = $1', [`test-deadline-plusone-${RUN_ID}@example.com`]);
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting RSVP Deadline Tests...', 'info');
+  log('=================================', 'info');
+
+  try {
+    await createUser('Admin', 'Deadlinetest', { email: ADMIN_EMAIL, isAdmin: true });
+    const guestId = await createUser('Guest', 'Deadlinetest', { email: GUEST_EMAIL });
+    await query('UPDATE users SET plus_one_allowed = true WHERE id = $1', [guestId]);
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+    const guest = createClient();
+    await guest.login(GUEST_EMAIL);
+
+    await testDeadlineOverride(admin, guestId);
+    await testClosedRsvp(guest);
+    await testExtendedRsvp(admin, guest, guestId);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
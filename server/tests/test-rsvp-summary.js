@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * RSVP Summary Test Script
+ *
+ * Tests GET /api/rsvps/summary against a running server:
+ * - Only admins can read it, and /auth/me tells the client who is an admin
+ * - Name/email search, response_status, account_status, has_dietary and responded_after filters
+ * - Sorting, paging and validation of bad parameters
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-summary-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-summary-guest-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-rsvp-summary-${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function createRsvp(userId, status, dietary, respondedAt) {
+  await query(`
+    INSERT INTO rsvps (user_id, response_status, dietary_restrictions, responded_at)
+    VALUES ($1, $2, $3, $4)
+  `, [userId, status, dietary, respondedAt]);
+}
+
+async function createTestData() {
+  await createUser('Admin', 'Summarytest', { email: ADMIN_EMAIL, isAdmin: true });
+  await createUser('Guest', 'Summarytest', { email: GUEST_EMAIL });
+
+  const ids = {
+    early: await createUser('Early', 'Summarytest'),
+    late: await createUser('Late', 'Summarytest'),
+    declined: await createUser('Declined', 'Summarytest'),
+    silent: await createUser('Silent', 'Summarytest')
+  };
+
+  await createRsvp(ids.early, 'attending', 'Vegetarian', '2020-01-10');
+  await createRsvp(ids.late, 'attending', null, '2020-06-10');
+  await createRsvp(ids.declined, 'not_attending', '', '2020-03-10');
+
+  return ids;
+}
+
+async function summary(client, params = '') {
+  const separator = params ? '&' : '';
+  return client.request(`/rsvps/summary?page_size=200${separator}${params}`);
+}
+
+function idsOf(result) {
+  return result.data && result.data.success ? result.data.data.users.map(user => user.id) : [];
+}
+
+async function testAccess() {
+  log('\n🔐 Testing Access...', 'info');
+
+  const guest = createClient();
+  await guest.login(GUEST_EMAIL);
+  const { response, data } = await guest.request('/rsvps/summary');
+  logTest('Guest Rejected', response && response.status === 403 && data.code === 'ADMIN_REQUIRED');
+
+  const guestMe = await guest.request('/auth/me');
+  logTest('/auth/me is_admin (guest)', guestMe.data && guestMe.data.data && guestMe.data.data.is_admin === false);
+}
+
+async function testAdminFlag(admin) {
+  const adminMe = await admin.request('/auth/me');
+  logTest('/auth/me is_admin (admin)', adminMe.data && adminMe.data.data && adminMe.data.data.is_admin === true);
+}
+
+async function testFilters(admin, ids) {
+  log('\n🔎 Testing Filters...', 'info');
+
+  const attending = idsOf(await summary(admin, 'response_status=attending'));
+  logTest('response_status Filter', attending.includes(ids.early) && attending.includes(ids.late) && !attending.includes(ids.declined));
+
+  const noResponse = idsOf(await summary(admin, 'response_status=no_response'));
+  logTest('no_response Filter', noResponse.includes(ids.silent) && !noResponse.includes(ids.early));
+
+  const dietary = idsOf(await summary(admin, 'has_dietary=true'));
+  logTest('has_dietary=true', dietary.includes(ids.early) && !dietary.includes(ids.late) && !dietary.includes(ids.declined));
+
+  const noDietary = idsOf(await summary(admin, 'has_dietary=false'));
+  logTest('has_dietary=false', noDietary.includes(ids.late) && !noDietary.includes(ids.early));
+
+  const recent = idsOf(await summary(admin, 'responded_after=2020-05-01'));
+  logTest('responded_after Filter', recent.includes(ids.late) && !recent.includes(ids.early));
+
+  const search = idsOf(await summary(admin, 'q=early%20summarytest'));
+  logTest('Search Filter', search.length === 1 && search[0] === ids.early);
+
+  const guests = idsOf(await summary(admin, 'account_status=guest'));
+  logTest('account_status Filter', guests.includes(ids.silent));
+}
+
+async function testSortingAndPaging(admin, ids) {
+  log('\n↕️ Testing Sorting and Paging...', 'info');
+
+  const sorted = idsOf(await summary(admin, 'response_status=attending&sort=responded_at&order=desc'));
+  logTest('Sort By responded_at desc', sorted.indexOf(ids.late) < sorted.indexOf(ids.early));
+
+  const pageOne = await admin.request('/rsvps/summary?page_size=1&page=1');
+  const pagination = pageOne.data && pageOne.data.data ? pageOne.data.data.pagination : null;
+  logTest('Paging', pagination && pageOne.data.data.users.length === 1 && pagination.total_pages === pagination.total);
+
+  const totals = pageOne.data && pageOne.data.data ? pageOne.data.data.summary : null;
+  logTest('Totals Ignore Paging', totals && totals.total_users === pagination.total);
+
+  // Every attending guest counts, whether or not the other half of their row is coming
+  const attendingGuests = await query(`
+    SELECT COUNT(*)::int as count FROM users u
+    JOIN rsvps r ON r.user_id = u.id AND r.deleted_at IS NULL
+    WHERE u.deleted_at IS NULL AND r.response_status = 'attending'
+  `);
+  logTest('Attending Count Covers Every Guest', totals && totals.total_attending_count === attendingGuests.rows[0].count);
+
+  const badSort = await admin.request('/rsvps/summary?sort=password_hash');
+  logTest('Invalid Sort Rejected', badSort.response && badSort.response.status === 400);
+
+  const badDate = await admin.request('/rsvps/summary?responded_after=yesterday-ish');
+  logTest('Invalid Date Rejected', badDate.response && badDate.response.status === 400);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting RSVP Summary Tests...', 'info');
+  log('================================', 'info');
+
+  try {
+    const ids = await createTestData();
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+
+    await testAccess();
+    await testAdminFlag(admin);
+    await testFilters(admin, ids);
+    await testSortingAndPaging(admin, ids);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * RSVP Transaction Test Script
+ *
+ * Tests that RSVP submissions are atomic against a running server:
+ * - Partners answering at the same time end up with one RSVP each
+ * - A submission that fails part-way leaves nothing behind
+ * - Changing an answer moves responded_at on
+ * - The database refuses a second RSVP for the same guest
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const GUEST_EMAIL = `test-txn-guest-${RUN_ID}@example.com`;
+const PARTNER_EMAIL = `test-txn-partner-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-txn-${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function submitRsvp(client, body) {
+  return client.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify(body)
+  });
+}
+
+async function countRsvps(guestIds) {
+  const result = await query('SELECT COUNT(*)::int as count FROM rsvps WHERE user_id = ANY($1::uuid[])', [guestIds]);
+  return result.rows[0].count;
+}
+
+async function testConcurrentPartners(guest, partner, ids) {
+  log('\n👫 Testing Partners Answering at Once...', 'info');
+
+  const [fromGuest, fromPartner] = await Promise.all([
+    submitRsvp(guest, { response_status: 'attending', partner_response_status: 'attending' }),
+    submitRsvp(partner, { response_status: 'not_attending', partner_response_status: 'not_attending' })
+  ]);
+
+  logTest('Both Submissions Succeed', fromGuest.response && fromGuest.response.status === 201 &&
+    fromPartner.response && fromPartner.response.status === 201);
+  logTest('One RSVP per Guest', await countRsvps([ids.guestId, ids.partnerId]) === 2);
+
+  const statuses = await query('SELECT DISTINCT response_status FROM rsvps WHERE user_id = ANY($1::uuid[])', [[ids.guestId, ids.partnerId]]);
+  logTest('Last Submission Wins for Both', statuses.rows.length === 1);
+}
+
+async function testRollback(guest, ids) {
+  log('\n↩️  Testing Rollback...', 'info');
+
+  const before = await query('SELECT response_status, message FROM rsvps WHERE user_id = $1', [ids.guestId]);
+
+  // The plus-one's email is already taken, so creating them fails after the
+  // guest's own RSVP has been written
+  const failed = await submitRsvp(guest, {
+    response_status: 'attending',
+    message: `Rolled back ${RUN_ID}`,
+    plus_one: { first_name: 'Taken', last_name: 'Txntest', email: PARTNER_EMAIL }
+  });
+  logTest('Failing Submission Rejected', failed.response && failed.response.status >= 400);
+
+  const after = await query('SELECT response_status, message FROM rsvps WHERE user_id = $1', [ids.guestId]);
+  logTest('Earlier Writes Rolled Back', after.rows.length === 1 &&
+    after.rows[0].message === before.rows[0].message &&
+    after.rows[0].response_status === before.rows[0].response_status);
+
+  const history = await query("SELECT COUNT(*)::int as count FROM change_history WHERE user_id = $1 AND new_value = to_jsonb($2::text)", [ids.guestId, `Rolled back ${RUN_ID}`]);
+  logTest('No History for Rolled-Back Changes', history.rows[0].count === 0);
+}
+
+async function testResubmit(guest, ids) {
+  log('\n🔁 Testing Changed Answers...', 'info');
+
+  // Backdate the first answer so the change is easy to see
+  await query("UPDATE rsvps SET responded_at = '2020-01-01T00:00:00Z' WHERE user_id = $1", [ids.guestId]);
+
+  const changed = await submitRsvp(guest, { response_status: 'attending', partner_response_status: 'attending' });
+  const after = await query('SELECT responded_at FROM rsvps WHERE user_id = $1', [ids.guestId]);
+  logTest('Changing an Answer Updates responded_at', changed.response && changed.response.status === 201 &&
+    after.rows.length === 1 && after.rows[0].responded_at > new Date('2020-01-02T00:00:00Z'));
+}
+
+async function testUniqueRsvp(ids) {
+  log('\n🔑 Testing One RSVP per Guest Constraint...', 'info');
+
+  let rejected = false;
+  try {
+    await query("INSERT INTO rsvps (user_id, response_status) VALUES ($1, 'pending')", [ids.guestId]);
+  } catch (error) {
+    rejected = error.code === '23505';
+  }
+  logTest('Second RSVP Refused', rejected);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting RSVP Transaction Tests...', 'info');
+  log('====================================', 'info');
+
+  try {
+    const ids = {
+      guestId: await createUser('Guest', 'Txntest', { email: GUEST_EMAIL }),
+      partnerId: await createUser('Partner', 'Txntest', { email: PARTNER_EMAIL })
+    };
+    await query('UPDATE users SET partner_id = $2 WHERE id = $1', [ids.guestId, ids.partnerId]);
+    await query('UPDATE users SET partner_id = $1 WHERE id = $2', [ids.guestId, ids.partnerId]);
+    // The failing plus-one in testRollback has to get as far as being created
+    await query('UPDATE users SET plus_one_allowed = true WHERE id = $1', [ids.guestId]);
+
+    const guest = createClient();
+    await guest.login(GUEST_EMAIL);
+    const partner = createClient();
+    await partner.login(PARTNER_EMAIL);
+
+    await testConcurrentPartners(guest, partner, ids);
+    await testRollback(guest, ids);
+    await testResubmit(guest, ids);
+    await testUniqueRsvp(ids);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});
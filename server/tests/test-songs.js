@@ -0,0 +1,191 @@
+#!/usr/bin/env node
+
+/**
+ * Song Request Test Script
+ *
+ * Tests song requests against a running server:
+ * - Guests request songs with their RSVP and edit them afterwards
+ * - The same song under another spelling is matched, not added twice
+ * - Admins export a ranked playlist as CSV and M3U
+ */
+
+require('dotenv').config();
+
+const { query } = require('../src/config/db');
+const { createClient } = require('./api-client');
+const { userFactory } = require('./fixtures');
+
+// Test configuration
+const RUN_ID = Date.now();
+const ADMIN_EMAIL = `test-song-admin-${RUN_ID}@example.com`;
+const GUEST_EMAIL = `test-song-guest-${RUN_ID}@example.com`;
+const OTHER_EMAIL = `test-song-other-${RUN_ID}@example.com`;
+const TEST_NOTE = `test-songs-${RUN_ID}`;
+// Unique per run so the playlist rows can be found among real requests
+const SONG = `Testsong Anthem ${RUN_ID}`;
+const createUser = userFactory(TEST_NOTE);
+
+// Test results tracking
+let testResults = {
+  passed: 0,
+  failed: 0,
+  tests: []
+};
+
+function log(message, type = 'info') {
+  const colors = {
+    info: '\x1b[36m',    // Cyan
+    success: '\x1b[32m', // Green
+    error: '\x1b[31m',   // Red
+    warning: '\x1b[33m', // Yellow
+    reset: '\x1b[0m'
+  };
+
+  console.log(`${colors[type]}${message}${colors.reset}`);
+}
+
+function logTest(testName, passed, message = '') {
+  const status = passed ? '✅ PASS' : '❌ FAIL';
+  const color = passed ? 'success' : 'error';
+
+  log(`${status} ${testName}${message ? ': ' + message : ''}`, color);
+
+  testResults.tests.push({ name: testName, passed, message });
+  if (passed) {
+    testResults.passed++;
+  } else {
+    testResults.failed++;
+  }
+}
+
+async function testGuestSongs(guest, other) {
+  log('\n🎵 Testing Song Requests...', 'info');
+
+  const submitted = await guest.request('/rsvps', {
+    method: 'POST',
+    body: JSON.stringify({
+      response_status: 'attending',
+      song_requests: [
+        { title: SONG, artist: 'The Testers' },
+        { title: `${SONG.toLowerCase()} (Radio Edit)`, artist: 'testers' },
+        { title: 'September', artist: 'Earth, Wind & Fire' }
+      ]
+    })
+  });
+  const saved = submitted.data && submitted.data.success ? submitted.data.data.song_requests : [];
+  logTest('Songs Saved With RSVP', submitted.response && submitted.response.status === 201 &&
+    saved.length === 2 && saved[0].title === SONG);
+
+  const fetched = await guest.request('/rsvps');
+  logTest('Songs Returned With RSVP', fetched.data && fetched.data.success &&
+    fetched.data.data.song_requests.length === 2);
+
+  const again = await guest.request('/songs', {
+    method: 'POST',
+    body: JSON.stringify({ title: `${SONG}!`, artist: 'Testers feat. Someone' })
+  });
+  logTest('Same Song Not Added Twice', again.response && again.response.status === 200);
+
+  const added = await guest.request('/songs', {
+    method: 'POST',
+    body: JSON.stringify({ title: 'Dancing Queen', artist: 'ABBA' })
+  });
+  logTest('Add Song After RSVP', added.response && added.response.status === 201);
+
+  const missingTitle = await guest.request('/songs', {
+    method: 'POST',
+    body: JSON.stringify({ artist: 'ABBA' })
+  });
+  logTest('Title Required', missingTitle.response && missingTitle.response.status === 400);
+
+  const tooMany = await guest.request('/songs', {
+    method: 'PUT',
+    body: JSON.stringify({
+      song_requests: Array.from({ length: 11 }, (_, index) => ({ title: `Song ${index}` }))
+    })
+  });
+  logTest('Song Limit', tooMany.response && tooMany.response.status === 400);
+
+  const notYours = await other.request(`/songs/${added.data.data.id}`, { method: 'DELETE' });
+  logTest("Can't Remove Another Guest's Song", notYours.response && notYours.response.status === 404 &&
+    notYours.data.code === 'SONG_REQUEST_NOT_FOUND');
+
+  const removed = await guest.request(`/songs/${added.data.data.id}`, { method: 'DELETE' });
+  const list = await guest.request('/songs');
+  logTest('Remove Song', removed.response && removed.response.status === 200 &&
+    list.data.data.song_requests.length === 2);
+
+  const otherSongs = await other.request('/songs', {
+    method: 'PUT',
+    body: JSON.stringify({ song_requests: [{ title: `  ${SONG.toUpperCase()} [Live] ` }] })
+  });
+  logTest('Replace Song List', otherSongs.response && otherSongs.response.status === 200 &&
+    otherSongs.data.data.song_requests.length === 1);
+}
+
+async function testPlaylistExport(admin, guest) {
+  log('\n📀 Testing Playlist Export...', 'info');
+
+  const csv = await admin.request('/admin/exports/playlist?columns=title,artist,requests');
+  const csvText = typeof csv.data === 'string' ? csv.data : '';
+  logTest('Playlist CSV', csvText.includes(`${SONG},The Testers,2`));
+
+  const m3u = await admin.request('/admin/exports/playlist?format=m3u');
+  const m3uText = typeof m3u.data === 'string' ? m3u.data : '';
+  logTest('Playlist M3U', m3u.response && m3u.response.status === 200 &&
+    m3uText.startsWith('#EXTM3U') && m3uText.includes(`#EXTINF:-1,The Testers - ${SONG}`));
+
+  const badFormat = await admin.request('/admin/exports/roster?format=m3u');
+  logTest('M3U Only For Playlist', badFormat.response && badFormat.response.status === 400);
+
+  const forbidden = await guest.request('/admin/exports/playlist');
+  logTest('Playlist Is Admin Only', forbidden.response && forbidden.response.status === 403);
+}
+
+async function cleanupTestData() {
+  try {
+    await query('DELETE FROM households WHERE id IN (SELECT household_id FROM users WHERE admin_notes = $1)', [TEST_NOTE]);
+    await query('DELETE FROM users WHERE admin_notes = $1', [TEST_NOTE]);
+    log('\n✅ Test data cleaned up', 'success');
+  } catch (error) {
+    log(`⚠️  Cleanup warning: ${error.message}`, 'warning');
+  }
+}
+
+async function runAllTests() {
+  log('🧪 Starting Song Request Tests...', 'info');
+  log('================================', 'info');
+
+  try {
+    await createUser('Admin', 'Songtest', { email: ADMIN_EMAIL, isAdmin: true });
+    await createUser('Guest', 'Songtest', { email: GUEST_EMAIL });
+    await createUser('Other', 'Songtest', { email: OTHER_EMAIL });
+
+    const admin = createClient();
+    await admin.login(ADMIN_EMAIL);
+    const guest = createClient();
+    await guest.login(GUEST_EMAIL);
+    const other = createClient();
+    await other.login(OTHER_EMAIL);
+
+    await testGuestSongs(guest, other);
+    await testPlaylistExport(admin, guest);
+  } finally {
+    await cleanupTestData();
+  }
+
+  // Summary
+  log('\n📊 Test Summary', 'info');
+  log('===============', 'info');
+  log(`✅ Passed: ${testResults.passed}`, 'success');
+  log(`❌ Failed: ${testResults.failed}`, 'error');
+
+  return testResults.failed === 0;
+}
+
+runAllTests().then((success) => {
+  process.exit(success ? 0 : 1);
+}).catch((error) => {
+  log(`Test execution failed: ${error.message}`, 'error');
+  process.exit(1);
+});